@@ -41,9 +41,11 @@ const data = [0x00];
 const frame = buildSerialFrame(data);
 console.log("Frame to send (hex):", frame.toString("hex").match(/.{1,2}/g).join(" "));
 
-// === Open COM3 and send ===
+// === Open port and send ===
+// Usage: node <script> [port], or set SERIAL_PORT (defaults to COM3)
+const portPath = process.argv[2] || process.env.SERIAL_PORT || "COM3";
 const port = new SerialPort({
-  path: "COM3",      // Change to your actual COM port
+  path: portPath,
   baudRate: 9600,    // Adjust to your device
   dataBits: 8,       // 8 data bits
   stopBits: 1,       // 1 stop bit
@@ -51,7 +53,7 @@ const port = new SerialPort({
 });
 
 port.on("open", () => {
-  console.log("✅ Serial port opened on COM3 (9600 8N1)");
+  console.log(`✅ Serial port opened on ${portPath} (9600 8N1)`);
   port.write(frame, (err) => {
     if (err) {
       return console.error("❌ Error writing to serial port:", err.message);
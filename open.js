@@ -42,9 +42,11 @@ function buildSerialFrame(dataBytes) {
 // const frame = buildSerialFrame(data);
 //console.log("Frame to send (hex):", frame.toString("hex").match(/.{1,2}/g).join(" "));
 
-// === Open COM3 and send ===
+// === Open port and send ===
+// Usage: node <script> [port], or set SERIAL_PORT (defaults to COM3)
+const portPath = process.argv[2] || process.env.SERIAL_PORT || "COM3";
 const port = new SerialPort({
-  path: "COM3",      // Change to your actual COM port
+  path: portPath,
   baudRate: 9600,    // Adjust to your device
   dataBits: 8,       // 8 data bits
   stopBits: 1,       // 1 stop bit
@@ -55,7 +57,7 @@ function delay(ms) {
 }
 
 port.on("open",  async () => {
-  console.log("✅ Serial port opened on COM3 (9600 8N1)");
+  console.log(`✅ Serial port opened on ${portPath} (9600 8N1)`);
   for (let i = 0x00; i <= 0xFF; i++) {
     const frame = buildSerialFrame([i]);
     const hexStr = frame.toString("hex").match(/.{1,2}/g).join(" ");
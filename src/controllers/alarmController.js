@@ -0,0 +1,173 @@
+/**
+ * Alarm Controller
+ * Handles HTTP requests for door alarms (left open, tamper) and their thresholds
+ */
+
+import alarmService, { ALARM_TYPES, validateThresholds } from '../services/alarmService.js';
+import { requestActor } from '../middleware/auth.js';
+
+const MAX_ACTOR_LENGTH = 64;
+const MAX_NOTE_LENGTH = 500;
+
+/**
+ * List active alarms, oldest first
+ * GET /api/v1/alarms?acknowledged=false&zone=lobby&type=tamper
+ */
+export async function listAlarms(req, res) {
+  try {
+    const { acknowledged, zone, type } = req.query;
+    if (acknowledged !== undefined && !['true', 'false'].includes(acknowledged)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid alarm query',
+        error: 'acknowledged must be true or false'
+      });
+    }
+    if (type !== undefined && !ALARM_TYPES.includes(type)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid alarm query',
+        error: `type must be one of ${ALARM_TYPES.join(', ')}`
+      });
+    }
+
+    const alarms = alarmService.list({
+      acknowledged: acknowledged === undefined ? undefined : acknowledged === 'true',
+      zone,
+      type
+    });
+    res.status(200).json({
+      status: 'success',
+      data: {
+        alarms,
+        count: alarms.length
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('List alarms error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to list alarms',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Acknowledge an alarm; it stops escalating and clears when the door closes
+ * POST /api/v1/alarms/:id/acknowledge
+ * Body: { "actor": "night-shift", "note": "Guest still loading" }
+ */
+export async function acknowledgeAlarm(req, res) {
+  try {
+    const actor = requestActor(req);
+    if (actor === null) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Actor does not match API key',
+        error: `API key ${req.apiKey.name} cannot act as ${req.body.actor}`
+      });
+    }
+    const { note } = req.body;
+
+    if (typeof actor !== 'string' || !actor || actor.length > MAX_ACTOR_LENGTH) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid actor',
+        error: `actor must be a non-empty string of at most ${MAX_ACTOR_LENGTH} characters`
+      });
+    }
+    if (note !== undefined && (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid note',
+        error: `note must be a string of at most ${MAX_NOTE_LENGTH} characters`
+      });
+    }
+
+    const existing = alarmService.get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Alarm not found',
+        error: `No active alarm ${req.params.id}`
+      });
+    }
+    if (existing.acknowledged) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Alarm already acknowledged',
+        error: `Alarm ${req.params.id} was acknowledged by ${existing.acknowledgedBy}`
+      });
+    }
+
+    const alarm = alarmService.acknowledge(req.params.id, { actor, note });
+    res.status(200).json({
+      status: 'success',
+      message: 'Alarm acknowledged',
+      data: alarm,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Acknowledge alarm error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to acknowledge alarm',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Get the alarm thresholds
+ * GET /api/v1/alarms/thresholds
+ */
+export async function getAlarmThresholds(req, res) {
+  try {
+    res.status(200).json({
+      status: 'success',
+      data: alarmService.getThresholds(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Get alarm thresholds error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get alarm thresholds',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Replace the alarm thresholds
+ * PUT /api/v1/alarms/thresholds
+ * Body: { "default": { "openMinutes": 30, "escalateMinutes": 30 }, "zones": { ... }, "cabinets": { ... } }
+ */
+export async function putAlarmThresholds(req, res) {
+  try {
+    const errors = validateThresholds(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid alarm thresholds',
+        error: errors.join('; ')
+      });
+    }
+
+    const thresholds = alarmService.setThresholds(req.body);
+    res.status(200).json({
+      status: 'success',
+      data: thresholds,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Put alarm thresholds error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to save alarm thresholds',
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,49 @@
+/**
+ * Allocation Controller
+ * Handles HTTP requests for picking a free locker by size
+ */
+
+import allocationService, { validateAllocationRequest } from '../services/allocationService.js';
+import parcelService from '../services/parcelService.js';
+
+/**
+ * Pick the best free locker for a size class and preferred zone
+ * The locker is not reserved
+ * POST /api/v1/allocations
+ * Body: { "size": "medium", "zone": "lobby" }
+ */
+export async function createAllocation(req, res) {
+  try {
+    const errors = validateAllocationRequest(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid allocation request',
+        error: errors.join('; ')
+      });
+    }
+
+    const { size, zone } = req.body;
+    const locker = allocationService.allocate({ size, zone, exclude: parcelService.listOccupiedLockers() });
+    if (!locker) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'No free locker',
+        error: size === undefined ? 'Every locker is taken, in maintenance or faulty' : `No free locker of size ${size} or larger`
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: locker,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Allocation error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to allocate locker',
+      error: error.message
+    });
+  }
+}
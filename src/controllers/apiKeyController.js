@@ -0,0 +1,153 @@
+/**
+ * API Key Controller
+ * Handles HTTP requests for creating and revoking API keys
+ */
+
+import apiKeyService, { validateApiKey } from '../services/apiKeyService.js';
+
+/**
+ * List API keys, oldest first, without their hashes
+ * GET /api/v1/api-keys?revoked=false
+ */
+export async function listApiKeys(req, res) {
+  try {
+    const { revoked } = req.query;
+    if (revoked !== undefined && revoked !== 'true' && revoked !== 'false') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid API key query',
+        error: 'revoked must be true or false'
+      });
+    }
+
+    const keys = apiKeyService.list({ revoked: revoked === undefined ? undefined : revoked === 'true' });
+    res.status(200).json({
+      status: 'success',
+      data: {
+        keys,
+        count: keys.length
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to list API keys',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Create an API key; the key is only ever returned here
+ * POST /api/v1/api-keys
+ * Body: { "name": "front-desk", "scopes": ["status:read", "cabinet:open"] }
+ */
+export async function createApiKey(req, res) {
+  try {
+    const errors = validateApiKey(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid API key',
+        error: errors.join('; ')
+      });
+    }
+
+    let created;
+    try {
+      created = apiKeyService.create(req.body, req.actor);
+    } catch (error) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'API key name already used',
+        error: error.message
+      });
+    }
+
+    res.status(201).location(`${req.baseUrl}/api-keys/${created.key.id}`).json({
+      status: 'success',
+      message: 'Store the key now; it cannot be shown again',
+      data: { ...created.key, key: created.secret },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create API key',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Get one API key, without its hash
+ * GET /api/v1/api-keys/:id
+ */
+export async function getApiKey(req, res) {
+  try {
+    const key = apiKeyService.get(req.params.id);
+    if (!key) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'API key not found',
+        error: `No API key ${req.params.id}`
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: key,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Get API key error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get API key',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Revoke an API key; requests with it fail at once
+ * POST /api/v1/api-keys/:id/revoke
+ */
+export async function revokeApiKey(req, res) {
+  try {
+    const existing = apiKeyService.get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'API key not found',
+        error: `No API key ${req.params.id}`
+      });
+    }
+
+    if (existing.revokedAt) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'API key already revoked',
+        error: `API key ${req.params.id} was revoked by ${existing.revokedBy}`
+      });
+    }
+
+    const key = apiKeyService.revoke(req.params.id, req.actor);
+    res.status(200).json({
+      status: 'success',
+      message: 'API key revoked',
+      data: key,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to revoke API key',
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,183 @@
+/**
+ * Assignment Controller
+ * Handles HTTP requests for locker reservations
+ */
+
+import cabinetService from '../services/cabinetService.js';
+import assignmentService, { ASSIGNMENT_STATUSES, validateAssignment } from '../services/assignmentService.js';
+import { isAdmin } from '../middleware/auth.js';
+
+/**
+ * List assignments, ordered by start time
+ * GET /api/v1/assignments?cabinetId=4&assignee=j.doe&status=active
+ */
+export async function listAssignments(req, res) {
+  try {
+    const { assignee, status } = req.query;
+    const errors = [];
+    let cabinetId;
+
+    if (req.query.cabinetId !== undefined) {
+      cabinetId = Number(req.query.cabinetId);
+      if (!Number.isInteger(cabinetId) || cabinetId < 0) {
+        errors.push('cabinetId must be a non-negative integer');
+      }
+    }
+    if (status !== undefined && !ASSIGNMENT_STATUSES.includes(status)) {
+      errors.push(`status must be one of ${ASSIGNMENT_STATUSES.join(', ')}`);
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid assignment query',
+        error: errors.join('; ')
+      });
+    }
+
+    const assignments = assignmentService.list({ cabinetId, assignee, status });
+    res.status(200).json({
+      status: 'success',
+      data: {
+        assignments,
+        count: assignments.length
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('List assignments error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to list assignments',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Reserve a locker for someone (admins only)
+ * POST /api/v1/assignments
+ * Body: { "cabinetId": 4, "assignee": "j.doe", "startsAt": "...", "endsAt": "...", "note": "..." }
+ */
+export async function createAssignment(req, res) {
+  try {
+    // API keys are checked for the admin scope by the route
+    if (!req.apiKey && !isAdmin(req)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not allowed to assign lockers',
+        error: `${req.actor} is not an admin`
+      });
+    }
+
+    const errors = validateAssignment(req.body, cabinetService.getMaxCabinetId());
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid assignment',
+        error: errors.join('; ')
+      });
+    }
+
+    let assignment;
+    try {
+      assignment = assignmentService.create(req.body, req.actor);
+    } catch (error) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Locker already assigned',
+        error: error.message
+      });
+    }
+
+    res.status(201).location(`${req.baseUrl}/assignments/${assignment.id}`).json({
+      status: 'success',
+      data: assignment,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Create assignment error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create assignment',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Get one assignment
+ * GET /api/v1/assignments/:id
+ */
+export async function getAssignment(req, res) {
+  try {
+    const assignment = assignmentService.get(req.params.id);
+    if (!assignment) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Assignment not found',
+        error: `No assignment ${req.params.id}`
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: assignment,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Get assignment error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get assignment',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Release an assignment early (its assignee or an admin)
+ * POST /api/v1/assignments/:id/release
+ */
+export async function releaseAssignment(req, res) {
+  try {
+    const existing = assignmentService.get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Assignment not found',
+        error: `No assignment ${req.params.id}`
+      });
+    }
+
+    if (existing.assignee !== req.actor && !isAdmin(req)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not allowed to release this assignment',
+        error: `Only ${existing.assignee} or an admin may release it`
+      });
+    }
+
+    if (existing.status === 'expired' || existing.status === 'released') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Assignment already ended',
+        error: `Assignment ${req.params.id} is already ${existing.status}`
+      });
+    }
+
+    const assignment = assignmentService.release(req.params.id, req.actor);
+    res.status(200).json({
+      status: 'success',
+      message: 'Assignment released',
+      data: assignment,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Release assignment error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to release assignment',
+      error: error.message
+    });
+  }
+}
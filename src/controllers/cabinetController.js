@@ -4,6 +4,52 @@
  */
 
 import cabinetService from '../services/cabinetService.js';
+import cabinetRegistry from '../services/cabinetRegistry.js';
+import stateStore, { EVENT_TYPES } from '../services/stateStore.js';
+import auditLog from '../services/auditLog.js';
+import jobService from '../services/jobService.js';
+import assignmentService from '../services/assignmentService.js';
+import apiKeyService from '../services/apiKeyService.js';
+import { listCandidates, probeAll } from '../services/portDiscovery.js';
+import { isAdmin, requestActor } from '../middleware/auth.js';
+
+const MAX_ACTOR_LENGTH = 64;
+const MAX_REASON_LENGTH = 500;
+
+/**
+ * Parse the filters shared by the history and audit queries
+ * @param {Object} query - req.query with cabinetId, since, until, limit
+ * @returns {Object} { filters, errors }
+ */
+function parseHistoryQuery({ cabinetId, since, until, limit }) {
+  const filters = {};
+  const errors = [];
+
+  if (cabinetId !== undefined) {
+    filters.cabinetId = Number(cabinetId);
+    if (!Number.isInteger(filters.cabinetId) || filters.cabinetId < 0) {
+      errors.push('cabinetId must be a non-negative integer');
+    }
+  }
+  for (const [name, value] of [['since', since], ['until', until]]) {
+    if (value !== undefined) {
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        errors.push(`${name} must be an ISO timestamp`);
+      } else {
+        filters[name] = date.toISOString();
+      }
+    }
+  }
+  if (limit !== undefined) {
+    filters.limit = Number(limit);
+    if (!Number.isInteger(filters.limit) || filters.limit < 1 || filters.limit > 1000) {
+      errors.push('limit must be an integer between 1 and 1000');
+    }
+  }
+
+  return { filters, errors };
+}
 
 /**
  * Get health check status
@@ -30,6 +76,9 @@ export async function getHealth(req, res) {
 /**
  * Get all cabinet statuses
  * GET /api/v1/cabinet/status
+ * Cabinets are enriched with their registry record (label, size, position,
+ * zone, enabled); registered cabinets without a hardware status are listed
+ * as 'unknown'
  * Query parameters:
  *   - fresh: if true, requests fresh status from hardware
  */
@@ -43,7 +92,10 @@ export async function getCabinetStatus(req, res) {
     console.log(status)
     res.status(200).json({
       status: 'success',
-      data: status,
+      data: {
+        ...status,
+        cabinets: cabinetRegistry.enrich(status.cabinets)
+      },
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -59,11 +111,24 @@ export async function getCabinetStatus(req, res) {
 /**
  * Open selected cabinets
  * POST /api/v1/cabinet/open
- * Body: { "cabinetIds": [1, 2, 3] }
+ * Body: { "cabinetIds": [1, 2, 3], "actor": "front-desk", "reason": "Guest lost key", "async": false }
+ * Every request with valid cabinet IDs is written to the audit log.
+ * Lockers with an active assignment open for their assignee and admins only.
+ * With "async": true the opens run as a background job: the response is
+ * 202 with the job, whose progress is at GET /api/v1/jobs/:id
  */
 export async function openCabinets(req, res) {
+  let audit = null;
   try {
-    const { cabinetIds } = req.body;
+    const { cabinetIds, reason, async: runAsync = false } = req.body;
+    const actor = requestActor(req);
+    if (actor === null) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Actor does not match API key',
+        error: `API key ${req.apiKey.name} cannot act as ${req.body.actor}`
+      });
+    }
 
     // Validate request body
     if (!cabinetIds) {
@@ -90,23 +155,108 @@ export async function openCabinets(req, res) {
       });
     }
 
-    // Validate each cabinet ID
+    // Validate each cabinet ID against the configured board layout
+    const maxCabinetId = cabinetService.getMaxCabinetId();
     for (let i = 0; i < cabinetIds.length; i++) {
       const id = cabinetIds[i];
-      if (!Number.isInteger(id) || id < 0 || id > 255) {
+      if (!Number.isInteger(id) || id < 0 || id > maxCabinetId) {
         return res.status(400).json({
           status: 'error',
           message: 'Invalid cabinet ID format',
-          error: `Cabinet ID at index ${i} must be an integer between 0 and 255, got ${id}`
+          error: `Cabinet ID at index ${i} must be an integer between 0 and ${maxCabinetId}, got ${id}`
         });
       }
     }
 
+    if (typeof actor !== 'string' || !actor || actor.length > MAX_ACTOR_LENGTH) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid actor',
+        error: `actor must be a non-empty string of at most ${MAX_ACTOR_LENGTH} characters`
+      });
+    }
+
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid reason',
+        error: `reason must be a string of at most ${MAX_REASON_LENGTH} characters`
+      });
+    }
+
+    if (typeof runAsync !== 'boolean') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid async flag',
+        error: 'async must be a boolean'
+      });
+    }
+
+    // Async jobs audit after the response, when the socket (and req.ip) is gone
+    const { id: requestId, ip } = req;
+    audit = (fields) => auditLog.record({
+      requestId,
+      actor,
+      ip,
+      reason: reason ?? null,
+      cabinetIds,
+      ...fields
+    });
+
+    // Disabled lockers (out of service) must not be opened
+    const disabled = cabinetIds.filter(id => !cabinetRegistry.isEnabled(id));
+    if (disabled.length > 0) {
+      audit({ outcome: 'rejected', error: `Cabinets ${disabled.join(', ')} are disabled in the registry` });
+      return res.status(400).json({
+        status: 'error',
+        message: 'Cabinet disabled',
+        error: `Cabinets ${disabled.join(', ')} are disabled in the registry`
+      });
+    }
+
+    // Assigned lockers belong to their assignee until the assignment ends
+    const refused = assignmentService.checkAccess(cabinetIds, actor, { admin: isAdmin(req) });
+    if (refused.length > 0) {
+      const error = refused
+        .map(({ id, assignee }) => (assignee ? `Cabinet ${id} is assigned to ${assignee}` : `Cabinet ${id} is not assigned to ${actor}`))
+        .join('; ');
+      audit({ outcome: 'rejected', error });
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not allowed to open cabinets',
+        error
+      });
+    }
+
+    if (runAsync) {
+      const job = jobService.createOpenJob(cabinetIds, {
+        onFinish: (finished) => audit({
+          outcome: finished.status,
+          opened: finished.results.filter(r => r.status === 'opened').map(r => r.id),
+          unconfirmed: finished.results.filter(r => r.status === 'unconfirmed').map(r => r.id),
+          failed: finished.results.filter(r => r.status === 'failed').map(({ id, error }) => ({ id, error }))
+        })
+      });
+
+      return res.status(202).location(`${req.baseUrl}/jobs/${job.id}`).json({
+        status: 'success',
+        message: 'Cabinet open job started',
+        data: job,
+        timestamp: new Date().toISOString()
+      });
+    }
+
     // Attempt to open cabinets
     const result = await cabinetService.openCabinets(cabinetIds);
+    audit({
+      outcome: 'completed',
+      opened: result.opened.map(cabinet => cabinet.id),
+      unconfirmed: result.unconfirmed.map(cabinet => cabinet.id),
+      failed: result.failed
+    });
 
-    // Determine response status based on results
-    const hasFailures = result.failed && result.failed.length > 0;
+    // Determine response status based on results; unconfirmed opens did not open
+    const hasFailures = result.failed.length + result.unconfirmed.length > 0;
     const responseStatus = hasFailures && result.opened.length === 0 ? 500 : 200;
 
     res.status(responseStatus).json({
@@ -114,9 +264,11 @@ export async function openCabinets(req, res) {
       message: 'Cabinet operation completed',
       data: {
         opened: result.opened,
+        unconfirmed: result.unconfirmed,
         failed: result.failed,
         total: cabinetIds.length,
         successCount: result.opened.length,
+        unconfirmedCount: result.unconfirmed.length,
         failureCount: result.failed.length
       },
       timestamp: new Date().toISOString()
@@ -124,6 +276,9 @@ export async function openCabinets(req, res) {
 
   } catch (error) {
     console.error('Open cabinets error:', error);
+    if (audit) {
+      audit({ outcome: 'error', error: error.message });
+    }
     res.status(500).json({
       status: 'error',
       message: 'Failed to open cabinets',
@@ -132,6 +287,99 @@ export async function openCabinets(req, res) {
   }
 }
 
+/**
+ * Query the audit log of open requests
+ * GET /api/v1/audit
+ * Query parameters:
+ *   - cabinetId: requests that included this cabinet
+ *   - actor: requests by this actor
+ *   - since / until: ISO timestamps
+ *   - limit: most recent entries to return (1-1000, default 100)
+ */
+export async function getAuditLog(req, res) {
+  try {
+    const { actor } = req.query;
+    const { filters, errors } = parseHistoryQuery(req.query);
+
+    if (actor !== undefined) {
+      filters.actor = actor;
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid audit query',
+        error: errors.join('; ')
+      });
+    }
+
+    const entries = await auditLog.query(filters);
+    res.status(200).json({
+      status: 'success',
+      data: {
+        entries,
+        count: entries.length
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get audit log',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Query cabinet history
+ * GET /api/v1/cabinet/history
+ * Query parameters:
+ *   - cabinetId: only events for this cabinet
+ *   - type: open, transition or reset
+ *   - since / until: ISO timestamps
+ *   - limit: most recent events to return (1-1000, default 100)
+ */
+export async function getCabinetHistory(req, res) {
+  try {
+    const { type } = req.query;
+    const { filters, errors } = parseHistoryQuery(req.query);
+
+    if (type !== undefined) {
+      filters.type = type;
+      if (!EVENT_TYPES.includes(type)) {
+        errors.push(`type must be one of ${EVENT_TYPES.join(', ')}`);
+      }
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid history query',
+        error: errors.join('; ')
+      });
+    }
+
+    const events = await stateStore.history(filters);
+    res.status(200).json({
+      status: 'success',
+      data: {
+        events,
+        count: events.length
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Get cabinet history error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get cabinet history',
+      error: error.message
+    });
+  }
+}
+
 /**
  * Reset cabinet status tracking
  * POST /api/v1/cabinet/reset (internal use)
@@ -181,4 +429,68 @@ export async function setLightStatus(req, res) {
       error: error.message
     });
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Get serial link diagnostics
+ * GET /api/v1/serial/diagnostics
+ * Returns frame decoder counters (CRC failures, resyncs, dropped bytes)
+ */
+export async function getSerialDiagnostics(req, res) {
+  try {
+    res.status(200).json({
+      status: 'success',
+      data: cabinetService.getLinkDiagnostics(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Get serial diagnostics error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get serial diagnostics',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * List candidate serial ports with probe results
+ * GET /api/v1/serial/ports?probe=false
+ * Each port gets a 0x51 status query unless probe=false; the port the
+ * service currently holds is reported as inUse and not probed. Probing
+ * writes to every serial device on the host, so it needs the admin scope
+ */
+export async function getSerialPorts(req, res) {
+  try {
+    const probe = req.query.probe !== 'false';
+    if (probe && req.apiKey && !apiKeyService.hasScope(req.apiKey, 'admin')) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Insufficient scope',
+        error: `API key ${req.apiKey.name} needs the admin scope to probe ports; list them with probe=false`
+      });
+    }
+
+    const skip = cabinetService.isConnected && cabinetService.activePath ? [cabinetService.activePath] : [];
+    const ports = !probe
+      ? await listCandidates()
+      : await probeAll({ skip, baudRate: cabinetService.baudRate, framing: cabinetService.framing });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        configuredPath: cabinetService.portPath,
+        activePath: cabinetService.activePath,
+        ports
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('List serial ports error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to list serial ports',
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,166 @@
+/**
+ * Cabinet Registry Controller
+ * Handles HTTP requests for the cabinet inventory (labels, sizes, positions)
+ */
+
+import cabinetService from '../services/cabinetService.js';
+import cabinetRegistry, { validateRecord } from '../services/cabinetRegistry.js';
+
+/**
+ * Parse and range-check the :id route parameter
+ * @param {string} value - Raw parameter
+ * @returns {number|null} Cabinet ID or null if invalid
+ */
+function parseCabinetId(value) {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id < 0 || id > cabinetService.getMaxCabinetId()) {
+    return null;
+  }
+  return id;
+}
+
+/**
+ * List registered cabinets
+ * GET /api/v1/cabinets
+ */
+export async function listCabinets(req, res) {
+  try {
+    const cabinets = cabinetRegistry.list();
+    res.status(200).json({
+      status: 'success',
+      data: {
+        cabinets,
+        total: cabinets.length
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('List cabinets error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to list cabinets',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Get one registered cabinet
+ * GET /api/v1/cabinets/:id
+ */
+export async function getCabinet(req, res) {
+  try {
+    const id = parseCabinetId(req.params.id);
+    if (id === null) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid cabinet ID format',
+        error: `Cabinet ID must be an integer between 0 and ${cabinetService.getMaxCabinetId()}, got ${req.params.id}`
+      });
+    }
+
+    const cabinet = cabinetRegistry.get(id);
+    if (!cabinet) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Cabinet not registered',
+        error: `No registry record for cabinet ${id}`
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: cabinet,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Get cabinet error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get cabinet',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Create or replace a cabinet record
+ * PUT /api/v1/cabinets/:id
+ * Body: { "label": "B-12", "size": "medium", "column": 2, "row": 12, "zone": "lobby", "enabled": true }
+ */
+export async function putCabinet(req, res) {
+  try {
+    const id = parseCabinetId(req.params.id);
+    if (id === null) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid cabinet ID format',
+        error: `Cabinet ID must be an integer between 0 and ${cabinetService.getMaxCabinetId()}, got ${req.params.id}`
+      });
+    }
+
+    const errors = validateRecord(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid cabinet record',
+        error: errors.join('; ')
+      });
+    }
+
+    const existing = cabinetRegistry.findByLabel(req.body.label);
+    if (existing && existing.id !== id) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Label already in use',
+        error: `Label ${req.body.label} is already used by cabinet ${existing.id}`
+      });
+    }
+
+    const created = !cabinetRegistry.get(id);
+    const cabinet = cabinetRegistry.upsert(id, req.body);
+
+    res.status(created ? 201 : 200).json({
+      status: 'success',
+      data: cabinet,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Save cabinet error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to save cabinet',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Remove a cabinet record
+ * DELETE /api/v1/cabinets/:id
+ */
+export async function deleteCabinet(req, res) {
+  try {
+    const id = parseCabinetId(req.params.id);
+    if (id === null || !cabinetRegistry.remove(id)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Cabinet not registered',
+        error: `No registry record for cabinet ${req.params.id}`
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: `Cabinet ${id} removed from registry`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Delete cabinet error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete cabinet',
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,59 @@
+/**
+ * Event Stream Controller
+ * Server-Sent Events endpoint for cabinet, command and link events
+ */
+
+import eventStream, { formatEventId, parseEventId } from '../services/eventStream.js';
+
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.SSE_HEARTBEAT_MS || '15000');
+
+/**
+ * Stream events as Server-Sent Events
+ * GET /api/v1/events
+ * Resumes after the Last-Event-ID header (sent by EventSource on reconnect)
+ * or the lastEventId query parameter
+ */
+export function streamEvents(req, res) {
+  const requested = req.query.lastEventId ?? req.get('Last-Event-ID');
+  const position = parseEventId(requested);
+
+  if (req.query.lastEventId !== undefined && !position) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Invalid lastEventId',
+      error: 'lastEventId must be "<streamId>:<seq>" or a sequence number'
+    });
+  }
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Keep reverse proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (message) => {
+    const lines = [];
+    if (message.seq !== undefined) {
+      lines.push(`id: ${formatEventId(eventStream.streamId, message.seq)}`);
+    } else if (message.type === 'ready' && !position) {
+      // Give a new client a position, so a reconnect before the first event resumes too
+      lines.push(`id: ${formatEventId(message.streamId, message.lastSeq)}`);
+    }
+    lines.push(`event: ${message.type}`);
+    lines.push(`data: ${JSON.stringify(message)}`);
+    res.write(`${lines.join('\n')}\n\n`);
+  };
+
+  const unsubscribe = eventStream.subscribe(position || {}, send);
+
+  // Comment lines keep idle connections open through proxies
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
@@ -0,0 +1,110 @@
+/**
+ * Job Controller
+ * Handles HTTP requests for background jobs (async batch opens)
+ */
+
+import jobService, { JOB_STATUSES } from '../services/jobService.js';
+
+/**
+ * List recent jobs, newest first
+ * GET /api/v1/jobs?status=running
+ */
+export async function listJobs(req, res) {
+  try {
+    const { status } = req.query;
+    if (status !== undefined && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid job query',
+        error: `status must be one of ${JOB_STATUSES.join(', ')}`
+      });
+    }
+
+    const jobs = jobService.list({ status });
+    res.status(200).json({
+      status: 'success',
+      data: {
+        jobs,
+        count: jobs.length
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('List jobs error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to list jobs',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Get a job with per-cabinet progress
+ * GET /api/v1/jobs/:id
+ */
+export async function getJob(req, res) {
+  try {
+    const job = jobService.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Job not found',
+        error: `No job ${req.params.id}`
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: job,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get job',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Cancel a running job
+ * POST /api/v1/jobs/:id/cancel
+ */
+export async function cancelJob(req, res) {
+  try {
+    const existing = jobService.get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Job not found',
+        error: `No job ${req.params.id}`
+      });
+    }
+
+    if (existing.status !== 'running') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Job already finished',
+        error: `Job ${req.params.id} is already ${existing.status}`
+      });
+    }
+
+    const job = jobService.cancel(req.params.id);
+    res.status(200).json({
+      status: 'success',
+      message: 'Job cancelled',
+      data: job,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Cancel job error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to cancel job',
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,308 @@
+/**
+ * Parcel Controller
+ * Handles HTTP requests for parcel drop-off and pickup
+ */
+
+import { validateAllocationRequest } from '../services/allocationService.js';
+import parcelService, { PARCEL_STATUSES } from '../services/parcelService.js';
+import { isAdmin } from '../middleware/auth.js';
+
+const MAX_RECIPIENT_LENGTH = 64;
+
+/**
+ * Send a 404 for an unknown parcel
+ */
+function parcelNotFound(req, res) {
+  return res.status(404).json({
+    status: 'error',
+    message: 'Parcel not found',
+    error: `No parcel ${req.params.id}`
+  });
+}
+
+/**
+ * List parcels, newest first
+ * GET /api/v1/parcels?status=stored&recipient=j.doe
+ */
+export async function listParcels(req, res) {
+  try {
+    const { status, recipient } = req.query;
+    if (status !== undefined && !PARCEL_STATUSES.includes(status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid parcel query',
+        error: `status must be one of ${PARCEL_STATUSES.join(', ')}`
+      });
+    }
+
+    const parcels = parcelService.list({ status, recipient });
+    res.status(200).json({
+      status: 'success',
+      data: {
+        parcels,
+        count: parcels.length
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('List parcels error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to list parcels',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Start a drop-off: pick a free locker and open it for the courier
+ * POST /api/v1/parcels
+ * Body: { "size": "medium", "zone": "lobby" } (both optional)
+ */
+export async function startDropOff(req, res) {
+  try {
+    const errors = validateAllocationRequest(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid drop-off',
+        error: errors.join('; ')
+      });
+    }
+
+    const { size, zone } = req.body;
+    const parcel = await parcelService.startDropOff({ courier: req.actor, size, zone, requestId: req.id, ip: req.ip });
+    if (!parcel) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'No free locker',
+        error: size === undefined ? 'Every locker is taken, in maintenance or faulty' : `No free locker of size ${size} or larger`
+      });
+    }
+
+    res.status(201).location(`${req.baseUrl}/parcels/${parcel.id}`).json({
+      status: 'success',
+      message: `Locker ${parcel.cabinetId} opened for drop-off`,
+      data: parcel,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Start drop-off error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to start drop-off',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Get one parcel
+ * GET /api/v1/parcels/:id
+ */
+export async function getParcel(req, res) {
+  try {
+    const parcel = parcelService.get(req.params.id);
+    if (!parcel) {
+      return parcelNotFound(req, res);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: parcel,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Get parcel error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get parcel',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Register a dropped-off parcel once its locker is closed
+ * The pickup code is only ever returned here
+ * POST /api/v1/parcels/:id/store
+ * Body: { "recipient": "j.doe" }
+ */
+export async function storeParcel(req, res) {
+  try {
+    const { recipient } = req.body;
+    const existing = parcelService.get(req.params.id);
+    if (!existing) {
+      return parcelNotFound(req, res);
+    }
+
+    if (typeof recipient !== 'string' || !recipient.trim() || recipient.length > MAX_RECIPIENT_LENGTH) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid recipient',
+        error: `recipient must be a non-empty string of at most ${MAX_RECIPIENT_LENGTH} characters`
+      });
+    }
+
+    if (existing.status !== 'awaiting-drop') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Parcel already stored',
+        error: `Parcel ${req.params.id} is already ${existing.status}`
+      });
+    }
+
+    if (!await parcelService.isDoorClosed(existing.cabinetId)) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Locker door not closed',
+        error: `Close locker ${existing.cabinetId} before storing the parcel`
+      });
+    }
+
+    const { parcel, code } = parcelService.store(req.params.id, recipient.trim());
+    res.status(200).json({
+      status: 'success',
+      message: 'Parcel stored',
+      data: { ...parcel, code },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Store parcel error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to store parcel',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Abandon a drop-off before the parcel is stored
+ * POST /api/v1/parcels/:id/cancel
+ */
+export async function cancelParcel(req, res) {
+  try {
+    const existing = parcelService.get(req.params.id);
+    if (!existing) {
+      return parcelNotFound(req, res);
+    }
+
+    if (existing.status !== 'awaiting-drop') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Parcel already stored',
+        error: `Parcel ${req.params.id} is already ${existing.status}`
+      });
+    }
+
+    const parcel = parcelService.cancel(req.params.id);
+    res.status(200).json({
+      status: 'success',
+      message: 'Drop-off cancelled',
+      data: parcel,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Cancel parcel error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to cancel drop-off',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Record that staff took back a parcel marked for return (admins only)
+ * POST /api/v1/parcels/:id/returned
+ */
+export async function markParcelReturned(req, res) {
+  try {
+    if (!isAdmin(req)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not allowed to return parcels',
+        error: `${req.actor} is not an admin`
+      });
+    }
+
+    const existing = parcelService.get(req.params.id);
+    if (!existing) {
+      return parcelNotFound(req, res);
+    }
+
+    if (existing.status !== 'return') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Parcel not marked for return',
+        error: `Parcel ${req.params.id} is ${existing.status}`
+      });
+    }
+
+    const parcel = parcelService.markReturned(req.params.id, req.actor);
+    res.status(200).json({
+      status: 'success',
+      message: 'Parcel returned',
+      data: parcel,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Return parcel error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to return parcel',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Collect a parcel with its pickup code: opens its locker and spends the code
+ * POST /api/v1/parcels/pickup
+ * Body: { "code": "482913" }
+ */
+export async function pickupParcel(req, res) {
+  try {
+    const { code } = req.body;
+    if (typeof code !== 'string' || !/^\d+$/.test(code)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid pickup code',
+        error: 'code must be a string of digits'
+      });
+    }
+
+    if (parcelService.isLockedOut(req.ip)) {
+      return res.status(429).json({
+        status: 'error',
+        message: 'Too many wrong codes',
+        error: 'Try again later'
+      });
+    }
+
+    const found = parcelService.findByCode(code, req.ip);
+    if (!found) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Unknown pickup code',
+        error: 'No uncollected parcel has this code'
+      });
+    }
+
+    const parcel = await parcelService.pickup(found.id, { requestId: req.id, ip: req.ip });
+    res.status(200).json({
+      status: 'success',
+      message: `Locker ${parcel.cabinetId} opened`,
+      data: parcel,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Pickup parcel error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to open locker for pickup',
+      error: error.message
+    });
+  }
+}
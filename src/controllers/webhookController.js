@@ -0,0 +1,238 @@
+/**
+ * Webhook Controller
+ * Handles HTTP requests for webhook subscriptions and their deliveries
+ */
+
+import webhookService, { validateSubscription } from '../services/webhookService.js';
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed', 'dead'];
+
+/**
+ * List webhook subscriptions (secrets are not included)
+ * GET /api/v1/webhooks
+ */
+export async function listWebhooks(req, res) {
+  try {
+    const subscriptions = webhookService.list();
+    res.status(200).json({
+      status: 'success',
+      data: {
+        subscriptions,
+        total: subscriptions.length
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('List webhooks error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to list webhooks',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Create a webhook subscription
+ * POST /api/v1/webhooks
+ * Body: { "url": "https://...", "events": ["door.opened"], "secret": "...", "enabled": true }
+ * The response is the only place the secret is returned
+ */
+export async function createWebhook(req, res) {
+  try {
+    const errors = validateSubscription(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid webhook subscription',
+        error: errors.join('; ')
+      });
+    }
+
+    const subscription = webhookService.create(req.body);
+    res.status(201).json({
+      status: 'success',
+      data: subscription,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create webhook',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Get one webhook subscription
+ * GET /api/v1/webhooks/:id
+ */
+export async function getWebhook(req, res) {
+  try {
+    const subscription = webhookService.get(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Webhook not found',
+        error: `No webhook subscription ${req.params.id}`
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: subscription,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Get webhook error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get webhook',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Remove a webhook subscription
+ * DELETE /api/v1/webhooks/:id
+ */
+export async function deleteWebhook(req, res) {
+  try {
+    if (!webhookService.remove(req.params.id)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Webhook not found',
+        error: `No webhook subscription ${req.params.id}`
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: `Webhook ${req.params.id} removed`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete webhook',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Recent webhook deliveries
+ * GET /api/v1/webhooks/deliveries
+ * Query parameters:
+ *   - subscriptionId: only deliveries to this subscription
+ *   - status: pending, delivered, failed or dead
+ *   - limit: most recent deliveries to return (1-1000, default 100)
+ */
+export async function listDeliveries(req, res) {
+  try {
+    const { subscriptionId, status, limit } = req.query;
+    const filters = {};
+    const errors = [];
+
+    if (subscriptionId !== undefined) {
+      filters.subscriptionId = subscriptionId;
+    }
+    if (status !== undefined) {
+      filters.status = status;
+      if (!DELIVERY_STATUSES.includes(status)) {
+        errors.push(`status must be one of ${DELIVERY_STATUSES.join(', ')}`);
+      }
+    }
+    if (limit !== undefined) {
+      filters.limit = Number(limit);
+      if (!Number.isInteger(filters.limit) || filters.limit < 1 || filters.limit > 1000) {
+        errors.push('limit must be an integer between 1 and 1000');
+      }
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid delivery query',
+        error: errors.join('; ')
+      });
+    }
+
+    const deliveries = webhookService.listDeliveries(filters);
+    res.status(200).json({
+      status: 'success',
+      data: {
+        deliveries,
+        count: deliveries.length
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('List webhook deliveries error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to list webhook deliveries',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Deliveries that failed every attempt
+ * GET /api/v1/webhooks/dead-letters
+ */
+export async function listDeadLetters(req, res) {
+  try {
+    const deliveries = webhookService.listDeadLetters();
+    res.status(200).json({
+      status: 'success',
+      data: {
+        deliveries,
+        count: deliveries.length
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('List dead letters error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to list dead letters',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Deliver a dead letter again
+ * POST /api/v1/webhooks/dead-letters/:id/redeliver
+ */
+export async function redeliverDeadLetter(req, res) {
+  try {
+    const delivery = webhookService.redeliver(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Dead letter not found',
+        error: `No dead-lettered delivery ${req.params.id}`
+      });
+    }
+
+    res.status(202).json({
+      status: 'success',
+      message: 'Delivery requeued',
+      data: { ...delivery },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Redeliver error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to redeliver',
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,95 @@
+/**
+ * Authentication Middleware
+ * Checks the API key of each request and the scope each route needs.
+ * An authenticated key's name replaces the X-Actor header as req.actor.
+ * With API_AUTH=false every request passes, as before keys existed.
+ */
+
+import apiKeyService, { extractApiKey } from '../services/apiKeyService.js';
+import assignmentService from '../services/assignmentService.js';
+
+/**
+ * Paths that also take the key as ?apiKey=, for clients such as
+ * EventSource that cannot send headers
+ */
+const QUERY_KEY_PATHS = ['/events'];
+
+/**
+ * Set req.apiKey from the presented key, or answer 401
+ */
+export function authenticate(req, res, next) {
+  req.apiKey = null;
+  if (!apiKeyService.enabled) {
+    return next();
+  }
+
+  const queryKey = req.method === 'GET' && QUERY_KEY_PATHS.includes(req.path) ? req.query.apiKey : null;
+  const secret = extractApiKey(req.headers, queryKey);
+  if (!secret) {
+    return res.status(401).set('WWW-Authenticate', 'Bearer').json({
+      status: 'error',
+      message: 'Authentication required',
+      error: 'Send an API key as Authorization: Bearer <key> or X-API-Key'
+    });
+  }
+
+  const key = apiKeyService.authenticate(secret);
+  if (!key) {
+    return res.status(401).set('WWW-Authenticate', 'Bearer error="invalid_token"').json({
+      status: 'error',
+      message: 'Invalid API key',
+      error: 'The API key is unknown or has been revoked'
+    });
+  }
+
+  req.apiKey = key;
+  req.actor = key.name;
+  next();
+}
+
+/**
+ * Actor a request acts as: the API key's name when a key was presented,
+ * otherwise the body's actor, then the X-Actor header
+ * A key cannot act as someone else, so a body actor other than its name is refused
+ * @param {Object} req - Express request
+ * @returns {string|null} Actor, or null if the body names another actor than the key
+ */
+export function requestActor(req) {
+  const bodyActor = req.body ? req.body.actor : undefined;
+  if (req.apiKey) {
+    return bodyActor === undefined || bodyActor === req.actor ? req.actor : null;
+  }
+  return bodyActor ?? req.actor ?? 'anonymous';
+}
+
+/**
+ * Only let requests through whose key has a scope, or answer 403
+ * @param {string} scope - Scope the route needs (see apiKeyService.js)
+ * @returns {Function} Express middleware
+ */
+export function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.apiKey || apiKeyService.hasScope(req.apiKey, scope)) {
+      return next();
+    }
+
+    res.status(403).json({
+      status: 'error',
+      message: 'Insufficient scope',
+      error: `API key ${req.apiKey.name} does not have the ${scope} scope`
+    });
+  };
+}
+
+/**
+ * Whether the request comes from an admin: with an API key, only a key with
+ * the admin scope; without one (API_AUTH=false), an actor listed in ADMIN_ACTORS
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+export function isAdmin(req) {
+  if (req.apiKey) {
+    return req.apiKey.scopes.includes('admin');
+  }
+  return assignmentService.isAdmin(req.actor);
+}
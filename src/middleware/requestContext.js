@@ -0,0 +1,21 @@
+/**
+ * Request Context Middleware
+ * Tags each request with an ID (taken from X-Request-Id when the caller
+ * sends one) and the acting user, for logs and the audit trail
+ */
+
+import { randomUUID } from 'crypto';
+
+const MAX_ID_LENGTH = 128;
+
+/**
+ * Set req.id and req.actor and echo the ID back in X-Request-Id
+ * The actor comes from the X-Actor header and defaults to 'anonymous'
+ */
+export function requestContext(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && incoming.length <= MAX_ID_LENGTH ? incoming : randomUUID();
+  req.actor = req.get('X-Actor') || 'anonymous';
+  res.set('X-Request-Id', req.id);
+  next();
+}
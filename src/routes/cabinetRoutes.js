@@ -9,40 +9,228 @@ import {
   getCabinetStatus,
   openCabinets,
   resetStatus,
-  setLightStatus
+  setLightStatus,
+  getSerialDiagnostics,
+  getSerialPorts,
+  getCabinetHistory,
+  getAuditLog
 } from '../controllers/cabinetController.js';
+import {
+  listCabinets,
+  getCabinet,
+  putCabinet,
+  deleteCabinet
+} from '../controllers/cabinetRegistryController.js';
+import { streamEvents } from '../controllers/eventStreamController.js';
+import { listJobs, getJob, cancelJob } from '../controllers/jobController.js';
+import {
+  listAssignments,
+  createAssignment,
+  getAssignment,
+  releaseAssignment
+} from '../controllers/assignmentController.js';
+import {
+  listAlarms,
+  acknowledgeAlarm,
+  getAlarmThresholds,
+  putAlarmThresholds
+} from '../controllers/alarmController.js';
+import { createAllocation } from '../controllers/allocationController.js';
+import {
+  listParcels,
+  startDropOff,
+  getParcel,
+  storeParcel,
+  cancelParcel,
+  markParcelReturned,
+  pickupParcel
+} from '../controllers/parcelController.js';
+import {
+  listWebhooks,
+  createWebhook,
+  getWebhook,
+  deleteWebhook,
+  listDeliveries,
+  listDeadLetters,
+  redeliverDeadLetter
+} from '../controllers/webhookController.js';
+import {
+  listApiKeys,
+  createApiKey,
+  getApiKey,
+  revokeApiKey
+} from '../controllers/apiKeyController.js';
+import { requestContext } from '../middleware/requestContext.js';
+import { authenticate, requireScope } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// Request ID and actor for logs and the audit trail
+router.use(requestContext);
+
 /**
- * Health check endpoint
+ * Health check endpoint (no API key, for container health checks)
  * GET /api/v1/health
  */
 router.get('/health', getHealth);
 
+// Every route below needs an API key with the scope it names
+router.use(authenticate);
+
 /**
  * Get cabinet status
  * GET /api/v1/cabinet/status
  */
-router.get('/cabinet/status', getCabinetStatus);
+router.get('/cabinet/status', requireScope('status:read'), getCabinetStatus);
+
+/**
+ * Audit log of open requests
+ * GET /api/v1/audit?cabinetId=4&actor=front-desk&since=...&until=...&limit=100
+ */
+router.get('/audit', requireScope('admin'), getAuditLog);
+
+/**
+ * Cabinet history (open commands, door transitions, tamper detections, resets)
+ * GET /api/v1/cabinet/history?cabinetId=4&type=tamper&since=...&limit=100
+ */
+router.get('/cabinet/history', requireScope('status:read'), getCabinetHistory);
 
 /**
  * Set Light Status
  * GET /api/v1/cabinet/light
  */
-router.get('/cabinet/light', setLightStatus);
+router.get('/cabinet/light', requireScope('light:write'), setLightStatus);
 
 /**
  * Open cabinets
  * POST /api/v1/cabinet/open
- * Body: { "cabinetIds": [1, 2, 3] }
+ * Body: { "cabinetIds": [1, 2, 3], "async": true }
+ */
+router.post('/cabinet/open', requireScope('cabinet:open'), openCabinets);
+
+/**
+ * Background jobs started by async opens
+ * GET  /api/v1/jobs?status=running
+ * GET  /api/v1/jobs/:id
+ * POST /api/v1/jobs/:id/cancel
+ */
+router.get('/jobs', requireScope('status:read'), listJobs);
+router.get('/jobs/:id', requireScope('status:read'), getJob);
+router.post('/jobs/:id/cancel', requireScope('cabinet:open'), cancelJob);
+
+/**
+ * Locker assignments (reservations)
+ * GET  /api/v1/assignments?cabinetId=4&assignee=j.doe&status=active
+ * POST /api/v1/assignments              (admins only)
+ * GET  /api/v1/assignments/:id
+ * POST /api/v1/assignments/:id/release
+ */
+router.get('/assignments', requireScope('status:read'), listAssignments);
+router.post('/assignments', requireScope('admin'), createAssignment);
+router.get('/assignments/:id', requireScope('status:read'), getAssignment);
+router.post('/assignments/:id/release', requireScope('assignment:write'), releaseAssignment);
+
+/**
+ * Door alarms (left open, tamper) and their thresholds
+ * GET  /api/v1/alarms?acknowledged=false&zone=lobby&type=tamper
+ * GET  /api/v1/alarms/thresholds
+ * PUT  /api/v1/alarms/thresholds
+ * POST /api/v1/alarms/:id/acknowledge
  */
-router.post('/cabinet/open', openCabinets);
+router.get('/alarms', requireScope('status:read'), listAlarms);
+router.get('/alarms/thresholds', requireScope('status:read'), getAlarmThresholds);
+router.put('/alarms/thresholds', requireScope('admin'), putAlarmThresholds);
+router.post('/alarms/:id/acknowledge', requireScope('alarm:write'), acknowledgeAlarm);
+
+/**
+ * Pick the best free locker for a size class
+ * POST /api/v1/allocations
+ */
+router.post('/allocations', requireScope('status:read'), createAllocation);
+
+/**
+ * Parcel drop-off and pickup
+ * GET  /api/v1/parcels?status=stored&recipient=j.doe
+ * POST /api/v1/parcels
+ * POST /api/v1/parcels/pickup
+ * GET  /api/v1/parcels/:id
+ * POST /api/v1/parcels/:id/store
+ * POST /api/v1/parcels/:id/cancel
+ * POST /api/v1/parcels/:id/returned
+ */
+router.get('/parcels', requireScope('status:read'), listParcels);
+router.post('/parcels', requireScope('parcel:write'), startDropOff);
+router.post('/parcels/pickup', requireScope('parcel:pickup'), pickupParcel);
+router.get('/parcels/:id', requireScope('status:read'), getParcel);
+router.post('/parcels/:id/store', requireScope('parcel:write'), storeParcel);
+router.post('/parcels/:id/cancel', requireScope('parcel:write'), cancelParcel);
+router.post('/parcels/:id/returned', requireScope('parcel:write'), markParcelReturned);
 
 /**
  * Reset cabinet status (internal endpoint)
  * POST /api/v1/cabinet/reset
  */
-router.post('/cabinet/reset', resetStatus);
+router.post('/cabinet/reset', requireScope('admin'), resetStatus);
+
+/**
+ * Cabinet registry
+ * GET    /api/v1/cabinets
+ * GET    /api/v1/cabinets/:id
+ * PUT    /api/v1/cabinets/:id
+ * DELETE /api/v1/cabinets/:id
+ */
+router.get('/cabinets', requireScope('status:read'), listCabinets);
+router.get('/cabinets/:id', requireScope('status:read'), getCabinet);
+router.put('/cabinets/:id', requireScope('admin'), putCabinet);
+router.delete('/cabinets/:id', requireScope('admin'), deleteCabinet);
+
+/**
+ * Webhook subscriptions, delivery log and dead letters
+ * GET    /api/v1/webhooks
+ * POST   /api/v1/webhooks
+ * GET    /api/v1/webhooks/deliveries?subscriptionId=...&status=dead&limit=100
+ * GET    /api/v1/webhooks/dead-letters
+ * POST   /api/v1/webhooks/dead-letters/:id/redeliver
+ * GET    /api/v1/webhooks/:id
+ * DELETE /api/v1/webhooks/:id
+ */
+router.get('/webhooks', requireScope('admin'), listWebhooks);
+router.post('/webhooks', requireScope('admin'), createWebhook);
+router.get('/webhooks/deliveries', requireScope('admin'), listDeliveries);
+router.get('/webhooks/dead-letters', requireScope('admin'), listDeadLetters);
+router.post('/webhooks/dead-letters/:id/redeliver', requireScope('admin'), redeliverDeadLetter);
+router.get('/webhooks/:id', requireScope('admin'), getWebhook);
+router.delete('/webhooks/:id', requireScope('admin'), deleteWebhook);
+
+/**
+ * API keys (admins only); the key itself is only returned on creation
+ * GET  /api/v1/api-keys?revoked=false
+ * POST /api/v1/api-keys
+ * GET  /api/v1/api-keys/:id
+ * POST /api/v1/api-keys/:id/revoke
+ */
+router.get('/api-keys', requireScope('admin'), listApiKeys);
+router.post('/api-keys', requireScope('admin'), createApiKey);
+router.get('/api-keys/:id', requireScope('admin'), getApiKey);
+router.post('/api-keys/:id/revoke', requireScope('admin'), revokeApiKey);
+
+/**
+ * Server-Sent Events stream of door, command and link events
+ * GET /api/v1/events (resume with Last-Event-ID)
+ * WebSocket clients connect to /api/v1/ws instead (see websocketServer.js)
+ */
+router.get('/events', requireScope('status:read'), streamEvents);
+
+/**
+ * Serial link diagnostics
+ * GET /api/v1/serial/diagnostics
+ */
+router.get('/serial/diagnostics', requireScope('status:read'), getSerialDiagnostics);
+
+/**
+ * List serial ports and probe each for a lock board (probing needs admin)
+ * GET /api/v1/serial/ports?probe=false
+ */
+router.get('/serial/ports', requireScope('status:read'), getSerialPorts);
 
 export default router;
@@ -3,14 +3,26 @@
  * Cabinet Control Service
  */
 
+// Load environment variables before any service module is evaluated: the
+// service singletons read their settings when they are constructed
+import 'dotenv/config';
 import express from 'express';
-import dotenv from 'dotenv';
+import path from 'path';
 import cabinetService from './services/cabinetService.js';
+import cabinetRegistry from './services/cabinetRegistry.js';
+import stateStore from './services/stateStore.js';
+import auditLog from './services/auditLog.js';
+import eventStream from './services/eventStream.js';
+import alarmService from './services/alarmService.js';
+import assignmentService from './services/assignmentService.js';
+import apiKeyService from './services/apiKeyService.js';
+import parcelService from './services/parcelService.js';
+import webhookService from './services/webhookService.js';
+import mqttBridge, { getMqttConfig } from './services/mqttBridge.js';
+import { attachWebSocketServer } from './services/websocketServer.js';
+import { getDataDir } from './utils/jsonFile.js';
 import cabinetRoutes from './routes/cabinetRoutes.js';
 
-// Load environment variables
-dotenv.config();
-
 const app = express();
 const PORT = process.env.PORT || 80;
 
@@ -37,7 +49,19 @@ app.get('/', (req, res) => {
       health: 'GET /api/v1/health',
       cabinetStatus: 'GET /api/v1/cabinet/status',
       openCabinets: 'POST /api/v1/cabinet/open',
-      resetStatus: 'POST /api/v1/cabinet/reset'
+      resetStatus: 'POST /api/v1/cabinet/reset',
+      cabinets: 'GET /api/v1/cabinets',
+      history: 'GET /api/v1/cabinet/history',
+      jobs: 'GET /api/v1/jobs',
+      alarms: 'GET /api/v1/alarms',
+      assignments: 'GET /api/v1/assignments',
+      parcels: 'GET /api/v1/parcels',
+      allocations: 'POST /api/v1/allocations',
+      apiKeys: 'GET /api/v1/api-keys',
+      audit: 'GET /api/v1/audit',
+      events: 'GET /api/v1/events',
+      webhooks: 'GET /api/v1/webhooks',
+      websocket: 'WS /api/v1/ws'
     }
   });
 });
@@ -74,32 +98,57 @@ app.use((err, req, res, next) => {
 
 /**
  * Initialize server and connect to serial port
+ * The serial link is supervised: if the port is missing at boot or lost
+ * later, it is reopened in the background with exponential backoff
  */
 async function start() {
-  try {
-    // Connect to serial port
-    console.log('Attempting to connect to serial port...');
-    await cabinetService.connect();
-    console.log('Serial port connected successfully');
+  cabinetService.on('link', ({ state, previous }) => {
+    console.log(`Serial link ${previous} -> ${state}`);
+  });
 
-    // Start HTTP server
-    app.listen(PORT, () => {
-      console.log(`Express server listening on port ${PORT}`);
-      console.log(`API documentation available at http://localhost:${PORT}`);
-      console.log(`Health check available at http://localhost:${PORT}/api/v1/health`);
+  // Load persisted state before serving requests
+  apiKeyService.load(path.join(getDataDir(), 'api-keys.json'));
+  cabinetRegistry.load(path.join(getDataDir(), 'cabinets.json'));
+  assignmentService.load(path.join(getDataDir(), 'assignments.json'));
+  assignmentService.start();
+  stateStore.open(path.join(getDataDir(), 'history.jsonl'));
+  cabinetService.restoreStatus(stateStore.getState(), stateStore.getLastOpens());
+  stateStore.attach(cabinetService);
+  auditLog.open(path.join(getDataDir(), 'audit.jsonl'));
+  eventStream.attach(cabinetService);
+  alarmService.load(path.join(getDataDir(), 'alarms.json'));
+  alarmService.start();
+  eventStream.attach(alarmService);
+  parcelService.load(path.join(getDataDir(), 'parcels.json'));
+  parcelService.start();
+  eventStream.attach(parcelService);
+  webhookService.load(path.join(getDataDir(), 'webhooks.json'));
+  webhookService.attach(eventStream);
+
+  // Mirror state to MQTT; the client keeps retrying if the broker is down
+  const mqttConfig = getMqttConfig();
+  if (mqttConfig) {
+    mqttBridge.start(mqttConfig).catch((err) => {
+      console.error(`MQTT broker not reachable yet (${err.message}), retrying in the background`);
     });
+  }
 
-  } catch (err) {
-    console.error('Failed to start server:', err.message);
-    console.log('Note: Serial port may not be available. API will still run with limited functionality.');
-
-    // Start server anyway, but without serial port connection
-    app.listen(PORT, () => {
-      console.log(`Express server listening on port ${PORT} (serial port unavailable)`);
-      console.log(`API documentation available at http://localhost:${PORT}`);
-      console.log(`Health check available at http://localhost:${PORT}/api/v1/health`);
-    });
+  // Connect to serial port
+  console.log('Attempting to connect to serial port...');
+  const connected = await cabinetService.start();
+  if (connected) {
+    console.log('Serial port connected successfully');
+  } else {
+    console.log('Note: Serial port not available yet. API will run with limited functionality until it reconnects.');
   }
+
+  // Start HTTP server
+  const server = app.listen(PORT, () => {
+    console.log(`Express server listening on port ${PORT}${connected ? '' : ' (serial port unavailable)'}`);
+    console.log(`API documentation available at http://localhost:${PORT}`);
+    console.log(`Health check available at http://localhost:${PORT}/api/v1/health`);
+  });
+  attachWebSocketServer(server);
 }
 
 /**
@@ -108,7 +157,14 @@ async function start() {
 async function shutdown() {
   console.log('Shutting down gracefully...');
   try {
+    await mqttBridge.stop();
+    alarmService.stop();
+    assignmentService.stop();
+    parcelService.stop();
     await cabinetService.disconnect();
+    if (cabinetService.trace) {
+      await cabinetService.trace.close();
+    }
     process.exit(0);
   } catch (err) {
     console.error('Error during shutdown:', err);
@@ -0,0 +1,479 @@
+/**
+ * Alarm Service
+ * Raises an alarm when a door stays open longer than its threshold,
+ * escalates it while nobody acknowledges it and clears it when the door
+ * closes. Door states come from the cabinet service's status replies only:
+ * an open command is not a reading, and without polling nothing would ever
+ * report the door closed again.
+ *
+ * A door that opens without an open command (the service's 'tamper'
+ * event) raises a tamper alarm at once. It escalates the same way but
+ * only clears once it is acknowledged and the door has closed.
+ *
+ * Thresholds (minutes) are looked up per cabinet, then per registry zone,
+ * then the default; openMinutes 0 turns alarms off, escalateMinutes 0
+ * turns escalation off:
+ *   {
+ *     "default":  { "openMinutes": 30, "escalateMinutes": 30 },
+ *     "zones":    { "lobby": { "openMinutes": 10, "escalateMinutes": 15 } },
+ *     "cabinets": { "4": { "openMinutes": 0, "escalateMinutes": 0 } }
+ *   }
+ * Thresholds are saved to $DATA_DIR/alarms.json. Active alarms are kept in
+ * memory; a door still open after a restart raises a new alarm once it
+ * has been seen open for the threshold again.
+ *
+ * Alarm:
+ *   {
+ *     "id": "...", "type": "left-open", "cabinetId": 4, "zone": "lobby", "level": 2,
+ *     "openSince": "...", "raisedAt": "...", "escalatedAt": "...",
+ *     "acknowledged": true, "acknowledgedBy": "night-shift", "acknowledgedAt": "...", "note": "..."
+ *   }
+ * Tamper alarms have type "tamper" and a "tamper" field with the event's
+ * lastKnownState, lastOpenAt and sinceLastOpenMs.
+ *
+ * Events (published on the event stream): alarm.raised, alarm.escalated,
+ * alarm.acknowledged, alarm.cleared; each carries the alarm.
+ */
+
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import cabinetService from './cabinetService.js';
+import cabinetRegistry from './cabinetRegistry.js';
+import { readJsonFile, writeJsonFile } from '../utils/jsonFile.js';
+
+const MINUTE_MS = 60 * 1000;
+const MAX_NOTE_LENGTH = 500;
+
+const ALARM_TYPES = ['left-open', 'tamper'];
+
+/**
+ * Thresholds used until a file or PUT /alarms/thresholds sets others
+ * @returns {Object} Threshold configuration
+ */
+function getDefaultThresholds() {
+  return {
+    default: {
+      openMinutes: parseFloat(process.env.ALARM_OPEN_MINUTES || '30'),
+      escalateMinutes: parseFloat(process.env.ALARM_ESCALATE_MINUTES || '30')
+    },
+    zones: {},
+    cabinets: {}
+  };
+}
+
+/**
+ * Check a threshold configuration
+ * @param {Object} thresholds - { default, zones?, cabinets? }
+ * @returns {Array<string>} Problems found; empty if valid
+ */
+function validateThresholds(thresholds) {
+  const errors = [];
+  const checkRule = (name, rule) => {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      errors.push(`${name} must be an object`);
+      return;
+    }
+    for (const field of ['openMinutes', 'escalateMinutes']) {
+      if (!Number.isFinite(rule[field]) || rule[field] < 0) {
+        errors.push(`${name}.${field} must be a non-negative number`);
+      }
+    }
+  };
+  const checkMap = (name, map, isKey) => {
+    if (map === undefined) {
+      return;
+    }
+    if (!map || typeof map !== 'object' || Array.isArray(map)) {
+      errors.push(`${name} must be an object`);
+      return;
+    }
+    for (const [key, rule] of Object.entries(map)) {
+      if (!isKey(key)) {
+        errors.push(`${name} key ${key} is not valid`);
+      }
+      checkRule(`${name}.${key}`, rule);
+    }
+  };
+
+  if (!thresholds || typeof thresholds !== 'object') {
+    return ['thresholds must be an object'];
+  }
+  checkRule('default', thresholds.default);
+  checkMap('zones', thresholds.zones, key => key.length > 0);
+  checkMap('cabinets', thresholds.cabinets, key => /^\d+$/.test(key) && Number(key) <= 255);
+
+  return errors;
+}
+
+class AlarmService extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {CabinetService} [options.service] - Service whose door states are watched
+   * @param {CabinetRegistry} [options.registry] - Registry that maps cabinets to zones
+   * @param {number} [options.interval] - Milliseconds between threshold checks
+   * @param {number} [options.maxLevel] - Highest escalation level
+   */
+  constructor({
+    service = cabinetService,
+    registry = cabinetRegistry,
+    interval = parseInt(process.env.ALARM_CHECK_INTERVAL_MS || '30000'),
+    maxLevel = parseInt(process.env.ALARM_MAX_LEVEL || '3')
+  } = {}) {
+    super();
+    this.service = service;
+    this.registry = registry;
+    this.interval = interval;
+    this.maxLevel = maxLevel;
+    this.file = null;
+    this.thresholds = getDefaultThresholds();
+    this.timer = null;
+    // Cabinet ID -> time (ms) the door was first seen open
+    this.openSince = new Map();
+    // Alarm ID -> active alarm
+    this.alarms = new Map();
+    this.sourceListeners = {
+      'door.opened': ({ cabinetId, timestamp }) => this.doorOpened(cabinetId, timestamp),
+      'door.closed': ({ cabinetId, timestamp }) => this.doorClosed(cabinetId, timestamp),
+      tamper: (tamper) => this.raiseTamper(tamper),
+      status: (parsedStatus) => this.trackStatus(Object.values(parsedStatus.cabinets)),
+      'status.reset': () => this.reset()
+    };
+  }
+
+  /**
+   * Load thresholds from disk; later changes are saved back to the file
+   * A missing file keeps the defaults from the environment
+   * @param {string} file - Thresholds file (e.g. data/alarms.json)
+   */
+  load(file) {
+    const data = readJsonFile(file, null);
+    this.file = file;
+    if (data) {
+      const errors = validateThresholds(data);
+      if (errors.length > 0) {
+        throw new Error(`Invalid alarm thresholds in ${file}: ${errors.join('; ')}`);
+      }
+      this.thresholds = { zones: {}, cabinets: {}, ...data };
+    }
+    console.log(`Alarm thresholds loaded: ${Object.keys(this.thresholds.zones).length} zones, ${Object.keys(this.thresholds.cabinets).length} cabinets`);
+  }
+
+  /**
+   * Watch the service's door states and start checking thresholds
+   * Doors already open in the restored status count from now
+   */
+  start() {
+    this.stop();
+    for (const [event, listener] of Object.entries(this.sourceListeners)) {
+      this.service.on(event, listener);
+    }
+    this.trackStatus(Object.values(this.service.cabinetStatus));
+    if (this.service.poller && this.service.poller.interval <= 0) {
+      console.warn('Status polling is off (STATUS_POLL_INTERVAL_MS=0): left-open alarms only see doors on explicit status reads');
+    }
+
+    if (this.interval > 0) {
+      this.timer = setInterval(() => this.check(), this.interval);
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Stop watching door states; active alarms are kept
+   */
+  stop() {
+    for (const [event, listener] of Object.entries(this.sourceListeners)) {
+      this.service.off(event, listener);
+    }
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Current threshold configuration
+   * @returns {Object} { default, zones, cabinets }
+   */
+  getThresholds() {
+    return structuredClone(this.thresholds);
+  }
+
+  /**
+   * Replace the threshold configuration and save it
+   * Takes effect at the next check, also for doors already open
+   * @param {Object} thresholds - { default, zones?, cabinets? }
+   * @returns {Object} Stored configuration
+   * @throws {Error} If the configuration is invalid
+   */
+  setThresholds(thresholds) {
+    const errors = validateThresholds(thresholds);
+    if (errors.length > 0) {
+      throw new Error(`Invalid alarm thresholds: ${errors.join('; ')}`);
+    }
+
+    this.thresholds = {
+      default: { ...thresholds.default },
+      zones: structuredClone(thresholds.zones || {}),
+      cabinets: structuredClone(thresholds.cabinets || {})
+    };
+    if (this.file) {
+      writeJsonFile(this.file, this.thresholds);
+    }
+    return this.getThresholds();
+  }
+
+  /**
+   * Threshold that applies to a cabinet: its own, its zone's or the default
+   * @param {number} cabinetId - Logical cabinet ID
+   * @returns {Object} { openMinutes, escalateMinutes, source }
+   */
+  resolveThreshold(cabinetId) {
+    const own = this.thresholds.cabinets[cabinetId];
+    if (own) {
+      return { ...own, source: 'cabinet' };
+    }
+
+    const zone = this.getZone(cabinetId);
+    if (zone !== null && this.thresholds.zones[zone]) {
+      return { ...this.thresholds.zones[zone], source: 'zone' };
+    }
+    return { ...this.thresholds.default, source: 'default' };
+  }
+
+  /**
+   * Zone of a registered cabinet
+   * @param {number} cabinetId - Logical cabinet ID
+   * @returns {string|null}
+   * @private
+   */
+  getZone(cabinetId) {
+    const record = this.registry.get(cabinetId);
+    return record ? record.zone : null;
+  }
+
+  /**
+   * Start timing doors seen open that are not timed yet
+   * Covers doors that were open before the first status reply, which
+   * produce no door.opened event
+   * @param {Array<Object>} cabinets - Status entries
+   * @private
+   */
+  trackStatus(cabinets) {
+    for (const cabinet of cabinets) {
+      // 'opened' is a command without a reading yet
+      if (cabinet.status === 'open') {
+        this.doorOpened(Number(cabinet.id), cabinet.timestamp);
+      }
+    }
+  }
+
+  /**
+   * Start timing an open door; a door already being timed keeps its start
+   * @param {number} cabinetId - Logical cabinet ID
+   * @param {string} [timestamp] - When the door was seen open
+   * @private
+   */
+  doorOpened(cabinetId, timestamp) {
+    if (!this.openSince.has(cabinetId)) {
+      const since = Date.parse(timestamp);
+      this.openSince.set(cabinetId, Number.isNaN(since) ? Date.now() : since);
+    }
+  }
+
+  /**
+   * Stop timing a closed door and clear its alarms
+   * An unacknowledged tamper alarm stays until it is acknowledged
+   * @param {number} cabinetId - Logical cabinet ID
+   * @param {string} [timestamp] - When the door was seen closed
+   * @private
+   */
+  doorClosed(cabinetId, timestamp = new Date().toISOString()) {
+    this.openSince.delete(cabinetId);
+    for (const alarm of this.alarms.values()) {
+      if (alarm.cabinetId === cabinetId && (alarm.type === 'left-open' || alarm.acknowledged)) {
+        this.clearAlarm(alarm, timestamp, 'closed');
+      }
+    }
+  }
+
+  /**
+   * Remove an active alarm and emit 'alarm.cleared'
+   * @param {Object} alarm - Stored alarm
+   * @param {string} timestamp - When it cleared
+   * @param {string} reason - 'closed', 'acknowledged' or 'reset'
+   * @private
+   */
+  clearAlarm(alarm, timestamp, reason) {
+    this.alarms.delete(alarm.id);
+    this.emit('alarm.cleared', { ...alarm, clearedAt: timestamp, reason });
+  }
+
+  /**
+   * Forget door timing after a status reset; active alarms are cleared
+   * because their door state is no longer known
+   * @private
+   */
+  reset() {
+    const timestamp = new Date().toISOString();
+    for (const alarm of this.alarms.values()) {
+      this.clearAlarm(alarm, timestamp, 'reset');
+    }
+    this.openSince.clear();
+  }
+
+  /**
+   * Raise and escalate alarms for doors open past their threshold
+   * Runs every interval; tests call it with a fixed time
+   * @param {number} [now=Date.now()] - Current time in milliseconds
+   */
+  check(now = Date.now()) {
+    for (const [cabinetId, since] of this.openSince) {
+      const { openMinutes } = this.resolveThreshold(cabinetId);
+      if (openMinutes > 0 && now - since >= openMinutes * MINUTE_MS && !this.findByCabinet(cabinetId, 'left-open')) {
+        this.raise('left-open', cabinetId, since, now);
+      }
+    }
+
+    for (const alarm of this.alarms.values()) {
+      const { escalateMinutes } = this.resolveThreshold(alarm.cabinetId);
+      const last = Date.parse(alarm.escalatedAt || alarm.raisedAt);
+      if (!alarm.acknowledged && escalateMinutes > 0 && alarm.level < this.maxLevel &&
+          now - last >= escalateMinutes * MINUTE_MS) {
+        alarm.level++;
+        alarm.escalatedAt = new Date(now).toISOString();
+        this.emit('alarm.escalated', { ...alarm });
+      }
+    }
+  }
+
+  /**
+   * Raise a tamper alarm for a door that opened without an open command
+   * A cabinet already under an active tamper alarm does not get another
+   * @param {Object} tamper - 'tamper' payload
+   * @private
+   */
+  raiseTamper({ cabinetId, lastKnownState, lastOpenAt, sinceLastOpenMs, timestamp }) {
+    if (this.findByCabinet(cabinetId, 'tamper')) {
+      return;
+    }
+
+    const at = Date.parse(timestamp);
+    const now = Number.isNaN(at) ? Date.now() : at;
+    this.raise('tamper', cabinetId, now, now, { tamper: { lastKnownState, lastOpenAt, sinceLastOpenMs } });
+  }
+
+  /**
+   * Raise a level 1 alarm
+   * @param {string} type - 'left-open' or 'tamper'
+   * @param {number} cabinetId - Logical cabinet ID
+   * @param {number} since - When the door was first seen open (ms)
+   * @param {number} now - Current time (ms)
+   * @param {Object} [details] - Extra fields for the alarm
+   * @private
+   */
+  raise(type, cabinetId, since, now, details = {}) {
+    const alarm = {
+      id: randomUUID(),
+      type,
+      cabinetId,
+      zone: this.getZone(cabinetId),
+      level: 1,
+      openSince: new Date(since).toISOString(),
+      raisedAt: new Date(now).toISOString(),
+      escalatedAt: null,
+      acknowledged: false,
+      acknowledgedBy: null,
+      acknowledgedAt: null,
+      note: null,
+      ...details
+    };
+    this.alarms.set(alarm.id, alarm);
+    this.emit('alarm.raised', { ...alarm });
+  }
+
+  /**
+   * Active alarm of a type for a cabinet
+   * @param {number} cabinetId - Logical cabinet ID
+   * @param {string} type - 'left-open' or 'tamper'
+   * @returns {Object|undefined} Stored alarm
+   * @private
+   */
+  findByCabinet(cabinetId, type) {
+    return [...this.alarms.values()].find(alarm => alarm.cabinetId === cabinetId && alarm.type === type);
+  }
+
+  /**
+   * Active alarms, oldest first
+   * @param {Object} [filters]
+   * @param {boolean} [filters.acknowledged] - Only acknowledged or unacknowledged alarms
+   * @param {string} [filters.zone] - Only alarms in this zone
+   * @param {string} [filters.type] - 'left-open' or 'tamper'
+   * @returns {Array<Object>} Alarms
+   */
+  list({ acknowledged, zone, type } = {}) {
+    return [...this.alarms.values()]
+      .filter(alarm => acknowledged === undefined || alarm.acknowledged === acknowledged)
+      .filter(alarm => type === undefined || alarm.type === type)
+      .filter(alarm => zone === undefined || alarm.zone === zone)
+      .sort((a, b) => a.raisedAt.localeCompare(b.raisedAt))
+      .map(alarm => ({ ...alarm }));
+  }
+
+  /**
+   * One active alarm
+   * @param {string} id - Alarm ID
+   * @returns {Object|null} Alarm or null if there is no such active alarm
+   */
+  get(id) {
+    const alarm = this.alarms.get(id);
+    return alarm ? { ...alarm } : null;
+  }
+
+  /**
+   * Acknowledge an alarm, which stops its escalation
+   * The alarm stays active until the door closes; a tamper alarm whose
+   * door has already closed clears at once
+   * @param {string} id - Alarm ID
+   * @param {Object} options
+   * @param {string} options.actor - Who acknowledged it
+   * @param {string} [options.note] - Free text, up to 500 characters
+   * @returns {Object|null} Alarm, or null if there is no such active alarm
+   * @throws {Error} If the alarm was already acknowledged or the note is too long
+   */
+  acknowledge(id, { actor, note = null }) {
+    const alarm = this.alarms.get(id);
+    if (!alarm) {
+      return null;
+    }
+    if (alarm.acknowledged) {
+      throw new Error(`Alarm ${id} was already acknowledged by ${alarm.acknowledgedBy}`);
+    }
+    if (note !== null && (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH)) {
+      throw new Error(`note must be a string of at most ${MAX_NOTE_LENGTH} characters`);
+    }
+
+    alarm.acknowledged = true;
+    alarm.acknowledgedBy = actor;
+    alarm.acknowledgedAt = new Date().toISOString();
+    alarm.note = note;
+    this.emit('alarm.acknowledged', { ...alarm });
+    if (alarm.type === 'tamper' && !this.openSince.has(alarm.cabinetId)) {
+      this.clearAlarm(alarm, alarm.acknowledgedAt, 'acknowledged');
+    }
+    return { ...alarm };
+  }
+
+  /**
+   * Forget alarms and door timing, restore default thresholds (does not touch the file)
+   */
+  clear() {
+    this.alarms.clear();
+    this.openSince.clear();
+    this.thresholds = getDefaultThresholds();
+    this.file = null;
+  }
+}
+
+export { AlarmService, ALARM_TYPES, validateThresholds };
+export default new AlarmService();
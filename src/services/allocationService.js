@@ -0,0 +1,136 @@
+/**
+ * Allocation Service
+ * Picks the best free locker for a requested size class. Lockers are ranked
+ * deterministically:
+ *   1. the requested size, then the next size up, and so on
+ *   2. lockers in the preferred zone before the others
+ *   3. fewest successful opens, to spread wear across doors
+ *   4. lowest cabinet ID
+ *
+ * A locker is free when it is enabled in the registry (disabled lockers are
+ * in maintenance), has no open fault in the state store, was not last seen
+ * open or opened by a command that no reading has followed yet (an
+ * unconfirmed open leaves a fault instead), has no active assignment and is not excluded by the caller (e.g.
+ * lockers holding parcels). Door state, wear and faults come from the state
+ * store, which is rebuilt from the history file at boot, rather than from
+ * the service's in-memory status.
+ *
+ * Without registry records every locker of the board layout is a candidate,
+ * with no size or zone; only requests without a size can then be served.
+ */
+
+import cabinetService from './cabinetService.js';
+import cabinetRegistry, { SIZE_CLASSES } from './cabinetRegistry.js';
+import stateStore from './stateStore.js';
+import assignmentService from './assignmentService.js';
+
+// Seen open, or opened by a command with no status reading since
+const OPEN_STATES = ['open', 'opened'];
+
+/**
+ * Check an allocation request's fields
+ * @param {Object} fields - { size?, zone? }
+ * @returns {Array<string>} Problems found; empty if valid
+ */
+function validateAllocationRequest(fields) {
+  const errors = [];
+  const { size, zone } = fields || {};
+
+  if (size !== undefined && !SIZE_CLASSES.includes(size)) {
+    errors.push(`size must be one of ${SIZE_CLASSES.join(', ')}`);
+  }
+  if (zone !== undefined && (typeof zone !== 'string' || !zone)) {
+    errors.push('zone must be a non-empty string');
+  }
+
+  return errors;
+}
+
+/**
+ * Order candidate lockers for a request, best first
+ * Candidates smaller than the requested size are dropped
+ * @param {Array<Object>} candidates - { id, size, zone, opens } per free locker
+ * @param {Object} [request]
+ * @param {string} [request.size] - Smallest acceptable size class
+ * @param {string} [request.zone] - Preferred zone
+ * @returns {Array<Object>} Ranked candidates
+ */
+function rankLockers(candidates, { size, zone } = {}) {
+  const minimum = size === undefined ? -1 : SIZE_CLASSES.indexOf(size);
+  const sizeRank = (candidate) => SIZE_CLASSES.indexOf(candidate.size);
+  const zoneRank = (candidate) => (zone !== undefined && candidate.zone === zone ? 0 : 1);
+
+  return candidates
+    .filter(candidate => sizeRank(candidate) >= minimum)
+    .sort((a, b) => sizeRank(a) - sizeRank(b)
+      || zoneRank(a) - zoneRank(b)
+      || a.opens - b.opens
+      || a.id - b.id);
+}
+
+class AllocationService {
+  /**
+   * @param {Object} [options]
+   * @param {CabinetService} [options.service] - Service with the board layout
+   * @param {CabinetRegistry} [options.registry] - Sizes, zones and maintenance flags
+   * @param {StateStore} [options.store] - Door state, wear and faults
+   * @param {AssignmentService} [options.assignments] - Assigned lockers are not free
+   */
+  constructor({
+    service = cabinetService,
+    registry = cabinetRegistry,
+    store = stateStore,
+    assignments = assignmentService
+  } = {}) {
+    this.service = service;
+    this.registry = registry;
+    this.store = store;
+    this.assignments = assignments;
+  }
+
+  /**
+   * Free lockers with their size, zone and wear, by ID
+   * @param {Object} [options]
+   * @param {Iterable<number>} [options.exclude] - Cabinet IDs taken for other reasons
+   * @returns {Array<Object>} { id, label, size, zone, opens } per free locker
+   */
+  listFree({ exclude = [] } = {}) {
+    const registered = this.registry.list();
+    const lockers = registered.length > 0
+      ? registered.filter(record => record.enabled)
+      : Array.from({ length: this.service.getMaxCabinetId() + 1 }, (_, id) => ({ id, label: null, size: null, zone: null }));
+
+    const excluded = new Set(exclude);
+    const state = this.store.getState();
+    const faults = this.store.getFaults();
+    const openCounts = this.store.getOpenCounts();
+
+    return lockers
+      .filter(({ id }) => !excluded.has(id)
+        && !faults[id]
+        && !(state[id] && OPEN_STATES.includes(state[id].status))
+        && !this.assignments.getActive(id))
+      .map(({ id, label, size, zone }) => ({ id, label, size, zone, opens: openCounts[id] || 0 }));
+  }
+
+  /**
+   * Best free locker for a request
+   * Does not reserve it; callers open or assign it themselves
+   * @param {Object} [request]
+   * @param {string} [request.size] - Smallest acceptable size class
+   * @param {string} [request.zone] - Preferred zone
+   * @param {Iterable<number>} [request.exclude] - Cabinet IDs taken for other reasons
+   * @returns {Object|null} { id, label, size, zone, opens, fallback } or null if none fits;
+   *   fallback is true when a larger size than requested was chosen
+   */
+  allocate({ size, zone, exclude } = {}) {
+    const [best] = rankLockers(this.listFree({ exclude }), { size, zone });
+    if (!best) {
+      return null;
+    }
+    return { ...best, fallback: size !== undefined && best.size !== size };
+  }
+}
+
+export { AllocationService, rankLockers, validateAllocationRequest };
+export default new AllocationService();
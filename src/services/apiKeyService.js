@@ -0,0 +1,249 @@
+/**
+ * API Key Service
+ * API keys with scopes for the REST API and the WebSocket stream. Only a
+ * SHA-256 hash of each key is stored; the key itself is shown once, when
+ * it is created. A key's name is the actor recorded in the audit trail.
+ *
+ * Key:
+ *   {
+ *     "id": "...", "name": "front-desk", "scopes": ["status:read", "cabinet:open"],
+ *     "prefix": "ck_Q3x9aT", "createdBy": "admin", "createdAt": "...",
+ *     "revokedBy": null, "revokedAt": null
+ *   }
+ *
+ * Scopes:
+ *   status:read      - status, history, registry, alarms, jobs, events, allocations
+ *   cabinet:open     - open cabinets, cancel open jobs
+ *   light:write      - switch the light
+ *   alarm:write      - acknowledge alarms
+ *   assignment:write - release assignments
+ *   parcel:write     - courier drop-off
+ *   parcel:pickup    - collect parcels with a pickup code
+ *   admin            - everything, including keys, webhooks and the registry
+ *
+ * ADMIN_API_KEY sets a bootstrap key with the admin scope that is never
+ * stored, for creating the first keys. Set API_AUTH=false to turn
+ * authentication off. Keys are saved to $DATA_DIR/api-keys.json.
+ */
+
+import crypto from 'crypto';
+import { readJsonFile, writeJsonFile } from '../utils/jsonFile.js';
+
+const API_SCOPES = [
+  'status:read', 'cabinet:open', 'light:write', 'alarm:write',
+  'assignment:write', 'parcel:write', 'parcel:pickup', 'admin'
+];
+
+const KEY_PREFIX = 'ck_';
+const MAX_NAME_LENGTH = 64;
+
+/**
+ * Hash a key for storage and lookup
+ * @param {string} secret - API key
+ * @returns {string} Hex SHA-256
+ */
+function hashKey(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+/**
+ * Key presented with a request: Authorization: Bearer <key>, then X-API-Key,
+ * then a query parameter where the caller allows one
+ * @param {Object} headers - Lower-cased request headers
+ * @param {string|null} [queryKey] - apiKey query parameter, if allowed
+ * @returns {string|null} Key or null
+ */
+function extractApiKey(headers, queryKey = null) {
+  const authorization = headers.authorization;
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  return headers['x-api-key'] || queryKey || null;
+}
+
+/**
+ * Check a new key's fields
+ * @param {Object} fields - { name, scopes }
+ * @returns {Array<string>} Problems found; empty if valid
+ */
+function validateApiKey(fields) {
+  const errors = [];
+  const { name, scopes } = fields || {};
+
+  if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+    errors.push(`name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_SCOPES.includes(scope))) {
+    errors.push(`scopes must be a non-empty array of ${API_SCOPES.join(', ')}`);
+  }
+
+  return errors;
+}
+
+class ApiKeyService {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.enabled] - Whether requests need a key
+   * @param {string} [options.adminKey] - Bootstrap admin key (not stored)
+   */
+  constructor({
+    enabled = process.env.API_AUTH !== 'false',
+    adminKey = process.env.ADMIN_API_KEY
+  } = {}) {
+    this.enabled = enabled;
+    this.adminKeyHash = adminKey ? hashKey(adminKey) : null;
+    this.file = null;
+    this.keys = new Map();
+  }
+
+  /**
+   * Load keys from disk; later changes are saved back to the file
+   * A missing file starts with no keys
+   * @param {string} file - Keys file (e.g. data/api-keys.json)
+   */
+  load(file) {
+    const data = readJsonFile(file, { keys: [] });
+    this.file = file;
+    this.keys = new Map(data.keys.map(key => [key.id, key]));
+    console.log(`API keys loaded: ${this.keys.size} from ${file}`);
+    if (this.enabled && !this.adminKeyHash && this.list({ revoked: false }).length === 0) {
+      console.warn('API authentication is on but no keys exist: set ADMIN_API_KEY to create the first one');
+    }
+  }
+
+  /**
+   * Write keys to their file, if one was loaded
+   * @private
+   */
+  save() {
+    if (!this.file) {
+      return;
+    }
+    writeJsonFile(this.file, { keys: [...this.keys.values()] });
+  }
+
+  /**
+   * Copy of a key without its hash
+   * @param {Object} key - Stored key
+   * @returns {Object}
+   * @private
+   */
+  snapshot({ hash, ...key }) {
+    return { ...key, scopes: [...key.scopes] };
+  }
+
+  /**
+   * Keys, oldest first
+   * @param {Object} [filters]
+   * @param {boolean} [filters.revoked] - Only revoked (true) or active (false) keys
+   * @returns {Array<Object>} Keys without their hashes
+   */
+  list({ revoked } = {}) {
+    return [...this.keys.values()]
+      .filter(key => revoked === undefined || Boolean(key.revokedAt) === revoked)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map(key => this.snapshot(key));
+  }
+
+  /**
+   * One key
+   * @param {string} id - Key ID
+   * @returns {Object|null} Key or null
+   */
+  get(id) {
+    const key = this.keys.get(id);
+    return key ? this.snapshot(key) : null;
+  }
+
+  /**
+   * Create a key
+   * @param {Object} fields - Validated { name, scopes }
+   * @param {string} createdBy - Actor creating it
+   * @returns {Object} { key, secret } with the key record and the key itself, shown only here
+   * @throws {Error} If an active key already has this name
+   */
+  create({ name, scopes }, createdBy) {
+    const trimmed = name.trim();
+    if (this.list({ revoked: false }).some(key => key.name === trimmed)) {
+      throw new Error(`An active key is already named ${trimmed}`);
+    }
+
+    const secret = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const key = {
+      id: crypto.randomUUID(),
+      name: trimmed,
+      scopes: [...new Set(scopes)],
+      prefix: secret.slice(0, KEY_PREFIX.length + 6),
+      hash: hashKey(secret),
+      createdBy,
+      createdAt: new Date().toISOString(),
+      revokedBy: null,
+      revokedAt: null
+    };
+    this.keys.set(key.id, key);
+    this.save();
+    return { key: this.snapshot(key), secret };
+  }
+
+  /**
+   * Revoke a key; it stops working at once
+   * @param {string} id - Key ID
+   * @param {string} revokedBy - Actor revoking it
+   * @returns {Object|null} Revoked key, or null if there is no such key
+   * @throws {Error} If the key is already revoked
+   */
+  revoke(id, revokedBy) {
+    const key = this.keys.get(id);
+    if (!key) {
+      return null;
+    }
+    if (key.revokedAt) {
+      throw new Error(`Key ${id} was already revoked by ${key.revokedBy}`);
+    }
+
+    key.revokedBy = revokedBy;
+    key.revokedAt = new Date().toISOString();
+    this.save();
+    return this.snapshot(key);
+  }
+
+  /**
+   * Active key matching a presented key
+   * @param {string} secret - Presented key
+   * @returns {Object|null} Key (the bootstrap key has ID 'bootstrap'), or null
+   */
+  authenticate(secret) {
+    if (!secret) {
+      return null;
+    }
+
+    const hash = hashKey(secret);
+    if (this.adminKeyHash && hash === this.adminKeyHash) {
+      return { id: 'bootstrap', name: 'admin', scopes: ['admin'], prefix: null, createdBy: null, createdAt: null, revokedBy: null, revokedAt: null };
+    }
+
+    const key = [...this.keys.values()].find(candidate => candidate.hash === hash && !candidate.revokedAt);
+    return key ? this.snapshot(key) : null;
+  }
+
+  /**
+   * Whether a key grants a scope; admin grants every scope
+   * @param {Object} key - Authenticated key
+   * @param {string} scope - Scope needed
+   * @returns {boolean}
+   */
+  hasScope(key, scope) {
+    return key.scopes.includes('admin') || key.scopes.includes(scope);
+  }
+
+  /**
+   * Forget all keys (does not touch the file)
+   */
+  clear() {
+    this.keys.clear();
+    this.file = null;
+  }
+}
+
+export { ApiKeyService, API_SCOPES, validateApiKey, extractApiKey };
+export default new ApiKeyService();
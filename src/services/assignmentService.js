@@ -0,0 +1,350 @@
+/**
+ * Assignment Service
+ * Reserves lockers for people over a time window. While an assignment is
+ * active, only its assignee and admins may open the locker through the
+ * API; once its end time passes the locker is free again.
+ *
+ * Assignment:
+ *   {
+ *     "id": "...", "cabinetId": 4, "assignee": "j.doe", "note": "Visitor badge 118",
+ *     "startsAt": "...", "endsAt": "...",
+ *     "createdBy": "front-desk", "createdAt": "...",
+ *     "releasedBy": null, "releasedAt": null, "expiredAt": null,
+ *     "status": "active"      // scheduled | active | expired | released (computed)
+ *   }
+ *
+ * Admins are the actors listed in ADMIN_ACTORS. With ASSIGNMENTS_REQUIRED
+ * set, lockers without an active assignment may only be opened by admins.
+ * Assignments are saved to $DATA_DIR/assignments.json.
+ */
+
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { readJsonFile, writeJsonFile } from '../utils/jsonFile.js';
+
+const ASSIGNMENT_STATUSES = ['scheduled', 'active', 'expired', 'released'];
+
+const MAX_ASSIGNEE_LENGTH = 64;
+const MAX_NOTE_LENGTH = 500;
+
+/**
+ * Parse a comma-separated actor list
+ * @param {string} [value] - e.g. "ops,front-desk"
+ * @returns {Array<string>} Actor names
+ */
+function parseActorList(value) {
+  return (value || '').split(',').map(actor => actor.trim()).filter(Boolean);
+}
+
+/**
+ * Check a new assignment's fields
+ * @param {Object} fields - { cabinetId, assignee, startsAt?, endsAt, note? }
+ * @param {number} maxCabinetId - Highest cabinet ID of the board layout
+ * @returns {Array<string>} Problems found; empty if valid
+ */
+function validateAssignment(fields, maxCabinetId) {
+  const errors = [];
+  const { cabinetId, assignee, startsAt, endsAt, note } = fields || {};
+
+  if (!Number.isInteger(cabinetId) || cabinetId < 0 || cabinetId > maxCabinetId) {
+    errors.push(`cabinetId must be an integer between 0 and ${maxCabinetId}`);
+  }
+  if (typeof assignee !== 'string' || !assignee.trim() || assignee.length > MAX_ASSIGNEE_LENGTH) {
+    errors.push(`assignee must be a non-empty string of at most ${MAX_ASSIGNEE_LENGTH} characters`);
+  }
+  if (startsAt !== undefined && (typeof startsAt !== 'string' || Number.isNaN(Date.parse(startsAt)))) {
+    errors.push('startsAt must be an ISO timestamp');
+  }
+  if (typeof endsAt !== 'string' || Number.isNaN(Date.parse(endsAt))) {
+    errors.push('endsAt must be an ISO timestamp');
+  } else if (Date.parse(endsAt) <= (startsAt === undefined ? Date.now() : Date.parse(startsAt))) {
+    errors.push('endsAt must be after startsAt');
+  }
+  if (note !== undefined && (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH)) {
+    errors.push(`note must be a string of at most ${MAX_NOTE_LENGTH} characters`);
+  }
+
+  return errors;
+}
+
+class AssignmentService extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {Array<string>} [options.admins] - Actors that may manage assignments and open any locker
+   * @param {boolean} [options.required] - Whether unassigned lockers are admin-only
+   * @param {number} [options.interval] - Milliseconds between expiry sweeps
+   * @param {number} [options.retention] - Ended assignments kept for listing
+   */
+  constructor({
+    admins = parseActorList(process.env.ADMIN_ACTORS),
+    required = process.env.ASSIGNMENTS_REQUIRED === 'true',
+    interval = parseInt(process.env.ASSIGNMENT_SWEEP_INTERVAL_MS || '60000'),
+    retention = parseInt(process.env.ASSIGNMENT_RETENTION || '1000')
+  } = {}) {
+    super();
+    this.admins = admins;
+    this.required = required;
+    this.interval = interval;
+    this.retention = retention;
+    this.file = null;
+    this.assignments = new Map();
+    this.timer = null;
+  }
+
+  /**
+   * Load assignments from disk; later changes are saved back to the file
+   * A missing file starts with no assignments
+   * @param {string} file - Assignments file (e.g. data/assignments.json)
+   */
+  load(file) {
+    const data = readJsonFile(file, { assignments: [] });
+    this.file = file;
+    this.assignments = new Map(data.assignments.map(assignment => [assignment.id, assignment]));
+    console.log(`Assignments loaded: ${this.assignments.size} from ${file}`);
+  }
+
+  /**
+   * Write assignments to their file, if one was loaded
+   * @private
+   */
+  save() {
+    if (!this.file) {
+      return;
+    }
+    writeJsonFile(this.file, { assignments: [...this.assignments.values()] });
+  }
+
+  /**
+   * Expire assignments in the background
+   */
+  start() {
+    this.stop();
+    this.sweep();
+    if (this.interval > 0) {
+      this.timer = setInterval(() => this.sweep(), this.interval);
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Stop the expiry sweep
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Whether an actor is an admin
+   * @param {string} actor - Actor name
+   * @returns {boolean}
+   */
+  isAdmin(actor) {
+    return this.admins.includes(actor);
+  }
+
+  /**
+   * Status of an assignment at a point in time
+   * @param {Object} assignment - Stored assignment
+   * @param {number} [now=Date.now()] - Time in milliseconds
+   * @returns {string} 'scheduled', 'active', 'expired' or 'released'
+   */
+  statusOf(assignment, now = Date.now()) {
+    if (assignment.releasedAt) {
+      return 'released';
+    }
+    if (now >= Date.parse(assignment.endsAt)) {
+      return 'expired';
+    }
+    return now < Date.parse(assignment.startsAt) ? 'scheduled' : 'active';
+  }
+
+  /**
+   * Copy of an assignment with its current status
+   * @param {Object} assignment - Stored assignment
+   * @param {number} [now] - Time in milliseconds
+   * @returns {Object}
+   * @private
+   */
+  snapshot(assignment, now) {
+    return { ...assignment, status: this.statusOf(assignment, now) };
+  }
+
+  /**
+   * Assignments, ordered by start time
+   * @param {Object} [filters]
+   * @param {number} [filters.cabinetId] - Only this cabinet's assignments
+   * @param {string} [filters.assignee] - Only this person's assignments
+   * @param {string} [filters.status] - Only assignments with this status
+   * @returns {Array<Object>} Assignments with their status
+   */
+  list({ cabinetId, assignee, status } = {}) {
+    const now = Date.now();
+    return [...this.assignments.values()]
+      .map(assignment => this.snapshot(assignment, now))
+      .filter(assignment => cabinetId === undefined || assignment.cabinetId === cabinetId)
+      .filter(assignment => assignee === undefined || assignment.assignee === assignee)
+      .filter(assignment => status === undefined || assignment.status === status)
+      .sort((a, b) => a.startsAt.localeCompare(b.startsAt));
+  }
+
+  /**
+   * One assignment
+   * @param {string} id - Assignment ID
+   * @returns {Object|null} Assignment with its status, or null
+   */
+  get(id) {
+    const assignment = this.assignments.get(id);
+    return assignment ? this.snapshot(assignment) : null;
+  }
+
+  /**
+   * The cabinet's active assignment
+   * @param {number} cabinetId - Logical cabinet ID
+   * @returns {Object|null} Assignment or null if the locker is free
+   */
+  getActive(cabinetId) {
+    return this.list({ cabinetId, status: 'active' })[0] || null;
+  }
+
+  /**
+   * Reserve a locker for someone
+   * @param {Object} fields - Validated { cabinetId, assignee, startsAt?, endsAt, note? }
+   * @param {string} createdBy - Actor making the reservation
+   * @returns {Object} Created assignment
+   * @throws {Error} If the locker is already reserved for part of the window
+   */
+  create({ cabinetId, assignee, startsAt, endsAt, note }, createdBy) {
+    const start = startsAt === undefined ? new Date() : new Date(startsAt);
+    const end = new Date(endsAt);
+
+    const conflict = this.findOverlap(cabinetId, start.getTime(), end.getTime());
+    if (conflict) {
+      throw new Error(`Cabinet ${cabinetId} is already assigned to ${conflict.assignee} until ${conflict.endsAt}`);
+    }
+
+    const assignment = {
+      id: randomUUID(),
+      cabinetId,
+      assignee: assignee.trim(),
+      note: note ?? null,
+      startsAt: start.toISOString(),
+      endsAt: end.toISOString(),
+      createdBy,
+      createdAt: new Date().toISOString(),
+      releasedBy: null,
+      releasedAt: null,
+      expiredAt: null
+    };
+    this.assignments.set(assignment.id, assignment);
+    this.save();
+    this.emit('assignment.created', this.snapshot(assignment));
+    return this.snapshot(assignment);
+  }
+
+  /**
+   * Scheduled or active assignment of a cabinet that overlaps a window
+   * @param {number} cabinetId - Logical cabinet ID
+   * @param {number} start - Window start (ms)
+   * @param {number} end - Window end (ms)
+   * @returns {Object|undefined} Conflicting assignment
+   * @private
+   */
+  findOverlap(cabinetId, start, end) {
+    return this.list({ cabinetId })
+      .filter(assignment => assignment.status === 'scheduled' || assignment.status === 'active')
+      .find(assignment => Date.parse(assignment.startsAt) < end && start < Date.parse(assignment.endsAt));
+  }
+
+  /**
+   * End an assignment early; the locker is free at once
+   * @param {string} id - Assignment ID
+   * @param {string} releasedBy - Actor releasing it
+   * @returns {Object|null} Released assignment, or null if there is no such assignment
+   * @throws {Error} If the assignment has already ended
+   */
+  release(id, releasedBy) {
+    const assignment = this.assignments.get(id);
+    if (!assignment) {
+      return null;
+    }
+
+    const status = this.statusOf(assignment);
+    if (status === 'expired' || status === 'released') {
+      throw new Error(`Assignment ${id} is already ${status}`);
+    }
+
+    assignment.releasedBy = releasedBy;
+    assignment.releasedAt = new Date().toISOString();
+    this.save();
+    this.emit('assignment.released', this.snapshot(assignment));
+    return this.snapshot(assignment);
+  }
+
+  /**
+   * Cabinets an actor may not open through the API
+   * A locker with an active assignment is limited to its assignee; admins
+   * may open any locker
+   * @param {Array<number>} cabinetIds - Cabinets to open
+   * @param {string} actor - Requesting actor
+   * @param {Object} [options]
+   * @param {boolean} [options.admin] - Whether the request is an admin's, decided by the
+   *   caller (e.g. from its API key's scopes); defaults to the actor being in ADMIN_ACTORS
+   * @returns {Array<Object>} { id, assignee } per refused cabinet (assignee null if unassigned)
+   */
+  checkAccess(cabinetIds, actor, { admin = this.isAdmin(actor) } = {}) {
+    if (admin) {
+      return [];
+    }
+
+    const refused = [];
+    for (const id of cabinetIds) {
+      const active = this.getActive(id);
+      if (active ? active.assignee !== actor : this.required) {
+        refused.push({ id, assignee: active ? active.assignee : null });
+      }
+    }
+    return refused;
+  }
+
+  /**
+   * Announce assignments whose end time has passed and drop the oldest
+   * ended ones beyond the retention limit
+   * @param {number} [now=Date.now()] - Current time in milliseconds
+   */
+  sweep(now = Date.now()) {
+    let changed = false;
+    for (const assignment of this.assignments.values()) {
+      if (!assignment.expiredAt && !assignment.releasedAt && this.statusOf(assignment, now) === 'expired') {
+        assignment.expiredAt = new Date(now).toISOString();
+        changed = true;
+        this.emit('assignment.expired', this.snapshot(assignment, now));
+      }
+    }
+
+    const ended = [...this.assignments.values()]
+      .filter(assignment => assignment.expiredAt || assignment.releasedAt)
+      .sort((a, b) => a.endsAt.localeCompare(b.endsAt));
+    for (const assignment of ended.slice(0, Math.max(0, ended.length - this.retention))) {
+      this.assignments.delete(assignment.id);
+      changed = true;
+    }
+
+    if (changed) {
+      this.save();
+    }
+  }
+
+  /**
+   * Forget all assignments (does not touch the file)
+   */
+  clear() {
+    this.assignments.clear();
+    this.file = null;
+  }
+}
+
+export { AssignmentService, ASSIGNMENT_STATUSES, validateAssignment, parseActorList };
+export default new AssignmentService();
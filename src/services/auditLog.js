@@ -0,0 +1,115 @@
+/**
+ * Audit Log
+ * Append-only record of every open request: who asked, from where, why,
+ * and what happened to each cabinet. One JSON line per request in
+ * $DATA_DIR/audit.jsonl.
+ *
+ * Entry:
+ *   {
+ *     "time": "...", "requestId": "...", "actor": "front-desk", "ip": "10.0.0.7",
+ *     "reason": "Guest lost key", "cabinetIds": [4, 5],
+ *     "outcome": "completed",          // completed | rejected | error | cancelled (async jobs)
+ *     "opened": [4], "unconfirmed": [], "failed": [{ "id": 5, "error": "..." }], "error": null
+ *   }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+
+const OUTCOMES = ['completed', 'rejected', 'error', 'cancelled'];
+
+class AuditLog {
+  constructor() {
+    this.file = null;
+  }
+
+  /**
+   * Start writing to an audit file
+   * @param {string} file - Audit file (e.g. data/audit.jsonl)
+   */
+  open(file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.file = file;
+  }
+
+  /**
+   * Record one open request
+   * Writes are synchronous so the entry is on disk before the response is sent
+   * @param {Object} entry - { requestId, actor, ip, reason, cabinetIds, outcome, opened?, unconfirmed?, failed?, error? }
+   *   unconfirmed lists cabinets acknowledged but never read open (open verification)
+   * @returns {Object} Stored entry
+   */
+  record({ requestId, actor, ip, reason = null, cabinetIds, outcome, opened = [], unconfirmed = [], failed = [], error = null }) {
+    const entry = {
+      time: new Date().toISOString(),
+      requestId,
+      actor,
+      ip,
+      reason,
+      cabinetIds,
+      outcome,
+      opened,
+      unconfirmed,
+      failed,
+      error
+    };
+
+    if (this.file) {
+      fs.appendFileSync(this.file, `${JSON.stringify(entry)}\n`);
+    } else {
+      console.log('Audit:', JSON.stringify(entry));
+    }
+    return entry;
+  }
+
+  /**
+   * Query the audit trail, oldest first
+   * @param {Object} [filters]
+   * @param {number} [filters.cabinetId] - Requests that included this cabinet
+   * @param {string} [filters.actor] - Requests by this actor
+   * @param {string} [filters.since] - ISO timestamp, inclusive
+   * @param {string} [filters.until] - ISO timestamp, exclusive
+   * @param {number} [filters.limit=100] - Most recent matching entries to return
+   * @returns {Promise<Array<Object>>} Matching entries
+   */
+  async query({ cabinetId, actor, since, until, limit = 100 } = {}) {
+    if (!this.file || !fs.existsSync(this.file)) {
+      return [];
+    }
+
+    const matches = [];
+    const lines = readline.createInterface({ input: fs.createReadStream(this.file), crlfDelay: Infinity });
+
+    for await (const line of lines) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (err) {
+        continue;
+      }
+
+      if (cabinetId !== undefined && !entry.cabinetIds.includes(cabinetId)) continue;
+      if (actor && entry.actor !== actor) continue;
+      if (since && entry.time < since) continue;
+      if (until && entry.time >= until) continue;
+
+      matches.push(entry);
+      if (matches.length > limit) {
+        matches.shift();
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Stop writing to the file (entries go to the console instead)
+   */
+  close() {
+    this.file = null;
+  }
+}
+
+export { OUTCOMES };
+export default new AuditLog();
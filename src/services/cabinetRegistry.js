@@ -0,0 +1,215 @@
+/**
+ * Cabinet Registry
+ * Persisted inventory of lockers: a human-readable label, size class,
+ * column/row position, zone and enabled flag per logical cabinet ID.
+ * The ID is the same one openCabinets() takes, so every record maps to a
+ * board address and channel through the board layout.
+ */
+
+import cabinetService from './cabinetService.js';
+import { resolveCabinet } from '../utils/boardLayout.js';
+import { readJsonFile, writeJsonFile } from '../utils/jsonFile.js';
+
+/**
+ * Locker size classes, smallest first
+ */
+const SIZE_CLASSES = ['small', 'medium', 'large', 'xlarge'];
+
+const MAX_LABEL_LENGTH = 32;
+
+/**
+ * Check a record's fields
+ * @param {Object} fields - { label, size, column?, row?, zone?, enabled? }
+ * @returns {Array<string>} Problems found; empty if the record is valid
+ */
+function validateRecord(fields) {
+  const errors = [];
+  const { label, size, column, row, zone, enabled } = fields || {};
+
+  if (typeof label !== 'string' || !label.trim() || label.length > MAX_LABEL_LENGTH) {
+    errors.push(`label must be a non-empty string of at most ${MAX_LABEL_LENGTH} characters`);
+  }
+  if (!SIZE_CLASSES.includes(size)) {
+    errors.push(`size must be one of ${SIZE_CLASSES.join(', ')}`);
+  }
+  for (const [name, value] of [['column', column], ['row', row]]) {
+    if (value !== undefined && value !== null && (!Number.isInteger(value) || value < 0)) {
+      errors.push(`${name} must be a non-negative integer`);
+    }
+  }
+  if (zone !== undefined && zone !== null && typeof zone !== 'string') {
+    errors.push('zone must be a string');
+  }
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+
+  return errors;
+}
+
+class CabinetRegistry {
+  constructor() {
+    this.file = null;
+    this.records = new Map();
+  }
+
+  /**
+   * Load the registry from disk; later changes are saved back to the file
+   * A missing file starts an empty registry
+   * @param {string} file - Registry file (e.g. data/cabinets.json)
+   */
+  load(file) {
+    const data = readJsonFile(file, { cabinets: [] });
+    this.file = file;
+    this.records = new Map(data.cabinets.map(record => [record.id, record]));
+    console.log(`Cabinet registry loaded: ${this.records.size} cabinets from ${file}`);
+  }
+
+  /**
+   * Write the registry to its file, if one was loaded
+   * @private
+   */
+  save() {
+    if (!this.file) {
+      return;
+    }
+    writeJsonFile(this.file, { cabinets: this.list().map(({ board, channel, ...record }) => record) });
+  }
+
+  /**
+   * All registered cabinets, ordered by ID, with their hardware mapping
+   * @returns {Array<Object>} Records as { id, label, size, column, row, zone, enabled, board, channel }
+   */
+  list() {
+    return [...this.records.keys()].sort((a, b) => a - b).map(id => this.get(id));
+  }
+
+  /**
+   * One registered cabinet with its hardware mapping
+   * board and channel are null if the ID is outside the board layout
+   * @param {number} id - Logical cabinet ID
+   * @returns {Object|null} Record or null if not registered
+   */
+  get(id) {
+    const record = this.records.get(id);
+    if (!record) {
+      return null;
+    }
+
+    const hardware = resolveCabinet(cabinetService.boards, id);
+    return {
+      ...record,
+      board: hardware ? hardware.boardAddress : null,
+      channel: hardware ? hardware.channel : null
+    };
+  }
+
+  /**
+   * Find a cabinet by its label (case-insensitive)
+   * @param {string} label - Label such as "B-12"
+   * @returns {Object|null} Record or null
+   */
+  findByLabel(label) {
+    const wanted = String(label).toLowerCase();
+    for (const record of this.records.values()) {
+      if (record.label.toLowerCase() === wanted) {
+        return this.get(record.id);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Whether a cabinet may be opened; unregistered cabinets are enabled
+   * @param {number} id - Logical cabinet ID
+   * @returns {boolean}
+   */
+  isEnabled(id) {
+    const record = this.records.get(id);
+    return !record || record.enabled;
+  }
+
+  /**
+   * Create or replace a cabinet record
+   * @param {number} id - Logical cabinet ID
+   * @param {Object} fields - { label, size, column?, row?, zone?, enabled? }
+   * @returns {Object} Stored record with its hardware mapping
+   * @throws {Error} If the fields are invalid or the label belongs to another cabinet
+   */
+  upsert(id, fields) {
+    const errors = validateRecord(fields);
+    if (errors.length > 0) {
+      throw new Error(`Invalid cabinet record: ${errors.join('; ')}`);
+    }
+
+    const existing = this.findByLabel(fields.label);
+    if (existing && existing.id !== id) {
+      throw new Error(`Label ${fields.label} is already used by cabinet ${existing.id}`);
+    }
+
+    this.records.set(id, {
+      id,
+      label: fields.label.trim(),
+      size: fields.size,
+      column: fields.column ?? null,
+      row: fields.row ?? null,
+      zone: fields.zone ?? null,
+      enabled: fields.enabled ?? true
+    });
+    this.save();
+    return this.get(id);
+  }
+
+  /**
+   * Remove a cabinet record
+   * @param {number} id - Logical cabinet ID
+   * @returns {boolean} True if a record was removed
+   */
+  remove(id) {
+    const removed = this.records.delete(id);
+    if (removed) {
+      this.save();
+    }
+    return removed;
+  }
+
+  /**
+   * Merge registry records into hardware status entries
+   * Registered cabinets without a status yet are added as 'unknown', so
+   * every known door is listed
+   * @param {Array<Object>} cabinets - Status entries from getCabinetStatus()
+   * @returns {Array<Object>} Enriched entries ordered by ID
+   */
+  enrich(cabinets) {
+    const byId = new Map(cabinets.map(cabinet => [Number(cabinet.id), cabinet]));
+    for (const id of this.records.keys()) {
+      if (!byId.has(id)) {
+        const { board, channel } = this.get(id);
+        byId.set(id, { id, board, channel, status: 'unknown', timestamp: null });
+      }
+    }
+
+    return [...byId.keys()].sort((a, b) => a - b).map((id) => {
+      const record = this.records.get(id);
+      return {
+        ...byId.get(id),
+        label: record ? record.label : null,
+        size: record ? record.size : null,
+        column: record ? record.column : null,
+        row: record ? record.row : null,
+        zone: record ? record.zone : null,
+        enabled: record ? record.enabled : true
+      };
+    });
+  }
+
+  /**
+   * Forget all records (does not touch the file)
+   */
+  clear() {
+    this.records.clear();
+  }
+}
+
+export { SIZE_CLASSES, validateRecord };
+export default new CabinetRegistry();
@@ -3,51 +3,184 @@
  * Manages serial port communication and cabinet operations
  */
 
-import { SerialPort } from 'serialport';
-import { buildSerialFrame, bufferToHexString, calculateCRC8 } from '../utils/serialPort.js';
+import { EventEmitter } from 'events';
+import { INSTRUCTIONS, buildSerialFrame, bufferToHexString } from '../utils/serialPort.js';
+import { decodeOpenAck, decodeLightAck } from '../utils/responseDecoders.js';
+import { FrameDecoder } from '../utils/frameDecoder.js';
+import { createTransport } from '../transports/index.js';
+import { parseBoardLayout, getCabinetCount, resolveCabinet, toCabinetId } from '../utils/boardLayout.js';
+import { loadProfiles, getBusFraming, decodeStatusBytes } from '../utils/protocolProfiles.js';
+import { CommandBus } from './commandBus.js';
+import { ConnectionSupervisor } from './connectionSupervisor.js';
+import { StatusPoller } from './statusPoller.js';
+import { discoverPort } from './portDiscovery.js';
+import { TraceRecorder } from './traceRecorder.js';
 
-class CabinetService {
+/**
+ * Status replies carry at least one status byte after the instruction
+ * @param {number} boardAddress - Board the query was sent to
+ * @returns {Function} Reply predicate
+ */
+function isStatusReplyFrom(boardAddress) {
+  return (reply) => reply[3] === boardAddress && reply[4] === INSTRUCTIONS.STATUS && reply[2] >= 3;
+}
+
+/**
+ * Emits:
+ *   'link' ({ state, previous, timestamp, ...details }) on link-state transitions
+ *          between 'disconnected', 'connected', 'reconnecting' and 'failed'
+ *   'status' (parsedStatus) for every decoded 0x51 status frame
+ *   'open.ack' ({ cabinetId, board, channel, result, success, timestamp }) for 0x50 replies
+ *   'light.ack' ({ board, lightOn, timestamp }) for 0x54 replies
+ *   'frame.unknown' ({ instruction, frame, timestamp }) for frames without a handler
+ *   'open.command' ({ cabinetId, board?, channel?, success, verification?, error?, timestamp }) for every open attempt
+ *   'status.reset' ({ timestamp }) when status tracking is reset
+ *   'door.opened' / 'door.closed' ({ cabinetId, board, channel, from, timestamp }) when a
+ *          status frame shows a door in a different state than last known
+ *   'tamper' ({ cabinetId, board, channel, lastKnownState, lastOpenAt, sinceLastOpenMs,
+ *          timestamp }) after 'door.opened' when no open command was sent for that
+ *          cabinet within the tamper window: a forced door or a board fault
+ */
+class CabinetService extends EventEmitter {
   constructor() {
+    super();
     this.port = null;
     this.isConnected = false;
     this.portPath = process.env.SERIAL_PORT || 'COM3';
+    this.activePath = null;
     this.baudRate = parseInt(process.env.BAUD_RATE || '9600');
+    this.profiles = loadProfiles(process.env.PROTOCOL_PROFILES);
     this.cabinetStatus = {};
-    this.responseBuffer = Buffer.alloc(0);
+    this.lightStatus = {};
+    // Cabinet ID -> time (ms) the last open command was sent, until a door opening uses it up
+    this.openCommands = {};
+    // Cabinet ID -> time (ISO) of the last successful open command
+    this.lastOpens = {};
+    this.tamperWindow = parseInt(process.env.TAMPER_WINDOW_MS || '30000');
+    this.responseHandlers = new Map();
+    this.registerResponseHandler(INSTRUCTIONS.STATUS, (frame) => this.handleStatusFrame(frame));
+    this.registerResponseHandler(INSTRUCTIONS.OPEN, (frame) => this.handleOpenAck(frame));
+    this.registerResponseHandler(INSTRUCTIONS.LIGHT, (frame) => this.handleLightAck(frame));
+    this.setBoardLayout(parseBoardLayout(process.env.CABINET_BOARDS, this.profiles));
     this.lastStatusUpdate = null;
-    this.statusRequestTimeout = null;
+    this.trace = process.env.TRACE_FILE ? new TraceRecorder({ file: process.env.TRACE_FILE }) : null;
+    this.statusTimeout = parseInt(process.env.STATUS_TIMEOUT_MS || '2000');
+    this.openVerification = {
+      window: parseInt(process.env.OPEN_VERIFY_WINDOW_MS || '0'),
+      interval: parseInt(process.env.OPEN_VERIFY_INTERVAL_MS || '250'),
+      retries: parseInt(process.env.OPEN_VERIFY_RETRIES || '1')
+    };
+    this.commandBus = new CommandBus({
+      transmit: (frame) => this.writeFrame(frame),
+      timeout: parseInt(process.env.COMMAND_TIMEOUT_MS || '1000'),
+      retries: parseInt(process.env.COMMAND_RETRIES || '2')
+    });
+    this.linkState = 'disconnected';
+    this.linkStateSince = new Date().toISOString();
+    this.supervisor = new ConnectionSupervisor({
+      connect: () => this.connect(),
+      initialDelay: parseInt(process.env.RECONNECT_INITIAL_DELAY_MS || '1000'),
+      maxDelay: parseInt(process.env.RECONNECT_MAX_DELAY_MS || '30000'),
+      maxAttempts: parseInt(process.env.RECONNECT_MAX_ATTEMPTS || '0')
+    });
+    this.supervisor.on('retry', ({ attempt, delay, error }) => {
+      console.warn(`Serial port unavailable (${error.message}), reconnect attempt ${attempt} in ${delay}ms`);
+      this.setLinkState('reconnecting', { attempt, retryInMs: delay, error: error.message });
+    });
+    this.supervisor.on('failed', ({ attempts, error }) => {
+      console.error(`Giving up on serial port after ${attempts} attempts: ${error.message}`);
+      this.setLinkState('failed', { attempts, error: error.message });
+    });
+    this.poller = new StatusPoller({
+      poll: () => this.requestStatus(),
+      isReady: () => this.isConnected,
+      interval: parseInt(process.env.STATUS_POLL_INTERVAL_MS || '0')
+    });
+    this.poller.on('error', (err) => {
+      console.error('Status poll failed:', err.message);
+    });
+    this.supervisor.on('connected', () => {
+      // Re-read door states, they may have changed while the link was down
+      this.requestStatus().catch((err) => {
+        console.error('Status refresh after connect failed:', err.message);
+      });
+    });
+  }
+
+  /**
+   * Connect and keep the link up
+   * Failed connections and lost links are retried with exponential backoff
+   * until disconnect() is called. Background status polling starts too if
+   * STATUS_POLL_INTERVAL_MS is set; polls are skipped while the link is down
+   * @returns {Promise<boolean>} Whether the first attempt connected
+   */
+  async start() {
+    const connected = await this.supervisor.start();
+    this.poller.start();
+    return connected;
+  }
+
+  /**
+   * Set the boards on the bus and the framing their profiles share
+   * Replaces the frame decoder, so call it before connecting
+   * @param {Array<Object>} boards - Parsed layout from parseBoardLayout()
+   * @throws {Error} If the boards' profiles use different framing
+   */
+  setBoardLayout(boards) {
+    this.framing = getBusFraming(boards);
+    this.boards = boards;
+    this.decoder = new FrameDecoder(this.framing);
+    this.decoder.on('invalid', (frame) => {
+      console.error('CRC validation failed for frame:', bufferToHexString(frame));
+    });
   }
 
   /**
    * Connect to serial port
+   * With SERIAL_PORT=auto the port is discovered by probing on every attempt,
+   * so a board that moved to another port is found again on reconnect
    * @returns {Promise<void>}
    */
   async connect() {
+    this.activePath = this.portPath === 'auto'
+      ? await discoverPort({ baudRate: this.baudRate, boardAddress: this.boards[0].address, framing: this.framing })
+      : this.portPath;
+
     return new Promise((resolve, reject) => {
       try {
-        this.port = new SerialPort({
-          path: this.portPath,
-          baudRate: this.baudRate,
-          dataBits: 8,
-          stopBits: 1,
-          parity: 'none'
-        });
-
-        this.port.on('open', () => {
-          console.log(`Serial port opened: ${this.portPath} at ${this.baudRate} baud`);
+        const port = this.createPort();
+        let opened = false;
+        this.port = port;
+        this.decoder.reset();
+
+        port.on('open', () => {
+          console.log(`Serial port opened: ${this.activePath} at ${this.baudRate} baud`);
+          opened = true;
           this.isConnected = true;
+          this.setLinkState('connected');
           resolve();
         });
 
-        this.port.on('error', (err) => {
+        port.on('error', (err) => {
           console.error('Serial port error:', err.message);
-          this.isConnected = false;
-          reject(err);
+          if (!opened) {
+            reject(err);
+            return;
+          }
+          this.handleLinkLost(port, err);
         });
 
-        this.port.on('data', (data) => {
-          this.responseBuffer = Buffer.concat([this.responseBuffer, data]);
-          this.parseResponse(this.responseBuffer);
+        port.on('close', () => {
+          if (opened) {
+            this.handleLinkLost(port, new Error('Serial port closed'));
+          }
+        });
+
+        port.on('data', (data) => {
+          if (this.trace) {
+            this.trace.record('rx', data);
+          }
+          this.parseResponse(data);
         });
 
       } catch (err) {
@@ -56,41 +189,123 @@ class CabinetService {
     });
   }
 
+  /**
+   * Create the transport for the configured path
+   * sim:// selects the built-in simulator, tcp://host:port an Ethernet
+   * serial server, anything else a local serial port
+   * @returns {Transport} Transport instance
+   * @private
+   */
+  createPort() {
+    return createTransport(this.activePath || this.portPath, { baudRate: this.baudRate, profiles: this.profiles });
+  }
+
+  /**
+   * Handle an established link going down (adapter unplugged, port error)
+   * @param {Object} port - Port that reported the loss
+   * @param {Error} err - Cause
+   * @private
+   */
+  handleLinkLost(port, err) {
+    // Ignore late events from a port that has already been replaced
+    if (port !== this.port || !this.isConnected) {
+      return;
+    }
+
+    console.error('Serial link lost:', err.message);
+    this.isConnected = false;
+    if (port.isOpen) {
+      // Release the device so the supervisor can reopen it
+      port.close(() => {});
+    }
+    this.commandBus.clear(new Error(`Serial link lost: ${err.message}`));
+
+    if (this.supervisor.running) {
+      this.setLinkState('reconnecting', { error: err.message });
+      this.supervisor.connectionLost(err);
+    } else {
+      this.setLinkState('disconnected', { error: err.message });
+    }
+  }
+
+  /**
+   * Record a link-state transition and emit a 'link' event
+   * @param {string} state - 'disconnected' | 'connected' | 'reconnecting' | 'failed'
+   * @param {Object} [details] - Extra context (attempt, retryInMs, error)
+   * @private
+   */
+  setLinkState(state, details = {}) {
+    if (state === this.linkState) {
+      return;
+    }
+
+    const previous = this.linkState;
+    this.linkState = state;
+    this.linkStateSince = new Date().toISOString();
+    this.emit('link', { state, previous, timestamp: this.linkStateSince, ...details });
+  }
+
   /**
    * Disconnect from serial port
+   * Also stops the reconnect supervisor and the status poller
    * @returns {Promise<void>}
    */
   async disconnect() {
+    this.supervisor.stop();
+    this.poller.stop();
+
     return new Promise((resolve) => {
-      // Clear any pending timeouts
-      if (this.statusRequestTimeout) {
-        clearTimeout(this.statusRequestTimeout);
-        this.statusRequestTimeout = null;
-      }
+      // Fail any queued or in-flight commands
+      this.commandBus.clear(new Error('Serial port disconnected'));
 
       if (this.port && this.isConnected) {
+        this.isConnected = false;
         this.port.close(() => {
-          this.isConnected = false;
           console.log('Serial port closed');
+          this.setLinkState('disconnected');
           resolve();
         });
       } else {
+        this.setLinkState('disconnected');
         resolve();
       }
     });
   }
 
   /**
-   * Send raw frame to serial port
+   * Send a frame through the command bus
+   * Frames are written one at a time; when a reply is expected the promise
+   * settles with the matching reply frame or fails after all retries time out
+   * @param {Buffer} frame - Serial frame to send
+   * @param {Object} [options] - Command options (expectReply, match, timeout, retries)
+   * @returns {Promise<Buffer|null>} Reply frame, or null when no reply was expected
+   */
+  async sendFrame(frame, options = {}) {
+    if (!this.isConnected || !this.port) {
+      throw new Error('Serial port not connected');
+    }
+
+    return this.commandBus.send(frame, options);
+  }
+
+  /**
+   * Write raw frame to serial port
+   * Only the command bus calls this, so writes never interleave
    * @param {Buffer} frame - Serial frame to send
    * @returns {Promise<void>}
+   * @private
    */
-  async sendFrame(frame) {
+  async writeFrame(frame) {
     return new Promise((resolve, reject) => {
       if (!this.isConnected || !this.port) {
         return reject(new Error('Serial port not connected'));
       }
 
+      // Record before writing so the trace keeps tx ahead of a fast reply
+      if (this.trace) {
+        this.trace.record('tx', frame);
+      }
+
       this.port.write(frame, (err) => {
         if (err) {
           console.error('Error writing to serial port:', err.message);
@@ -103,10 +318,27 @@ class CabinetService {
     });
   }
 
+  /**
+   * Highest logical cabinet ID in the configured board layout
+   * @returns {number} Maximum cabinet ID
+   */
+  getMaxCabinetId() {
+    return getCabinetCount(this.boards) - 1;
+  }
+
   /**
    * Open specified cabinets by sending frame with cabinet IDs
-   * @param {Array<number>} cabinetIds - Array of cabinet IDs (0-255)
-   * @returns {Promise<Object>} Result with opened cabinet IDs
+   * Each logical ID is routed to its board address and channel.
+   * With open verification enabled (OPEN_VERIFY_WINDOW_MS > 0) the board's
+   * status is polled after the ack until the cabinet reads open; if it does
+   * not within the window the open is resent up to OPEN_VERIFY_RETRIES times.
+   * Opened entries then carry verification 'confirmed'; cabinets that were
+   * acknowledged but never read open are listed in unconfirmed instead, and
+   * failed ones carry 'failed'. Only opened cabinets are tracked as 'opened'
+   * and emitted with success: true; unconfirmed ones keep their last status
+   * and are emitted with success: false.
+   * @param {Array<number>} cabinetIds - Array of logical cabinet IDs
+   * @returns {Promise<Object>} Result with opened, unconfirmed and failed cabinets
    */
   async openCabinets(cabinetIds) {
     if (!Array.isArray(cabinetIds) || cabinetIds.length === 0) {
@@ -114,43 +346,93 @@ class CabinetService {
     }
 
     // Validate cabinet IDs
+    const maxCabinetId = this.getMaxCabinetId();
     for (const id of cabinetIds) {
-      if (!Number.isInteger(id) || id < 0 || id > 0xFF) {
-        throw new Error(`Invalid cabinet ID: ${id}. Must be between 0 and 255`);
+      if (!Number.isInteger(id) || id < 0 || id > maxCabinetId) {
+        throw new Error(`Invalid cabinet ID: ${id}. Must be between 0 and ${maxCabinetId}`);
       }
     }
 
+    const verify = this.openVerification.window > 0;
+
     try {
       const results = {
         opened: [],
+        unconfirmed: [],
         failed: []
       };
 
-      // Send frame for each cabinet ID with 500ms delay between sends
+      // Send frame for each cabinet ID and wait for the board's acknowledgement
       for (const cabinetId of cabinetIds) {
         try {
-          const frame = buildSerialFrame([cabinetId],0x00,0x50);
-          await this.sendFrame(frame);
+          const { boardAddress, channel } = resolveCabinet(this.boards, cabinetId);
+          let attempts = 0;
+          let verification = null;
+
+          do {
+            attempts++;
+            // Before sending: the door may read open while the command is still in flight
+            this.openCommands[cabinetId] = Date.now();
+            await this.sendOpen(boardAddress, channel);
+            if (verify) {
+              verification = await this.waitForOpen(boardAddress, cabinetId) ? 'confirmed' : 'unconfirmed';
+            }
+          } while (verification === 'unconfirmed' && attempts <= this.openVerification.retries);
+
+          if (verification === 'unconfirmed') {
+            console.warn(`Cabinet ${cabinetId} did not read open after ${attempts} attempts`);
+            const timestamp = new Date().toISOString();
+            this.emit('open.command', {
+              cabinetId,
+              board: boardAddress,
+              channel,
+              success: false,
+              verification,
+              timestamp
+            });
+            results.unconfirmed.push({ id: cabinetId, status: 'unconfirmed', verification, attempts, timestamp });
+            continue;
+          }
 
           // Add to tracking
           this.cabinetStatus[cabinetId] = {
             id: cabinetId,
+            board: boardAddress,
+            channel,
             status: 'opened',
             timestamp: new Date().toISOString()
           };
+          this.lastOpens[cabinetId] = this.cabinetStatus[cabinetId].timestamp;
+          this.emit('open.command', {
+            cabinetId,
+            board: boardAddress,
+            channel,
+            success: true,
+            ...(verify ? { verification } : {}),
+            timestamp: this.cabinetStatus[cabinetId].timestamp
+          });
 
           results.opened.push({
             id: cabinetId,
             status: 'opened',
+            ...(verify ? { verification, attempts } : {}),
             timestamp: new Date().toISOString()
           });
-
-          // Small delay between sends
-          await this.delay(1000);
         } catch (err) {
           results.failed.push({
             id: cabinetId,
-            error: err.message
+            error: err.message,
+            ...(verify ? { verification: 'failed' } : {})
+          });
+          const target = resolveCabinet(this.boards, cabinetId);
+          this.emit('open.command', {
+            cabinetId,
+            board: target ? target.boardAddress : undefined,
+            channel: target ? target.channel : undefined,
+            success: false,
+            ...(verify ? { verification: 'failed' } : {}),
+            error: err.message,
+            timestamp: new Date().toISOString()
           });
         }
       }
@@ -161,33 +443,90 @@ class CabinetService {
     }
   }
 
+  /**
+   * Send one open command and wait for its acknowledgement
+   * @param {number} boardAddress - Board address
+   * @param {number} channel - Lock channel
+   * @returns {Promise<void>}
+   * @throws {Error} If the command timed out or the board rejected it
+   * @private
+   */
+  async sendOpen(boardAddress, channel) {
+    const frame = buildSerialFrame([channel], boardAddress, INSTRUCTIONS.OPEN, this.framing);
+    const reply = await this.sendFrame(frame, {
+      expectReply: true,
+      match: (candidate) => candidate[3] === boardAddress && candidate[4] === INSTRUCTIONS.OPEN && candidate[5] === channel
+    });
+
+    const ack = reply && decodeOpenAck(reply);
+    if (ack && !ack.success) {
+      throw new Error(`Board rejected open command (result 0x${ack.result.toString(16).padStart(2, '0')})`);
+    }
+  }
+
+  /**
+   * Poll a board's status until a cabinet reads open or the verification
+   * window closes; a status query that fails counts as not open yet
+   * @param {number} boardAddress - Board the cabinet is on
+   * @param {number} cabinetId - Logical cabinet ID
+   * @returns {Promise<boolean>} True if the cabinet read open in time
+   * @private
+   */
+  async waitForOpen(boardAddress, cabinetId) {
+    const { window, interval } = this.openVerification;
+    const deadline = Date.now() + window;
+
+    for (;;) {
+      try {
+        const reply = await this.sendFrame(buildSerialFrame([], boardAddress, INSTRUCTIONS.STATUS, this.framing), {
+          expectReply: true,
+          match: isStatusReplyFrom(boardAddress),
+          timeout: Math.min(this.statusTimeout, window)
+        });
+        const parsed = reply && this.parseStatusResponse(reply);
+        if (parsed && parsed.cabinets[cabinetId] && parsed.cabinets[cabinetId].status === 'open') {
+          return true;
+        }
+      } catch (err) {
+        console.warn(`Open verification status query for cabinet ${cabinetId} failed: ${err.message}`);
+      }
+
+      if (Date.now() + interval > deadline) {
+        return false;
+      }
+      await this.delay(interval);
+    }
+  }
+
   /**
    * Request current cabinet status from hardware
-   * Sends a status query command (instruction 0x50) to request status update
+   * Sends a status query command (instruction 0x51) to every configured board
+   * and waits for each board's status frame
    * @returns {Promise<void>}
+   * @throws {Error} If any board did not answer
    */
   async requestStatus() {
-    console.log('hello')
     if (!this.isConnected || !this.port) {
       throw new Error('Serial port not connected');
     }
 
-    try {
-      
-      // Build status request frame (instruction 0x51, no data bytes)
-      const frame = buildSerialFrame([], 0x00, 0x51);
-      console.log('Requesting status from hardware...');
-      await this.sendFrame(frame);
-
-      // Set a timeout to wait for response
-      return new Promise((resolve, reject) => {
-        this.statusRequestTimeout = setTimeout(() => {
-          console.warn('Status request timeout - no response from hardware within 2 seconds');
-          resolve(); // Resolve anyway, status may update later
-        }, 2000);
-      });
-    } catch (err) {
-      throw new Error(`Failed to request status: ${err.message}`);
+    // Build status request frame per board (instruction 0x51, no data bytes)
+    console.log('Requesting status from hardware...');
+    const errors = [];
+    for (const board of this.boards) {
+      try {
+        await this.sendFrame(buildSerialFrame([], board.address, INSTRUCTIONS.STATUS, this.framing), {
+          expectReply: true,
+          match: isStatusReplyFrom(board.address),
+          timeout: this.statusTimeout
+        });
+      } catch (err) {
+        errors.push(err.message);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Failed to request status: ${errors.join('; ')}`);
     }
   }
 
@@ -210,220 +549,343 @@ class CabinetService {
 
     return {
       connected: this.isConnected,
+      linkState: this.linkState,
+      linkStateSince: this.linkStateSince,
       portPath: this.portPath,
       baudRate: this.baudRate,
       lastUpdate: this.lastStatusUpdate,
+      lights: this.lightStatus,
       cabinets: Object.values(this.cabinetStatus)
     };
   }
 
   /**
    * Set Light Status
-   * Changes the light status of cabinets
+   * Changes the light status of cabinets on every configured board; a board
+   * that does not acknowledge keeps its last known light status
    * @param {boolean} control - If true, turn lights on; if false, turn lights off
    * @returns {Promise<Object>|Object} Object containing operation result
+   * @throws {Error} If not connected or any board did not acknowledge
    */
   async setLightStatus(control = false) {
-    if (this.isConnected) {
-      
+    if (!this.isConnected || !this.port) {
+      throw new Error('Serial port not connected');
+    }
 
+    // Build light control frame per board (instruction 0x54, one data byte) and wait for the ack
+    const control_val = control ? 0x00 : 0x01;
+    console.log('Sending light control to hardware...');
+    const errors = [];
+    for (const board of this.boards) {
       try {
-        let control_val = control ? 0x00 : 0x01;
-        // Build status request frame (instruction 0x54, no data bytes)
-        const frame = buildSerialFrame([control_val], 0x00, 0x54);
-        console.log('Requesting status from hardware...');
-        await this.sendFrame(frame);
-
-        // // Set a timeout to wait for response
-        // return new Promise((resolve, reject) => {
-        //   this.statusRequestTimeout = setTimeout(() => {
-        //     console.warn('Status request timeout - no response from hardware within 2 seconds');
-        //     resolve(); // Resolve anyway, status may update later
-        //   }, 2000);
-        // });
+        await this.sendFrame(buildSerialFrame([control_val], board.address, INSTRUCTIONS.LIGHT, this.framing), {
+          expectReply: true,
+          match: (reply) => reply[3] === board.address && reply[4] === INSTRUCTIONS.LIGHT
+        });
+        this.lightStatus[board.address] = control;
       } catch (err) {
-        throw new Error(`Failed to request status: ${err.message}`);
+        errors.push(`board 0x${board.address.toString(16).padStart(2, '0')}: ${err.message}`);
       }
-    }else if (!this.isConnected || !this.port) {
-      throw new Error('Serial port not connected');
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Failed to set light status: ${errors.join('; ')}`);
     }
 
     return {
       connected: this.isConnected,
       portPath: this.portPath,
       baudRate: this.baudRate,
+      lightOn: control,
+      lights: { ...this.lightStatus },
       status: 'Light status changed',
     };
   }
 
   /**
-   * Validate and extract a complete frame from the buffer
-   * @param {Buffer} buffer - Response buffer
-   * @returns {Object|null} { frame: Buffer, remaining: Buffer } or null if invalid
+   * Parse status response frame
+   * Frame structure: [0xAA, 0x55, dataLength, boardAddr, 0x51, statusBytes..., crc8]
+   * Each status byte contains bit-mapped channel statuses; the board's
+   * protocol profile fixes the byte count, bit order and which bit value
+   * means open. Channels are mapped to logical cabinet IDs through the
+   * board layout
+   * @param {Buffer} frame - Complete status response frame
+   * @returns {Object} Parsed status with cabinet ID mapping
    * @private
    */
-  extractFrame(buffer) {
-    // Check for minimum frame size
-    if (buffer.length < 6) {
+  parseStatusResponse(frame) {
+    if (frame.length < 7) {
+      console.error('Invalid status frame length:', frame.length);
       return null;
     }
 
-    // Check for header
-    if (buffer[0] !== 0xAA || buffer[1] !== 0x55) {
-      // Invalid header - skip first byte and try again
+    const dataLength = frame[2];
+    if (dataLength < 3 || frame.length !== dataLength + 4) {
+      console.error('Invalid status data length:', dataLength);
       return null;
     }
 
-    const dataLength = buffer[2];
-    const frameLength = 3 + dataLength + 1; // header(2) + length(1) + data + crc(1)
+    const boardAddress = frame[3];
+    const board = this.boards.find(b => b.address === boardAddress);
+    if (!board) {
+      console.warn(`Status frame from unconfigured board 0x${boardAddress.toString(16).padStart(2, '0')} ignored`);
+      return null;
+    }
 
-    if (buffer.length < frameLength) {
-      // Incomplete frame
+    // Extract status bytes (everything between the instruction and the CRC)
+    const statusBytes = [...frame.subarray(5, frame.length - 1)];
+    const { profile } = board;
+    if (profile.statusBytes !== null && statusBytes.length !== profile.statusBytes) {
+      console.error(`Status frame from board 0x${boardAddress.toString(16).padStart(2, '0')} has ${statusBytes.length} status bytes, profile ${profile.name} expects ${profile.statusBytes}`);
       return null;
     }
 
-    const frame = buffer.subarray(0, frameLength);
+    // Parse individual cabinet statuses from bit-mapped status bytes
+    const parsedStatuses = {};
 
-    // Validate CRC
-    if (!this.validateFrameCRC(frame)) {
-      console.error('CRC validation failed for frame:', bufferToHexString(frame));
-      // Return frame anyway but mark as invalid
-      return {
-        frame,
-        remaining: buffer.subarray(frameLength),
-        valid: false
+    for (const { channel, byteIndex, bitIndex, rawBit, open } of decodeStatusBytes(profile, statusBytes)) {
+      const cabinetId = toCabinetId(this.boards, boardAddress, channel);
+
+      if (cabinetId === null) {
+        continue;
+      }
+
+      parsedStatuses[cabinetId] = {
+        id: cabinetId,
+        board: boardAddress,
+        channel,
+        status: open ? 'open' : 'close',
+        statusByte: byteIndex,
+        statusBit: bitIndex,
+        rawBit,
+        timestamp: new Date().toISOString()
       };
     }
 
     return {
-      frame,
-      remaining: buffer.subarray(frameLength),
-      valid: true
+      timestamp: new Date().toISOString(),
+      board: boardAddress,
+      statusBytes: statusBytes,
+      cabinets: parsedStatuses,
+      totalCabinets: Object.keys(parsedStatuses).length
     };
   }
 
   /**
-   * Validate CRC8 checksum of a frame
-   * Frame structure: [header1, header2, length, ...data, crc]
-   * @param {Buffer} frame - Complete frame including CRC
-   * @returns {boolean} True if CRC is valid
+   * Parse response data from serial port
+   * Bytes are fed through the streaming decoder, which resynchronises on
+   * noise and reassembles split or coalesced frames
+   * @param {Buffer} chunk - Bytes received from the port
    * @private
    */
-  validateFrameCRC(frame) {
-    if (frame.length < 4) return false;
+  parseResponse(chunk) {
+    for (const frame of this.decoder.decode(chunk)) {
+      this.handleFrame(frame);
+    }
+  }
 
-    const frameWithoutCRC = frame.subarray(0, frame.length - 1);
-    const expectedCRC = frame[frame.length - 1];
-    const calculatedCRC = calculateCRC8(frameWithoutCRC);
+  /**
+   * Handle one CRC-checked frame from the board
+   * @param {Buffer} frame - Complete valid frame
+   * @private
+   */
+  handleFrame(frame) {
+    // Log received frame
+    console.log('Valid frame received:', bufferToHexString(frame));
+
+    // Dispatch on the instruction code at index 4
+    const instruction = frame[4];
+    const handler = this.responseHandlers.get(instruction);
+
+    if (handler) {
+      handler(frame);
+    } else {
+      console.warn(`Unhandled frame type 0x${instruction.toString(16).padStart(2, '0')}:`, bufferToHexString(frame));
+      this.emit('frame.unknown', { instruction, frame, timestamp: new Date().toISOString() });
+    }
 
-    return calculatedCRC === expectedCRC;
+    // Hand the frame to the command awaiting a reply once its effects are applied
+    this.commandBus.handleFrame(frame);
   }
 
   /**
-   * Parse status response frame
-   * Frame structure: [0xAA, 0x55, 0x08, 0x00, 0x51, statusByte1-6, crc8]
-   * Each status byte contains bit-mapped cabinet statuses
-   * @param {Buffer} frame - Complete status response frame
-   * @returns {Object} Parsed status with cabinet ID mapping
+   * Register the handler for a response instruction code
+   * Replaces any handler already registered for that code
+   * @param {number} instruction - Instruction code (e.g. INSTRUCTIONS.STATUS)
+   * @param {Function} handler - Called with each valid frame of that type
+   */
+  registerResponseHandler(instruction, handler) {
+    this.responseHandlers.set(instruction, handler);
+  }
+
+  /**
+   * Handle a 0x51 status frame
+   * @param {Buffer} frame - Status frame
    * @private
    */
-  parseStatusResponse(frame) {
-    if (frame.length < 12) {
-      console.error('Invalid status frame length:', frame.length);
-      return null;
+  handleStatusFrame(frame) {
+    const parsedStatus = this.parseStatusResponse(frame);
+    if (parsedStatus) {
+      const tampers = this.detectDoorChanges(parsedStatus);
+      this.updateCabinetStatus(parsedStatus);
+      this.lastStatusUpdate = new Date();
+      this.emit('status', parsedStatus);
+      // After 'status', so history has the transition before the tamper
+      tampers.forEach(tamper => this.emit('tamper', tamper));
     }
+  }
 
-    const dataLength = frame[2];
-    if (dataLength < 8) {
-      console.error('Invalid status data length:', dataLength);
-      return null;
+  /**
+   * Handle a 0x50 open acknowledgement
+   * @param {Buffer} frame - Open ack frame
+   * @private
+   */
+  handleOpenAck(frame) {
+    const ack = decodeOpenAck(frame);
+    if (!ack) {
+      console.warn('Malformed open acknowledgement:', bufferToHexString(frame));
+      return;
     }
 
-    // Extract status bytes (indices 5-10 for 6 status bytes)
-    const statusBytes = [];
-    for (let i = 5; i < 5 + 6 && i < frame.length - 1; i++) {
-      statusBytes.push(frame[i]);
+    this.emit('open.ack', {
+      cabinetId: toCabinetId(this.boards, ack.board, ack.channel),
+      ...ack,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Handle a 0x54 light acknowledgement
+   * @param {Buffer} frame - Light ack frame
+   * @private
+   */
+  handleLightAck(frame) {
+    const ack = decodeLightAck(frame);
+    if (!ack) {
+      console.warn('Malformed light acknowledgement:', bufferToHexString(frame));
+      return;
     }
 
-    // Parse individual cabinet statuses from bit-mapped status bytes
-    const parsedStatuses = {};
+    this.lightStatus[ack.board] = ack.lightOn;
+    this.emit('light.ack', { ...ack, timestamp: new Date().toISOString() });
+  }
 
-    for (let byteIndex = 0; byteIndex < statusBytes.length; byteIndex++) {
-      const byte = statusBytes[byteIndex];
-
-      // Each byte represents 8 cabinets
-      for (let bitIndex = 0; bitIndex < 8; bitIndex++) {
-        // Extract bit value (0 = closed/unavailable, 1 = open/available)
-        const bitValue = (byte >> bitIndex) & 0x01;
-        const cabinetId = byteIndex * 8 + bitIndex;
-
-        parsedStatuses[cabinetId] = {
-          id: cabinetId,
-          status: bitValue === 1 ? 'open' : 'close',
-          statusByte: byteIndex,
-          statusBit: bitIndex,
-          rawBit: bitValue,
-          timestamp: new Date().toISOString()
-        };
-      }
-    }
+  /**
+   * Wait for the next event of a type that satisfies a predicate
+   * @param {string} event - Event name (e.g. 'open.ack')
+   * @param {Function} [predicate] - Filter over the event payload
+   * @param {number} [timeout=5000] - Milliseconds before rejecting
+   * @returns {Promise<Object>} Event payload
+   */
+  waitForEvent(event, predicate = () => true, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+      const listener = (payload) => {
+        if (!predicate(payload)) {
+          return;
+        }
+        clearTimeout(timer);
+        this.off(event, listener);
+        resolve(payload);
+      };
+
+      const timer = setTimeout(() => {
+        this.off(event, listener);
+        reject(new Error(`Timed out waiting for ${event}`));
+      }, timeout);
+
+      this.on(event, listener);
+    });
+  }
+
+  /**
+   * Bytes held by the decoder while waiting for a frame to complete
+   * @returns {Buffer}
+   */
+  get responseBuffer() {
+    return this.decoder.buffered;
+  }
+
+  set responseBuffer(buffer) {
+    this.decoder.reset(buffer);
+  }
 
+  /**
+   * Serial link diagnostics: decoder error counters and command queue depth
+   * @returns {Object} Diagnostics snapshot
+   */
+  getLinkDiagnostics() {
     return {
-      timestamp: new Date().toISOString(),
-      statusBytes: statusBytes,
-      cabinets: parsedStatuses,
-      totalCabinets: statusBytes.length * 8
+      connected: this.isConnected,
+      linkState: this.linkState,
+      portPath: this.portPath,
+      activePath: this.activePath,
+      decoder: this.decoder.getStats(),
+      pendingCommands: this.commandBus.pending,
+      poller: this.poller.getStats()
     };
   }
 
   /**
-   * Parse response data from serial port
-   * @param {Buffer} buffer - Response buffer
+   * Emit 'door.opened' / 'door.closed' for doors whose state differs from
+   * the last known one. A door seen for the first time has no known state
+   * and emits nothing; an 'opened' command counts as open. A door that
+   * opens without a recent open command is returned as a tamper event.
+   * Any reading of a door open uses up its open command, including after an
+   * 'opened' command where the reading is no change, so a stale command
+   * cannot explain a later forced opening
+   * @param {Object} parsedStatus - Parsed status from hardware
+   * @returns {Array<Object>} 'tamper' payloads for the caller to emit
    * @private
    */
-  parseResponse(buffer) {
-    // Keep extracting frames while we have complete data
-    let currentBuffer = buffer;
-
-    while (currentBuffer.length > 0) {
-      const extraction = this.extractFrame(currentBuffer);
-
-      if (!extraction) {
-        // No complete frame found, update buffer and exit
-        this.responseBuffer = currentBuffer;
-        return;
+  detectDoorChanges(parsedStatus) {
+    const tampers = [];
+    for (const cabinet of Object.values(parsedStatus.cabinets)) {
+      const known = this.cabinetStatus[cabinet.id];
+      const commanded = cabinet.status === 'open' && this.consumeOpenCommand(cabinet.id);
+      if (!known || known.status === 'unknown') {
+        continue;
       }
 
-      const { frame, remaining, valid } = extraction;
-
-      if (!valid) {
-        console.error('Invalid frame received:', bufferToHexString(frame));
-        currentBuffer = remaining;
+      const from = known.status === 'opened' ? 'open' : known.status;
+      if (from === cabinet.status) {
         continue;
       }
 
-      // Log received frame
-      console.log('Valid frame received:', bufferToHexString(frame));
-
-      // Check frame type and handle accordingly
-      if (frame.length >= 5) {
-        const commandType = frame[4]; // Command/response type at index 4
+      this.emit(cabinet.status === 'open' ? 'door.opened' : 'door.closed', {
+        cabinetId: cabinet.id,
+        board: cabinet.board,
+        channel: cabinet.channel,
+        from: known.status,
+        timestamp: cabinet.timestamp
+      });
 
-        if (commandType === 0x51) {
-          // Status response frame
-          const parsedStatus = this.parseStatusResponse(frame);
-          if (parsedStatus) {
-            this.updateCabinetStatus(parsedStatus);
-            this.lastStatusUpdate = new Date();
-          }
-        }
-        // Other command types can be handled here in the future
+      if (cabinet.status === 'open' && !commanded) {
+        const lastOpenAt = this.lastOpens[cabinet.id] || null;
+        tampers.push({
+          cabinetId: cabinet.id,
+          board: cabinet.board,
+          channel: cabinet.channel,
+          lastKnownState: { status: known.status, timestamp: known.timestamp },
+          lastOpenAt,
+          sinceLastOpenMs: lastOpenAt ? Date.parse(cabinet.timestamp) - Date.parse(lastOpenAt) : null,
+          timestamp: cabinet.timestamp
+        });
       }
-
-      currentBuffer = remaining;
     }
+    return tampers;
+  }
 
-    this.responseBuffer = currentBuffer;
+  /**
+   * Match a door reading open to an open command sent within the tamper window
+   * A command explains one opening only
+   * @param {number} cabinetId - Cabinet whose door reads open
+   * @returns {boolean} Whether a recent command explains the opening
+   * @private
+   */
+  consumeOpenCommand(cabinetId) {
+    const sent = this.openCommands[cabinetId];
+    delete this.openCommands[cabinetId];
+    return sent !== undefined && Date.now() - sent <= this.tamperWindow;
   }
 
   /**
@@ -437,6 +899,17 @@ class CabinetService {
     }
   }
 
+  /**
+   * Seed status tracking with last-known state, e.g. from the state store
+   * at boot; live status frames overwrite it as they arrive
+   * @param {Object} cabinets - Status entries keyed by cabinet ID
+   * @param {Object} [lastOpens] - Time of the last successful open, keyed by cabinet ID
+   */
+  restoreStatus(cabinets, lastOpens = {}) {
+    this.cabinetStatus = { ...cabinets, ...this.cabinetStatus };
+    this.lastOpens = { ...lastOpens, ...this.lastOpens };
+  }
+
   /**
    * Utility delay function
    * @param {number} ms - Milliseconds to delay
@@ -452,6 +925,7 @@ class CabinetService {
    */
   resetStatus() {
     this.cabinetStatus = {};
+    this.emit('status.reset', { timestamp: new Date().toISOString() });
   }
 }
 
@@ -0,0 +1,201 @@
+/**
+ * Command Bus
+ * Serialises frames onto the port one at a time and correlates each
+ * command with its reply frame, with per-command timeouts and retries
+ */
+
+import { bufferToHexString } from '../utils/serialPort.js';
+
+/**
+ * Default reply matcher: same board address and instruction as the command
+ * @param {Buffer} command - Command frame
+ * @returns {Function} Predicate over reply frames
+ */
+function matchAddressAndInstruction(command) {
+  return (reply) => reply[3] === command[3] && reply[4] === command[4];
+}
+
+class CommandBus {
+  /**
+   * @param {Object} options
+   * @param {Function} options.transmit - Writes a frame to the port, returns a Promise
+   * @param {number} [options.timeout=1000] - Default reply timeout in milliseconds
+   * @param {number} [options.retries=2] - Default number of retries after a timeout
+   */
+  constructor({ transmit, timeout = 1000, retries = 2 }) {
+    this.transmit = transmit;
+    this.timeout = timeout;
+    this.retries = retries;
+    this.queue = [];
+    this.active = null;
+    this.processing = false;
+  }
+
+  /**
+   * Queue a command frame
+   * @param {Buffer} frame - Command frame
+   * @param {Object} [options]
+   * @param {boolean} [options.expectReply=false] - Wait for a matching reply frame
+   * @param {Function} [options.match] - Reply predicate (default: same address and instruction)
+   * @param {number} [options.timeout] - Reply timeout per attempt in milliseconds
+   * @param {number} [options.retries] - Retries after a timeout
+   * @returns {Promise<Buffer|null>} Reply frame, or null when no reply was expected
+   */
+  send(frame, { expectReply = false, match, timeout = this.timeout, retries = this.retries } = {}) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        frame,
+        expectReply,
+        match: match || matchAddressAndInstruction(frame),
+        timeout,
+        retries,
+        resolve,
+        reject
+      });
+      this.process();
+    });
+  }
+
+  /**
+   * Offer a received frame to the command awaiting a reply
+   * @param {Buffer} frame - Valid frame from the port
+   * @returns {boolean} True if the frame completed the active command
+   */
+  handleFrame(frame) {
+    const active = this.active;
+    if (!active || !active.waiting || !active.match(frame)) {
+      return false;
+    }
+
+    active.waiting(frame);
+    return true;
+  }
+
+  /**
+   * Reject every queued and in-flight command
+   * @param {Error} err - Rejection reason
+   */
+  clear(err) {
+    const pending = this.queue.splice(0);
+    for (const command of pending) {
+      command.reject(err);
+    }
+    if (this.active && this.active.abort) {
+      this.active.abort(err);
+    }
+  }
+
+  /**
+   * Number of commands waiting to be sent, including the one in flight
+   * @returns {number}
+   */
+  get pending() {
+    return this.queue.length + (this.active ? 1 : 0);
+  }
+
+  /**
+   * Drain the queue one command at a time
+   * @private
+   */
+  async process() {
+    if (this.processing) {
+      return;
+    }
+    this.processing = true;
+
+    while (this.queue.length > 0) {
+      const command = this.queue.shift();
+      this.active = command;
+
+      try {
+        command.resolve(await this.execute(command));
+      } catch (err) {
+        command.reject(err);
+      }
+
+      this.active = null;
+    }
+
+    this.processing = false;
+  }
+
+  /**
+   * Send a command, retrying until a reply arrives or attempts run out
+   * @param {Object} command - Queued command
+   * @returns {Promise<Buffer|null>} Reply frame
+   * @private
+   */
+  async execute(command) {
+    const attempts = command.expectReply ? command.retries + 1 : 1;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      const reply = command.expectReply ? this.awaitReply(command) : null;
+
+      try {
+        await this.transmit(command.frame);
+      } catch (err) {
+        if (reply) reply.cancel();
+        throw err;
+      }
+
+      if (!reply) {
+        return null;
+      }
+
+      const frame = await reply.promise;
+      if (frame) {
+        return frame;
+      }
+
+      if (attempt < attempts) {
+        console.warn(`No reply to ${bufferToHexString(command.frame)}, retrying (${attempt}/${command.retries})`);
+      }
+    }
+
+    const board = command.frame[3].toString(16).padStart(2, '0');
+    const instruction = command.frame[4].toString(16).padStart(2, '0');
+    throw new Error(`No reply from board 0x${board} to instruction 0x${instruction} after ${attempts} attempt(s)`);
+  }
+
+  /**
+   * Arm the reply matcher for the active command
+   * Resolves with the reply frame, or null on timeout
+   * @param {Object} command - Active command
+   * @returns {Object} { promise, cancel }
+   * @private
+   */
+  awaitReply(command) {
+    let timer;
+
+    const promise = new Promise((resolve, reject) => {
+      const settle = (frame) => {
+        clearTimeout(timer);
+        command.waiting = null;
+        command.abort = null;
+        resolve(frame);
+      };
+
+      command.waiting = settle;
+      command.abort = (err) => {
+        clearTimeout(timer);
+        command.waiting = null;
+        command.abort = null;
+        reject(err);
+      };
+      timer = setTimeout(() => settle(null), command.timeout);
+    });
+    // Aborts that land while the frame is still being written surface via transmit
+    promise.catch(() => {});
+
+    return {
+      promise,
+      cancel: () => {
+        clearTimeout(timer);
+        command.waiting = null;
+        command.abort = null;
+      }
+    };
+  }
+}
+
+export { CommandBus, matchAddressAndInstruction };
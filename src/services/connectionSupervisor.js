@@ -0,0 +1,119 @@
+/**
+ * Connection Supervisor
+ * Keeps the serial link up: retries the initial connection and reopens
+ * the port with exponential backoff after it is lost
+ */
+
+import { EventEmitter } from 'events';
+
+class ConnectionSupervisor extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Function} options.connect - Opens the link, returns a Promise
+   * @param {number} [options.initialDelay=1000] - First retry delay in milliseconds
+   * @param {number} [options.maxDelay=30000] - Upper bound for the retry delay
+   * @param {number} [options.factor=2] - Backoff multiplier per failed attempt
+   * @param {number} [options.maxAttempts=0] - Give up after this many failed attempts (0 = never)
+   */
+  constructor({ connect, initialDelay = 1000, maxDelay = 30000, factor = 2, maxAttempts = 0 }) {
+    super();
+    this.connect = connect;
+    this.initialDelay = initialDelay;
+    this.maxDelay = maxDelay;
+    this.factor = factor;
+    this.maxAttempts = maxAttempts;
+    this.running = false;
+    this.attempts = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Start supervising and make the first connection attempt
+   * @returns {Promise<boolean>} Whether the first attempt connected
+   */
+  async start() {
+    this.running = true;
+    this.attempts = 0;
+    return this.attempt();
+  }
+
+  /**
+   * Stop supervising and cancel any scheduled retry
+   */
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Report that an established link went down
+   * @param {Error} err - Cause of the loss
+   */
+  connectionLost(err) {
+    if (!this.running || this.timer) {
+      return;
+    }
+
+    this.attempts = 0;
+    this.schedule(err);
+  }
+
+  /**
+   * Retry delay for the given failed attempt count
+   * @param {number} attempt - Number of failed attempts so far
+   * @returns {number} Delay in milliseconds
+   */
+  getDelay(attempt) {
+    return Math.min(this.maxDelay, this.initialDelay * Math.pow(this.factor, Math.max(0, attempt - 1)));
+  }
+
+  /**
+   * Try to connect once, scheduling a retry on failure
+   * @returns {Promise<boolean>} Whether the attempt connected
+   * @private
+   */
+  async attempt() {
+    this.timer = null;
+    if (!this.running) {
+      return false;
+    }
+
+    try {
+      await this.connect();
+      const attempts = this.attempts;
+      this.attempts = 0;
+      this.emit('connected', { attempts });
+      return true;
+    } catch (err) {
+      this.attempts++;
+      if (!this.running) {
+        return false;
+      }
+
+      if (this.maxAttempts > 0 && this.attempts >= this.maxAttempts) {
+        this.running = false;
+        this.emit('failed', { attempts: this.attempts, error: err });
+        return false;
+      }
+
+      this.schedule(err);
+      return false;
+    }
+  }
+
+  /**
+   * Schedule the next connection attempt
+   * @param {Error} err - Error that triggered the retry
+   * @private
+   */
+  schedule(err) {
+    const delay = this.getDelay(this.attempts);
+    this.emit('retry', { attempt: this.attempts + 1, delay, error: err });
+    this.timer = setTimeout(() => this.attempt(), delay);
+  }
+}
+
+export { ConnectionSupervisor };
@@ -0,0 +1,184 @@
+/**
+ * Event Stream
+ * Numbers the service events clients care about and keeps the most recent
+ * ones in memory, so SSE and WebSocket clients can resume after a
+ * disconnect from the last sequence number they saw.
+ *
+ * Streamed event:
+ *   { "seq": 42, "type": "door.opened", "data": { ... }, "timestamp": "..." }
+ *
+ * Before any event a subscriber receives a control message (no seq) with
+ * the latest sequence number:
+ *   { "type": "ready", "streamId": "...", "lastSeq": 41 }
+ * followed, when resuming lost events, by
+ *   { "type": "resync", "streamId": "...", "lastSeq": 41 }
+ * which tells the client to re-read GET /api/v1/cabinet/status.
+ *
+ * Sequence numbers restart at 1 with the process. The stream ID identifies
+ * the process that numbered them, so a client resuming against a restarted
+ * server is told to resync instead of being sent the wrong events.
+ */
+
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+
+/**
+ * Service events forwarded to stream clients
+ */
+const STREAM_EVENTS = [
+  'door.opened', 'door.closed', 'open.command', 'link', 'status.reset', 'tamper',
+  'alarm.raised', 'alarm.escalated', 'alarm.acknowledged', 'alarm.cleared',
+  'parcel.stored', 'parcel.collected', 'parcel.reminder', 'parcel.return'
+];
+
+/**
+ * Format an event ID as sent to clients (SSE id field, WebSocket eventId)
+ * @param {string} streamId - Stream the event belongs to
+ * @param {number} seq - Sequence number
+ * @returns {string} "<streamId>:<seq>"
+ */
+function formatEventId(streamId, seq) {
+  return `${streamId}:${seq}`;
+}
+
+/**
+ * Parse a client's last event ID
+ * Accepts "<streamId>:<seq>" as sent, or a bare sequence number
+ * @param {string} [id] - Last-Event-ID header or lastEventId parameter
+ * @returns {Object|null} { streamId, lastSeq }, null if absent or malformed
+ */
+function parseEventId(id) {
+  if (typeof id !== 'string' || !id) {
+    return null;
+  }
+
+  const separator = id.lastIndexOf(':');
+  const streamId = separator >= 0 ? id.slice(0, separator) : undefined;
+  const seq = id.slice(separator + 1);
+  if (!/^\d+$/.test(seq)) {
+    return null;
+  }
+  return { streamId, lastSeq: Number(seq) };
+}
+
+class EventStream extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.bufferSize] - Events kept for resuming clients
+   */
+  constructor({ bufferSize = parseInt(process.env.EVENT_BUFFER_SIZE || '1000') } = {}) {
+    super();
+    // Every SSE response and WebSocket adds a listener
+    this.setMaxListeners(0);
+    this.bufferSize = bufferSize;
+    this.streamId = randomUUID();
+    this.seq = 0;
+    this.buffer = [];
+    this.sources = new Set();
+    this.sourceListeners = Object.fromEntries(
+      STREAM_EVENTS.map(type => [type, (data) => this.publish(type, data)])
+    );
+  }
+
+  /**
+   * Stream events emitted by a source (the cabinet service, the alarm service)
+   * Attaching the same source twice does not duplicate its events
+   * @param {EventEmitter} source - Emitter of STREAM_EVENTS
+   */
+  attach(source) {
+    this.detach(source);
+    this.sources.add(source);
+    for (const [type, listener] of Object.entries(this.sourceListeners)) {
+      source.on(type, listener);
+    }
+  }
+
+  /**
+   * Stop streaming a source's events
+   * @param {EventEmitter} [source] - Source to detach; all sources if omitted
+   */
+  detach(source) {
+    const sources = source ? [source] : [...this.sources];
+    for (const detached of sources) {
+      if (!this.sources.delete(detached)) {
+        continue;
+      }
+      for (const [type, listener] of Object.entries(this.sourceListeners)) {
+        detached.off(type, listener);
+      }
+    }
+  }
+
+  /**
+   * Number an event, buffer it and emit it as 'event' to subscribers
+   * @param {string} type - Event type (e.g. 'door.opened')
+   * @param {Object} data - Event payload
+   * @returns {Object} Streamed event
+   */
+  publish(type, data) {
+    const event = {
+      seq: ++this.seq,
+      type,
+      data,
+      timestamp: data && data.timestamp ? data.timestamp : new Date().toISOString()
+    };
+
+    this.buffer.push(event);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift();
+    }
+
+    this.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Events after a sequence number, for a resuming client
+   * complete is false when events were missed: they have left the buffer,
+   * or the client's sequence number came from an earlier process
+   * @param {number} lastSeq - Last sequence number the client received
+   * @param {string} [streamId] - Stream ID the client received it from
+   * @returns {Object} { events, complete }
+   */
+  replay(lastSeq, streamId) {
+    if ((streamId && streamId !== this.streamId) || lastSeq > this.seq) {
+      return { events: [...this.buffer], complete: false };
+    }
+
+    const events = this.buffer.filter(event => event.seq > lastSeq);
+    const oldest = this.buffer.length > 0 ? this.buffer[0].seq : this.seq + 1;
+    return { events, complete: lastSeq >= oldest - 1 };
+  }
+
+  /**
+   * Send buffered events after the client's position, then live events
+   * @param {Object} position - { streamId?, lastSeq? } the client resumes from; empty for a new client
+   * @param {Function} send - Called with each control message and event, in order
+   * @returns {Function} Unsubscribe
+   */
+  subscribe({ streamId, lastSeq } = {}, send) {
+    send({ type: 'ready', streamId: this.streamId, lastSeq: this.seq });
+
+    if (lastSeq !== undefined && lastSeq !== null) {
+      const { events, complete } = this.replay(lastSeq, streamId);
+      if (!complete) {
+        send({ type: 'resync', streamId: this.streamId, lastSeq: this.seq });
+      }
+      events.forEach(send);
+    }
+
+    this.on('event', send);
+    return () => this.off('event', send);
+  }
+
+  /**
+   * Forget buffered events and restart numbering (does not detach)
+   */
+  clear() {
+    this.seq = 0;
+    this.buffer = [];
+  }
+}
+
+export { EventStream, STREAM_EVENTS, formatEventId, parseEventId };
+export default new EventStream();
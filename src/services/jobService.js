@@ -0,0 +1,197 @@
+/**
+ * Job Service
+ * Runs batch opens in the background so the HTTP request can return at
+ * once. Cabinets are opened one at a time and each one's result is
+ * recorded as it completes; a cancelled job stops before the next cabinet.
+ * Jobs live in memory and are not resumed after a restart.
+ *
+ * Job:
+ *   {
+ *     "id": "...", "type": "open", "status": "running",   // running | completed | cancelled
+ *     "cabinetIds": [4, 5, 6],
+ *     "progress": { "total": 3, "completed": 1, "opened": 1, "unconfirmed": 0, "failed": 0, "cancelled": 0 },
+ *     "results": [
+ *       { "id": 4, "status": "opened", "timestamp": "..." },   // or "unconfirmed" (see openCabinets)
+ *       { "id": 5, "status": "opening" },
+ *       { "id": 6, "status": "pending" }
+ *     ],
+ *     "createdAt": "...", "finishedAt": null
+ *   }
+ */
+
+import { randomUUID } from 'crypto';
+import cabinetService from './cabinetService.js';
+
+const JOB_STATUSES = ['running', 'completed', 'cancelled'];
+
+class JobService {
+  /**
+   * @param {Object} [options]
+   * @param {CabinetService} [options.service] - Service that opens the cabinets
+   * @param {number} [options.retention] - Finished jobs kept for GET /jobs/:id
+   */
+  constructor({ service = cabinetService, retention = parseInt(process.env.JOB_RETENTION || '100') } = {}) {
+    this.service = service;
+    this.retention = retention;
+    this.jobs = new Map();
+  }
+
+  /**
+   * Start opening cabinets in the background
+   * @param {Array<number>} cabinetIds - Validated cabinet IDs
+   * @param {Object} [options]
+   * @param {Function} [options.onFinish] - Called with the finished job (e.g. to audit it)
+   * @returns {Object} Job snapshot
+   */
+  createOpenJob(cabinetIds, { onFinish } = {}) {
+    const job = {
+      id: randomUUID(),
+      type: 'open',
+      status: 'running',
+      cabinetIds: [...cabinetIds],
+      results: cabinetIds.map(id => ({ id, status: 'pending' })),
+      createdAt: new Date().toISOString(),
+      finishedAt: null
+    };
+    this.jobs.set(job.id, job);
+    this.prune();
+
+    this.run(job)
+      .catch((err) => {
+        console.error(`Job ${job.id} failed:`, err.message);
+      })
+      .finally(() => {
+        job.finishedAt = new Date().toISOString();
+        if (job.status === 'running') {
+          job.status = 'completed';
+        }
+        if (onFinish) {
+          onFinish(this.snapshot(job));
+        }
+      });
+
+    return this.snapshot(job);
+  }
+
+  /**
+   * Open the job's cabinets one by one
+   * @param {Object} job - Job record (updated in place)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async run(job) {
+    for (const result of job.results) {
+      if (job.status !== 'running') {
+        return;
+      }
+
+      result.status = 'opening';
+      try {
+        const { opened, unconfirmed, failed } = await this.service.openCabinets([result.id]);
+        Object.assign(result, opened[0] || unconfirmed[0] || { ...failed[0], status: 'failed' });
+      } catch (err) {
+        Object.assign(result, { status: 'failed', error: err.message });
+      }
+    }
+  }
+
+  /**
+   * One job
+   * @param {string} id - Job ID
+   * @returns {Object|null} Job snapshot or null
+   */
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? this.snapshot(job) : null;
+  }
+
+  /**
+   * Recent jobs, newest first
+   * @param {Object} [filters]
+   * @param {string} [filters.status] - 'running', 'completed' or 'cancelled'
+   * @returns {Array<Object>} Job snapshots
+   */
+  list({ status } = {}) {
+    return [...this.jobs.values()]
+      .filter(job => !status || job.status === status)
+      .reverse()
+      .map(job => this.snapshot(job));
+  }
+
+  /**
+   * Cancel a running job
+   * Cabinets not yet started are marked cancelled; the open in progress
+   * finishes and keeps its result
+   * @param {string} id - Job ID
+   * @returns {Object|null} Job snapshot, or null if there is no such job
+   * @throws {Error} If the job has already finished
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return null;
+    }
+    if (job.status !== 'running') {
+      throw new Error(`Job ${id} is already ${job.status}`);
+    }
+
+    job.status = 'cancelled';
+    for (const result of job.results) {
+      if (result.status === 'pending') {
+        result.status = 'cancelled';
+      }
+    }
+    return this.snapshot(job);
+  }
+
+  /**
+   * Copy of a job with progress counters
+   * @param {Object} job - Job record
+   * @returns {Object} Snapshot
+   * @private
+   */
+  snapshot(job) {
+    const count = (status) => job.results.filter(result => result.status === status).length;
+    const progress = {
+      total: job.results.length,
+      completed: count('opened') + count('unconfirmed') + count('failed'),
+      opened: count('opened'),
+      unconfirmed: count('unconfirmed'),
+      failed: count('failed'),
+      cancelled: count('cancelled')
+    };
+
+    return {
+      ...job,
+      cabinetIds: [...job.cabinetIds],
+      progress,
+      results: job.results.map(result => ({ ...result }))
+    };
+  }
+
+  /**
+   * Drop the oldest finished jobs beyond the retention limit
+   * @private
+   */
+  prune() {
+    const finished = [...this.jobs.values()].filter(job => job.finishedAt !== null);
+    for (const job of finished.slice(0, Math.max(0, finished.length - this.retention))) {
+      this.jobs.delete(job.id);
+    }
+  }
+
+  /**
+   * Forget all jobs; running ones stop before their next cabinet
+   */
+  clear() {
+    for (const job of this.jobs.values()) {
+      if (job.status === 'running') {
+        job.status = 'cancelled';
+      }
+    }
+    this.jobs.clear();
+  }
+}
+
+export { JobService, JOB_STATUSES };
+export default new JobService();
@@ -0,0 +1,327 @@
+/**
+ * MQTT Bridge
+ * Mirrors cabinet state to an MQTT broker and accepts commands from it,
+ * for building automation systems that do not speak REST.
+ *
+ * Topics, under <prefix>/<site> (MQTT_TOPIC_PREFIX, MQTT_SITE):
+ *   <id>/state        retained  { id, board, channel, status, timestamp }
+ *   light/state       retained  { lights: { <board>: true|false }, timestamp }
+ *   link              retained  { state, previous, timestamp } of the serial link
+ *   bridge            retained  "online", or "offline" as the broker's last will
+ *   <id>/alarm/<type> retained  active left-open or tamper alarm; emptied when it clears
+ *   commands/open     in        { cabinetIds: [4, 5], requestId?, reason? }; opened as MQTT_ACTOR
+ *   commands/light    in        { on: true, requestId? }
+ *   replies/open      out       { requestId, status: "success"|"error", data? , error? }
+ *   replies/light     out       same shape as replies/open
+ */
+
+import mqtt from 'mqtt';
+import cabinetService from './cabinetService.js';
+import cabinetRegistry from './cabinetRegistry.js';
+import auditLog from './auditLog.js';
+import alarmService from './alarmService.js';
+import assignmentService from './assignmentService.js';
+
+/**
+ * Broker settings from the environment
+ * @returns {Object|null} Bridge options, or null when MQTT_URL is not set
+ */
+function getMqttConfig() {
+  if (!process.env.MQTT_URL) {
+    return null;
+  }
+
+  return {
+    url: process.env.MQTT_URL,
+    username: process.env.MQTT_USERNAME,
+    password: process.env.MQTT_PASSWORD,
+    clientId: process.env.MQTT_CLIENT_ID,
+    site: process.env.MQTT_SITE || 'default',
+    prefix: process.env.MQTT_TOPIC_PREFIX || 'cabinets',
+    actor: process.env.MQTT_ACTOR || 'mqtt'
+  };
+}
+
+class MqttBridge {
+  /**
+   * @param {Object} [options]
+   * @param {CabinetService} [options.service] - Service to mirror and command
+   * @param {AlarmService} [options.alarms] - Alarms to mirror
+   * @param {AssignmentService} [options.assignments] - Limits assigned lockers to their assignee
+   */
+  constructor({ service = cabinetService, alarms = alarmService, assignments = assignmentService } = {}) {
+    this.service = service;
+    this.alarms = alarms;
+    this.assignments = assignments;
+    // Every command comes from the broker, whatever the payload claims
+    this.actor = 'mqtt';
+    this.client = null;
+    this.base = null;
+    this.published = new Map();
+    this.listeners = {
+      status: (parsedStatus) => this.publishCabinets(Object.values(parsedStatus.cabinets)),
+      'open.command': ({ cabinetId, success }) => {
+        if (success) {
+          this.publishCabinets([this.service.cabinetStatus[cabinetId]]);
+        }
+      },
+      'status.reset': () => this.clearCabinets(),
+      'light.ack': () => this.publishLights(),
+      link: ({ state, previous, timestamp }) => this.publish('link', { state, previous, timestamp }, { retain: true })
+    };
+    const publishAlarm = (alarm) => this.publish(`${alarm.cabinetId}/alarm/${alarm.type}`, alarm, { retain: true });
+    this.alarmListeners = {
+      'alarm.raised': publishAlarm,
+      'alarm.escalated': publishAlarm,
+      'alarm.acknowledged': publishAlarm,
+      'alarm.cleared': (alarm) => this.publish(`${alarm.cabinetId}/alarm/${alarm.type}`, '', { retain: true })
+    };
+  }
+
+  /**
+   * Connect to the broker, publish current state and subscribe to commands
+   * The client reconnects on its own; state is republished and commands
+   * resubscribed on every connect
+   * @param {Object} options
+   * @param {string} options.url - Broker URL (mqtt://, mqtts://, ws://, wss://)
+   * @param {string} [options.username] - Broker username
+   * @param {string} [options.password] - Broker password
+   * @param {string} [options.clientId] - Client ID (random if omitted)
+   * @param {string} [options.site='default'] - Site segment of every topic
+   * @param {string} [options.prefix='cabinets'] - First segment of every topic
+   * @param {string} [options.actor='mqtt'] - Actor that commands are audited and checked as
+   * @returns {Promise<void>} Settles with the first connection attempt
+   */
+  async start({ url, username, password, clientId, site = 'default', prefix = 'cabinets', actor = 'mqtt' }) {
+    await this.stop();
+    this.base = `${prefix}/${site}`;
+    this.actor = actor;
+
+    const client = mqtt.connect(url, {
+      username,
+      password,
+      clientId,
+      will: { topic: `${this.base}/bridge`, payload: 'offline', qos: 1, retain: true }
+    });
+    this.client = client;
+
+    client.on('error', (err) => {
+      console.error('MQTT error:', err.message);
+    });
+    client.on('message', (topic, payload) => this.handleMessage(topic, payload));
+
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      this.service.on(event, listener);
+    }
+    for (const [event, listener] of Object.entries(this.alarmListeners)) {
+      this.alarms.on(event, listener);
+    }
+
+    await new Promise((resolve, reject) => {
+      client.on('connect', () => {
+        client.subscribe([`${this.base}/commands/open`, `${this.base}/commands/light`], { qos: 1 }, (err) => {
+          if (err) {
+            console.error('MQTT subscribe failed:', err.message);
+            reject(err);
+            return;
+          }
+          // Retained state may be stale after the broker restarted or the link dropped
+          this.publishAll();
+          console.log(`MQTT bridge connected to ${url} under ${this.base}/`);
+          resolve();
+        });
+      });
+      client.once('error', reject);
+    });
+  }
+
+  /**
+   * Publish offline and disconnect
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.client) {
+      return;
+    }
+
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      this.service.off(event, listener);
+    }
+    for (const [event, listener] of Object.entries(this.alarmListeners)) {
+      this.alarms.off(event, listener);
+    }
+
+    const client = this.client;
+    this.client = null;
+    this.published.clear();
+    if (client.connected) {
+      await client.publishAsync(`${this.base}/bridge`, 'offline', { qos: 1, retain: true });
+    }
+    await client.endAsync();
+  }
+
+  /**
+   * Publish a JSON payload under the bridge's base topic
+   * @param {string} topic - Topic below <prefix>/<site>
+   * @param {Object|string} payload - Payload; objects are sent as JSON
+   * @param {Object} [options] - Publish options (retain, qos)
+   * @private
+   */
+  publish(topic, payload, { retain = false, qos = 1 } = {}) {
+    if (!this.client) {
+      return;
+    }
+    const message = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    this.client.publish(`${this.base}/${topic}`, message, { retain, qos });
+  }
+
+  /**
+   * Publish bridge, link, light, every known cabinet state and active alarms
+   * @private
+   */
+  publishAll() {
+    this.publish('bridge', 'online', { retain: true });
+    this.publish('link', {
+      state: this.service.linkState,
+      previous: null,
+      timestamp: this.service.linkStateSince
+    }, { retain: true });
+    this.publishLights();
+    this.published.clear();
+    this.publishCabinets(Object.values(this.service.cabinetStatus));
+    for (const alarm of this.alarms.list()) {
+      this.publish(`${alarm.cabinetId}/alarm/${alarm.type}`, alarm, { retain: true });
+    }
+  }
+
+  /**
+   * Publish retained state for cabinets whose status changed since last published
+   * @param {Array<Object>} cabinets - Status entries
+   * @private
+   */
+  publishCabinets(cabinets) {
+    for (const cabinet of cabinets) {
+      if (!cabinet || this.published.get(String(cabinet.id)) === cabinet.status) {
+        continue;
+      }
+
+      this.published.set(String(cabinet.id), cabinet.status);
+      const { id, board, channel, status, timestamp } = cabinet;
+      this.publish(`${id}/state`, { id: Number(id), board, channel, status, timestamp }, { retain: true });
+    }
+  }
+
+  /**
+   * Clear retained cabinet state after a status reset
+   * @private
+   */
+  clearCabinets() {
+    for (const id of this.published.keys()) {
+      // An empty retained message deletes the retained state
+      this.publish(`${id}/state`, '', { retain: true });
+    }
+    this.published.clear();
+  }
+
+  /**
+   * Publish retained light state
+   * @private
+   */
+  publishLights() {
+    this.publish('light/state', { lights: this.service.lightStatus, timestamp: new Date().toISOString() }, { retain: true });
+  }
+
+  /**
+   * Run a command message and publish the reply
+   * @param {string} topic - Full topic
+   * @param {Buffer} payload - Message payload
+   * @returns {Promise<void>}
+   * @private
+   */
+  async handleMessage(topic, payload) {
+    const command = topic.slice(`${this.base}/commands/`.length);
+    let request;
+    try {
+      request = JSON.parse(payload.toString());
+    } catch (err) {
+      request = null;
+    }
+
+    if (!request || typeof request !== 'object') {
+      this.publish(`replies/${command}`, { requestId: null, status: 'error', error: 'Payload must be a JSON object' });
+      return;
+    }
+
+    const requestId = request.requestId ?? null;
+    try {
+      const data = command === 'open' ? await this.open(request) : await this.setLight(request);
+      this.publish(`replies/${command}`, { requestId, status: 'success', data });
+    } catch (err) {
+      this.publish(`replies/${command}`, { requestId, status: 'error', error: err.message });
+    }
+  }
+
+  /**
+   * Handle commands/open; audited and checked against assignments like
+   * POST /cabinet/open, as the configured actor (an admin if it is listed in
+   * ADMIN_ACTORS). The broker does not prove who published the payload, so
+   * an actor field in it is ignored
+   * @param {Object} request - { cabinetIds, requestId?, reason? }
+   * @returns {Promise<Object>} { opened, unconfirmed, failed }
+   * @throws {Error} If the request is invalid or the cabinets cannot be opened
+   * @private
+   */
+  async open({ cabinetIds, requestId = null, reason = null }) {
+    if (!Array.isArray(cabinetIds) || cabinetIds.length === 0) {
+      throw new Error('cabinetIds must be a non-empty array');
+    }
+
+    const actor = this.actor;
+    const audit = (fields) => auditLog.record({ requestId, actor, ip: null, reason, cabinetIds, ...fields });
+
+    const disabled = cabinetIds.filter(id => !cabinetRegistry.isEnabled(id));
+    if (disabled.length > 0) {
+      const error = `Cabinets ${disabled.join(', ')} are disabled in the registry`;
+      audit({ outcome: 'rejected', error });
+      throw new Error(error);
+    }
+
+    const refused = this.assignments.checkAccess(cabinetIds, actor);
+    if (refused.length > 0) {
+      const error = refused
+        .map(({ id, assignee }) => (assignee ? `Cabinet ${id} is assigned to ${assignee}` : `Cabinet ${id} is not assigned to ${actor}`))
+        .join('; ');
+      audit({ outcome: 'rejected', error });
+      throw new Error(error);
+    }
+
+    try {
+      const result = await this.service.openCabinets(cabinetIds);
+      audit({ outcome: 'completed', opened: result.opened.map(cabinet => cabinet.id), unconfirmed: result.unconfirmed.map(cabinet => cabinet.id), failed: result.failed });
+      return result;
+    } catch (err) {
+      audit({ outcome: 'error', error: err.message });
+      throw err;
+    }
+  }
+
+  /**
+   * Handle commands/light
+   * @param {Object} request - { on, requestId? }
+   * @returns {Promise<Object>} { lightOn }
+   * @throws {Error} If the request is invalid or the board did not acknowledge
+   * @private
+   */
+  async setLight({ on }) {
+    if (typeof on !== 'boolean') {
+      throw new Error('on must be a boolean');
+    }
+
+    await this.service.setLightStatus(on);
+    this.publishLights();
+    return { lightOn: on };
+  }
+}
+
+export { MqttBridge, getMqttConfig };
+export default new MqttBridge();
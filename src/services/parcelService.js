@@ -0,0 +1,511 @@
+/**
+ * Parcel Service
+ * Mail room workflow on top of the lockers:
+ *   1. A courier starts a drop-off: a free locker of the parcel's size is
+ *      picked by the allocation service and opened.
+ *   2. With the parcel inside and the door closed, the courier stores it
+ *      for a recipient; this returns a one-time pickup code.
+ *   3. The recipient enters the code: the locker opens and the code is spent.
+ * Stored parcels send a reminder every PARCEL_REMINDER_HOURS and are marked
+ * for return after PARCEL_EXPIRY_HOURS, which also voids the code.
+ *
+ * Parcel:
+ *   {
+ *     "id": "...", "cabinetId": 12, "status": "stored",
+ *     "courier": "dhl-route-7", "recipient": "j.doe",
+ *     "createdAt": "...", "storedAt": "...", "collectedAt": null,
+ *     "reminders": 1, "lastReminderAt": "...", "returnAt": null, "returnedAt": null
+ *   }
+ * Statuses: awaiting-drop, stored, collecting (pickup in progress), collected,
+ * return (marked for return), returned (taken back by staff), cancelled.
+ *
+ * Only a SHA-256 hash of each code is kept. Parcels are saved to
+ * $DATA_DIR/parcels.json.
+ */
+
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import cabinetService from './cabinetService.js';
+import allocationService from './allocationService.js';
+import auditLog from './auditLog.js';
+import { readJsonFile, writeJsonFile } from '../utils/jsonFile.js';
+
+const PARCEL_STATUSES = ['awaiting-drop', 'stored', 'collecting', 'collected', 'return', 'returned', 'cancelled'];
+
+/**
+ * Statuses in which a parcel takes up its locker
+ */
+const OCCUPYING_STATUSES = ['awaiting-drop', 'stored', 'collecting', 'return'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Hash a pickup code for storage and lookup
+ * @param {string} code - Pickup code
+ * @returns {string} Hex SHA-256
+ */
+function hashCode(code) {
+  return crypto.createHash('sha256').update(String(code)).digest('hex');
+}
+
+class ParcelService extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {CabinetService} [options.service] - Service that opens the lockers
+   * @param {AllocationService} [options.allocator] - Picks the locker for a drop-off
+   * @param {number} [options.reminderHours] - Hours between reminders for a stored parcel
+   * @param {number} [options.expiryHours] - Hours after which a stored parcel is marked for return
+   * @param {number} [options.codeLength] - Digits in a pickup code
+   * @param {number} [options.maxAttempts] - Wrong codes per client before a lockout
+   * @param {number} [options.lockout] - Lockout length in milliseconds, from the failure that reached maxAttempts
+   * @param {number} [options.interval] - Milliseconds between reminder sweeps
+   */
+  constructor({
+    service = cabinetService,
+    allocator = allocationService,
+    reminderHours = parseFloat(process.env.PARCEL_REMINDER_HOURS || '24'),
+    expiryHours = parseFloat(process.env.PARCEL_EXPIRY_HOURS || '72'),
+    codeLength = parseInt(process.env.PARCEL_CODE_LENGTH || '6'),
+    maxAttempts = parseInt(process.env.PICKUP_MAX_ATTEMPTS || '5'),
+    lockout = parseInt(process.env.PICKUP_LOCKOUT_MS || '900000'),
+    interval = parseInt(process.env.PARCEL_SWEEP_INTERVAL_MS || '300000')
+  } = {}) {
+    super();
+    this.service = service;
+    this.allocator = allocator;
+    this.reminderHours = reminderHours;
+    this.expiryHours = expiryHours;
+    this.codeLength = codeLength;
+    this.maxAttempts = maxAttempts;
+    this.lockout = lockout;
+    this.interval = interval;
+    this.file = null;
+    this.parcels = new Map();
+    // Client key -> { count, since } of wrong pickup codes
+    this.failures = new Map();
+    this.timer = null;
+  }
+
+  /**
+   * Load parcels from disk; later changes are saved back to the file
+   * A missing file starts with no parcels. A pickup cut off by a restart may
+   * or may not have opened its locker and its code is spent, so the parcel
+   * is marked for return for staff to check
+   * @param {string} file - Parcels file (e.g. data/parcels.json)
+   */
+  load(file) {
+    const data = readJsonFile(file, { parcels: [] });
+    this.file = file;
+    this.parcels = new Map(data.parcels.map(parcel => [parcel.id, parcel]));
+    const interrupted = [...this.parcels.values()].filter(parcel => parcel.status === 'collecting');
+    interrupted.forEach(parcel => Object.assign(parcel, { status: 'return', returnAt: new Date().toISOString() }));
+    if (interrupted.length > 0) {
+      console.warn(`Parcels marked for return after an interrupted pickup: ${interrupted.map(parcel => parcel.id).join(', ')}`);
+      this.save();
+    }
+    console.log(`Parcels loaded: ${this.parcels.size} from ${file}`);
+  }
+
+  /**
+   * Write parcels to their file, if one was loaded
+   * @private
+   */
+  save() {
+    if (!this.file) {
+      return;
+    }
+    writeJsonFile(this.file, { parcels: [...this.parcels.values()] });
+  }
+
+  /**
+   * Send reminders and mark expired parcels in the background
+   */
+  start() {
+    this.stop();
+    if (this.interval > 0) {
+      this.timer = setInterval(() => this.sweep(), this.interval);
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Stop the reminder sweep
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Copy of a parcel without its code hash
+   * @param {Object} parcel - Stored parcel
+   * @returns {Object}
+   * @private
+   */
+  snapshot({ codeHash, ...parcel }) {
+    return parcel;
+  }
+
+  /**
+   * Parcels, newest first
+   * @param {Object} [filters]
+   * @param {string} [filters.status] - Only parcels with this status
+   * @param {string} [filters.recipient] - Only parcels for this recipient
+   * @returns {Array<Object>} Parcels
+   */
+  list({ status, recipient } = {}) {
+    return [...this.parcels.values()]
+      .filter(parcel => status === undefined || parcel.status === status)
+      .filter(parcel => recipient === undefined || parcel.recipient === recipient)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(parcel => this.snapshot(parcel));
+  }
+
+  /**
+   * One parcel
+   * @param {string} id - Parcel ID
+   * @returns {Object|null} Parcel or null
+   */
+  get(id) {
+    const parcel = this.parcels.get(id);
+    return parcel ? this.snapshot(parcel) : null;
+  }
+
+  /**
+   * Lockers taken by a parcel (awaiting its drop, stored, being collected or
+   * marked for return)
+   * @returns {Array<number>} Cabinet IDs
+   */
+  listOccupiedLockers() {
+    return [...this.parcels.values()]
+      .filter(parcel => OCCUPYING_STATUSES.includes(parcel.status))
+      .map(parcel => parcel.cabinetId);
+  }
+
+  /**
+   * Lockers a parcel may go into: free lockers (see AllocationService) that
+   * hold no parcel, by ID
+   * @returns {Array<number>} Cabinet IDs
+   */
+  listFreeLockers() {
+    return this.allocator.listFree({ exclude: this.listOccupiedLockers() }).map(locker => locker.id);
+  }
+
+  /**
+   * Pick a free locker and open it for a courier
+   * @param {Object} context
+   * @param {string} context.courier - Actor dropping off
+   * @param {string} [context.size] - Smallest size class the parcel fits in
+   * @param {string} [context.zone] - Preferred zone
+   * @param {string} [context.requestId] - Request ID for the audit log
+   * @param {string} [context.ip] - Client address for the audit log
+   * @returns {Promise<Object|null>} Parcel awaiting the drop, or null if no locker is free
+   * @throws {Error} If the locker did not open
+   */
+  async startDropOff({ courier, size, zone, requestId = null, ip = null }) {
+    const locker = this.allocator.allocate({ size, zone, exclude: this.listOccupiedLockers() });
+    if (!locker) {
+      return null;
+    }
+
+    const parcel = {
+      id: crypto.randomUUID(),
+      cabinetId: locker.id,
+      status: 'awaiting-drop',
+      courier,
+      recipient: null,
+      createdAt: new Date().toISOString(),
+      storedAt: null,
+      collectedAt: null,
+      reminders: 0,
+      lastReminderAt: null,
+      returnAt: null,
+      returnedAt: null,
+      codeHash: null
+    };
+    // Reserve the locker before the open, so a concurrent drop-off picks another
+    this.parcels.set(parcel.id, parcel);
+
+    try {
+      await this.open(parcel, { actor: courier, reason: `Parcel drop-off ${parcel.id}`, requestId, ip });
+    } catch (err) {
+      this.parcels.delete(parcel.id);
+      throw err;
+    }
+
+    this.save();
+    return this.snapshot(parcel);
+  }
+
+  /**
+   * Open a parcel's locker through the service, audited like any open
+   * @param {Object} parcel - Stored parcel
+   * @param {Object} context - { actor, reason, requestId, ip }
+   * @returns {Promise<void>}
+   * @throws {Error} If the locker did not open
+   * @private
+   */
+  async open(parcel, { actor, reason, requestId, ip }) {
+    const cabinetIds = [parcel.cabinetId];
+    const audit = (fields) => auditLog.record({ requestId, actor, ip, reason, cabinetIds, ...fields });
+
+    let result;
+    try {
+      result = await this.service.openCabinets(cabinetIds);
+    } catch (err) {
+      audit({ outcome: 'error', error: err.message });
+      throw err;
+    }
+
+    audit({
+      outcome: 'completed',
+      opened: result.opened.map(cabinet => cabinet.id),
+      unconfirmed: result.unconfirmed.map(cabinet => cabinet.id),
+      failed: result.failed
+    });
+    if (result.opened.length === 0) {
+      const error = result.unconfirmed.length > 0 ? 'the door did not read open' : result.failed[0].error;
+      throw new Error(`Locker ${parcel.cabinetId} did not open: ${error}`);
+    }
+  }
+
+  /**
+   * Whether a locker's door reads closed, re-reading the boards if connected
+   * @param {number} cabinetId - Logical cabinet ID
+   * @returns {Promise<boolean>}
+   */
+  async isDoorClosed(cabinetId) {
+    await this.service.getCabinetStatus(true);
+    const door = this.service.cabinetStatus[cabinetId];
+    return Boolean(door) && door.status === 'close';
+  }
+
+  /**
+   * Register a dropped-off parcel for its recipient
+   * @param {string} id - Parcel ID (awaiting-drop, door closed)
+   * @param {string} recipient - Who may collect it
+   * @returns {Object|null} { parcel, code } with the one-time pickup code, or null if there is no such parcel
+   * @throws {Error} If the parcel is not awaiting its drop
+   */
+  store(id, recipient) {
+    const parcel = this.parcels.get(id);
+    if (!parcel) {
+      return null;
+    }
+    if (parcel.status !== 'awaiting-drop') {
+      throw new Error(`Parcel ${id} is already ${parcel.status}`);
+    }
+
+    const code = this.generateCode();
+    Object.assign(parcel, {
+      status: 'stored',
+      recipient,
+      storedAt: new Date().toISOString(),
+      codeHash: hashCode(code)
+    });
+    this.save();
+    this.emit('parcel.stored', this.snapshot(parcel));
+    return { parcel: this.snapshot(parcel), code };
+  }
+
+  /**
+   * Random numeric code not held by any other uncollected parcel
+   * @returns {string} Code
+   * @private
+   */
+  generateCode() {
+    const active = new Set([...this.parcels.values()].map(parcel => parcel.codeHash).filter(Boolean));
+    for (;;) {
+      const code = String(crypto.randomInt(0, 10 ** this.codeLength)).padStart(this.codeLength, '0');
+      if (!active.has(hashCode(code))) {
+        return code;
+      }
+    }
+  }
+
+  /**
+   * Abandon a drop-off that was never stored; the locker is free again
+   * @param {string} id - Parcel ID
+   * @returns {Object|null} Parcel or null
+   * @throws {Error} If the parcel is not awaiting its drop
+   */
+  cancel(id) {
+    const parcel = this.parcels.get(id);
+    if (!parcel) {
+      return null;
+    }
+    if (parcel.status !== 'awaiting-drop') {
+      throw new Error(`Parcel ${id} is already ${parcel.status}`);
+    }
+
+    parcel.status = 'cancelled';
+    this.save();
+    return this.snapshot(parcel);
+  }
+
+  /**
+   * Record that staff took back a parcel marked for return; frees the locker
+   * @param {string} id - Parcel ID
+   * @param {string} actor - Staff member
+   * @returns {Object|null} Parcel or null
+   * @throws {Error} If the parcel is not marked for return
+   */
+  markReturned(id, actor) {
+    const parcel = this.parcels.get(id);
+    if (!parcel) {
+      return null;
+    }
+    if (parcel.status !== 'return') {
+      throw new Error(`Parcel ${id} is ${parcel.status}, not marked for return`);
+    }
+
+    Object.assign(parcel, { status: 'returned', returnedAt: new Date().toISOString(), returnedBy: actor });
+    this.save();
+    return this.snapshot(parcel);
+  }
+
+  /**
+   * Whether a client has entered too many wrong codes recently
+   * @param {string} key - Client key (e.g. IP address)
+   * @param {number} [now=Date.now()] - Current time in milliseconds
+   * @returns {boolean}
+   */
+  isLockedOut(key, now = Date.now()) {
+    const failures = this.failures.get(key);
+    if (failures && this.isExpired(failures, now)) {
+      this.failures.delete(key);
+      return false;
+    }
+    return Boolean(failures) && failures.lockedAt !== null;
+  }
+
+  /**
+   * Whether a client's failures no longer count: the lockout runs from the
+   * failure that reached the limit, and failures below the limit are
+   * forgotten one lockout window after the first of them
+   * @param {Object} failures - { count, since, lockedAt }
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean}
+   * @private
+   */
+  isExpired(failures, now) {
+    return now - (failures.lockedAt ?? failures.since) >= this.lockout;
+  }
+
+  /**
+   * Count a wrong code against a client, and lock it out once it reaches
+   * maxAttempts; expired entries of all clients are dropped first
+   * @param {string} key - Client key (e.g. IP address)
+   * @param {number} now - Current time in milliseconds
+   * @private
+   */
+  recordFailure(key, now) {
+    for (const [client, failures] of this.failures) {
+      if (this.isExpired(failures, now)) {
+        this.failures.delete(client);
+      }
+    }
+
+    const failures = this.failures.get(key) || { count: 0, since: now, lockedAt: null };
+    failures.count++;
+    if (failures.count >= this.maxAttempts && failures.lockedAt === null) {
+      failures.lockedAt = now;
+    }
+    this.failures.set(key, failures);
+  }
+
+  /**
+   * Stored parcel a pickup code belongs to
+   * A wrong code counts against the client
+   * @param {string} code - Pickup code
+   * @param {string} key - Client key (e.g. IP address)
+   * @param {number} [now=Date.now()] - Current time in milliseconds
+   * @returns {Object|null} Parcel or null
+   */
+  findByCode(code, key, now = Date.now()) {
+    const codeHash = hashCode(code);
+    const parcel = [...this.parcels.values()].find(candidate => candidate.status === 'stored' && candidate.codeHash === codeHash);
+    if (parcel) {
+      return this.snapshot(parcel);
+    }
+
+    this.recordFailure(key, now);
+    return null;
+  }
+
+  /**
+   * Open a stored parcel's locker for its recipient and spend the code
+   * The code is spent before the open is sent, so a second pickup with the
+   * same code cannot open the locker again; it is given back if the locker
+   * does not open
+   * @param {string} id - Parcel ID (from findByCode)
+   * @param {Object} [context] - { requestId, ip } for the audit log
+   * @returns {Promise<Object>} Collected parcel
+   * @throws {Error} If the parcel is not stored or the locker did not open
+   */
+  async pickup(id, { requestId = null, ip = null } = {}) {
+    const parcel = this.parcels.get(id);
+    if (!parcel || parcel.status !== 'stored') {
+      throw new Error(`Parcel ${id} is ${parcel ? parcel.status : 'unknown'}, not stored`);
+    }
+
+    const { codeHash } = parcel;
+    Object.assign(parcel, { status: 'collecting', codeHash: null });
+    this.save();
+    try {
+      await this.open(parcel, { actor: parcel.recipient, reason: `Parcel pickup ${parcel.id}`, requestId, ip });
+    } catch (err) {
+      Object.assign(parcel, { status: 'stored', codeHash });
+      this.save();
+      throw err;
+    }
+
+    Object.assign(parcel, { status: 'collected', collectedAt: new Date().toISOString() });
+    this.save();
+    this.emit('parcel.collected', this.snapshot(parcel));
+    return this.snapshot(parcel);
+  }
+
+  /**
+   * Remind recipients of uncollected parcels and mark expired ones for return
+   * Runs every interval; tests call it with a fixed time
+   * @param {number} [now=Date.now()] - Current time in milliseconds
+   */
+  sweep(now = Date.now()) {
+    let changed = false;
+    for (const parcel of this.parcels.values()) {
+      if (parcel.status !== 'stored') {
+        continue;
+      }
+
+      if (now - Date.parse(parcel.storedAt) >= this.expiryHours * HOUR_MS) {
+        Object.assign(parcel, { status: 'return', returnAt: new Date(now).toISOString(), codeHash: null });
+        this.emit('parcel.return', this.snapshot(parcel));
+        changed = true;
+      } else if (now - Date.parse(parcel.lastReminderAt || parcel.storedAt) >= this.reminderHours * HOUR_MS) {
+        parcel.reminders++;
+        parcel.lastReminderAt = new Date(now).toISOString();
+        this.emit('parcel.reminder', this.snapshot(parcel));
+        changed = true;
+      }
+    }
+
+    if (changed) {
+      this.save();
+    }
+  }
+
+  /**
+   * Forget all parcels and lockouts (does not touch the file)
+   */
+  clear() {
+    this.parcels.clear();
+    this.failures.clear();
+    this.file = null;
+  }
+}
+
+export { ParcelService, PARCEL_STATUSES };
+export default new ParcelService();
@@ -0,0 +1,132 @@
+/**
+ * Port Discovery
+ * Enumerates serial ports and probes each one with a 0x51 status query to
+ * find the port the lock board answers on
+ */
+
+import { SerialPort } from 'serialport';
+import { SerialTransport } from '../transports/serialTransport.js';
+import { FrameDecoder } from '../utils/frameDecoder.js';
+import { INSTRUCTIONS, DEFAULT_FRAMING, buildSerialFrame, bufferToHexString } from '../utils/serialPort.js';
+
+/**
+ * List serial ports known to the OS
+ * @returns {Promise<Array<Object>>} Ports as { path, manufacturer, serialNumber, vendorId, productId }
+ */
+async function listCandidates() {
+  const ports = await SerialPort.list();
+  return ports.map(({ path, manufacturer, serialNumber, vendorId, productId }) => ({
+    path,
+    manufacturer: manufacturer || null,
+    serialNumber: serialNumber || null,
+    vendorId: vendorId || null,
+    productId: productId || null
+  }));
+}
+
+/**
+ * Send a status query to one port and wait for a CRC-valid status reply
+ * @param {string} path - Serial device path
+ * @param {Object} [options]
+ * @param {number} [options.baudRate=9600] - Baud rate
+ * @param {number} [options.boardAddress=0x00] - Board address to query
+ * @param {number} [options.timeout=1000] - Milliseconds to wait for the reply
+ * @param {Object} [options.framing] - Header and CRC variant of the board's protocol profile
+ * @returns {Promise<Object>} { path, ok, responseTimeMs?, reply?, error? }
+ */
+function probePort(path, { baudRate = 9600, boardAddress = 0x00, timeout = 1000, framing = DEFAULT_FRAMING } = {}) {
+  return new Promise((resolve) => {
+    const decoder = new FrameDecoder(framing);
+    const started = Date.now();
+    let transport;
+    let timer;
+    let settled = false;
+
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (transport && transport.isOpen) {
+        transport.close(() => resolve({ path, ...result }));
+      } else {
+        resolve({ path, ...result });
+      }
+    };
+
+    try {
+      transport = new SerialTransport({ path, baudRate });
+    } catch (err) {
+      finish({ ok: false, error: err.message });
+      return;
+    }
+
+    transport.on('error', (err) => finish({ ok: false, error: err.message }));
+    transport.on('data', (data) => {
+      // Only frames that pass the CRC check come out of the decoder
+      const reply = decoder.decode(data).find(frame =>
+        frame[3] === boardAddress && frame[4] === INSTRUCTIONS.STATUS && frame[2] >= 3
+      );
+      if (reply) {
+        finish({ ok: true, responseTimeMs: Date.now() - started, reply: bufferToHexString(reply) });
+      }
+    });
+    transport.on('open', () => {
+      timer = setTimeout(() => finish({ ok: false, error: `No valid reply within ${timeout}ms` }), timeout);
+      transport.write(buildSerialFrame([], boardAddress, INSTRUCTIONS.STATUS, framing), (err) => {
+        if (err) finish({ ok: false, error: err.message });
+      });
+    });
+  });
+}
+
+/**
+ * List every port with its probe result
+ * Ports in the skip list (e.g. the one the service already holds) are
+ * reported without probing
+ * @param {Object} [options] - Probe options plus skip (Array<string>)
+ * @returns {Promise<Array<Object>>} Candidates with a probe field
+ */
+async function probeAll({ skip = [], ...options } = {}) {
+  const candidates = await listCandidates();
+  const results = [];
+
+  // One port at a time: probing opens each device exclusively
+  for (const candidate of candidates) {
+    if (skip.includes(candidate.path)) {
+      results.push({ ...candidate, inUse: true, probe: null });
+      continue;
+    }
+
+    const { path, ...probe } = await probePort(candidate.path, options);
+    results.push({ ...candidate, inUse: false, probe });
+  }
+
+  return results;
+}
+
+/**
+ * Find the first port a lock board answers on
+ * @param {Object} [options] - Probe options
+ * @returns {Promise<string>} Port path
+ * @throws {Error} If no port answered
+ */
+async function discoverPort(options = {}) {
+  const candidates = await listCandidates();
+
+  for (const candidate of candidates) {
+    const result = await probePort(candidate.path, options);
+    if (result.ok) {
+      console.log(`Lock board found on ${candidate.path} (${result.responseTimeMs}ms)`);
+      return candidate.path;
+    }
+  }
+
+  throw new Error(`No lock board answered on any serial port (${candidates.length} probed)`);
+}
+
+export {
+  listCandidates,
+  probePort,
+  probeAll,
+  discoverPort
+};
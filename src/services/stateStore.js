@@ -0,0 +1,359 @@
+/**
+ * State Store
+ * Append-only history of open commands, observed door transitions,
+ * tamper detections and status resets, one JSON line per event. Replaying the file at boot
+ * rebuilds the last-known state of every cabinet, so status survives
+ * restarts; the same file answers history queries. Replay also counts
+ * successful opens per cabinet (door wear) and notes lockers whose last open
+ * was acknowledged but never seen open (faults); both survive resets.
+ *
+ * Once the file reaches HISTORY_MAX_BYTES it is rotated: it becomes
+ * <file>.1 (replacing the previous one) and a new file is started with a
+ * snapshot line holding the derived state, so boot only replays the current
+ * file. History queries read <file>.1 and the current file.
+ *
+ * Event lines:
+ *   {"time":"...","type":"open","cabinetId":4,"board":0,"channel":4,"success":true,"verification":"confirmed"}
+ *   {"time":"...","type":"transition","cabinetId":4,"board":0,"channel":4,"from":"open","to":"close"}
+ *   {"time":"...","type":"tamper","cabinetId":4,"board":0,"channel":4,"lastKnownState":{...},"lastOpenAt":"...","sinceLastOpenMs":5400000}
+ *   {"time":"...","type":"reset"}
+ *   {"time":"...","type":"snapshot","state":{...},"lastOpens":{...},"openCounts":{...},"faults":{...}}
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+
+const EVENT_TYPES = ['open', 'transition', 'reset', 'tamper'];
+
+class StateStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxBytes] - History file size that triggers a rotation, 0 = never
+   */
+  constructor({ maxBytes = parseInt(process.env.HISTORY_MAX_BYTES || '10485760') } = {}) {
+    this.maxBytes = maxBytes;
+    this.file = null;
+    this.size = 0;
+    this.state = {};
+    this.lastOpens = {};
+    this.openCounts = {};
+    this.faults = {};
+    this.service = null;
+    this.listeners = {
+      'open.command': (event) => this.recordOpen(event),
+      status: (parsedStatus) => this.recordStatus(parsedStatus),
+      tamper: ({ timestamp, ...tamper }) => this.append({ time: timestamp, type: 'tamper', ...tamper }),
+      'status.reset': ({ timestamp }) => this.append({ time: timestamp, type: 'reset' })
+    };
+  }
+
+  /**
+   * Open the history file and rebuild state from it
+   * Unparseable lines (e.g. a line cut short by a crash) are skipped
+   * @param {string} file - History file (e.g. data/history.jsonl)
+   */
+  open(file) {
+    this.file = file;
+    this.size = 0;
+    this.state = {};
+    this.lastOpens = {};
+    this.openCounts = {};
+    this.faults = {};
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    // A crash between the renames of a rotation leaves the new file behind
+    if (!fs.existsSync(file) && fs.existsSync(`${file}.tmp`)) {
+      fs.renameSync(`${file}.tmp`, file);
+    }
+    if (!fs.existsSync(file)) {
+      return;
+    }
+
+    let skipped = 0;
+    const content = fs.readFileSync(file, 'utf8');
+    this.size = Buffer.byteLength(content);
+    for (const line of content.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        this.apply(JSON.parse(line));
+      } catch (err) {
+        skipped++;
+      }
+    }
+
+    console.log(`State store loaded: ${Object.keys(this.state).length} cabinets from ${file}${skipped ? ` (${skipped} bad lines skipped)` : ''}`);
+  }
+
+  /**
+   * Record events emitted by a cabinet service
+   * @param {EventEmitter} service - CabinetService instance
+   */
+  attach(service) {
+    this.detach();
+    this.service = service;
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      service.on(event, listener);
+    }
+  }
+
+  /**
+   * Stop recording service events
+   */
+  detach() {
+    if (!this.service) {
+      return;
+    }
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      this.service.off(event, listener);
+    }
+    this.service = null;
+  }
+
+  /**
+   * Last-known state of every cabinet, keyed by cabinet ID
+   * @returns {Object} Status entries as { id, board, channel, status, timestamp }
+   */
+  getState() {
+    return Object.fromEntries(
+      Object.entries(this.state).map(([id, entry]) => [id, { ...entry }])
+    );
+  }
+
+  /**
+   * Time of the last successful open of every cabinet; survives resets
+   * @returns {Object} ISO timestamps keyed by cabinet ID
+   */
+  getLastOpens() {
+    return { ...this.lastOpens };
+  }
+
+  /**
+   * Number of successful opens of every cabinet; survives resets
+   * @returns {Object} Counts keyed by cabinet ID
+   */
+  getOpenCounts() {
+    return { ...this.openCounts };
+  }
+
+  /**
+   * Cabinets whose last open was acknowledged but never read open
+   * (verification 'unconfirmed'); cleared by a confirmed open or by the
+   * door being seen open. Survives resets
+   * @returns {Object} { time, error } keyed by cabinet ID
+   */
+  getFaults() {
+    return Object.fromEntries(
+      Object.entries(this.faults).map(([id, fault]) => [id, { ...fault }])
+    );
+  }
+
+  /**
+   * Append an event and apply it to the state
+   * Writes are synchronous so an event is on disk before the next one
+   * @param {Object} event - Event with time and type
+   */
+  append(event) {
+    this.apply(event);
+    if (!this.file) {
+      return;
+    }
+
+    const line = `${JSON.stringify(event)}\n`;
+    fs.appendFileSync(this.file, line);
+    this.size += Buffer.byteLength(line);
+    if (this.maxBytes > 0 && this.size >= this.maxBytes) {
+      this.rotate();
+    }
+  }
+
+  /**
+   * Move the history file to <file>.1 and start a new one with a snapshot
+   * of the current state, so replay at boot stays bounded
+   * The new file is written first and renamed into place, so a crash leaves
+   * either the old file or the new one
+   * @private
+   */
+  rotate() {
+    const snapshot = {
+      time: new Date().toISOString(),
+      type: 'snapshot',
+      state: this.getState(),
+      lastOpens: this.getLastOpens(),
+      openCounts: this.getOpenCounts(),
+      faults: this.getFaults()
+    };
+    const line = `${JSON.stringify(snapshot)}\n`;
+
+    fs.writeFileSync(`${this.file}.tmp`, line);
+    fs.renameSync(this.file, `${this.file}.1`);
+    fs.renameSync(`${this.file}.tmp`, this.file);
+    this.size = Buffer.byteLength(line);
+  }
+
+  /**
+   * Record an open command
+   * @param {Object} command - 'open.command' payload
+   * @private
+   */
+  recordOpen({ cabinetId, board, channel, success, verification, error, timestamp }) {
+    this.append({
+      time: timestamp,
+      type: 'open',
+      cabinetId,
+      board: board ?? null,
+      channel: channel ?? null,
+      success,
+      ...(verification ? { verification } : {}),
+      ...(error ? { error } : {})
+    });
+  }
+
+  /**
+   * Record door states that differ from the last known ones
+   * A cabinet seen for the first time is recorded with from: null
+   * @param {Object} parsedStatus - 'status' payload
+   * @private
+   */
+  recordStatus(parsedStatus) {
+    for (const cabinet of Object.values(parsedStatus.cabinets)) {
+      const known = this.state[cabinet.id];
+      // An 'opened' command counts as open until a poll says otherwise
+      const from = known ? (known.status === 'opened' ? 'open' : known.status) : null;
+      if (from === cabinet.status) {
+        continue;
+      }
+
+      this.append({
+        time: cabinet.timestamp,
+        type: 'transition',
+        cabinetId: cabinet.id,
+        board: cabinet.board,
+        channel: cabinet.channel,
+        from,
+        to: cabinet.status
+      });
+    }
+  }
+
+  /**
+   * Apply one event to the in-memory state
+   * @param {Object} event - Stored event
+   * @private
+   */
+  apply(event) {
+    switch (event.type) {
+      case 'open':
+        // Unconfirmed opens were acknowledged but never read open; older
+        // files recorded them with success: true
+        if (event.verification === 'unconfirmed') {
+          this.faults[event.cabinetId] = { time: event.time, error: 'Door did not read open after the open command' };
+        } else if (event.success) {
+          this.state[event.cabinetId] = {
+            id: event.cabinetId,
+            board: event.board,
+            channel: event.channel,
+            status: 'opened',
+            timestamp: event.time
+          };
+          this.lastOpens[event.cabinetId] = event.time;
+          this.openCounts[event.cabinetId] = (this.openCounts[event.cabinetId] || 0) + 1;
+          delete this.faults[event.cabinetId];
+        }
+        break;
+
+      case 'tamper':
+        // History only; the transition is recorded on its own
+        break;
+
+      case 'transition':
+        this.state[event.cabinetId] = {
+          id: event.cabinetId,
+          board: event.board,
+          channel: event.channel,
+          status: event.to,
+          timestamp: event.time
+        };
+        if (event.to === 'open') {
+          delete this.faults[event.cabinetId];
+        }
+        break;
+
+      case 'reset':
+        this.state = {};
+        break;
+
+      case 'snapshot':
+        this.state = { ...event.state };
+        this.lastOpens = { ...event.lastOpens };
+        this.openCounts = { ...event.openCounts };
+        this.faults = { ...event.faults };
+        break;
+
+      default:
+        throw new Error(`Unknown event type: ${event.type}`);
+    }
+  }
+
+  /**
+   * Query history, oldest first
+   * @param {Object} [filters]
+   * @param {number} [filters.cabinetId] - Only events for this cabinet
+   * @param {string} [filters.type] - 'open', 'transition', 'reset' or 'tamper'
+   * @param {string} [filters.since] - ISO timestamp, inclusive
+   * @param {string} [filters.until] - ISO timestamp, exclusive
+   * @param {number} [filters.limit=100] - Most recent matching events to return
+   * @returns {Promise<Array<Object>>} Matching events
+   */
+  async history({ cabinetId, type, since, until, limit = 100 } = {}) {
+    if (!this.file) {
+      return [];
+    }
+
+    const matches = [];
+    for (const file of [`${this.file}.1`, this.file].filter(candidate => fs.existsSync(candidate))) {
+      const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+
+      for await (const line of lines) {
+        let event;
+        try {
+          event = JSON.parse(line);
+        } catch (err) {
+          continue;
+        }
+
+        // Snapshots only carry state for replay
+        if (event.type === 'snapshot') continue;
+        if (cabinetId !== undefined && event.cabinetId !== cabinetId) continue;
+        if (type && event.type !== type) continue;
+        if (since && event.time < since) continue;
+        if (until && event.time >= until) continue;
+
+        matches.push(event);
+        if (matches.length > limit) {
+          matches.shift();
+        }
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Detach and forget everything (does not touch the file)
+   */
+  close() {
+    this.detach();
+    this.file = null;
+    this.size = 0;
+    this.state = {};
+    this.lastOpens = {};
+    this.openCounts = {};
+    this.faults = {};
+  }
+}
+
+export { EVENT_TYPES };
+export default new StateStore();
@@ -0,0 +1,113 @@
+/**
+ * Status Poller
+ * Reads door states in the background: calls the poll function at a fixed
+ * interval, waiting for each poll to finish before scheduling the next so
+ * slow boards never pile up queued status queries
+ */
+
+import { EventEmitter } from 'events';
+
+class StatusPoller extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Function} options.poll - Queries the boards, returns a Promise
+   * @param {Function} [options.isReady] - Polls are skipped while this returns false
+   * @param {number} [options.interval=0] - Milliseconds between polls (0 = disabled)
+   */
+  constructor({ poll, isReady = () => true, interval = 0 }) {
+    super();
+    this.poll = poll;
+    this.isReady = isReady;
+    this.interval = interval;
+    this.running = false;
+    this.timer = null;
+    this.polls = 0;
+    this.failures = 0;
+    this.lastPoll = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Start polling; does nothing if the interval is 0
+   * @returns {boolean} Whether polling started
+   */
+  start() {
+    if (this.interval <= 0 || this.running) {
+      return this.running;
+    }
+
+    this.running = true;
+    this.schedule();
+    return true;
+  }
+
+  /**
+   * Stop polling and cancel the next scheduled poll
+   * A poll already in progress finishes but schedules nothing
+   */
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Schedule the next poll
+   * @private
+   */
+  schedule() {
+    this.timer = setTimeout(() => this.tick(), this.interval);
+  }
+
+  /**
+   * Run one poll and schedule the next
+   * Emits 'error' only when a poll fails after the previous one succeeded,
+   * so a dead board does not flood the log
+   * @returns {Promise<void>}
+   * @private
+   */
+  async tick() {
+    this.timer = null;
+    if (!this.running) {
+      return;
+    }
+
+    if (this.isReady()) {
+      try {
+        await this.poll();
+        this.polls++;
+        this.lastPoll = new Date().toISOString();
+        this.lastError = null;
+      } catch (err) {
+        this.failures++;
+        if (this.lastError === null && this.listenerCount('error') > 0) {
+          this.emit('error', err);
+        }
+        this.lastError = err.message;
+      }
+    }
+
+    if (this.running) {
+      this.schedule();
+    }
+  }
+
+  /**
+   * Poller state for diagnostics
+   * @returns {Object} { running, interval, polls, failures, lastPoll, lastError }
+   */
+  getStats() {
+    return {
+      running: this.running,
+      interval: this.interval,
+      polls: this.polls,
+      failures: this.failures,
+      lastPoll: this.lastPoll,
+      lastError: this.lastError
+    };
+  }
+}
+
+export { StatusPoller };
@@ -0,0 +1,97 @@
+/**
+ * Trace Recorder
+ * Writes every byte chunk sent to or received from the bus as a JSON line:
+ *   {"time":"2024-11-13T10:30:45.123Z","dir":"tx","hex":"aa 55 02 00 51 09"}
+ * Received bytes are recorded as they arrived (before decoding), so split
+ * frames and line noise are reproduced exactly when a trace is replayed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { bufferToHexString, hexStringToByteArray } from '../utils/serialPort.js';
+
+class TraceRecorder {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - Trace file; appended to if it exists
+   */
+  constructor({ file }) {
+    this.file = file;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.stream = fs.createWriteStream(file, { flags: 'a' });
+    this.stream.on('error', (err) => {
+      console.error(`Trace recording to ${file} failed:`, err.message);
+    });
+    this.entries = 0;
+  }
+
+  /**
+   * Append one chunk to the trace
+   * @param {string} dir - 'tx' (host to board) or 'rx' (board to host)
+   * @param {Buffer|Array<number>} bytes - Bytes on the wire
+   */
+  record(dir, bytes) {
+    if (!this.stream || bytes.length === 0) {
+      return;
+    }
+
+    const entry = {
+      time: new Date().toISOString(),
+      dir,
+      hex: bufferToHexString(Buffer.from(bytes))
+    };
+    this.stream.write(`${JSON.stringify(entry)}\n`);
+    this.entries++;
+  }
+
+  /**
+   * Flush and close the trace file
+   * @returns {Promise<void>}
+   */
+  close() {
+    if (!this.stream) {
+      return Promise.resolve();
+    }
+
+    const stream = this.stream;
+    this.stream = null;
+    return new Promise(resolve => stream.end(resolve));
+  }
+}
+
+/**
+ * Read a trace file back
+ * Blank lines are skipped; malformed lines throw with their line number
+ * @param {string} file - Trace file written by TraceRecorder
+ * @returns {Array<Object>} Entries as { time, dir, bytes }
+ */
+function readTrace(file) {
+  const lines = fs.readFileSync(file, 'utf8').split('\n');
+  const entries = [];
+
+  lines.forEach((line, index) => {
+    if (!line.trim()) {
+      return;
+    }
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (err) {
+      throw new Error(`Invalid trace line ${index + 1} in ${file}: ${err.message}`);
+    }
+    if ((entry.dir !== 'tx' && entry.dir !== 'rx') || typeof entry.hex !== 'string') {
+      throw new Error(`Invalid trace line ${index + 1} in ${file}: expected dir tx/rx and hex`);
+    }
+
+    entries.push({
+      time: entry.time,
+      dir: entry.dir,
+      bytes: Buffer.from(hexStringToByteArray(entry.hex))
+    });
+  });
+
+  return entries;
+}
+
+export { TraceRecorder, readTrace };
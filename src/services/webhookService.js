@@ -0,0 +1,398 @@
+/**
+ * Webhook Service
+ * Delivers stream events (see eventStream.js) to subscribed URLs.
+ *
+ * Each delivery is a POST of the streamed event as JSON, signed with the
+ * subscription's secret:
+ *   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<X-Webhook-Timestamp>.<body>">
+ * Non-2xx responses and network errors are retried with exponential
+ * backoff; after the last attempt the delivery moves to the dead-letter
+ * list, from where it can be redelivered.
+ *
+ * Subscriptions and dead letters are saved to $DATA_DIR/webhooks.json.
+ * The delivery log and pending retries are kept in memory only.
+ */
+
+import crypto from 'crypto';
+import { STREAM_EVENTS } from './eventStream.js';
+import { readJsonFile, writeJsonFile } from '../utils/jsonFile.js';
+
+const MAX_URL_LENGTH = 2048;
+const MIN_SECRET_LENGTH = 16;
+const MAX_DEAD_LETTERS = 1000;
+
+/**
+ * Sign a delivery body
+ * @param {string} secret - Subscription secret
+ * @param {string} timestamp - X-Webhook-Timestamp header value
+ * @param {string} body - Raw JSON body
+ * @returns {string} "sha256=<hex>"
+ */
+function signPayload(secret, timestamp, body) {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${hmac}`;
+}
+
+/**
+ * Check a subscription's fields
+ * @param {Object} fields - { url, events?, secret?, enabled? }
+ * @returns {Array<string>} Problems found; empty if valid
+ */
+function validateSubscription(fields) {
+  const errors = [];
+  const { url, events, secret, enabled } = fields || {};
+
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    // Reported below
+  }
+  if (typeof url !== 'string' || url.length > MAX_URL_LENGTH || !parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    errors.push(`url must be an http(s) URL of at most ${MAX_URL_LENGTH} characters`);
+  }
+  if (events !== undefined && (!Array.isArray(events) || events.length === 0 ||
+      !events.every(type => type === '*' || STREAM_EVENTS.includes(type)))) {
+    errors.push(`events must be a non-empty array of '*' or ${STREAM_EVENTS.join(', ')}`);
+  }
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH)) {
+    errors.push(`secret must be a string of at least ${MIN_SECRET_LENGTH} characters`);
+  }
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+
+  return errors;
+}
+
+class WebhookService {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxAttempts] - Attempts before a delivery is dead-lettered
+   * @param {number} [options.initialDelay] - First retry delay in milliseconds
+   * @param {number} [options.maxDelay] - Upper bound for the retry delay
+   * @param {number} [options.timeout] - Per-attempt request timeout in milliseconds
+   * @param {number} [options.logSize] - Deliveries kept in the delivery log
+   */
+  constructor({
+    maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6'),
+    initialDelay = parseInt(process.env.WEBHOOK_RETRY_INITIAL_DELAY_MS || '1000'),
+    maxDelay = parseInt(process.env.WEBHOOK_RETRY_MAX_DELAY_MS || '300000'),
+    timeout = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '5000'),
+    logSize = parseInt(process.env.WEBHOOK_LOG_SIZE || '500')
+  } = {}) {
+    this.maxAttempts = maxAttempts;
+    this.initialDelay = initialDelay;
+    this.maxDelay = maxDelay;
+    this.timeout = timeout;
+    this.logSize = logSize;
+    this.file = null;
+    this.subscriptions = new Map();
+    this.deliveries = [];
+    this.deadLetters = [];
+    this.timers = new Set();
+    this.stream = null;
+    this.listener = (event) => this.dispatch(event);
+  }
+
+  /**
+   * Load subscriptions and dead letters; later changes are saved back
+   * @param {string} file - Webhook file (e.g. data/webhooks.json)
+   */
+  load(file) {
+    const data = readJsonFile(file, { subscriptions: [], deadLetters: [] });
+    this.file = file;
+    this.subscriptions = new Map(data.subscriptions.map(subscription => [subscription.id, subscription]));
+    this.deadLetters = data.deadLetters || [];
+    console.log(`Webhooks loaded: ${this.subscriptions.size} subscriptions, ${this.deadLetters.length} dead letters from ${file}`);
+  }
+
+  /**
+   * Write subscriptions and dead letters to the file, if one was loaded
+   * @private
+   */
+  save() {
+    if (!this.file) {
+      return;
+    }
+    writeJsonFile(this.file, {
+      subscriptions: [...this.subscriptions.values()],
+      deadLetters: this.deadLetters
+    });
+  }
+
+  /**
+   * Deliver events published on an event stream
+   * @param {EventStream} stream - Event stream instance
+   */
+  attach(stream) {
+    this.detach();
+    this.stream = stream;
+    stream.on('event', this.listener);
+  }
+
+  /**
+   * Stop delivering stream events
+   */
+  detach() {
+    if (this.stream) {
+      this.stream.off('event', this.listener);
+      this.stream = null;
+    }
+  }
+
+  /**
+   * All subscriptions, without their secrets
+   * @returns {Array<Object>} Subscriptions as { id, url, events, enabled, createdAt }
+   */
+  list() {
+    return [...this.subscriptions.values()].map(({ secret, ...subscription }) => subscription);
+  }
+
+  /**
+   * One subscription, without its secret
+   * @param {string} id - Subscription ID
+   * @returns {Object|null} Subscription or null
+   */
+  get(id) {
+    const subscription = this.subscriptions.get(id);
+    if (!subscription) {
+      return null;
+    }
+    const { secret, ...rest } = subscription;
+    return rest;
+  }
+
+  /**
+   * Create a subscription
+   * A secret is generated when none is given; it is only returned here
+   * @param {Object} fields - { url, events?, secret?, enabled? }
+   * @returns {Object} Subscription including its secret
+   * @throws {Error} If the fields are invalid
+   */
+  create(fields) {
+    const errors = validateSubscription(fields);
+    if (errors.length > 0) {
+      throw new Error(`Invalid webhook subscription: ${errors.join('; ')}`);
+    }
+
+    const subscription = {
+      id: crypto.randomUUID(),
+      url: fields.url,
+      events: fields.events ?? ['*'],
+      secret: fields.secret ?? crypto.randomBytes(32).toString('hex'),
+      enabled: fields.enabled ?? true,
+      createdAt: new Date().toISOString()
+    };
+    this.subscriptions.set(subscription.id, subscription);
+    this.save();
+    return { ...subscription };
+  }
+
+  /**
+   * Remove a subscription; its pending retries are dropped
+   * @param {string} id - Subscription ID
+   * @returns {boolean} True if a subscription was removed
+   */
+  remove(id) {
+    const removed = this.subscriptions.delete(id);
+    if (removed) {
+      this.save();
+    }
+    return removed;
+  }
+
+  /**
+   * Queue deliveries of a stream event to every matching subscription
+   * @param {Object} event - Streamed event { seq, type, data, timestamp }
+   * @returns {Array<Object>} Created deliveries
+   */
+  dispatch(event) {
+    const deliveries = [];
+    for (const subscription of this.subscriptions.values()) {
+      if (!subscription.enabled || !(subscription.events.includes('*') || subscription.events.includes(event.type))) {
+        continue;
+      }
+
+      const delivery = {
+        id: crypto.randomUUID(),
+        subscriptionId: subscription.id,
+        url: subscription.url,
+        eventType: event.type,
+        event,
+        status: 'pending',
+        attempts: 0,
+        lastStatusCode: null,
+        lastError: null,
+        createdAt: new Date().toISOString(),
+        updatedAt: null,
+        nextAttemptAt: null
+      };
+      this.log(delivery);
+      deliveries.push(delivery);
+      this.deliver(delivery);
+    }
+    return deliveries;
+  }
+
+  /**
+   * Add a delivery to the bounded delivery log
+   * @param {Object} delivery - Delivery record
+   * @private
+   */
+  log(delivery) {
+    this.deliveries.push(delivery);
+    if (this.deliveries.length > this.logSize) {
+      this.deliveries.shift();
+    }
+  }
+
+  /**
+   * Retry delay after the given number of failed attempts
+   * @param {number} attempts - Failed attempts so far
+   * @returns {number} Delay in milliseconds
+   */
+  getDelay(attempts) {
+    return Math.min(this.maxDelay, this.initialDelay * Math.pow(2, Math.max(0, attempts - 1)));
+  }
+
+  /**
+   * Start an attempt in the background
+   * @param {Object} delivery - Delivery record
+   * @private
+   */
+  deliver(delivery) {
+    this.attempt(delivery).catch((err) => {
+      console.error(`Webhook delivery ${delivery.id} failed:`, err.message);
+    });
+  }
+
+  /**
+   * Make one delivery attempt, scheduling a retry or dead-lettering on failure
+   * @param {Object} delivery - Delivery record (updated in place)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async attempt(delivery) {
+    const subscription = this.subscriptions.get(delivery.subscriptionId);
+    if (!subscription) {
+      delivery.status = 'failed';
+      delivery.lastError = 'Subscription removed';
+      delivery.updatedAt = new Date().toISOString();
+      return;
+    }
+
+    delivery.attempts++;
+    delivery.nextAttemptAt = null;
+
+    const body = JSON.stringify(delivery.event);
+    const timestamp = new Date().toISOString();
+    try {
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'cabinet-api-webhooks',
+          'X-Webhook-Id': subscription.id,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Event': delivery.eventType,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': signPayload(subscription.secret, timestamp, body)
+        },
+        body,
+        signal: AbortSignal.timeout(this.timeout)
+      });
+      delivery.lastStatusCode = response.status;
+      delivery.lastError = response.ok ? null : `HTTP ${response.status}`;
+    } catch (err) {
+      delivery.lastStatusCode = null;
+      delivery.lastError = err.name === 'TimeoutError' ? `Timed out after ${this.timeout}ms` : err.message;
+    }
+    delivery.updatedAt = new Date().toISOString();
+
+    if (delivery.lastError === null) {
+      delivery.status = 'delivered';
+      return;
+    }
+
+    if (delivery.attempts >= this.maxAttempts) {
+      delivery.status = 'dead';
+      this.deadLetters.push(delivery);
+      if (this.deadLetters.length > MAX_DEAD_LETTERS) {
+        this.deadLetters.shift();
+      }
+      this.save();
+      console.warn(`Webhook delivery ${delivery.id} to ${delivery.url} dead-lettered after ${delivery.attempts} attempts: ${delivery.lastError}`);
+      return;
+    }
+
+    const delay = this.getDelay(delivery.attempts);
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      this.deliver(delivery);
+    }, delay);
+    this.timers.add(timer);
+  }
+
+  /**
+   * Deliver a dead letter again with a fresh set of attempts
+   * @param {string} id - Delivery ID
+   * @returns {Object|null} The requeued delivery, or null if no such dead letter
+   */
+  redeliver(id) {
+    const index = this.deadLetters.findIndex(delivery => delivery.id === id);
+    if (index < 0) {
+      return null;
+    }
+
+    const [delivery] = this.deadLetters.splice(index, 1);
+    this.save();
+    Object.assign(delivery, { status: 'pending', attempts: 0, nextAttemptAt: null });
+    if (!this.deliveries.includes(delivery)) {
+      this.log(delivery);
+    }
+    this.deliver(delivery);
+    return delivery;
+  }
+
+  /**
+   * Delivery log, oldest first
+   * @param {Object} [filters]
+   * @param {string} [filters.subscriptionId] - Only deliveries to this subscription
+   * @param {string} [filters.status] - 'pending', 'delivered', 'failed' or 'dead'
+   * @param {number} [filters.limit=100] - Most recent matching deliveries to return
+   * @returns {Array<Object>} Deliveries
+   */
+  listDeliveries({ subscriptionId, status, limit = 100 } = {}) {
+    return this.deliveries
+      .filter(delivery => (!subscriptionId || delivery.subscriptionId === subscriptionId) &&
+        (!status || delivery.status === status))
+      .slice(-limit)
+      .map(delivery => ({ ...delivery }));
+  }
+
+  /**
+   * Dead-lettered deliveries, oldest first
+   * @returns {Array<Object>} Deliveries
+   */
+  listDeadLetters() {
+    return this.deadLetters.map(delivery => ({ ...delivery }));
+  }
+
+  /**
+   * Cancel pending retries and forget everything (does not touch the file)
+   */
+  clear() {
+    for (const timer of this.timers) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+    this.subscriptions.clear();
+    this.deliveries = [];
+    this.deadLetters = [];
+  }
+}
+
+export { WebhookService, signPayload, validateSubscription };
+export default new WebhookService();
@@ -0,0 +1,76 @@
+/**
+ * WebSocket Server
+ * Pushes the event stream to WebSocket clients as JSON text messages, one
+ * per control message or event (see eventStream.js for the format).
+ * Clients resume with ?lastEventId=<streamId>:<seq> on the upgrade URL.
+ * With API authentication on, the upgrade needs a key with the status:read
+ * scope, as a header or as ?apiKey= (browsers cannot set upgrade headers).
+ */
+
+import { WebSocketServer, WebSocket } from 'ws';
+import eventStream, { formatEventId, parseEventId } from './eventStream.js';
+import apiKeyService, { extractApiKey } from './apiKeyService.js';
+
+const DEFAULT_PATH = '/api/v1/ws';
+
+/**
+ * Accept WebSocket connections on an HTTP server
+ * @param {http.Server} server - Server returned by app.listen()
+ * @param {Object} [options]
+ * @param {string} [options.path='/api/v1/ws'] - Upgrade path
+ * @param {EventStream} [options.stream] - Event stream to push
+ * @param {ApiKeyService} [options.keys] - Keys allowed to connect
+ * @returns {WebSocketServer} Server instance; close() it on shutdown
+ */
+function attachWebSocketServer(server, { path = DEFAULT_PATH, stream = eventStream, keys = apiKeyService } = {}) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== path) {
+      socket.destroy();
+      return;
+    }
+
+    if (keys.enabled) {
+      const key = keys.authenticate(extractApiKey(req.headers, url.searchParams.get('apiKey')));
+      if (!key) {
+        socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+        return;
+      }
+      if (!keys.hasScope(key, 'status:read')) {
+        socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+        return;
+      }
+    }
+
+    const requested = url.searchParams.get('lastEventId');
+    const position = parseEventId(requested);
+    if (requested !== null && !position) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      const send = (message) => {
+        if (ws.readyState !== WebSocket.OPEN) {
+          return;
+        }
+        const payload = message.seq !== undefined
+          ? { eventId: formatEventId(stream.streamId, message.seq), ...message }
+          : message;
+        ws.send(JSON.stringify(payload));
+      };
+
+      const unsubscribe = stream.subscribe(position || {}, send);
+      ws.on('close', unsubscribe);
+      ws.on('error', (err) => {
+        console.error('WebSocket client error:', err.message);
+      });
+    });
+  });
+
+  return wss;
+}
+
+export { attachWebSocketServer };
@@ -0,0 +1,217 @@
+/**
+ * Lock Board Simulator
+ * Emulates the 0xAA 0x55 lock-board protocol in memory so the service
+ * can run without physical hardware (SERIAL_PORT=sim://48)
+ */
+
+import { EventEmitter } from 'events';
+import { INSTRUCTIONS, buildSerialFrame } from '../utils/serialPort.js';
+import { FrameDecoder } from '../utils/frameDecoder.js';
+import { loadProfiles, getBusFraming, encodeStatusBytes } from '../utils/protocolProfiles.js';
+
+const SIMULATOR_PREFIX = 'sim://';
+const DEFAULT_CHANNELS = 48;
+const MAX_CHANNELS = 256;
+
+/**
+ * Check whether a port path refers to the built-in simulator
+ * @param {string} path - Configured port path
+ * @returns {boolean} True for sim:// paths
+ */
+function isSimulatorPath(path) {
+  return typeof path === 'string' && path.startsWith(SIMULATOR_PREFIX);
+}
+
+/**
+ * Parse simulator options from a sim:// path
+ * Format: sim://<channels|profile>[,...], e.g. sim://48, sim://48,48 or sim://lock-64,lock-16
+ * Each comma-separated entry is one board; boards get addresses 0x00, 0x01, ...
+ * A profile name simulates that board model's status encoding and framing.
+ * @param {string} path - Simulator path
+ * @param {Object} [profiles] - Profile table from loadProfiles()
+ * @returns {Object} { boards: [{ address, channels, profile? }] }
+ */
+function parseSimulatorPath(path, profiles = loadProfiles()) {
+  const spec = path.slice(SIMULATOR_PREFIX.length);
+  const entries = spec === '' ? [String(DEFAULT_CHANNELS)] : spec.split(',');
+
+  const boards = entries.map((entry, address) => {
+    const profile = profiles[entry];
+    if (profile) {
+      return { address, channels: profile.channels, profile };
+    }
+
+    const channels = Number(entry);
+    if (!Number.isInteger(channels) || channels < 1 || channels > MAX_CHANNELS) {
+      throw new Error(`Invalid simulator path: ${path}. Expected sim://<channels|profile>[,...] with 1-${MAX_CHANNELS} channels per board`);
+    }
+    return { address, channels };
+  });
+
+  return { boards };
+}
+
+/**
+ * Simulated RS485 bus of one or more lock boards
+ * Command bytes go in through receive(); reply frames come out as 'data'
+ * events. Attach it to a MemoryTransport (sim://) or a TCP simulator server.
+ */
+class LockBoardSimulator extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} [options.path] - Path reported back to callers
+   * @param {Array<Object>} [options.boards] - Boards on the bus as { address, channels, profile? }
+   * @param {number} [options.responseDelay=5] - Milliseconds before replying to a command
+   */
+  constructor({ path = `${SIMULATOR_PREFIX}${DEFAULT_CHANNELS}`, boards = [{ address: 0x00, channels: DEFAULT_CHANNELS }], responseDelay = 5 } = {}) {
+    super();
+    this.path = path;
+    this.responseDelay = responseDelay;
+    const defaultProfile = loadProfiles().default;
+    this.boards = new Map(boards.map(({ address, channels, profile = defaultProfile }) => [address, {
+      channels,
+      profile,
+      doors: new Array(channels).fill(false),
+      jammed: new Set(),
+      lightOn: false
+    }]));
+    this.framing = getBusFraming([...this.boards].map(([address, { profile }]) => ({ address, profile })));
+    this.decoder = new FrameDecoder(this.framing);
+  }
+
+  /**
+   * Receive bytes from the host
+   * @param {Buffer|Array<number>} data - Bytes written by the host
+   */
+  receive(data) {
+    for (const frame of this.decoder.decode(Buffer.from(data))) {
+      this.handleFrame(frame);
+    }
+  }
+
+  /**
+   * Get the simulated state of one board
+   * @param {number} [boardAddress=0x00] - Board address
+   * @returns {Object} { channels, doors, jammed, lightOn }
+   */
+  getBoard(boardAddress = 0x00) {
+    const board = this.boards.get(boardAddress);
+    if (!board) {
+      throw new Error(`No simulated board at address ${boardAddress}`);
+    }
+    return board;
+  }
+
+  /**
+   * Set a door state directly, e.g. to simulate somebody closing it
+   * @param {number} channel - Lock channel
+   * @param {boolean} open - True for open
+   * @param {number} [boardAddress=0x00] - Board address
+   */
+  setDoor(channel, open, boardAddress = 0x00) {
+    const board = this.getBoard(boardAddress);
+    if (!Number.isInteger(channel) || channel < 0 || channel >= board.channels) {
+      throw new Error(`Invalid channel: ${channel}`);
+    }
+    board.doors[channel] = Boolean(open);
+  }
+
+  /**
+   * Jam a lock: opens are still acknowledged but the door stays shut,
+   * as with a stuck solenoid
+   * @param {number} channel - Lock channel
+   * @param {boolean} [jammed=true] - False to free it again
+   * @param {number} [boardAddress=0x00] - Board address
+   */
+  setJammed(channel, jammed = true, boardAddress = 0x00) {
+    const board = this.getBoard(boardAddress);
+    if (!Number.isInteger(channel) || channel < 0 || channel >= board.channels) {
+      throw new Error(`Invalid channel: ${channel}`);
+    }
+    if (jammed) {
+      board.jammed.add(channel);
+    } else {
+      board.jammed.delete(channel);
+    }
+  }
+
+  /**
+   * Pack door states into status bytes as the board's profile encodes them
+   * @param {Object} board - Simulated board
+   * @returns {Array<number>} Status bytes
+   * @private
+   */
+  getStatusBytes(board) {
+    return encodeStatusBytes(board.profile, board.doors);
+  }
+
+  /**
+   * Apply a command frame and queue the reply
+   * @param {Buffer} frame - Valid command frame
+   * @private
+   */
+  handleFrame(frame) {
+    const boardAddress = frame[3];
+    const instruction = frame[4];
+    const data = [...frame.subarray(5, frame.length - 1)];
+
+    // Boards only answer frames addressed to them
+    const board = this.boards.get(boardAddress);
+    if (!board) {
+      return;
+    }
+
+    switch (instruction) {
+      case INSTRUCTIONS.STATUS:
+        this.reply(buildSerialFrame(this.getStatusBytes(board), boardAddress, INSTRUCTIONS.STATUS, this.framing));
+        break;
+
+      case INSTRUCTIONS.OPEN: {
+        const channel = data[0];
+        const ok = channel !== undefined && channel < board.channels;
+        if (ok && !board.jammed.has(channel)) {
+          board.doors[channel] = true;
+        }
+        // Acknowledge with the channel and a result byte (0x00 = OK)
+        this.reply(buildSerialFrame([channel ?? 0x00, ok ? 0x00 : 0x01], boardAddress, INSTRUCTIONS.OPEN, this.framing));
+        break;
+      }
+
+      case INSTRUCTIONS.LIGHT:
+        // 0x00 switches the light on, anything else switches it off
+        board.lightOn = data[0] === 0x00;
+        this.reply(buildSerialFrame([board.lightOn ? 0x00 : 0x01], boardAddress, INSTRUCTIONS.LIGHT, this.framing));
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Emit a reply frame after the configured delay
+   * @param {Buffer} frame - Reply frame
+   * @private
+   */
+  reply(frame) {
+    setTimeout(() => this.emit('data', frame), this.responseDelay);
+  }
+}
+
+/**
+ * Create a simulator from a sim:// path
+ * @param {string} path - Simulator path
+ * @param {Object} [profiles] - Profile table from loadProfiles()
+ * @returns {LockBoardSimulator}
+ */
+function createSimulator(path, profiles) {
+  const { boards } = parseSimulatorPath(path, profiles);
+  return new LockBoardSimulator({ path, boards });
+}
+
+export {
+  LockBoardSimulator,
+  isSimulatorPath,
+  parseSimulatorPath,
+  createSimulator
+};
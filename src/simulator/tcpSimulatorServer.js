@@ -0,0 +1,56 @@
+/**
+ * TCP Simulator Server
+ * Serves a simulated lock board bus over raw TCP, the way an Ethernet
+ * serial server exposes an RS485 line. Point the service at it with
+ * SERIAL_PORT=tcp://localhost:<port>.
+ *
+ * Usage: node src/simulator/tcpSimulatorServer.js [port] [channels[,channels...]]
+ */
+
+import net from 'net';
+import { pathToFileURL } from 'url';
+import { LockBoardSimulator, parseSimulatorPath } from './lockBoardSimulator.js';
+
+/**
+ * Start a TCP server in front of a simulator
+ * Board state is shared by all connections and survives reconnects
+ * @param {Object} [options]
+ * @param {number} [options.port=0] - TCP port (0 = pick a free port)
+ * @param {string} [options.host='127.0.0.1'] - Interface to bind
+ * @param {string} [options.spec='48'] - Channel counts per board, as in sim://
+ * @returns {Promise<Object>} { server, simulator, port }
+ */
+function startSimulatorServer({ port = 0, host = '127.0.0.1', spec = '48' } = {}) {
+  const { boards } = parseSimulatorPath(`sim://${spec}`);
+  const simulator = new LockBoardSimulator({ path: `tcp://${host}:${port}`, boards });
+
+  const server = net.createServer((socket) => {
+    const forward = (frame) => socket.write(frame);
+    simulator.on('data', forward);
+    socket.on('data', (data) => simulator.receive(data));
+    socket.on('error', () => socket.destroy());
+    socket.on('close', () => simulator.off('data', forward));
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      resolve({ server, simulator, port: server.address().port });
+    });
+  });
+}
+
+// Run standalone when executed directly
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = parseInt(process.argv[2] || '4001');
+  const spec = process.argv[3] || '48';
+
+  startSimulatorServer({ port, host: '0.0.0.0', spec }).then(({ port: listening }) => {
+    console.log(`Lock board simulator (${spec} channels) listening on tcp://0.0.0.0:${listening}`);
+  }).catch((err) => {
+    console.error('Failed to start simulator server:', err.message);
+    process.exit(1);
+  });
+}
+
+export { startSimulatorServer };
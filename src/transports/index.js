@@ -0,0 +1,49 @@
+/**
+ * Transports
+ * Selects the transport for a configured port path:
+ *   sim://<channels|profile>[,...]  built-in lock board simulator (in memory)
+ *   tcp://host:port         Ethernet serial server
+ *   replay://<trace file>   recorded trace played back (see TraceRecorder)
+ *   memory://               bare in-memory link (tests)
+ *   anything else           local serial port
+ */
+
+import { SerialTransport } from './serialTransport.js';
+import { TcpTransport, isTcpPath } from './tcpTransport.js';
+import { MemoryTransport } from './memoryTransport.js';
+import { ReplayTransport, isReplayPath } from './replayTransport.js';
+import { isSimulatorPath, createSimulator } from '../simulator/lockBoardSimulator.js';
+
+/**
+ * Create and open the transport for a port path
+ * @param {string} path - Configured port path
+ * @param {Object} [options] - Transport options (baudRate, connectTimeout, profiles for sim://)
+ * @returns {Transport} Transport instance
+ */
+function createTransport(path, options = {}) {
+  if (isSimulatorPath(path)) {
+    return new MemoryTransport({ path, device: createSimulator(path, options.profiles) });
+  }
+
+  if (isTcpPath(path)) {
+    return new TcpTransport({ path, ...options });
+  }
+
+  if (isReplayPath(path)) {
+    return new ReplayTransport({ path });
+  }
+
+  if (path.startsWith('memory://')) {
+    return new MemoryTransport({ path });
+  }
+
+  return new SerialTransport({ path, ...options });
+}
+
+export {
+  createTransport,
+  SerialTransport,
+  TcpTransport,
+  MemoryTransport,
+  ReplayTransport
+};
@@ -0,0 +1,75 @@
+/**
+ * Memory Transport
+ * In-process link for tests and the built-in simulator. Bytes written are
+ * handed to an attached device (e.g. LockBoardSimulator); bytes the device
+ * emits, or that a test injects, arrive as 'data'.
+ */
+
+import { Transport } from './transport.js';
+
+class MemoryTransport extends Transport {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.path='memory://'] - Path reported to callers
+   * @param {EventEmitter} [options.device] - Device with receive(Buffer) that emits 'data'
+   */
+  constructor({ path = 'memory://', device = null } = {}) {
+    super(path);
+    this.device = device;
+    this.written = [];
+    this.onDeviceData = (data) => {
+      if (this.isOpen) {
+        this.emit('data', Buffer.from(data));
+      }
+    };
+
+    if (device) {
+      device.on('data', this.onDeviceData);
+    }
+
+    setImmediate(() => {
+      this.isOpen = true;
+      this.emit('open');
+    });
+  }
+
+  write(data, callback) {
+    if (!this.isOpen) {
+      const err = new Error('Memory transport is not open');
+      if (callback) {
+        setImmediate(() => callback(err));
+      }
+      return;
+    }
+
+    const bytes = Buffer.from(data);
+    this.written.push(bytes);
+    if (this.device) {
+      this.device.receive(bytes);
+    }
+    if (callback) {
+      setImmediate(() => callback(null));
+    }
+  }
+
+  /**
+   * Deliver bytes as if they came from the bus
+   * @param {Buffer|Array<number>} data - Bytes to deliver
+   */
+  inject(data) {
+    this.onDeviceData(data);
+  }
+
+  close(callback) {
+    this.isOpen = false;
+    if (this.device) {
+      this.device.off('data', this.onDeviceData);
+    }
+    setImmediate(() => {
+      this.emit('close');
+      if (callback) callback(null);
+    });
+  }
+}
+
+export { MemoryTransport };
@@ -0,0 +1,145 @@
+/**
+ * Replay Transport
+ * Plays a recorded trace (see TraceRecorder) back to the service. Each write
+ * is checked against the next recorded tx entry, then the rx chunks that
+ * followed it in the recording are delivered with their recorded delays.
+ * Select it with SERIAL_PORT=replay://<trace file>[?speed=<factor>].
+ *
+ * Emits, in addition to the transport events:
+ *   'mismatch' ({ index, expected, actual }) when a write differs from the trace
+ */
+
+import { Transport } from './transport.js';
+import { readTrace } from '../services/traceRecorder.js';
+import { bufferToHexString } from '../utils/serialPort.js';
+
+const REPLAY_PREFIX = 'replay://';
+
+/**
+ * Check whether a port path refers to a trace replay
+ * @param {string} path - Configured port path
+ * @returns {boolean} True for replay:// paths
+ */
+function isReplayPath(path) {
+  return typeof path === 'string' && path.startsWith(REPLAY_PREFIX);
+}
+
+/**
+ * Parse a replay:// path
+ * speed scales the recorded delays: 2 plays twice as fast, 0 without delays
+ * @param {string} path - e.g. replay://traces/site-12.jsonl?speed=0
+ * @returns {Object} { file, speed }
+ */
+function parseReplayPath(path) {
+  const [file, query = ''] = path.slice(REPLAY_PREFIX.length).split('?');
+  const speed = Number(new URLSearchParams(query).get('speed') ?? 1);
+
+  if (!file || !Number.isFinite(speed) || speed < 0) {
+    throw new Error(`Invalid replay path: ${path}. Expected replay://<trace file>[?speed=<factor>]`);
+  }
+  return { file, speed };
+}
+
+class ReplayTransport extends Transport {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - replay:// path
+   * @param {Array<Object>} [options.entries] - Trace entries; read from the path's file if omitted
+   */
+  constructor({ path, entries }) {
+    super(path);
+    const { file, speed } = parseReplayPath(path);
+    this.speed = speed;
+    this.cursor = 0;
+    this.mismatches = [];
+    this.timers = new Set();
+
+    try {
+      this.entries = entries || readTrace(file);
+    } catch (err) {
+      this.entries = [];
+      setImmediate(() => this.emit('error', err));
+      return;
+    }
+
+    setImmediate(() => {
+      this.isOpen = true;
+      this.emit('open');
+      // Unsolicited bytes recorded before the first command
+      this.playReplies(this.entries[0] && Date.parse(this.entries[0].time));
+    });
+  }
+
+  /**
+   * True once every recorded entry has been played
+   * @returns {boolean}
+   */
+  get done() {
+    return this.cursor >= this.entries.length;
+  }
+
+  write(data, callback) {
+    if (!this.isOpen) {
+      const err = new Error('Replay transport is not open');
+      if (callback) {
+        setImmediate(() => callback(err));
+      }
+      return;
+    }
+
+    const actual = bufferToHexString(Buffer.from(data));
+    const expectedEntry = this.entries[this.cursor];
+    const expected = expectedEntry && expectedEntry.dir === 'tx' ? bufferToHexString(expectedEntry.bytes) : null;
+
+    if (actual !== expected) {
+      const mismatch = { index: this.cursor, expected, actual };
+      this.mismatches.push(mismatch);
+      this.emit('mismatch', mismatch);
+    }
+
+    if (expected !== null) {
+      this.cursor++;
+      this.playReplies(Date.parse(expectedEntry.time));
+    }
+
+    if (callback) {
+      setImmediate(() => callback(null));
+    }
+  }
+
+  /**
+   * Deliver the rx entries up to the next tx entry
+   * @param {number} since - Recorded time (ms) the delays are measured from
+   * @private
+   */
+  playReplies(since) {
+    while (!this.done && this.entries[this.cursor].dir === 'rx') {
+      const { time, bytes } = this.entries[this.cursor];
+      const recordedDelay = Math.max(0, Date.parse(time) - since) || 0;
+      const delay = this.speed === 0 ? 0 : recordedDelay / this.speed;
+      this.cursor++;
+
+      const timer = setTimeout(() => {
+        this.timers.delete(timer);
+        if (this.isOpen) {
+          this.emit('data', Buffer.from(bytes));
+        }
+      }, delay);
+      this.timers.add(timer);
+    }
+  }
+
+  close(callback) {
+    this.isOpen = false;
+    for (const timer of this.timers) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+    setImmediate(() => {
+      this.emit('close');
+      if (callback) callback(null);
+    });
+  }
+}
+
+export { ReplayTransport, isReplayPath, parseReplayPath };
@@ -0,0 +1,46 @@
+/**
+ * Serial Transport
+ * Local serial port (COM3, /dev/ttyUSB0, ...) at 8N1
+ */
+
+import { SerialPort } from 'serialport';
+import { Transport } from './transport.js';
+
+class SerialTransport extends Transport {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - Serial device path
+   * @param {number} [options.baudRate=9600] - Baud rate
+   */
+  constructor({ path, baudRate = 9600 }) {
+    super(path);
+    this.port = new SerialPort({
+      path,
+      baudRate,
+      dataBits: 8,
+      stopBits: 1,
+      parity: 'none'
+    });
+
+    this.port.on('open', () => {
+      this.isOpen = true;
+      this.emit('open');
+    });
+    this.port.on('error', (err) => this.emit('error', err));
+    this.port.on('close', () => {
+      this.isOpen = false;
+      this.emit('close');
+    });
+    this.port.on('data', (data) => this.emit('data', data));
+  }
+
+  write(data, callback) {
+    this.port.write(data, callback);
+  }
+
+  close(callback) {
+    this.port.close(callback);
+  }
+}
+
+export { SerialTransport };
@@ -0,0 +1,100 @@
+/**
+ * TCP Transport
+ * Raw TCP socket to an Ethernet serial server (RS485-over-Ethernet),
+ * addressed as tcp://host:port
+ */
+
+import net from 'net';
+import { Transport } from './transport.js';
+
+const TCP_PREFIX = 'tcp://';
+
+/**
+ * Check whether a port path is a tcp:// URL
+ * @param {string} path - Configured port path
+ * @returns {boolean}
+ */
+function isTcpPath(path) {
+  return typeof path === 'string' && path.startsWith(TCP_PREFIX);
+}
+
+/**
+ * Parse host and port from a tcp:// URL
+ * @param {string} path - tcp://host:port
+ * @returns {Object} { host, port }
+ */
+function parseTcpPath(path) {
+  let url;
+  try {
+    url = new URL(path);
+  } catch (err) {
+    throw new Error(`Invalid TCP path: ${path}. Expected tcp://host:port`);
+  }
+
+  const port = Number(url.port);
+  if (!url.hostname || !Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new Error(`Invalid TCP path: ${path}. Expected tcp://host:port`);
+  }
+
+  // Strip IPv6 brackets for net.connect
+  return { host: url.hostname.replace(/^\[|\]$/g, ''), port };
+}
+
+class TcpTransport extends Transport {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - tcp://host:port
+   * @param {number} [options.connectTimeout=5000] - Milliseconds to wait for the connection
+   */
+  constructor({ path, connectTimeout = 5000 }) {
+    super(path);
+    const { host, port } = parseTcpPath(path);
+
+    this.socket = net.connect({ host, port });
+    this.socket.setNoDelay(true);
+    this.socket.setKeepAlive(true, 10000);
+    this.socket.setTimeout(connectTimeout);
+
+    this.socket.on('connect', () => {
+      this.socket.setTimeout(0);
+      this.isOpen = true;
+      this.emit('open');
+    });
+    this.socket.on('timeout', () => {
+      this.socket.destroy(new Error(`Connection to ${host}:${port} timed out`));
+    });
+    this.socket.on('error', (err) => this.emit('error', err));
+    this.socket.on('close', () => {
+      const wasOpen = this.isOpen;
+      this.isOpen = false;
+      if (wasOpen) {
+        this.emit('close');
+      }
+    });
+    this.socket.on('data', (data) => this.emit('data', data));
+  }
+
+  write(data, callback) {
+    if (!this.isOpen) {
+      const err = new Error('TCP transport is not open');
+      if (callback) {
+        setImmediate(() => callback(err));
+      }
+      return;
+    }
+    this.socket.write(data, callback);
+  }
+
+  close(callback) {
+    if (this.socket.destroyed) {
+      if (callback) setImmediate(() => callback(null));
+      return;
+    }
+    this.socket.once('close', () => {
+      if (callback) callback(null);
+    });
+    this.socket.end();
+  }
+}
+
+export { TcpTransport, isTcpPath, parseTcpPath };
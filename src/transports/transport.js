@@ -0,0 +1,41 @@
+/**
+ * Transport Base Class
+ * Byte-stream link to the lock board bus. Implementations open themselves
+ * on construction, like SerialPort, and share its event contract:
+ *   'open'  once the link is usable
+ *   'data'  (Buffer) bytes received from the bus
+ *   'error' (Error) link errors; before 'open' this means the open failed
+ *   'close' once the link is gone
+ */
+
+import { EventEmitter } from 'events';
+
+class Transport extends EventEmitter {
+  /**
+   * @param {string} path - Path or URL the transport was created from
+   */
+  constructor(path) {
+    super();
+    this.path = path;
+    this.isOpen = false;
+  }
+
+  /**
+   * Write bytes to the bus
+   * @param {Buffer} data - Bytes to send
+   * @param {Function} [callback] - Called with an error or null once written
+   */
+  write(data, callback) {
+    throw new Error(`${this.constructor.name} does not implement write()`);
+  }
+
+  /**
+   * Close the link
+   * @param {Function} [callback] - Called once closed
+   */
+  close(callback) {
+    throw new Error(`${this.constructor.name} does not implement close()`);
+  }
+}
+
+export { Transport };
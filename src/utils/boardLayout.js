@@ -0,0 +1,101 @@
+/**
+ * Board Layout Utilities
+ * Maps logical cabinet IDs to (board address, channel) pairs for
+ * controller boards daisy-chained on one RS485 bus
+ */
+
+import { loadProfiles, getProfile } from './protocolProfiles.js';
+
+/**
+ * Channel count of the implicit board used when no layout is configured.
+ * Cabinet IDs 0-255 map 1:1 to channel bytes on board 0x00.
+ */
+const LEGACY_CHANNELS = 256;
+
+/**
+ * Parse a board layout specification
+ * Format: "<address>:<channels|profile>,..." e.g. "0x00:48,0x01:48" or
+ * "0x00:lock-48,0x01:lock-16". A channel count selects the 'default'
+ * protocol profile; a profile name also sets the channel count.
+ * Logical cabinet IDs are assigned in the order the boards are listed.
+ * @param {string} [spec] - Layout specification (CABINET_BOARDS)
+ * @param {Object} [profiles] - Profile table from loadProfiles()
+ * @returns {Array<Object>} Boards as { address, channels, offset, profile }
+ */
+function parseBoardLayout(spec, profiles = loadProfiles()) {
+  if (!spec || !spec.trim()) {
+    return [{ address: 0x00, channels: LEGACY_CHANNELS, offset: 0, profile: getProfile(profiles, 'default') }];
+  }
+
+  const boards = [];
+  let offset = 0;
+
+  for (const entry of spec.split(',')) {
+    const [addressPart, channelsPart = ''] = entry.trim().split(':');
+    const address = Number(addressPart);
+    const byName = channelsPart !== '' && Number.isNaN(Number(channelsPart));
+    const profile = getProfile(profiles, byName ? channelsPart : 'default');
+    const channels = byName ? profile.channels : Number(channelsPart);
+
+    if (!Number.isInteger(address) || address < 0 || address > 0xFF) {
+      throw new Error(`Invalid board address in layout: ${entry.trim()}`);
+    }
+    if (!Number.isInteger(channels) || channels < 1 || channels > LEGACY_CHANNELS) {
+      throw new Error(`Invalid channel count in layout: ${entry.trim()}`);
+    }
+    if (boards.some(board => board.address === address)) {
+      throw new Error(`Duplicate board address in layout: ${addressPart}`);
+    }
+
+    boards.push({ address, channels, offset, profile });
+    offset += channels;
+  }
+
+  return boards;
+}
+
+/**
+ * Total number of logical cabinets in a layout
+ * @param {Array<Object>} boards - Parsed layout
+ * @returns {number} Cabinet count
+ */
+function getCabinetCount(boards) {
+  return boards.reduce((total, board) => total + board.channels, 0);
+}
+
+/**
+ * Resolve a logical cabinet ID to its board and channel
+ * @param {Array<Object>} boards - Parsed layout
+ * @param {number} cabinetId - Logical cabinet ID
+ * @returns {Object|null} { boardAddress, channel } or null if unmapped
+ */
+function resolveCabinet(boards, cabinetId) {
+  for (const board of boards) {
+    if (cabinetId >= board.offset && cabinetId < board.offset + board.channels) {
+      return { boardAddress: board.address, channel: cabinetId - board.offset };
+    }
+  }
+  return null;
+}
+
+/**
+ * Map a board channel back to its logical cabinet ID
+ * @param {Array<Object>} boards - Parsed layout
+ * @param {number} boardAddress - Board address
+ * @param {number} channel - Channel on that board
+ * @returns {number|null} Cabinet ID or null if unmapped
+ */
+function toCabinetId(boards, boardAddress, channel) {
+  const board = boards.find(b => b.address === boardAddress);
+  if (!board || channel < 0 || channel >= board.channels) {
+    return null;
+  }
+  return board.offset + channel;
+}
+
+export {
+  parseBoardLayout,
+  getCabinetCount,
+  resolveCabinet,
+  toCabinetId
+};
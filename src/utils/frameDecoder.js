@@ -0,0 +1,171 @@
+/**
+ * Frame Decoder
+ * Streaming decoder for 0xAA 0x55 frames (or another profile's header and
+ * CRC) with resynchronisation, a bounded buffer and error counters for
+ * diagnosing noisy lines
+ */
+
+import { Transform } from 'stream';
+import { DEFAULT_FRAMING, calculateCRC } from './serialPort.js';
+
+/**
+ * Decodes a byte stream into CRC-checked frames
+ * Use decode() directly for synchronous callers, or pipe a port into it and
+ * read frames (Buffers) from the object-mode readable side.
+ *
+ * Emits:
+ *   'invalid' (frame) for complete frames that failed the CRC check
+ */
+class FrameDecoder extends Transform {
+  /**
+   * @param {Object} [options]
+   * @param {Array<number>} [options.header] - Frame header bytes
+   * @param {string} [options.crc='crc8-maxim'] - CRC variant (see CRC_VARIANTS)
+   * @param {number} [options.maxDataLength=64] - Largest plausible length byte; larger values are treated as noise
+   * @param {number} [options.maxBufferSize=512] - Bytes kept while waiting for a frame to complete
+   */
+  constructor({ header = DEFAULT_FRAMING.header, crc = DEFAULT_FRAMING.crc, maxDataLength = 64, maxBufferSize = 512 } = {}) {
+    super({ readableObjectMode: true });
+    this.header = Buffer.from(header);
+    this.crc = crc;
+    this.maxDataLength = maxDataLength;
+    this.maxBufferSize = maxBufferSize;
+    this.buffer = Buffer.alloc(0);
+    this.stats = {
+      bytesReceived: 0,
+      framesDecoded: 0,
+      crcFailures: 0,
+      resyncs: 0,
+      droppedBytes: 0,
+      overflows: 0
+    };
+  }
+
+  /**
+   * Feed bytes and return every complete, valid frame
+   * Split frames are held until the rest arrives; coalesced frames are
+   * returned together
+   * @param {Buffer} chunk - Bytes from the port
+   * @returns {Array<Buffer>} Decoded frames
+   */
+  decode(chunk) {
+    this.stats.bytesReceived += chunk.length;
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    if (this.buffer.length > this.maxBufferSize) {
+      this.stats.overflows++;
+      this.drop(this.buffer.length - this.maxBufferSize);
+    }
+
+    const frames = [];
+
+    while (this.buffer.length > 0) {
+      if (!this.seekHeader()) {
+        break;
+      }
+
+      // Header found at offset 0; wait for the length byte
+      if (this.buffer.length < this.header.length + 1) {
+        break;
+      }
+
+      const dataLength = this.buffer[this.header.length];
+      if (dataLength < 2 || dataLength > this.maxDataLength) {
+        // Not a real header, skip it and rescan
+        this.stats.resyncs++;
+        this.drop(1);
+        continue;
+      }
+
+      const frameLength = this.header.length + 1 + dataLength + 1;
+      if (this.buffer.length < frameLength) {
+        break;
+      }
+
+      const frame = Buffer.from(this.buffer.subarray(0, frameLength));
+      if (calculateCRC(frame.subarray(0, frameLength - 1), this.crc) !== frame[frameLength - 1]) {
+        // Drop only the first header byte so a real frame hidden inside is not lost
+        this.stats.crcFailures++;
+        this.emit('invalid', frame);
+        this.drop(1);
+        continue;
+      }
+
+      this.buffer = this.buffer.subarray(frameLength);
+      this.stats.framesDecoded++;
+      frames.push(frame);
+    }
+
+    return frames;
+  }
+
+  /**
+   * Bytes held while waiting for a frame to complete
+   * @returns {Buffer}
+   */
+  get buffered() {
+    return this.buffer;
+  }
+
+  /**
+   * Discard buffered bytes, e.g. after the port was reopened
+   * @param {Buffer} [buffer] - Bytes to start from
+   */
+  reset(buffer = Buffer.alloc(0)) {
+    this.buffer = buffer;
+  }
+
+  /**
+   * Snapshot of the error counters
+   * @returns {Object} Counters plus the current buffer size
+   */
+  getStats() {
+    return { ...this.stats, bufferedBytes: this.buffer.length };
+  }
+
+  /**
+   * Advance the buffer to the next header candidate
+   * @returns {boolean} True if the buffer now starts with a (possibly partial) header
+   * @private
+   */
+  seekHeader() {
+    const index = this.buffer.indexOf(this.header);
+    if (index === 0) {
+      return true;
+    }
+
+    if (index > 0) {
+      this.stats.resyncs++;
+      this.drop(index);
+      return true;
+    }
+
+    // No full header; keep a trailing partial header for the next chunk
+    const last = this.buffer[this.buffer.length - 1];
+    const keep = last === this.header[0] ? 1 : 0;
+    if (this.buffer.length > keep) {
+      this.stats.resyncs++;
+      this.drop(this.buffer.length - keep);
+    }
+    return false;
+  }
+
+  /**
+   * Drop bytes from the front of the buffer
+   * @param {number} count - Number of bytes
+   * @private
+   */
+  drop(count) {
+    this.stats.droppedBytes += count;
+    this.buffer = this.buffer.subarray(count);
+  }
+
+  _transform(chunk, encoding, callback) {
+    for (const frame of this.decode(chunk)) {
+      this.push(frame);
+    }
+    callback();
+  }
+}
+
+export { FrameDecoder };
@@ -0,0 +1,60 @@
+/**
+ * JSON File Utilities
+ * Small helpers for the service's persisted state files
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Read and parse a JSON file
+ * @param {string} file - File path
+ * @param {*} fallback - Value returned when the file does not exist yet
+ * @returns {*} Parsed content or fallback
+ * @throws {Error} If the file exists but is not valid JSON
+ */
+function readJsonFile(file, fallback) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return fallback;
+    }
+    throw err;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid JSON in ${file}: ${err.message}`);
+  }
+}
+
+/**
+ * Write a JSON file atomically
+ * Writes to a temporary file and renames it, so a crash mid-write never
+ * leaves a truncated file behind
+ * @param {string} file - File path
+ * @param {*} data - Value to serialise
+ */
+function writeJsonFile(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const temp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, `${JSON.stringify(data, null, 2)}\n`);
+  fs.renameSync(temp, file);
+}
+
+/**
+ * Directory for persisted state (DATA_DIR, default ./data)
+ * @returns {string} Directory path
+ */
+function getDataDir() {
+  return process.env.DATA_DIR || './data';
+}
+
+export {
+  readJsonFile,
+  writeJsonFile,
+  getDataDir
+};
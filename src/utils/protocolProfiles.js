@@ -0,0 +1,185 @@
+/**
+ * Protocol Profiles
+ * Declarative descriptions of lock board models: framing, checksum and how
+ * door states are packed into status bytes. Add a model by adding a profile
+ * here or in a PROTOCOL_PROFILES JSON file; the service needs no changes.
+ */
+
+import fs from 'fs';
+import { CRC_VARIANTS, DEFAULT_FRAMING } from './serialPort.js';
+
+/**
+ * Fields every profile has; a profile only lists what it changes
+ *   channels     Locks on the board
+ *   header       Two frame header bytes
+ *   crc          Checksum variant (key of CRC_VARIANTS)
+ *   statusBytes  Status bytes in a 0x51 reply, or null to accept any count
+ *   bitOrder     'lsb' if channel 0 is bit 0 of the first byte, 'msb' if it is bit 7
+ *   openBit      Bit value that means the door is open
+ */
+const PROFILE_DEFAULTS = {
+  channels: 48,
+  header: DEFAULT_FRAMING.header,
+  crc: DEFAULT_FRAMING.crc,
+  statusBytes: null,
+  bitOrder: 'lsb',
+  openBit: 1
+};
+
+/**
+ * Built-in board models
+ * 'default' is the generic profile used for <address>:<channels> layout entries
+ */
+const BUILTIN_PROFILES = {
+  default: {},
+  'lock-16': { channels: 16, statusBytes: 2 },
+  'lock-24': { channels: 24, statusBytes: 3 },
+  'lock-48': { channels: 48, statusBytes: 6 },
+  'lock-64': { channels: 64, statusBytes: 8 }
+};
+
+const isByte = (value) => Number.isInteger(value) && value >= 0 && value <= 0xFF;
+
+/**
+ * Fill in defaults and validate a profile definition
+ * @param {string} name - Profile name
+ * @param {Object} definition - Fields that differ from PROFILE_DEFAULTS
+ * @returns {Object} Complete profile including its name
+ * @throws {Error} If a field is invalid
+ */
+function defineProfile(name, definition = {}) {
+  const profile = { name, ...PROFILE_DEFAULTS, ...definition };
+  const fail = (field) => {
+    throw new Error(`Invalid ${field} in protocol profile: ${name}`);
+  };
+
+  if (!Number.isInteger(profile.channels) || profile.channels < 1 || profile.channels > 256) fail('channels');
+  // Frame offsets (length, address, instruction) assume a two-byte header
+  if (!Array.isArray(profile.header) || profile.header.length !== 2 || !profile.header.every(isByte)) fail('header');
+  if (!CRC_VARIANTS[profile.crc]) fail('crc');
+  if (profile.statusBytes !== null &&
+      (!Number.isInteger(profile.statusBytes) || profile.statusBytes * 8 < profile.channels)) fail('statusBytes');
+  if (profile.bitOrder !== 'lsb' && profile.bitOrder !== 'msb') fail('bitOrder');
+  if (profile.openBit !== 0 && profile.openBit !== 1) fail('openBit');
+
+  return profile;
+}
+
+/**
+ * Build the profile table from the built-ins and an optional JSON file
+ * File format: { "<name>": { "channels": 24, "bitOrder": "msb", ... }, ... }
+ * Entries in the file override built-ins of the same name.
+ * @param {string} [file] - Path to a profiles JSON file (PROTOCOL_PROFILES)
+ * @returns {Object} Profiles keyed by name
+ */
+function loadProfiles(file) {
+  const definitions = { ...BUILTIN_PROFILES };
+
+  if (file) {
+    let custom;
+    try {
+      custom = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      throw new Error(`Failed to load protocol profiles from ${file}: ${err.message}`);
+    }
+    Object.assign(definitions, custom);
+  }
+
+  return Object.fromEntries(
+    Object.entries(definitions).map(([name, definition]) => [name, defineProfile(name, definition)])
+  );
+}
+
+/**
+ * Look up a profile by name
+ * @param {Object} profiles - Profile table from loadProfiles()
+ * @param {string} name - Profile name
+ * @returns {Object} Profile
+ * @throws {Error} If no profile has that name
+ */
+function getProfile(profiles, name) {
+  const profile = profiles[name];
+  if (!profile) {
+    throw new Error(`Unknown protocol profile: ${name}`);
+  }
+  return profile;
+}
+
+/**
+ * Header and CRC shared by all boards on a bus
+ * The decoder has to check a frame before it can read the board address,
+ * so boards with different framing cannot share one bus.
+ * @param {Array<Object>} boards - Boards as { address, profile }
+ * @returns {Object} { header, crc }
+ * @throws {Error} If boards disagree on framing
+ */
+function getBusFraming(boards) {
+  const { header, crc } = boards[0].profile;
+
+  for (const board of boards) {
+    if (board.profile.crc !== crc || board.profile.header.some((byte, i) => byte !== header[i])) {
+      throw new Error(`Boards on one bus must share header and CRC: board 0x${board.address.toString(16).padStart(2, '0')} uses profile ${board.profile.name}`);
+    }
+  }
+
+  return { header, crc };
+}
+
+/**
+ * Unpack status bytes into per-channel door states
+ * @param {Object} profile - Board profile
+ * @param {Array<number>} statusBytes - Status bytes from a 0x51 reply
+ * @returns {Array<Object>} { channel, byteIndex, bitIndex, rawBit, open }
+ */
+function decodeStatusBytes(profile, statusBytes) {
+  const channels = [];
+
+  statusBytes.forEach((byte, byteIndex) => {
+    for (let position = 0; position < 8; position++) {
+      const bitIndex = profile.bitOrder === 'lsb' ? position : 7 - position;
+      const rawBit = (byte >> bitIndex) & 0x01;
+      channels.push({
+        channel: byteIndex * 8 + position,
+        byteIndex,
+        bitIndex,
+        rawBit,
+        open: rawBit === profile.openBit
+      });
+    }
+  });
+
+  return channels;
+}
+
+/**
+ * Pack door states into status bytes, the inverse of decodeStatusBytes()
+ * @param {Object} profile - Board profile
+ * @param {Array<boolean>} doors - Door states by channel (true = open)
+ * @returns {Array<number>} Status bytes
+ */
+function encodeStatusBytes(profile, doors) {
+  const closedBit = profile.openBit ^ 0x01;
+  const count = profile.statusBytes ?? Math.ceil(doors.length / 8);
+  const bytes = new Array(count).fill(closedBit ? 0xFF : 0x00);
+
+  doors.forEach((open, channel) => {
+    const byteIndex = Math.floor(channel / 8);
+    const position = channel % 8;
+    const bitIndex = profile.bitOrder === 'lsb' ? position : 7 - position;
+    const bit = open ? profile.openBit : closedBit;
+    bytes[byteIndex] = (bytes[byteIndex] & ~(1 << bitIndex)) | (bit << bitIndex);
+  });
+
+  return bytes;
+}
+
+export {
+  PROFILE_DEFAULTS,
+  BUILTIN_PROFILES,
+  defineProfile,
+  loadProfiles,
+  getProfile,
+  getBusFraming,
+  decodeStatusBytes,
+  encodeStatusBytes
+};
@@ -0,0 +1,60 @@
+/**
+ * Response Decoders
+ * Decode acknowledgement frames returned by the lock board
+ */
+
+/**
+ * Data bytes of a frame (between the instruction and the CRC)
+ * @param {Buffer} frame - Complete frame
+ * @returns {Buffer} Data bytes
+ */
+function frameData(frame) {
+  return frame.subarray(5, frame.length - 1);
+}
+
+/**
+ * Decode an open acknowledgement
+ * Frame structure: [0xAA, 0x55, len, boardAddr, 0x50, channel, result?, crc8]
+ * A missing result byte (plain echo) or 0x00 means the lock fired
+ * @param {Buffer} frame - Open ack frame
+ * @returns {Object|null} { board, channel, result, success } or null if malformed
+ */
+function decodeOpenAck(frame) {
+  const data = frameData(frame);
+  if (data.length < 1) {
+    return null;
+  }
+
+  const result = data.length > 1 ? data[1] : 0x00;
+  return {
+    board: frame[3],
+    channel: data[0],
+    result,
+    success: result === 0x00
+  };
+}
+
+/**
+ * Decode a light acknowledgement
+ * Frame structure: [0xAA, 0x55, len, boardAddr, 0x54, state, crc8]
+ * State 0x00 means the light is on, anything else off
+ * @param {Buffer} frame - Light ack frame
+ * @returns {Object|null} { board, lightOn } or null if malformed
+ */
+function decodeLightAck(frame) {
+  const data = frameData(frame);
+  if (data.length < 1) {
+    return null;
+  }
+
+  return {
+    board: frame[3],
+    lightOn: data[0] === 0x00
+  };
+}
+
+export {
+  frameData,
+  decodeOpenAck,
+  decodeLightAck
+};
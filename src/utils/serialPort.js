@@ -3,6 +3,51 @@
  * Handles CRC8 calculation and serial frame construction
  */
 
+/**
+ * Lock board instruction codes
+ */
+const INSTRUCTIONS = {
+  OPEN: 0x50,
+  STATUS: 0x51,
+  LIGHT: 0x54
+};
+
+/**
+ * Frame header bytes
+ */
+const FRAME_HEADER = [0xAA, 0x55];
+
+/**
+ * Checksum variants a protocol profile can select
+ *   crc8-maxim  CRC-8/MAXIM, reflected polynomial 0x8C (LSB-first), init 0x00
+ *   crc8-smbus  CRC-8/SMBUS, polynomial 0x07 (MSB-first), init 0x00
+ *   xor8        XOR of all bytes
+ *   sum8        Sum of all bytes, modulo 256
+ */
+const CRC_VARIANTS = {
+  'crc8-maxim': (buffer) => calculateCRC8(buffer),
+  'crc8-smbus': (buffer) => {
+    let crc = 0x00;
+    for (const byte of buffer) {
+      crc ^= byte;
+      for (let i = 0; i < 8; i++) {
+        crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xFF : (crc << 1) & 0xFF;
+      }
+    }
+    return crc;
+  },
+  xor8: (buffer) => buffer.reduce((crc, byte) => crc ^ byte, 0x00),
+  sum8: (buffer) => buffer.reduce((sum, byte) => (sum + byte) & 0xFF, 0x00)
+};
+
+/**
+ * Default framing: 0xAA 0x55 header with CRC-8/MAXIM
+ */
+const DEFAULT_FRAMING = {
+  header: FRAME_HEADER,
+  crc: 'crc8-maxim'
+};
+
 /**
  * Calculate CRC8 checksum using polynomial 0x8C (LSB-first)
  * @param {Buffer} buffer - Data buffer to calculate CRC for
@@ -26,17 +71,31 @@ function calculateCRC8(buffer) {
   return crc;
 }
 
+/**
+ * Calculate the checksum of a buffer with a named variant
+ * @param {Buffer|Array<number>} buffer - Data to checksum
+ * @param {string} [variant='crc8-maxim'] - Key of CRC_VARIANTS
+ * @returns {number} 8-bit checksum
+ */
+function calculateCRC(buffer, variant = DEFAULT_FRAMING.crc) {
+  const checksum = CRC_VARIANTS[variant];
+  if (!checksum) {
+    throw new Error(`Unknown CRC variant: ${variant}`);
+  }
+  return checksum(buffer);
+}
+
 /**
  * Build a serial command frame with header, data, and CRC8 checksum
  * Frame structure: [0xAA, 0x55, dataLength, boardAddress, instruction, ...dataBytes, CRC8]
  * @param {Array<number>} dataBytes - Instruction data bytes
  * @param {number} boardAddress - Board address (default: 0x00)
  * @param {number} instruction - Instruction code (default: 0x51 for open cabinet)
+ * @param {Object} [framing] - Header bytes and CRC variant of the board's protocol profile
  * @returns {Buffer} Complete frame ready to send to serial port
  */
-function buildSerialFrame(dataBytes, boardAddress = 0x00, instruction = 0x51) {
-  const header1 = 0xAA;
-  const header2 = 0x55;
+function buildSerialFrame(dataBytes, boardAddress = 0x00, instruction = 0x51, framing = DEFAULT_FRAMING) {
+  const [header1, header2] = framing.header;
 
   // Data length: instruction + board address + data bytes
   const dataLength = 1 + 1 + dataBytes.length;
@@ -52,7 +111,7 @@ function buildSerialFrame(dataBytes, boardAddress = 0x00, instruction = 0x51) {
   ];
 
   // Calculate CRC8 and append
-  const crc = calculateCRC8(frameWithoutCRC);
+  const crc = calculateCRC(frameWithoutCRC, framing.crc);
   const fullFrame = [...frameWithoutCRC, crc];
 
   return Buffer.from(fullFrame);
@@ -82,7 +141,12 @@ function hexStringToByteArray(hexString) {
 }
 
 export {
+  INSTRUCTIONS,
+  FRAME_HEADER,
+  DEFAULT_FRAMING,
+  CRC_VARIANTS,
   calculateCRC8,
+  calculateCRC,
   buildSerialFrame,
   bufferToHexString,
   hexStringToByteArray
@@ -3,12 +3,23 @@
  * Tests all API endpoints with mocked cabinetService
  */
 
-import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
 import request from 'supertest';
 import express from 'express';
 import dotenv from 'dotenv';
 import cabinetRoutes from '../../src/routes/cabinetRoutes.js';
 import cabinetService from '../../src/services/cabinetService.js';
+import cabinetRegistry from '../../src/services/cabinetRegistry.js';
+import auditLog from '../../src/services/auditLog.js';
+import webhookService from '../../src/services/webhookService.js';
+import jobService from '../../src/services/jobService.js';
+import alarmService from '../../src/services/alarmService.js';
+import assignmentService from '../../src/services/assignmentService.js';
+import parcelService from '../../src/services/parcelService.js';
+import apiKeyService from '../../src/services/apiKeyService.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 
 // Load environment variables
 dotenv.config();
@@ -20,14 +31,26 @@ vi.mock('serialport', () => {
     if (event === 'open') {
       setTimeout(() => callback(), 10);
     }
+    if (event === 'data') {
+      this.onData = callback;
+    }
     return this;
   });
-  MockSerialPort.prototype.write = vi.fn((frame, callback) => {
-    setTimeout(() => callback(null), 10);
+  MockSerialPort.prototype.write = vi.fn(function(frame, callback) {
+    setTimeout(() => {
+      callback(null);
+      // Echo the frame back as the board's acknowledgement
+      if (this.onData) {
+        this.onData(Buffer.from(frame));
+      }
+    }, 10);
   });
   MockSerialPort.prototype.close = vi.fn((callback) => {
     setTimeout(() => callback(), 10);
   });
+  MockSerialPort.list = vi.fn(async () => [
+    { path: '/dev/ttyUSB0', manufacturer: 'FTDI' }
+  ]);
 
   return {
     SerialPort: MockSerialPort
@@ -104,6 +127,8 @@ describe('Cabinet Control REST API Integration Tests', () => {
 
   beforeAll(async () => {
     app = createTestApp();
+    // Keys are covered in their own describe; the other tests call without one
+    apiKeyService.enabled = false;
     // Connect service once for all tests
     try {
       await cabinetService.connect();
@@ -113,6 +138,7 @@ describe('Cabinet Control REST API Integration Tests', () => {
   });
 
   afterAll(async () => {
+    apiKeyService.enabled = true;
     try {
       await cabinetService.disconnect();
     } catch (err) {
@@ -639,6 +665,908 @@ describe('Cabinet Control REST API Integration Tests', () => {
     });
   });
 
+  // ==================== SERIAL DIAGNOSTICS ENDPOINT TESTS ====================
+  describe('GET /api/v1/serial/diagnostics', () => {
+
+    it('should return decoder counters', async () => {
+      // Act
+      const response = await request(app).get('/api/v1/serial/diagnostics');
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('success');
+      expect(response.body.data.decoder).toHaveProperty('crcFailures');
+      expect(response.body.data.decoder).toHaveProperty('resyncs');
+      expect(response.body.data.decoder).toHaveProperty('droppedBytes');
+    });
+  });
+
+  describe('GET /api/v1/serial/ports', () => {
+
+    it('should list candidate ports without probing when probe=false', async () => {
+      // Act
+      const response = await request(app).get('/api/v1/serial/ports?probe=false');
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.body.data.configuredPath).toBe(cabinetService.portPath);
+      expect(response.body.data.ports).toEqual([
+        expect.objectContaining({ path: '/dev/ttyUSB0', manufacturer: 'FTDI' })
+      ]);
+      expect(response.body.data.ports[0]).not.toHaveProperty('probe');
+    });
+  });
+
+  // ==================== CABINET REGISTRY TESTS ====================
+  describe('Cabinet registry endpoints', () => {
+
+    const b12 = { label: 'B-12', size: 'medium', column: 2, row: 12, zone: 'lobby' };
+
+    afterEach(() => {
+      cabinetRegistry.clear();
+      cabinetService.resetStatus();
+    });
+
+    it('should create a record and map it to its hardware channel', async () => {
+      // Act
+      const response = await request(app).put('/api/v1/cabinets/12').send(b12);
+
+      // Assert
+      expect(response.status).toBe(201);
+      expect(response.body.data).toEqual({ id: 12, ...b12, enabled: true, board: 0x00, channel: 12 });
+    });
+
+    it('should replace an existing record with 200', async () => {
+      // Arrange
+      await request(app).put('/api/v1/cabinets/12').send(b12);
+
+      // Act
+      const response = await request(app).put('/api/v1/cabinets/12').send({ ...b12, size: 'large' });
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.body.data.size).toBe('large');
+    });
+
+    it('should reject invalid records and duplicate labels', async () => {
+      // Arrange
+      await request(app).put('/api/v1/cabinets/12').send(b12);
+
+      // Act
+      const invalid = await request(app).put('/api/v1/cabinets/13').send({ label: '', size: 'huge' });
+      const duplicate = await request(app).put('/api/v1/cabinets/13').send(b12);
+      const outOfRange = await request(app).put('/api/v1/cabinets/999').send(b12);
+
+      // Assert
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.error).toContain('size must be one of small, medium, large, xlarge');
+      expect(duplicate.status).toBe(409);
+      expect(outOfRange.status).toBe(400);
+    });
+
+    it('should list, get and delete records', async () => {
+      // Arrange
+      await request(app).put('/api/v1/cabinets/12').send(b12);
+      await request(app).put('/api/v1/cabinets/3').send({ label: 'A-03', size: 'small' });
+
+      // Act
+      const list = await request(app).get('/api/v1/cabinets');
+      const one = await request(app).get('/api/v1/cabinets/3');
+      const removed = await request(app).delete('/api/v1/cabinets/3');
+      const missing = await request(app).get('/api/v1/cabinets/3');
+
+      // Assert
+      expect(list.body.data.cabinets.map(c => c.label)).toEqual(['A-03', 'B-12']);
+      expect(one.body.data).toMatchObject({ id: 3, label: 'A-03', column: null, zone: null });
+      expect(removed.status).toBe(200);
+      expect(missing.status).toBe(404);
+    });
+
+    it('should return enriched records from GET /cabinet/status', async () => {
+      // Arrange
+      await request(app).put('/api/v1/cabinets/12').send(b12);
+      await request(app).post('/api/v1/cabinet/open').send({ cabinetIds: [12, 20] });
+      await request(app).put('/api/v1/cabinets/30').send({ label: 'C-01', size: 'xlarge' });
+
+      // Act
+      const response = await request(app).get('/api/v1/cabinet/status');
+
+      // Assert
+      const cabinets = response.body.data.cabinets;
+      expect(cabinets.map(c => [c.id, c.label, c.status])).toEqual([
+        [12, 'B-12', 'opened'],
+        [20, null, 'opened'],
+        [30, 'C-01', 'unknown']
+      ]);
+      expect(cabinets[0]).toMatchObject({ size: 'medium', column: 2, row: 12, zone: 'lobby', enabled: true });
+    });
+
+    it('should refuse to open disabled cabinets', async () => {
+      // Arrange
+      await request(app).put('/api/v1/cabinets/12').send({ ...b12, enabled: false });
+
+      // Act
+      const response = await request(app).post('/api/v1/cabinet/open').send({ cabinetIds: [11, 12] });
+
+      // Assert
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Cabinet disabled');
+    });
+  });
+
+  describe('GET /api/v1/cabinet/history', () => {
+
+    it('should return an empty history when no store is open', async () => {
+      // Act
+      const response = await request(app).get('/api/v1/cabinet/history?cabinetId=4&type=open');
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({ events: [], count: 0 });
+    });
+
+    it('should reject invalid filters', async () => {
+      // Act
+      const response = await request(app).get('/api/v1/cabinet/history?type=closed&limit=0&since=yesterday');
+
+      // Assert
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('type must be one of open, transition, reset');
+      expect(response.body.error).toContain('since must be an ISO timestamp');
+      expect(response.body.error).toContain('limit must be an integer between 1 and 1000');
+    });
+  });
+
+  // ==================== AUDIT LOG TESTS ====================
+  describe('Audit log', () => {
+
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+      auditLog.open(path.join(dir, 'audit.jsonl'));
+    });
+
+    afterEach(() => {
+      auditLog.close();
+      jobService.clear();
+      cabinetRegistry.clear();
+      cabinetService.resetStatus();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should record actor, IP, reason, request ID and outcome of an open', async () => {
+      // Act
+      const open = await request(app)
+        .post('/api/v1/cabinet/open')
+        .set('X-Request-Id', 'req-42')
+        .send({ cabinetIds: [4], actor: 'front-desk', reason: 'Guest lost key' });
+      const response = await request(app).get('/api/v1/audit');
+
+      // Assert
+      expect(open.headers['x-request-id']).toBe('req-42');
+      expect(response.status).toBe(200);
+      expect(response.body.data.entries).toEqual([{
+        time: expect.any(String),
+        requestId: 'req-42',
+        actor: 'front-desk',
+        ip: expect.any(String),
+        reason: 'Guest lost key',
+        cabinetIds: [4],
+        outcome: 'completed',
+        opened: [4],
+        unconfirmed: [],
+        failed: [],
+        error: null
+      }]);
+    });
+
+    it('should report and audit an open whose door never reads open as unconfirmed', async () => {
+      // Arrange - the mock board never answers status queries
+      const defaults = cabinetService.openVerification;
+      cabinetService.openVerification = { window: 30, interval: 10, retries: 0 };
+
+      try {
+        // Act
+        const open = await request(app).post('/api/v1/cabinet/open').send({ cabinetIds: [4] });
+        const { body: { data: { entries } } } = await request(app).get('/api/v1/audit');
+
+        // Assert
+        expect(open.status).toBe(500);
+        expect(open.body.data).toMatchObject({ opened: [], successCount: 0, unconfirmedCount: 1, failureCount: 0 });
+        expect(open.body.data.unconfirmed).toEqual([expect.objectContaining({ id: 4, status: 'unconfirmed', verification: 'unconfirmed' })]);
+        expect(entries[0]).toMatchObject({ opened: [], unconfirmed: [4], failed: [] });
+      } finally {
+        cabinetService.openVerification = defaults;
+      }
+    });
+
+    it('should record the IP and request ID of an async open', async () => {
+      // Act
+      const started = await request(app)
+        .post('/api/v1/cabinet/open')
+        .set('X-Request-Id', 'req-43')
+        .send({ cabinetIds: [4, 5], async: true });
+      for (let i = 0; i < 200 && jobService.get(started.body.data.id).status === 'running'; i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      const response = await request(app).get('/api/v1/audit');
+
+      // Assert
+      expect(response.body.data.entries).toEqual([expect.objectContaining({
+        requestId: 'req-43',
+        ip: expect.any(String),
+        outcome: 'completed',
+        opened: [4, 5]
+      })]);
+    });
+
+    it('should take the actor from X-Actor and generate a request ID', async () => {
+      // Act
+      const open = await request(app)
+        .post('/api/v1/cabinet/open')
+        .set('X-Actor', 'kiosk-3')
+        .send({ cabinetIds: [5] });
+      const response = await request(app).get('/api/v1/audit?actor=kiosk-3');
+
+      // Assert
+      expect(response.body.data.count).toBe(1);
+      expect(response.body.data.entries[0].requestId).toBe(open.headers['x-request-id']);
+      expect(response.body.data.entries[0].reason).toBeNull();
+    });
+
+    it('should record rejected requests', async () => {
+      // Arrange
+      cabinetRegistry.upsert(6, { label: 'A-06', size: 'small', enabled: false });
+
+      // Act
+      await request(app).post('/api/v1/cabinet/open').send({ cabinetIds: [6] });
+      const response = await request(app).get('/api/v1/audit?cabinetId=6');
+
+      // Assert
+      expect(response.body.data.entries[0]).toMatchObject({ actor: 'anonymous', outcome: 'rejected', opened: [] });
+    });
+
+    it('should filter by cabinet, actor and time range', async () => {
+      // Arrange
+      await request(app).post('/api/v1/cabinet/open').send({ cabinetIds: [1, 2], actor: 'alice' });
+      await request(app).post('/api/v1/cabinet/open').send({ cabinetIds: [2], actor: 'bob' });
+      const future = new Date(Date.now() + 60000).toISOString();
+
+      // Act
+      const byCabinet = await request(app).get('/api/v1/audit?cabinetId=2');
+      const byActor = await request(app).get('/api/v1/audit?actor=alice&cabinetId=2');
+      const none = await request(app).get(`/api/v1/audit?since=${future}`);
+
+      // Assert
+      expect(byCabinet.body.data.entries.map(e => e.actor)).toEqual(['alice', 'bob']);
+      expect(byActor.body.data.entries.map(e => e.cabinetIds)).toEqual([[1, 2]]);
+      expect(none.body.data.count).toBe(0);
+    });
+
+    it('should reject invalid actor, reason and filters', async () => {
+      // Act
+      const badReason = await request(app).post('/api/v1/cabinet/open').send({ cabinetIds: [1], reason: 42 });
+      const badActor = await request(app).post('/api/v1/cabinet/open').send({ cabinetIds: [1], actor: '' });
+      const badQuery = await request(app).get('/api/v1/audit?until=never');
+
+      // Assert
+      expect(badReason.status).toBe(400);
+      expect(badActor.status).toBe(400);
+      expect(badQuery.status).toBe(400);
+      expect((await auditLog.query()).length).toBe(0);
+    });
+  });
+
+  // ==================== ASYNC JOB TESTS ====================
+  describe('Async open jobs', () => {
+
+    afterEach(() => {
+      jobService.clear();
+      cabinetService.resetStatus();
+    });
+
+    /**
+     * Poll a job until it has finished
+     */
+    async function waitForJob(id) {
+      for (let i = 0; i < 200; i++) {
+        const response = await request(app).get(`/api/v1/jobs/${id}`);
+        if (response.body.data.status !== 'running') {
+          return response;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      throw new Error(`Job ${id} did not finish`);
+    }
+
+    it('should return 202 with a job and report per-cabinet results', async () => {
+      // Act
+      const response = await request(app)
+        .post('/api/v1/cabinet/open')
+        .send({ cabinetIds: [1, 2, 3], async: true });
+      const finished = await waitForJob(response.body.data.id);
+
+      // Assert
+      expect(response.status).toBe(202);
+      expect(response.headers.location).toBe(`/api/v1/jobs/${response.body.data.id}`);
+      expect(response.body.data).toMatchObject({ type: 'open', status: 'running', cabinetIds: [1, 2, 3] });
+      expect(finished.body.data.status).toBe('completed');
+      expect(finished.body.data.progress).toEqual({ total: 3, completed: 3, opened: 3, unconfirmed: 0, failed: 0, cancelled: 0 });
+      expect(finished.body.data.results.map(r => [r.id, r.status])).toEqual([[1, 'opened'], [2, 'opened'], [3, 'opened']]);
+    });
+
+    it('should cancel a running job', async () => {
+      // Arrange
+      const started = await request(app)
+        .post('/api/v1/cabinet/open')
+        .send({ cabinetIds: [1, 2, 3, 4, 5, 6], async: true });
+      const { id } = started.body.data;
+
+      // Act
+      const cancelled = await request(app).post(`/api/v1/jobs/${id}/cancel`);
+      const finished = await waitForJob(id);
+      const again = await request(app).post(`/api/v1/jobs/${id}/cancel`);
+
+      // Assert
+      expect(cancelled.status).toBe(200);
+      expect(finished.body.data.status).toBe('cancelled');
+      expect(finished.body.data.progress.cancelled).toBeGreaterThan(0);
+      expect(again.status).toBe(409);
+    });
+
+    it('should list jobs and reject unknown IDs and bad input', async () => {
+      // Arrange
+      await request(app).post('/api/v1/cabinet/open').send({ cabinetIds: [1], async: true });
+
+      // Act
+      const list = await request(app).get('/api/v1/jobs');
+      const badStatus = await request(app).get('/api/v1/jobs?status=lost');
+      const missing = await request(app).get('/api/v1/jobs/unknown');
+      const cancelMissing = await request(app).post('/api/v1/jobs/unknown/cancel');
+      const badFlag = await request(app).post('/api/v1/cabinet/open').send({ cabinetIds: [1], async: 'yes' });
+
+      // Assert
+      expect(list.body.data.count).toBe(1);
+      expect(badStatus.status).toBe(400);
+      expect(missing.status).toBe(404);
+      expect(cancelMissing.status).toBe(404);
+      expect(badFlag.status).toBe(400);
+    });
+  });
+
+  // ==================== ASSIGNMENT TESTS ====================
+  describe('Locker assignments', () => {
+
+    const endsAt = () => new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+    beforeEach(() => {
+      assignmentService.admins = ['ops'];
+    });
+
+    afterEach(() => {
+      assignmentService.admins = [];
+      assignmentService.clear();
+      cabinetService.resetStatus();
+    });
+
+    /**
+     * Reserve a locker as the ops admin
+     */
+    function assign(cabinetId, assignee) {
+      return request(app)
+        .post('/api/v1/assignments')
+        .set('X-Actor', 'ops')
+        .send({ cabinetId, assignee, endsAt: endsAt() });
+    }
+
+    it('should reserve a locker for an admin only', async () => {
+      // Act
+      const created = await assign(4, 'j.doe');
+      const notAdmin = await request(app)
+        .post('/api/v1/assignments')
+        .set('X-Actor', 'j.doe')
+        .send({ cabinetId: 5, assignee: 'j.doe', endsAt: endsAt() });
+      const overlap = await assign(4, 'a.lee');
+      const invalid = await request(app).post('/api/v1/assignments').set('X-Actor', 'ops').send({ cabinetId: 4 });
+
+      // Assert
+      expect(created.status).toBe(201);
+      expect(created.headers.location).toBe(`/api/v1/assignments/${created.body.data.id}`);
+      expect(created.body.data).toMatchObject({ cabinetId: 4, assignee: 'j.doe', createdBy: 'ops', status: 'active' });
+      expect(notAdmin.status).toBe(403);
+      expect(overlap.status).toBe(409);
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.error).toContain('assignee must be a non-empty string');
+    });
+
+    it('should open an assigned locker for its assignee and admins only', async () => {
+      // Arrange
+      await assign(4, 'j.doe');
+
+      // Act
+      const assignee = await request(app).post('/api/v1/cabinet/open').set('X-Actor', 'j.doe').send({ cabinetIds: [4] });
+      const admin = await request(app).post('/api/v1/cabinet/open').set('X-Actor', 'ops').send({ cabinetIds: [4] });
+      const other = await request(app).post('/api/v1/cabinet/open').set('X-Actor', 'a.lee').send({ cabinetIds: [4, 5] });
+      const unassigned = await request(app).post('/api/v1/cabinet/open').set('X-Actor', 'a.lee').send({ cabinetIds: [5] });
+
+      // Assert
+      expect(assignee.status).toBe(200);
+      expect(admin.status).toBe(200);
+      expect(other.status).toBe(403);
+      expect(other.body.error).toBe('Cabinet 4 is assigned to j.doe');
+      expect(unassigned.status).toBe(200);
+    });
+
+    it('should list, get and release assignments', async () => {
+      // Arrange
+      const { body: { data: created } } = await assign(4, 'j.doe');
+      await assign(6, 'a.lee');
+
+      // Act
+      const mine = await request(app).get('/api/v1/assignments?assignee=j.doe');
+      const forbidden = await request(app).post(`/api/v1/assignments/${created.id}/release`).set('X-Actor', 'a.lee');
+      const released = await request(app).post(`/api/v1/assignments/${created.id}/release`).set('X-Actor', 'j.doe');
+      const again = await request(app).post(`/api/v1/assignments/${created.id}/release`).set('X-Actor', 'ops');
+      const fetched = await request(app).get(`/api/v1/assignments/${created.id}`);
+      const active = await request(app).get('/api/v1/assignments?status=active');
+      const badQuery = await request(app).get('/api/v1/assignments?status=lost&cabinetId=x');
+      const missing = await request(app).get('/api/v1/assignments/unknown');
+
+      // Assert
+      expect(mine.body.data.assignments.map(a => a.cabinetId)).toEqual([4]);
+      expect(forbidden.status).toBe(403);
+      expect(released.status).toBe(200);
+      expect(again.status).toBe(409);
+      expect(fetched.body.data).toMatchObject({ status: 'released', releasedBy: 'j.doe' });
+      expect(active.body.data.assignments.map(a => a.cabinetId)).toEqual([6]);
+      expect(badQuery.status).toBe(400);
+      expect(missing.status).toBe(404);
+    });
+  });
+
+  // ==================== ALARM TESTS ====================
+  describe('Door-left-open alarms', () => {
+
+    beforeEach(() => {
+      alarmService.start();
+    });
+
+    afterEach(() => {
+      alarmService.stop();
+      alarmService.clear();
+    });
+
+    /**
+     * Report a door open for an hour and raise its alarm
+     */
+    function leaveDoorOpen(cabinetId) {
+      cabinetService.emit('door.opened', {
+        cabinetId,
+        board: 0,
+        channel: cabinetId,
+        from: 'closed',
+        timestamp: new Date(Date.now() - 60 * 60 * 1000).toISOString()
+      });
+      alarmService.check();
+    }
+
+    it('should list active alarms', async () => {
+      // Arrange
+      leaveDoorOpen(8);
+
+      // Act
+      const response = await request(app).get('/api/v1/alarms');
+      const unacknowledged = await request(app).get('/api/v1/alarms?acknowledged=false');
+      const badQuery = await request(app).get('/api/v1/alarms?acknowledged=maybe');
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.body.data.count).toBe(1);
+      expect(response.body.data.alarms[0]).toMatchObject({ cabinetId: 8, level: 1, acknowledged: false });
+      expect(unacknowledged.body.data.count).toBe(1);
+      expect(badQuery.status).toBe(400);
+    });
+
+    it('should acknowledge an alarm as the requesting actor', async () => {
+      // Arrange
+      leaveDoorOpen(8);
+      const [alarm] = alarmService.list();
+
+      // Act
+      const response = await request(app)
+        .post(`/api/v1/alarms/${alarm.id}/acknowledge`)
+        .set('X-Actor', 'night-shift')
+        .send({ note: 'Cleaner is restocking' });
+      const again = await request(app).post(`/api/v1/alarms/${alarm.id}/acknowledge`).send({});
+      const missing = await request(app).post('/api/v1/alarms/unknown/acknowledge').send({});
+      const badNote = await request(app).post(`/api/v1/alarms/${alarm.id}/acknowledge`).send({ note: 42 });
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ acknowledged: true, acknowledgedBy: 'night-shift', note: 'Cleaner is restocking' });
+      expect(again.status).toBe(409);
+      expect(missing.status).toBe(404);
+      expect(badNote.status).toBe(400);
+    });
+
+    it('should read and replace thresholds', async () => {
+      // Arrange
+      const thresholds = {
+        default: { openMinutes: 45, escalateMinutes: 15 },
+        zones: { lobby: { openMinutes: 5, escalateMinutes: 5 } },
+        cabinets: {}
+      };
+
+      // Act
+      const put = await request(app).put('/api/v1/alarms/thresholds').send(thresholds);
+      const get = await request(app).get('/api/v1/alarms/thresholds');
+      const bad = await request(app).put('/api/v1/alarms/thresholds').send({ default: { openMinutes: 'soon' } });
+
+      // Assert
+      expect(put.status).toBe(200);
+      expect(get.body.data).toEqual(thresholds);
+      expect(bad.status).toBe(400);
+      expect(bad.body.error).toContain('default.openMinutes must be a non-negative number');
+    });
+  });
+
+  // ==================== PARCEL TESTS ====================
+  describe('Parcels', () => {
+
+    let requestStatus;
+
+    beforeEach(() => {
+      // The mock port echoes frames, so it never answers a status request
+      requestStatus = vi.spyOn(cabinetService, 'requestStatus').mockResolvedValue();
+    });
+
+    afterEach(() => {
+      requestStatus.mockRestore();
+      assignmentService.admins = [];
+      parcelService.clear();
+      cabinetService.resetStatus();
+    });
+
+    /**
+     * Start a drop-off as a courier and close the locker door
+     */
+    async function dropOff() {
+      const started = await request(app).post('/api/v1/parcels').set('X-Actor', 'courier-7').send({});
+      cabinetService.cabinetStatus[started.body.data.cabinetId].status = 'close';
+      return started;
+    }
+
+    it('should open a free locker for a courier and store the parcel once closed', async () => {
+      // Act
+      const started = await request(app).post('/api/v1/parcels').set('X-Actor', 'courier-7').send({});
+      const whileOpen = await request(app).post(`/api/v1/parcels/${started.body.data.id}/store`).send({ recipient: 'j.doe' });
+      cabinetService.cabinetStatus[started.body.data.cabinetId].status = 'close';
+      const noRecipient = await request(app).post(`/api/v1/parcels/${started.body.data.id}/store`).send({});
+      const stored = await request(app).post(`/api/v1/parcels/${started.body.data.id}/store`).send({ recipient: 'j.doe' });
+      const again = await request(app).post(`/api/v1/parcels/${started.body.data.id}/store`).send({ recipient: 'j.doe' });
+      const listed = await request(app).get('/api/v1/parcels?status=stored&recipient=j.doe');
+
+      // Assert
+      expect(started.status).toBe(201);
+      expect(started.headers.location).toBe(`/api/v1/parcels/${started.body.data.id}`);
+      expect(started.body.data).toMatchObject({ cabinetId: 0, status: 'awaiting-drop', courier: 'courier-7' });
+      expect(whileOpen.status).toBe(409);
+      expect(noRecipient.status).toBe(400);
+      expect(stored.status).toBe(200);
+      expect(stored.body.data).toMatchObject({ status: 'stored', recipient: 'j.doe', code: expect.stringMatching(/^\d{6}$/) });
+      expect(again.status).toBe(409);
+      expect(listed.body.data.count).toBe(1);
+      expect(listed.body.data.parcels[0]).not.toHaveProperty('code');
+    });
+
+    it('should open the locker for a pickup code once', async () => {
+      // Arrange
+      const started = await dropOff();
+      const stored = await request(app).post(`/api/v1/parcels/${started.body.data.id}/store`).send({ recipient: 'j.doe' });
+
+      // Act
+      const pickup = await request(app).post('/api/v1/parcels/pickup').send({ code: stored.body.data.code });
+      const reused = await request(app).post('/api/v1/parcels/pickup').send({ code: stored.body.data.code });
+      const malformed = await request(app).post('/api/v1/parcels/pickup').send({ code: 123456 });
+
+      // Assert
+      expect(pickup.status).toBe(200);
+      expect(pickup.body.data).toMatchObject({ id: started.body.data.id, status: 'collected' });
+      expect(cabinetService.cabinetStatus[started.body.data.cabinetId].status).toBe('opened');
+      expect(reused.status).toBe(404);
+      expect(malformed.status).toBe(400);
+    });
+
+    it('should lock out a client after too many wrong codes', async () => {
+      // Act
+      const responses = [];
+      for (let i = 0; i <= parcelService.maxAttempts; i++) {
+        responses.push(await request(app).post('/api/v1/parcels/pickup').send({ code: '999999' }));
+      }
+
+      // Assert
+      expect(responses.slice(0, -1).map(response => response.status)).toEqual(Array(parcelService.maxAttempts).fill(404));
+      expect(responses.at(-1).status).toBe(429);
+    });
+
+    it('should cancel drop-offs and let admins mark returned parcels', async () => {
+      // Arrange
+      assignmentService.admins = ['ops'];
+      const cancelled = await dropOff();
+      const expired = await dropOff();
+      await request(app).post(`/api/v1/parcels/${expired.body.data.id}/store`).send({ recipient: 'j.doe' });
+      parcelService.sweep(Date.now() + parcelService.expiryHours * 60 * 60 * 1000);
+
+      // Act
+      const cancel = await request(app).post(`/api/v1/parcels/${cancelled.body.data.id}/cancel`).send({});
+      const cancelStored = await request(app).post(`/api/v1/parcels/${expired.body.data.id}/cancel`).send({});
+      const notAdmin = await request(app).post(`/api/v1/parcels/${expired.body.data.id}/returned`).set('X-Actor', 'j.doe').send({});
+      const returned = await request(app).post(`/api/v1/parcels/${expired.body.data.id}/returned`).set('X-Actor', 'ops').send({});
+      const missing = await request(app).get('/api/v1/parcels/unknown');
+
+      // Assert
+      expect(cancel.status).toBe(200);
+      expect(cancel.body.data.status).toBe('cancelled');
+      expect(cancelStored.status).toBe(409);
+      expect(notAdmin.status).toBe(403);
+      expect(returned.status).toBe(200);
+      expect(returned.body.data).toMatchObject({ status: 'returned', returnedBy: 'ops' });
+      expect(missing.status).toBe(404);
+    });
+  });
+
+  // ==================== ALLOCATION TESTS ====================
+  describe('POST /api/v1/allocations', () => {
+
+    beforeEach(() => {
+      cabinetRegistry.upsert(0, { label: 'A-1', size: 'small', zone: 'lobby' });
+      cabinetRegistry.upsert(1, { label: 'A-2', size: 'medium', zone: 'garage' });
+      cabinetRegistry.upsert(2, { label: 'A-3', size: 'large', zone: 'lobby' });
+    });
+
+    afterEach(() => {
+      cabinetRegistry.clear();
+      parcelService.clear();
+      cabinetService.resetStatus();
+    });
+
+    it('should pick the best free locker for a size and zone', async () => {
+      // Act
+      const small = await request(app).post('/api/v1/allocations').send({ size: 'small' });
+      const preferred = await request(app).post('/api/v1/allocations').send({ size: 'medium', zone: 'lobby' });
+      const none = await request(app).post('/api/v1/allocations').send({ size: 'xlarge' });
+      const invalid = await request(app).post('/api/v1/allocations').send({ size: 'huge' });
+
+      // Assert
+      expect(small.status).toBe(200);
+      expect(small.body.data).toMatchObject({ id: 0, label: 'A-1', size: 'small', fallback: false });
+      expect(preferred.body.data).toMatchObject({ id: 1, size: 'medium', zone: 'garage', fallback: false });
+      expect(none.status).toBe(409);
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.error).toBe('size must be one of small, medium, large, xlarge');
+    });
+
+    it('should skip lockers in maintenance and lockers holding parcels', async () => {
+      // Arrange
+      cabinetRegistry.upsert(1, { label: 'A-2', size: 'medium', zone: 'garage', enabled: false });
+      const parcel = await request(app).post('/api/v1/parcels').set('X-Actor', 'courier-7').send({ size: 'medium' });
+
+      // Act
+      const response = await request(app).post('/api/v1/allocations').send({ size: 'medium' });
+
+      // Assert
+      expect(parcel.body.data.cabinetId).toBe(2);
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('No free locker of size medium or larger');
+    });
+  });
+
+  // ==================== API KEY TESTS ====================
+  describe('API key authentication', () => {
+
+    let admin;
+
+    beforeEach(() => {
+      apiKeyService.enabled = true;
+      admin = apiKeyService.create({ name: 'ops-admin', scopes: ['admin'] }, 'test').secret;
+    });
+
+    afterEach(() => {
+      apiKeyService.enabled = false;
+      apiKeyService.clear();
+      assignmentService.admins = [];
+      assignmentService.clear();
+      parcelService.clear();
+      cabinetService.resetStatus();
+    });
+
+    it('should answer 401 without a valid key, except for the health check', async () => {
+      // Act
+      const open = await request(app).post('/api/v1/cabinet/open').send({ cabinetIds: [1] });
+      const reset = await request(app).post('/api/v1/cabinet/reset').set('X-API-Key', 'ck_unknown');
+      const health = await request(app).get('/api/v1/health');
+
+      // Assert
+      expect(open.status).toBe(401);
+      expect(open.headers['www-authenticate']).toBe('Bearer');
+      expect(open.body.message).toBe('Authentication required');
+      expect(reset.status).toBe(401);
+      expect(reset.body.message).toBe('Invalid API key');
+      expect(health.status).toBe(200);
+    });
+
+    it('should answer 403 when the key lacks the route scope', async () => {
+      // Arrange
+      const { secret } = apiKeyService.create({ name: 'front-desk', scopes: ['status:read', 'cabinet:open'] }, 'test');
+
+      // Act
+      const status = await request(app).get('/api/v1/cabinet/status').set('Authorization', `Bearer ${secret}`);
+      const open = await request(app).post('/api/v1/cabinet/open').set('Authorization', `Bearer ${secret}`).send({ cabinetIds: [1] });
+      const reset = await request(app).post('/api/v1/cabinet/reset').set('Authorization', `Bearer ${secret}`);
+      const light = await request(app).get('/api/v1/cabinet/light').set('Authorization', `Bearer ${secret}`);
+
+      // Assert
+      expect(status.status).toBe(200);
+      expect(open.status).toBe(200);
+      expect(reset.status).toBe(403);
+      expect(reset.body.error).toBe('API key front-desk does not have the admin scope');
+      expect(light.status).toBe(403);
+    });
+
+    it('should only let admin keys probe serial ports', async () => {
+      // Arrange
+      const { secret } = apiKeyService.create({ name: 'monitor', scopes: ['status:read'] }, 'test');
+
+      // Act
+      const probe = await request(app).get('/api/v1/serial/ports').set('X-API-Key', secret);
+      const list = await request(app).get('/api/v1/serial/ports?probe=false').set('X-API-Key', secret);
+
+      // Assert
+      expect(probe.status).toBe(403);
+      expect(probe.body.message).toBe('Insufficient scope');
+      expect(list.status).toBe(200);
+    });
+
+    it('should take the actor from the key, not the X-Actor header', async () => {
+      // Arrange
+      const { secret } = apiKeyService.create({ name: 'courier-7', scopes: ['parcel:write'] }, 'test');
+
+      // Act
+      const response = await request(app).post('/api/v1/parcels').set('X-API-Key', secret).set('X-Actor', 'someone-else').send({});
+
+      // Assert
+      expect(response.status).toBe(201);
+      expect(response.body.data.courier).toBe('courier-7');
+    });
+
+    it('should refuse a body actor other than the key name', async () => {
+      // Arrange
+      assignmentService.admins = ['admin'];
+      assignmentService.create({ cabinetId: 4, assignee: 'j.doe', endsAt: new Date(Date.now() + 60 * 60 * 1000).toISOString() }, 'ops');
+      const { secret } = apiKeyService.create({ name: 'front-desk', scopes: ['cabinet:open'] }, 'test');
+      const open = (body) => request(app).post('/api/v1/cabinet/open').set('X-API-Key', secret).send(body);
+
+      // Act
+      const plain = await open({ cabinetIds: [4] });
+      const asAssignee = await open({ cabinetIds: [4], actor: 'j.doe' });
+      const asAdmin = await open({ cabinetIds: [4], actor: 'admin' });
+      const asItself = await open({ cabinetIds: [5], actor: 'front-desk' });
+
+      // Assert
+      expect(plain.status).toBe(403);
+      expect(plain.body.error).toBe('Cabinet 4 is assigned to j.doe');
+      expect(asAssignee.status).toBe(403);
+      expect(asAssignee.body.error).toBe('API key front-desk cannot act as j.doe');
+      expect(asAdmin.status).toBe(403);
+      expect(asItself.status).toBe(200);
+    });
+
+    it('should decide admin rights by scope, not by a key name in ADMIN_ACTORS', async () => {
+      // Arrange
+      assignmentService.admins = ['ops'];
+      assignmentService.create({ cabinetId: 4, assignee: 'j.doe', endsAt: new Date(Date.now() + 60 * 60 * 1000).toISOString() }, 'ops');
+      const { secret } = apiKeyService.create({ name: 'ops', scopes: ['cabinet:open', 'assignment:write'] }, 'test');
+
+      // Act
+      const open = await request(app).post('/api/v1/cabinet/open').set('X-API-Key', secret).send({ cabinetIds: [4] });
+      const assign = await request(app)
+        .post('/api/v1/assignments')
+        .set('X-API-Key', secret)
+        .send({ cabinetId: 5, assignee: 'ops', endsAt: new Date(Date.now() + 60 * 60 * 1000).toISOString() });
+      const asAdmin = await request(app).post('/api/v1/cabinet/open').set('X-API-Key', admin).send({ cabinetIds: [4] });
+
+      // Assert
+      expect(open.status).toBe(403);
+      expect(assign.status).toBe(403);
+      expect(assign.body.error).toBe('API key ops does not have the admin scope');
+      expect(asAdmin.status).toBe(200);
+    });
+
+    it('should let admins create and revoke keys', async () => {
+      // Act
+      const created = await request(app)
+        .post('/api/v1/api-keys')
+        .set('X-API-Key', admin)
+        .send({ name: 'kiosk', scopes: ['parcel:pickup'] });
+      const kiosk = created.body.data.key;
+      const notAdmin = await request(app).get('/api/v1/api-keys').set('X-API-Key', kiosk);
+      const listed = await request(app).get('/api/v1/api-keys').set('X-API-Key', admin);
+      const revoked = await request(app).post(`/api/v1/api-keys/${created.body.data.id}/revoke`).set('X-API-Key', admin);
+      const again = await request(app).post(`/api/v1/api-keys/${created.body.data.id}/revoke`).set('X-API-Key', admin);
+      const afterRevoke = await request(app).post('/api/v1/parcels/pickup').set('X-API-Key', kiosk).send({ code: '123456' });
+      const invalid = await request(app).post('/api/v1/api-keys').set('X-API-Key', admin).send({ name: 'x', scopes: ['root'] });
+
+      // Assert
+      expect(created.status).toBe(201);
+      expect(created.headers.location).toBe(`/api/v1/api-keys/${created.body.data.id}`);
+      expect(created.body.data).toMatchObject({ name: 'kiosk', scopes: ['parcel:pickup'], createdBy: 'ops-admin' });
+      expect(notAdmin.status).toBe(403);
+      expect(listed.body.data.count).toBe(2);
+      expect(listed.body.data.keys.every(key => key.key === undefined && key.hash === undefined)).toBe(true);
+      expect(revoked.status).toBe(200);
+      expect(revoked.body.data.revokedBy).toBe('ops-admin');
+      expect(again.status).toBe(409);
+      expect(afterRevoke.status).toBe(401);
+      expect(invalid.status).toBe(400);
+    });
+  });
+
+  // ==================== WEBHOOK TESTS ====================
+  describe('Webhooks', () => {
+
+    afterEach(() => {
+      webhookService.clear();
+    });
+
+    it('should create, list, get and delete subscriptions', async () => {
+      // Act
+      const created = await request(app)
+        .post('/api/v1/webhooks')
+        .send({ url: 'https://backoffice.example.com/hooks', events: ['door.opened', 'door.closed'] });
+      const { id } = created.body.data;
+      const list = await request(app).get('/api/v1/webhooks');
+      const single = await request(app).get(`/api/v1/webhooks/${id}`);
+      const removed = await request(app).delete(`/api/v1/webhooks/${id}`);
+      const missing = await request(app).get(`/api/v1/webhooks/${id}`);
+
+      // Assert
+      expect(created.status).toBe(201);
+      expect(created.body.data.secret).toEqual(expect.any(String));
+      expect(list.body.data.total).toBe(1);
+      expect(list.body.data.subscriptions[0]).not.toHaveProperty('secret');
+      expect(single.body.data.events).toEqual(['door.opened', 'door.closed']);
+      expect(removed.status).toBe(200);
+      expect(missing.status).toBe(404);
+    });
+
+    it('should reject invalid subscriptions', async () => {
+      // Act
+      const response = await request(app)
+        .post('/api/v1/webhooks')
+        .send({ url: 'https://backoffice.example.com/hooks', events: ['door.exploded'] });
+
+      // Assert
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Invalid webhook subscription');
+    });
+
+    it('should list deliveries and dead letters', async () => {
+      // Act
+      const deliveries = await request(app).get('/api/v1/webhooks/deliveries?status=dead');
+      const deadLetters = await request(app).get('/api/v1/webhooks/dead-letters');
+      const badQuery = await request(app).get('/api/v1/webhooks/deliveries?status=lost');
+      const redeliver = await request(app).post('/api/v1/webhooks/dead-letters/unknown/redeliver');
+
+      // Assert
+      expect(deliveries.status).toBe(200);
+      expect(deliveries.body.data.count).toBe(0);
+      expect(deadLetters.body.data.deliveries).toEqual([]);
+      expect(badQuery.status).toBe(400);
+      expect(redeliver.status).toBe(404);
+    });
+  });
+
   // ==================== INTEGRATION WORKFLOW TESTS ====================
   describe('End-to-End API Workflows', () => {
 
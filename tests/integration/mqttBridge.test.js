@@ -0,0 +1,237 @@
+/**
+ * Integration Tests for the MQTT bridge
+ * Runs an in-process aedes broker and drives the bridge against the
+ * simulator through a second MQTT client
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
+import Aedes from 'aedes';
+import net from 'net';
+import mqtt from 'mqtt';
+import { MqttBridge, getMqttConfig } from '../../src/services/mqttBridge.js';
+import { AlarmService } from '../../src/services/alarmService.js';
+import { AssignmentService } from '../../src/services/assignmentService.js';
+import cabinetService from '../../src/services/cabinetService.js';
+import cabinetRegistry from '../../src/services/cabinetRegistry.js';
+
+describe('MqttBridge', () => {
+
+  let broker;
+  let server;
+  let url;
+  let bridge;
+  let alarms;
+  let assignments;
+  let client;
+  let messages;
+  let site;
+  let sites = 0;
+
+  beforeAll(async () => {
+    broker = new Aedes();
+    server = net.createServer(broker.handle);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `mqtt://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => broker.close(resolve));
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    cabinetService.portPath = 'sim://48';
+    await cabinetService.connect();
+    // A site per test keeps retained messages of earlier tests out
+    site = `lobby-${++sites}`;
+    alarms = new AlarmService({ service: cabinetService, interval: 0 });
+    alarms.start();
+    assignments = new AssignmentService({ admins: ['bms'], interval: 0 });
+    bridge = new MqttBridge({ service: cabinetService, alarms, assignments });
+    await bridge.start({ url, site });
+
+    messages = [];
+    client = await mqtt.connectAsync(url);
+    client.on('message', (topic, payload, packet) => {
+      messages.push({ topic, payload: payload.toString(), retain: packet.retain });
+    });
+    await client.subscribeAsync(`cabinets/${site}/#`);
+  });
+
+  afterEach(async () => {
+    await client.endAsync();
+    await bridge.stop();
+    alarms.stop();
+    await cabinetService.disconnect();
+    cabinetService.portPath = 'COM3';
+    cabinetService.resetStatus();
+    cabinetRegistry.clear();
+  });
+
+  /**
+   * Wait for a message on a topic below cabinets/<site>/
+   * @returns {Promise<Object>} Message with its payload parsed as JSON where possible
+   */
+  async function nextMessage(topic, predicate = () => true, timeout = 2000) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+      const message = messages.find(m => m.topic === `cabinets/${site}/${topic}` && predicate(m));
+      if (message) {
+        messages.splice(messages.indexOf(message), 1);
+        try {
+          return { ...message, payload: JSON.parse(message.payload) };
+        } catch (err) {
+          return message;
+        }
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for ${topic}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  }
+
+  // ==================== STATE TOPIC TESTS ====================
+  describe('state topics', () => {
+
+    it('should publish bridge, link and light state on connect', async () => {
+      // Assert
+      expect((await nextMessage('bridge')).payload).toBe('online');
+      expect((await nextMessage('link')).payload).toMatchObject({ state: 'connected' });
+      expect((await nextMessage('light/state')).payload).toEqual({ lights: {}, timestamp: expect.any(String) });
+    });
+
+    it('should publish retained per-cabinet state when doors change', async () => {
+      // Arrange
+      cabinetService.port.device.setDoor(6, true);
+
+      // Act
+      await cabinetService.requestStatus();
+
+      // Assert
+      expect((await nextMessage('6/state')).payload).toEqual({ id: 6, board: 0, channel: 6, status: 'open', timestamp: expect.any(String) });
+      const late = await mqtt.connectAsync(url);
+      const retained = new Promise(resolve => late.on('message', (topic, payload, packet) => resolve({ payload: JSON.parse(payload), retain: packet.retain })));
+      await late.subscribeAsync(`cabinets/${site}/6/state`);
+      expect(await retained).toMatchObject({ retain: true, payload: { status: 'open' } });
+      await late.endAsync();
+    });
+
+    it('should only republish a cabinet when its status changes', async () => {
+      // Arrange
+      await cabinetService.requestStatus();
+      await nextMessage('3/state');
+
+      // Act
+      await cabinetService.requestStatus();
+      cabinetService.port.device.setDoor(3, true);
+      await cabinetService.requestStatus();
+
+      // Assert
+      expect((await nextMessage('3/state')).payload.status).toBe('open');
+      expect(messages.filter(m => m.topic === `cabinets/${site}/3/state`)).toEqual([]);
+    });
+  });
+
+  // ==================== ALARM TOPIC TESTS ====================
+  describe('alarm topics', () => {
+
+    it('should publish retained alarms and empty them when the door closes', async () => {
+      // Arrange
+      cabinetService.port.device.setDoor(7, true);
+      await cabinetService.requestStatus();
+
+      // Act
+      alarms.check(Date.now() + 31 * 60 * 1000);
+      const raised = await nextMessage('7/alarm/left-open');
+      cabinetService.port.device.setDoor(7, false);
+      await cabinetService.requestStatus();
+      const cleared = await nextMessage('7/alarm/left-open', m => m.payload === '');
+
+      // Assert
+      expect(raised).toMatchObject({ payload: { cabinetId: 7, level: 1, acknowledged: false } });
+      expect(cleared.payload).toBe('');
+    });
+  });
+
+  // ==================== COMMAND TOPIC TESTS ====================
+  describe('command topics', () => {
+
+    it('should open cabinets and reply with the result', async () => {
+      // Act
+      await client.publishAsync(`cabinets/${site}/commands/open`, JSON.stringify({ cabinetIds: [4], requestId: 'r-1' }));
+
+      // Assert
+      const reply = await nextMessage('replies/open');
+      expect(reply.payload).toMatchObject({ requestId: 'r-1', status: 'success', data: { opened: [{ id: 4, status: 'opened' }], failed: [] } });
+      expect((await nextMessage('4/state')).payload.status).toBe('opened');
+    });
+
+    it('should switch the light and publish light state', async () => {
+      // Act
+      await client.publishAsync(`cabinets/${site}/commands/light`, JSON.stringify({ on: true, requestId: 7 }));
+
+      // Assert
+      expect((await nextMessage('replies/light')).payload).toEqual({ requestId: 7, status: 'success', data: { lightOn: true } });
+      expect((await nextMessage('light/state', m => m.payload.includes('true'))).payload.lights).toEqual({ 0: true });
+    });
+
+    it('should reply with an error for invalid and rejected commands', async () => {
+      // Arrange
+      cabinetRegistry.upsert(9, { label: 'A-09', size: 'small', enabled: false });
+
+      // Act
+      await client.publishAsync(`cabinets/${site}/commands/open`, 'not json');
+      await client.publishAsync(`cabinets/${site}/commands/open`, JSON.stringify({ cabinetIds: [9], requestId: 'r-2' }));
+      await client.publishAsync(`cabinets/${site}/commands/light`, JSON.stringify({ on: 'yes' }));
+
+      // Assert
+      expect((await nextMessage('replies/open', m => m.payload.includes('"requestId":null'))).payload.error).toBe('Payload must be a JSON object');
+      expect((await nextMessage('replies/open', m => m.payload.includes('r-2'))).payload).toMatchObject({ status: 'error', error: expect.stringContaining('disabled') });
+      expect((await nextMessage('replies/light')).payload).toMatchObject({ status: 'error', error: 'on must be a boolean' });
+    });
+
+    it('should check assigned lockers against the configured actor, not the payload', async () => {
+      // Arrange
+      assignments.create({ cabinetId: 4, assignee: 'j.doe', endsAt: new Date(Date.now() + 60 * 60 * 1000).toISOString() }, 'bms');
+      const open = (requestId, actor) => client.publishAsync(`cabinets/${site}/commands/open`, JSON.stringify({ cabinetIds: [4], requestId, actor }));
+
+      // Act
+      await open('r-3', undefined);
+      const anonymous = await nextMessage('replies/open', m => m.payload.includes('r-3'));
+      await open('r-4', 'j.doe');
+      const assignee = await nextMessage('replies/open', m => m.payload.includes('r-4'));
+      await open('r-5', 'bms');
+      const admin = await nextMessage('replies/open', m => m.payload.includes('r-5'));
+      await bridge.start({ url, site, actor: 'bms' });
+      await open('r-6', undefined);
+      const configured = await nextMessage('replies/open', m => m.payload.includes('r-6'));
+
+      // Assert
+      expect(anonymous.payload).toMatchObject({ status: 'error', error: 'Cabinet 4 is assigned to j.doe' });
+      expect(assignee.payload).toMatchObject({ status: 'error', error: 'Cabinet 4 is assigned to j.doe' });
+      expect(admin.payload).toMatchObject({ status: 'error', error: 'Cabinet 4 is assigned to j.doe' });
+      expect(configured.payload.status).toBe('success');
+    });
+  });
+
+  // ==================== CONFIGURATION TESTS ====================
+  describe('getMqttConfig()', () => {
+
+    it('should be disabled without MQTT_URL and read the environment otherwise', () => {
+      // Arrange
+      const saved = { ...process.env };
+      delete process.env.MQTT_URL;
+      const disabled = getMqttConfig();
+      Object.assign(process.env, { MQTT_URL: 'mqtts://broker:8883', MQTT_USERNAME: 'cabinets', MQTT_PASSWORD: 'secret', MQTT_SITE: 'hq', MQTT_ACTOR: 'bms' });
+
+      // Act
+      const config = getMqttConfig();
+      process.env = saved;
+
+      // Assert
+      expect(disabled).toBeNull();
+      expect(config).toMatchObject({ url: 'mqtts://broker:8883', username: 'cabinets', password: 'secret', site: 'hq', prefix: 'cabinets', actor: 'bms' });
+    });
+  });
+});
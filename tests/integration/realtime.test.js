@@ -0,0 +1,290 @@
+/**
+ * Integration Tests for the real-time event stream
+ * Connects SSE and WebSocket clients to a listening server and checks
+ * delivery, sequence numbers and resuming after a disconnect
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
+import express from 'express';
+import http from 'http';
+import { WebSocket } from 'ws';
+import cabinetRoutes from '../../src/routes/cabinetRoutes.js';
+import cabinetService from '../../src/services/cabinetService.js';
+import eventStream from '../../src/services/eventStream.js';
+import { attachWebSocketServer } from '../../src/services/websocketServer.js';
+import apiKeyService from '../../src/services/apiKeyService.js';
+
+describe('Real-time event stream', () => {
+
+  let server;
+  let wss;
+  let baseUrl;
+
+  beforeAll(async () => {
+    // Keys are covered in their own describe; the other tests connect without one
+    apiKeyService.enabled = false;
+    const app = express();
+    app.use('/api/v1', cabinetRoutes);
+    server = http.createServer(app);
+    wss = attachWebSocketServer(server);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    apiKeyService.enabled = true;
+    wss.close();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    eventStream.clear();
+    eventStream.attach(cabinetService);
+  });
+
+  afterEach(() => {
+    eventStream.detach();
+  });
+
+  /**
+   * Emit a door event the way the service does after a status poll
+   */
+  function emitDoor(type, cabinetId) {
+    cabinetService.emit(type, { cabinetId, board: 0, channel: cabinetId, from: 'close', timestamp: new Date().toISOString() });
+  }
+
+  /**
+   * Read SSE messages until count have arrived, then disconnect
+   * @returns {Promise<Array<Object>>} Messages as { id, event, data }
+   */
+  function readSse(count, headers = {}, query = '') {
+    return new Promise((resolve, reject) => {
+      const messages = [];
+      let buffered = '';
+      const req = http.get(`http://${baseUrl}/api/v1/events${query}`, { headers }, (res) => {
+        if (res.statusCode !== 200) {
+          req.destroy();
+          resolve({ statusCode: res.statusCode });
+          return;
+        }
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          buffered += chunk;
+          let end;
+          while ((end = buffered.indexOf('\n\n')) >= 0) {
+            const block = buffered.slice(0, end);
+            buffered = buffered.slice(end + 2);
+            const message = {};
+            for (const line of block.split('\n')) {
+              const [field, ...rest] = line.split(': ');
+              message[field] = rest.join(': ');
+            }
+            messages.push({ id: message.id, event: message.event, data: JSON.parse(message.data) });
+            if (messages.length === count) {
+              req.destroy();
+              resolve(messages);
+            }
+          }
+        });
+      });
+      req.on('error', (err) => {
+        if (messages.length < count) reject(err);
+      });
+    });
+  }
+
+  /**
+   * Open a WebSocket and collect its messages
+   */
+  function connectWebSocket(query = '') {
+    const ws = new WebSocket(`ws://${baseUrl}/api/v1/ws${query}`);
+    const messages = [];
+    ws.on('message', (data) => messages.push(JSON.parse(data)));
+    const opened = new Promise((resolve, reject) => {
+      ws.on('open', resolve);
+      ws.on('error', reject);
+    });
+    return { ws, messages, opened };
+  }
+
+  /**
+   * Wait until a condition holds
+   */
+  async function waitFor(condition, timeout = 2000) {
+    const deadline = Date.now() + timeout;
+    while (!condition()) {
+      if (Date.now() > deadline) {
+        throw new Error('Timed out waiting for condition');
+      }
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  }
+
+  // ==================== SSE TESTS ====================
+  describe('GET /api/v1/events', () => {
+
+    it('should send ready and then live events with IDs', async () => {
+      // Arrange
+      const reading = readSse(3);
+      await waitFor(() => eventStream.listenerCount('event') === 1);
+
+      // Act
+      emitDoor('door.opened', 4);
+      emitDoor('door.closed', 4);
+      const messages = await reading;
+
+      // Assert
+      expect(messages[0]).toEqual({ id: `${eventStream.streamId}:0`, event: 'ready', data: { type: 'ready', streamId: eventStream.streamId, lastSeq: 0 } });
+      expect(messages.slice(1).map(m => [m.id, m.event, m.data.data.cabinetId])).toEqual([
+        [`${eventStream.streamId}:1`, 'door.opened', 4],
+        [`${eventStream.streamId}:2`, 'door.closed', 4]
+      ]);
+    });
+
+    it('should resume after Last-Event-ID', async () => {
+      // Arrange
+      emitDoor('door.opened', 1);
+      emitDoor('door.opened', 2);
+      emitDoor('door.opened', 3);
+
+      // Act
+      const messages = await readSse(3, { 'Last-Event-ID': `${eventStream.streamId}:1` });
+
+      // Assert
+      expect(messages.map(m => m.event)).toEqual(['ready', 'door.opened', 'door.opened']);
+      expect(messages.slice(1).map(m => m.data.seq)).toEqual([2, 3]);
+    });
+
+    it('should ask a client from an earlier process to resync', async () => {
+      // Arrange
+      emitDoor('door.opened', 1);
+
+      // Act
+      const messages = await readSse(3, { 'Last-Event-ID': 'earlier-process:17' });
+
+      // Assert
+      expect(messages.map(m => m.event)).toEqual(['ready', 'resync', 'door.opened']);
+    });
+
+    it('should reject a malformed lastEventId parameter', async () => {
+      // Act
+      const response = await readSse(1, {}, '?lastEventId=abc:x');
+
+      // Assert
+      expect(response.statusCode).toBe(400);
+    });
+  });
+
+  // ==================== WEBSOCKET TESTS ====================
+  describe('WS /api/v1/ws', () => {
+
+    it('should push events as JSON messages', async () => {
+      // Arrange
+      const { ws, messages, opened } = connectWebSocket();
+      await opened;
+      await waitFor(() => messages.length === 1);
+
+      // Act
+      cabinetService.emit('open.command', { cabinetId: 5, board: 0, channel: 5, success: true, timestamp: new Date().toISOString() });
+      cabinetService.emit('link', { state: 'reconnecting', previous: 'connected', timestamp: new Date().toISOString() });
+      await waitFor(() => messages.length === 3);
+      ws.close();
+
+      // Assert
+      expect(messages[0].type).toBe('ready');
+      expect(messages.slice(1).map(m => [m.seq, m.type, m.eventId])).toEqual([
+        [1, 'open.command', `${eventStream.streamId}:1`],
+        [2, 'link', `${eventStream.streamId}:2`]
+      ]);
+    });
+
+    it('should resume from lastEventId without missing events', async () => {
+      // Arrange - a client sees event 1, disconnects, and misses 2 and 3
+      const first = connectWebSocket();
+      await first.opened;
+      emitDoor('door.opened', 1);
+      await waitFor(() => first.messages.length === 2);
+      first.ws.close();
+      emitDoor('door.closed', 1);
+      emitDoor('door.opened', 2);
+
+      // Act
+      const second = connectWebSocket(`?lastEventId=${first.messages[1].eventId}`);
+      await second.opened;
+      await waitFor(() => second.messages.length === 3);
+      second.ws.close();
+
+      // Assert
+      expect(second.messages.map(m => [m.type, m.seq ?? m.lastSeq])).toEqual([
+        ['ready', 3],
+        ['door.closed', 2],
+        ['door.opened', 3]
+      ]);
+    });
+
+    it('should refuse other upgrade paths', async () => {
+      // Act
+      const ws = new WebSocket(`ws://${baseUrl}/api/v1/other`);
+      const error = await new Promise(resolve => ws.on('error', resolve));
+
+      // Assert
+      expect(error).toBeInstanceOf(Error);
+    });
+  });
+
+  // ==================== API KEY TESTS ====================
+  describe('API keys', () => {
+
+    let reader;
+    let writer;
+
+    beforeEach(() => {
+      apiKeyService.enabled = true;
+      reader = apiKeyService.create({ name: 'dashboard', scopes: ['status:read'] }, 'test').secret;
+      writer = apiKeyService.create({ name: 'kiosk', scopes: ['parcel:pickup'] }, 'test').secret;
+    });
+
+    afterEach(() => {
+      apiKeyService.enabled = false;
+      apiKeyService.clear();
+    });
+
+    /**
+     * Error message of a refused WebSocket upgrade (it names the status code)
+     */
+    function refusedWith(query = '') {
+      const ws = new WebSocket(`ws://${baseUrl}/api/v1/ws${query}`);
+      return new Promise(resolve => ws.on('error', err => resolve(err.message)));
+    }
+
+    it('should take the key for SSE as a header or as ?apiKey=', async () => {
+      // Act
+      const missing = await readSse(1);
+      const header = await readSse(1, { 'X-API-Key': reader });
+      const query = await readSse(1, {}, `?apiKey=${reader}`);
+      const wrongScope = await readSse(1, { 'X-API-Key': writer });
+
+      // Assert
+      expect(missing.statusCode).toBe(401);
+      expect(header[0].event).toBe('ready');
+      expect(query[0].event).toBe('ready');
+      expect(wrongScope.statusCode).toBe(403);
+    });
+
+    it('should refuse WebSocket upgrades without a status:read key', async () => {
+      // Act
+      const missing = await refusedWith();
+      const wrongScope = await refusedWith(`?apiKey=${writer}`);
+      const client = connectWebSocket(`?apiKey=${reader}`);
+      await client.opened;
+      await waitFor(() => client.messages.length === 1);
+      client.ws.close();
+
+      // Assert
+      expect(missing).toContain('401');
+      expect(wrongScope).toContain('403');
+      expect(client.messages[0].type).toBe('ready');
+    });
+  });
+});
@@ -0,0 +1,352 @@
+/**
+ * Unit Tests for Alarm Service
+ * Drives door events from a stub service and checks thresholds at fixed times
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AlarmService, validateThresholds } from '../../src/services/alarmService.js';
+
+const OPENED_AT = '2024-11-13T22:00:00.000Z';
+const T0 = Date.parse(OPENED_AT);
+const MINUTE = 60 * 1000;
+
+/**
+ * Stub registry: cabinets 10-19 are in the lobby zone
+ */
+const registry = {
+  get: (id) => (id >= 10 && id < 20 ? { id, zone: 'lobby' } : null)
+};
+
+describe('AlarmService', () => {
+
+  let service;
+  let alarms;
+  let events;
+
+  beforeEach(() => {
+    service = new EventEmitter();
+    service.cabinetStatus = {};
+    alarms = new AlarmService({ service, registry, interval: 0, maxLevel: 3 });
+    alarms.setThresholds({
+      default: { openMinutes: 30, escalateMinutes: 15 },
+      zones: { lobby: { openMinutes: 10, escalateMinutes: 0 } },
+      cabinets: { 4: { openMinutes: 0, escalateMinutes: 0 } }
+    });
+    events = [];
+    for (const type of ['alarm.raised', 'alarm.escalated', 'alarm.acknowledged', 'alarm.cleared']) {
+      alarms.on(type, alarm => events.push({ type, level: alarm.level, cabinetId: alarm.cabinetId }));
+    }
+    alarms.start();
+  });
+
+  afterEach(() => {
+    alarms.stop();
+  });
+
+  /**
+   * Report a door as opened at OPENED_AT
+   */
+  function openDoor(cabinetId) {
+    service.emit('door.opened', { cabinetId, board: 0, channel: cabinetId, from: 'closed', timestamp: OPENED_AT });
+  }
+
+  // ==================== RAISE TESTS ====================
+  describe('raising alarms', () => {
+
+    it('should raise an alarm once a door has been open past its threshold', () => {
+      // Arrange
+      openDoor(1);
+
+      // Act
+      alarms.check(T0 + 29 * MINUTE);
+      const before = alarms.list();
+      alarms.check(T0 + 30 * MINUTE);
+      alarms.check(T0 + 31 * MINUTE);
+
+      // Assert
+      expect(before).toEqual([]);
+      expect(alarms.list()).toEqual([expect.objectContaining({
+        type: 'left-open',
+        cabinetId: 1,
+        zone: null,
+        level: 1,
+        openSince: OPENED_AT,
+        acknowledged: false
+      })]);
+      expect(events).toEqual([{ type: 'alarm.raised', level: 1, cabinetId: 1 }]);
+    });
+
+    it('should prefer cabinet thresholds over zone thresholds over the default', () => {
+      // Arrange
+      openDoor(4);
+      openDoor(12);
+      alarms.setThresholds({ ...alarms.getThresholds(), cabinets: { 12: { openMinutes: 60, escalateMinutes: 0 } } });
+      openDoor(13);
+
+      // Act
+      alarms.check(T0 + 45 * MINUTE);
+
+      // Assert
+      expect(alarms.resolveThreshold(4)).toEqual({ openMinutes: 30, escalateMinutes: 15, source: 'default' });
+      expect(alarms.resolveThreshold(12).source).toBe('cabinet');
+      expect(alarms.resolveThreshold(13).source).toBe('zone');
+      expect(alarms.list().map(alarm => [alarm.cabinetId, alarm.zone])).toEqual([[4, null], [13, 'lobby']]);
+    });
+
+    it('should never raise for a threshold of 0', () => {
+      // Arrange
+      openDoor(4);
+
+      // Act
+      alarms.check(T0 + 24 * 60 * MINUTE);
+
+      // Assert
+      expect(alarms.list()).toEqual([]);
+    });
+
+    it('should time doors already open in the status, but not open commands', () => {
+      // Arrange - without polling no reading would ever report 3 closed again
+      service.emit('status', { cabinets: { 2: { id: '2', status: 'open', timestamp: OPENED_AT } } });
+      service.emit('open.command', { cabinetId: 3, success: true, timestamp: OPENED_AT });
+
+      // Act
+      alarms.check(T0 + 30 * MINUTE);
+
+      // Assert
+      expect(alarms.list().map(alarm => alarm.cabinetId)).toEqual([2]);
+    });
+
+    it('should not time a restored command without a reading', () => {
+      // Arrange
+      alarms.stop();
+      service.cabinetStatus = {
+        3: { id: 3, status: 'opened', timestamp: OPENED_AT },
+        4: { id: 4, status: 'open', timestamp: OPENED_AT }
+      };
+      alarms.setThresholds({ default: { openMinutes: 30, escalateMinutes: 0 } });
+
+      // Act
+      alarms.start();
+      alarms.check(T0 + 30 * MINUTE);
+
+      // Assert
+      expect(alarms.list().map(alarm => alarm.cabinetId)).toEqual([4]);
+    });
+
+    it('should keep the EventEmitter listeners() method', () => {
+      // Act
+      const listeners = alarms.listeners('alarm.raised');
+
+      // Assert
+      expect(listeners).toHaveLength(1);
+    });
+  });
+
+  // ==================== ESCALATION TESTS ====================
+  describe('escalation and acknowledgement', () => {
+
+    it('should escalate unacknowledged alarms up to the maximum level', () => {
+      // Arrange
+      openDoor(1);
+      alarms.check(T0 + 30 * MINUTE);
+
+      // Act
+      alarms.check(T0 + 44 * MINUTE);
+      alarms.check(T0 + 45 * MINUTE);
+      alarms.check(T0 + 60 * MINUTE);
+      alarms.check(T0 + 120 * MINUTE);
+
+      // Assert
+      expect(events.map(event => [event.type, event.level])).toEqual([
+        ['alarm.raised', 1],
+        ['alarm.escalated', 2],
+        ['alarm.escalated', 3]
+      ]);
+      expect(alarms.list()[0].escalatedAt).toBe(new Date(T0 + 60 * MINUTE).toISOString());
+    });
+
+    it('should stop escalating once acknowledged', () => {
+      // Arrange
+      openDoor(1);
+      alarms.check(T0 + 30 * MINUTE);
+      const [raised] = alarms.list();
+
+      // Act
+      const acknowledged = alarms.acknowledge(raised.id, { actor: 'night-shift', note: 'Guest still loading' });
+      alarms.check(T0 + 120 * MINUTE);
+
+      // Assert
+      expect(acknowledged).toMatchObject({ level: 1, acknowledged: true, acknowledgedBy: 'night-shift', note: 'Guest still loading' });
+      expect(events.map(event => event.type)).toEqual(['alarm.raised', 'alarm.acknowledged']);
+      expect(alarms.list({ acknowledged: false })).toEqual([]);
+      expect(() => alarms.acknowledge(raised.id, { actor: 'someone' })).toThrow('already acknowledged by night-shift');
+    });
+
+    it('should return null when acknowledging an unknown alarm', () => {
+      // Act & Assert
+      expect(alarms.acknowledge('missing', { actor: 'night-shift' })).toBeNull();
+    });
+  });
+
+  // ==================== CLEAR TESTS ====================
+  describe('clearing alarms', () => {
+
+    it('should clear an alarm when its door closes', () => {
+      // Arrange
+      openDoor(1);
+      alarms.check(T0 + 30 * MINUTE);
+
+      // Act
+      service.emit('door.closed', { cabinetId: 1, board: 0, channel: 1, from: 'open', timestamp: '2024-11-13T22:40:00.000Z' });
+      alarms.check(T0 + 120 * MINUTE);
+
+      // Assert
+      expect(alarms.list()).toEqual([]);
+      expect(events.map(event => event.type)).toEqual(['alarm.raised', 'alarm.cleared']);
+    });
+
+    it('should clear alarms and forget open doors on a status reset', () => {
+      // Arrange
+      openDoor(1);
+      openDoor(2);
+      alarms.check(T0 + 30 * MINUTE);
+      const cleared = [];
+      alarms.on('alarm.cleared', alarm => cleared.push(alarm.reason));
+
+      // Act
+      service.emit('status.reset', {});
+      alarms.check(T0 + 120 * MINUTE);
+
+      // Assert
+      expect(cleared).toEqual(['reset', 'reset']);
+      expect(alarms.list()).toEqual([]);
+    });
+
+    it('should stop listening when stopped', () => {
+      // Arrange
+      alarms.stop();
+
+      // Act
+      openDoor(1);
+      alarms.check(T0 + 60 * MINUTE);
+
+      // Assert
+      expect(alarms.list()).toEqual([]);
+    });
+  });
+
+  // ==================== TAMPER TESTS ====================
+  describe('tamper alarms', () => {
+
+    /**
+     * Report a forced door, as the service does after door.opened
+     */
+    function forceDoor(cabinetId) {
+      openDoor(cabinetId);
+      service.emit('tamper', {
+        cabinetId,
+        board: 0,
+        channel: cabinetId,
+        lastKnownState: { status: 'close', timestamp: '2024-11-13T21:59:00.000Z' },
+        lastOpenAt: '2024-11-13T20:00:00.000Z',
+        sinceLastOpenMs: 2 * 60 * MINUTE,
+        timestamp: OPENED_AT
+      });
+    }
+
+    it('should raise a tamper alarm at once with the tamper details', () => {
+      // Act
+      forceDoor(1);
+      forceDoor(1);
+
+      // Assert
+      expect(alarms.list({ type: 'tamper' })).toEqual([expect.objectContaining({
+        type: 'tamper',
+        cabinetId: 1,
+        level: 1,
+        raisedAt: OPENED_AT,
+        tamper: {
+          lastKnownState: { status: 'close', timestamp: '2024-11-13T21:59:00.000Z' },
+          lastOpenAt: '2024-11-13T20:00:00.000Z',
+          sinceLastOpenMs: 2 * 60 * MINUTE
+        }
+      })]);
+    });
+
+    it('should keep an unacknowledged tamper alarm after the door closes', () => {
+      // Arrange
+      forceDoor(1);
+      alarms.check(T0 + 30 * MINUTE);
+
+      // Act
+      service.emit('door.closed', { cabinetId: 1, timestamp: '2024-11-13T22:40:00.000Z' });
+
+      // Assert
+      expect(alarms.list().map(alarm => alarm.type)).toEqual(['tamper']);
+    });
+
+    it('should clear a tamper alarm once acknowledged and closed, in either order', () => {
+      // Arrange
+      forceDoor(1);
+      forceDoor(2);
+      const [first, second] = alarms.list({ type: 'tamper' });
+
+      // Act
+      service.emit('door.closed', { cabinetId: 1, timestamp: '2024-11-13T22:40:00.000Z' });
+      alarms.acknowledge(first.id, { actor: 'security' });
+      alarms.acknowledge(second.id, { actor: 'security' });
+      const stillOpen = alarms.list();
+      service.emit('door.closed', { cabinetId: 2, timestamp: '2024-11-13T22:45:00.000Z' });
+
+      // Assert
+      expect(stillOpen.map(alarm => alarm.cabinetId)).toEqual([2]);
+      expect(alarms.list()).toEqual([]);
+    });
+  });
+
+  // ==================== THRESHOLD TESTS ====================
+  describe('thresholds', () => {
+
+    it('should report invalid thresholds', () => {
+      // Act
+      const errors = validateThresholds({
+        default: { openMinutes: -1, escalateMinutes: 5 },
+        zones: { lobby: 'ten' },
+        cabinets: { abc: { openMinutes: 1, escalateMinutes: 1 } }
+      });
+
+      // Assert
+      expect(errors).toEqual([
+        'default.openMinutes must be a non-negative number',
+        'zones.lobby must be an object',
+        'cabinets key abc is not valid'
+      ]);
+      expect(validateThresholds(null)).toEqual(['thresholds must be an object']);
+      expect(() => alarms.setThresholds({})).toThrow('Invalid alarm thresholds');
+    });
+
+    it('should save thresholds and load them back', () => {
+      // Arrange
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alarms-'));
+      const file = path.join(dir, 'alarms.json');
+      alarms.load(file);
+
+      // Act
+      alarms.setThresholds({ default: { openMinutes: 5, escalateMinutes: 5 }, zones: { gym: { openMinutes: 1, escalateMinutes: 0 } } });
+      const reloaded = new AlarmService({ service, registry, interval: 0 });
+      reloaded.load(file);
+
+      // Assert
+      expect(reloaded.getThresholds()).toEqual({
+        default: { openMinutes: 5, escalateMinutes: 5 },
+        zones: { gym: { openMinutes: 1, escalateMinutes: 0 } },
+        cabinets: {}
+      });
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+  });
+});
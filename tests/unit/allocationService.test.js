@@ -0,0 +1,149 @@
+/**
+ * Unit Tests for Allocation Service
+ * Ranks lockers from a stub registry and state store
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { AllocationService, rankLockers, validateAllocationRequest } from '../../src/services/allocationService.js';
+
+/**
+ * Stub registry record
+ */
+function locker(id, size, zone = null, enabled = true) {
+  return { id, label: `L-${id}`, size, zone, enabled };
+}
+
+describe('AllocationService', () => {
+
+  let registry;
+  let store;
+  let assignments;
+  let allocator;
+
+  beforeEach(() => {
+    registry = {
+      records: [
+        locker(0, 'small', 'lobby'),
+        locker(1, 'small', 'garage'),
+        locker(2, 'medium', 'garage'),
+        locker(3, 'medium', 'lobby'),
+        locker(4, 'large', 'lobby'),
+        locker(5, 'xlarge', 'lobby', false)
+      ],
+      list() { return this.records; }
+    };
+    store = { state: {}, faults: {}, openCounts: {} };
+    store.getState = () => store.state;
+    store.getFaults = () => store.faults;
+    store.getOpenCounts = () => store.openCounts;
+    assignments = { active: new Set(), getActive: (id) => (assignments.active.has(id) ? { cabinetId: id } : null) };
+    allocator = new AllocationService({ service: { getMaxCabinetId: () => 3 }, registry, store, assignments });
+  });
+
+  // ==================== RANKING TESTS ====================
+  describe('allocate()', () => {
+
+    it('should pick the requested size, preferring the zone', () => {
+      // Act & Assert
+      expect(allocator.allocate({ size: 'small' })).toMatchObject({ id: 0, size: 'small', fallback: false });
+      expect(allocator.allocate({ size: 'small', zone: 'garage' })).toMatchObject({ id: 1, zone: 'garage' });
+      expect(allocator.allocate({ size: 'medium', zone: 'lobby' }).id).toBe(3);
+    });
+
+    it('should fall back to the next size up', () => {
+      // Arrange
+      assignments.active.add(2);
+      assignments.active.add(3);
+
+      // Act
+      const allocated = allocator.allocate({ size: 'medium', zone: 'garage' });
+
+      // Assert
+      expect(allocated).toMatchObject({ id: 4, size: 'large', fallback: true });
+      expect(allocator.allocate({ size: 'xlarge' })).toBeNull();
+    });
+
+    it('should rank the exact size above a zone match in a larger size', () => {
+      // Act & Assert
+      expect(allocator.allocate({ size: 'small', zone: 'nowhere' }).id).toBe(0);
+      expect(rankLockers([
+        { id: 4, size: 'large', zone: 'garage', opens: 0 },
+        { id: 0, size: 'small', zone: 'lobby', opens: 0 }
+      ], { size: 'small', zone: 'garage' }).map(candidate => candidate.id)).toEqual([0, 4]);
+    });
+
+    it('should spread wear to the door with the fewest opens', () => {
+      // Arrange
+      store.openCounts = { 0: 12, 1: 3 };
+
+      // Act
+      const allocated = allocator.allocate({ size: 'small' });
+
+      // Assert
+      expect(allocated).toMatchObject({ id: 1, opens: 3 });
+      expect(allocator.allocate({ size: 'small', zone: 'lobby' }).id).toBe(0);
+    });
+
+    it('should be deterministic for the same state', () => {
+      // Arrange
+      store.openCounts = { 0: 1, 1: 1, 2: 1, 3: 1 };
+
+      // Act
+      const picks = Array.from({ length: 5 }, () => allocator.allocate({ size: 'small' }).id);
+
+      // Assert
+      expect(picks).toEqual([0, 0, 0, 0, 0]);
+    });
+  });
+
+  // ==================== FREE LOCKER TESTS ====================
+  describe('listFree()', () => {
+
+    it('should skip lockers in maintenance, faulty, open, assigned or excluded', () => {
+      // Arrange
+      store.state = { 1: { id: 1, status: 'open' }, 2: { id: 2, status: 'close' } };
+      store.faults = { 3: { time: '2024-11-13T10:00:00.000Z', error: 'Door did not read open after the open command' } };
+      assignments.active.add(4);
+
+      // Act
+      const free = allocator.listFree({ exclude: [0] });
+
+      // Assert
+      expect(free).toEqual([{ id: 2, label: 'L-2', size: 'medium', zone: 'garage', opens: 0 }]);
+    });
+
+    it('should skip a locker opened by a command until a reading says it closed', () => {
+      // Arrange
+      registry.records = [];
+      store.state = { 0: { id: 0, status: 'opened' } };
+
+      // Act
+      const before = allocator.allocate();
+      store.state = { 0: { id: 0, status: 'close' } };
+      const after = allocator.allocate();
+
+      // Assert
+      expect(before).toMatchObject({ id: 1 });
+      expect(after).toMatchObject({ id: 0 });
+    });
+
+    it('should offer every locker of the layout without registry records, for unsized requests only', () => {
+      // Arrange
+      registry.records = [];
+
+      // Act & Assert
+      expect(allocator.listFree().map(candidate => candidate.id)).toEqual([0, 1, 2, 3]);
+      expect(allocator.allocate()).toMatchObject({ id: 0, size: null, fallback: false });
+      expect(allocator.allocate({ size: 'small' })).toBeNull();
+    });
+  });
+
+  it('should report invalid requests', () => {
+    // Act & Assert
+    expect(validateAllocationRequest({ size: 'huge', zone: '' })).toEqual([
+      'size must be one of small, medium, large, xlarge',
+      'zone must be a non-empty string'
+    ]);
+    expect(validateAllocationRequest(undefined)).toEqual([]);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Unit Tests for API Key Service
+ * Hashed storage, scopes, revocation and the bootstrap key
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ApiKeyService, validateApiKey, extractApiKey } from '../../src/services/apiKeyService.js';
+
+describe('ApiKeyService', () => {
+
+  let dir;
+  let file;
+  let keys;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-'));
+    file = path.join(dir, 'api-keys.json');
+    keys = new ApiKeyService({ enabled: true, adminKey: 'bootstrap-secret' });
+    keys.load(file);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // ==================== CREATE TESTS ====================
+  describe('create()', () => {
+
+    it('should return the key once and store only its hash', () => {
+      // Act
+      const { key, secret } = keys.create({ name: ' front-desk ', scopes: ['status:read', 'cabinet:open'] }, 'admin');
+      const saved = fs.readFileSync(file, 'utf8');
+      const reloaded = new ApiKeyService({ enabled: true });
+      reloaded.load(file);
+
+      // Assert
+      expect(secret).toMatch(/^ck_[\w-]{43}$/);
+      expect(key).toMatchObject({ name: 'front-desk', scopes: ['status:read', 'cabinet:open'], prefix: secret.slice(0, 9), createdBy: 'admin' });
+      expect(key).not.toHaveProperty('hash');
+      expect(saved).not.toContain(secret);
+      expect(reloaded.authenticate(secret)).toEqual(key);
+    });
+
+    it('should refuse a second active key with the same name', () => {
+      // Arrange
+      const { key } = keys.create({ name: 'kiosk', scopes: ['parcel:pickup'] }, 'admin');
+
+      // Act & Assert
+      expect(() => keys.create({ name: 'kiosk', scopes: ['parcel:pickup'] }, 'admin')).toThrow('already named kiosk');
+      keys.revoke(key.id, 'admin');
+      expect(keys.create({ name: 'kiosk', scopes: ['parcel:pickup'] }, 'admin').key.name).toBe('kiosk');
+    });
+
+    it('should report invalid fields', () => {
+      // Act & Assert
+      expect(validateApiKey({ name: '', scopes: ['cabinet:open', 'root'] })).toEqual([
+        'name must be a non-empty string of at most 64 characters',
+        'scopes must be a non-empty array of status:read, cabinet:open, light:write, alarm:write, assignment:write, parcel:write, parcel:pickup, admin'
+      ]);
+      expect(validateApiKey({ name: 'kiosk', scopes: [] })).toHaveLength(1);
+      expect(validateApiKey({ name: 'kiosk', scopes: ['parcel:pickup'] })).toEqual([]);
+    });
+  });
+
+  // ==================== AUTHENTICATION TESTS ====================
+  describe('authenticate()', () => {
+
+    it('should stop accepting a revoked key', () => {
+      // Arrange
+      const { key, secret } = keys.create({ name: 'front-desk', scopes: ['status:read'] }, 'admin');
+
+      // Act
+      const revoked = keys.revoke(key.id, 'security');
+
+      // Assert
+      expect(revoked).toMatchObject({ revokedBy: 'security', revokedAt: expect.any(String) });
+      expect(keys.authenticate(secret)).toBeNull();
+      expect(() => keys.revoke(key.id, 'admin')).toThrow('already revoked by security');
+      expect(keys.revoke('missing', 'admin')).toBeNull();
+    });
+
+    it('should accept the bootstrap key as an admin', () => {
+      // Act
+      const key = keys.authenticate('bootstrap-secret');
+
+      // Assert
+      expect(key).toMatchObject({ id: 'bootstrap', name: 'admin', scopes: ['admin'] });
+      expect(keys.authenticate('wrong')).toBeNull();
+      expect(keys.authenticate(null)).toBeNull();
+    });
+
+    it('should grant scopes listed on the key, and every scope to admin', () => {
+      // Arrange
+      const { key } = keys.create({ name: 'kiosk', scopes: ['parcel:pickup'] }, 'admin');
+
+      // Act & Assert
+      expect(keys.hasScope(key, 'parcel:pickup')).toBe(true);
+      expect(keys.hasScope(key, 'cabinet:open')).toBe(false);
+      expect(keys.hasScope(keys.authenticate('bootstrap-secret'), 'cabinet:open')).toBe(true);
+    });
+  });
+
+  it('should read the key from the Authorization header, X-API-Key, then the query', () => {
+    // Act & Assert
+    expect(extractApiKey({ authorization: 'Bearer ck_a', 'x-api-key': 'ck_b' }, 'ck_c')).toBe('ck_a');
+    expect(extractApiKey({ authorization: 'Basic abc', 'x-api-key': 'ck_b' })).toBe('ck_b');
+    expect(extractApiKey({}, 'ck_c')).toBe('ck_c');
+    expect(extractApiKey({})).toBeNull();
+  });
+});
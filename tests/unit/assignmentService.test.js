@@ -0,0 +1,169 @@
+/**
+ * Unit Tests for Assignment Service
+ * Reservations, overlap checks, open access and expiry
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AssignmentService, validateAssignment, parseActorList } from '../../src/services/assignmentService.js';
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * ISO timestamp relative to now
+ */
+function hoursFromNow(hours) {
+  return new Date(Date.now() + hours * HOUR).toISOString();
+}
+
+describe('AssignmentService', () => {
+
+  let dir;
+  let file;
+  let assignments;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'assignments-'));
+    file = path.join(dir, 'assignments.json');
+    assignments = new AssignmentService({ admins: ['ops'], interval: 0, retention: 2 });
+    assignments.load(file);
+  });
+
+  afterEach(() => {
+    assignments.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // ==================== RESERVATION TESTS ====================
+  describe('create()', () => {
+
+    it('should reserve a locker and save it', () => {
+      // Act
+      const created = assignments.create({ cabinetId: 4, assignee: ' j.doe ', endsAt: hoursFromNow(8) }, 'ops');
+      const reloaded = new AssignmentService({ interval: 0 });
+      reloaded.load(file);
+
+      // Assert
+      expect(created).toMatchObject({ cabinetId: 4, assignee: 'j.doe', note: null, createdBy: 'ops', status: 'active' });
+      expect(reloaded.get(created.id)).toEqual(created);
+    });
+
+    it('should start later reservations as scheduled', () => {
+      // Act
+      const created = assignments.create({ cabinetId: 4, assignee: 'visitor-118', startsAt: hoursFromNow(2), endsAt: hoursFromNow(3) }, 'ops');
+
+      // Assert
+      expect(created.status).toBe('scheduled');
+      expect(assignments.getActive(4)).toBeNull();
+    });
+
+    it('should refuse overlapping reservations of the same locker', () => {
+      // Arrange
+      const later = hoursFromNow(1);
+      assignments.create({ cabinetId: 4, assignee: 'j.doe', startsAt: later, endsAt: hoursFromNow(3) }, 'ops');
+
+      // Act & Assert
+      expect(() => assignments.create({ cabinetId: 4, assignee: 'a.lee', endsAt: hoursFromNow(2) }, 'ops'))
+        .toThrow('Cabinet 4 is already assigned to j.doe');
+      expect(assignments.create({ cabinetId: 4, assignee: 'a.lee', endsAt: later }, 'ops').status).toBe('active');
+      expect(assignments.create({ cabinetId: 5, assignee: 'a.lee', endsAt: hoursFromNow(2) }, 'ops').status).toBe('active');
+    });
+
+    it('should report invalid fields', () => {
+      // Act
+      const errors = validateAssignment({ cabinetId: 99, assignee: '', startsAt: 'soon', endsAt: hoursFromNow(-1), note: 7 }, 47);
+
+      // Assert
+      expect(errors).toEqual([
+        'cabinetId must be an integer between 0 and 47',
+        'assignee must be a non-empty string of at most 64 characters',
+        'startsAt must be an ISO timestamp',
+        'note must be a string of at most 500 characters'
+      ]);
+      expect(validateAssignment({ cabinetId: 1, assignee: 'j.doe', endsAt: hoursFromNow(-1) }, 47))
+        .toEqual(['endsAt must be after startsAt']);
+    });
+  });
+
+  // ==================== RELEASE TESTS ====================
+  describe('release()', () => {
+
+    it('should free the locker at once', () => {
+      // Arrange
+      const created = assignments.create({ cabinetId: 4, assignee: 'j.doe', endsAt: hoursFromNow(8) }, 'ops');
+
+      // Act
+      const released = assignments.release(created.id, 'j.doe');
+
+      // Assert
+      expect(released).toMatchObject({ status: 'released', releasedBy: 'j.doe', releasedAt: expect.any(String) });
+      expect(assignments.getActive(4)).toBeNull();
+      expect(() => assignments.release(created.id, 'ops')).toThrow('already released');
+      expect(assignments.release('missing', 'ops')).toBeNull();
+    });
+  });
+
+  // ==================== ACCESS TESTS ====================
+  describe('checkAccess()', () => {
+
+    it('should limit assigned lockers to their assignee and admins', () => {
+      // Arrange
+      assignments.create({ cabinetId: 4, assignee: 'j.doe', endsAt: hoursFromNow(8) }, 'ops');
+
+      // Act & Assert
+      expect(assignments.checkAccess([4, 5], 'j.doe')).toEqual([]);
+      expect(assignments.checkAccess([4, 5], 'ops')).toEqual([]);
+      expect(assignments.checkAccess([4, 5], 'a.lee')).toEqual([{ id: 4, assignee: 'j.doe' }]);
+    });
+
+    it('should limit unassigned lockers to admins when assignments are required', () => {
+      // Arrange
+      assignments.required = true;
+      assignments.create({ cabinetId: 4, assignee: 'j.doe', endsAt: hoursFromNow(8) }, 'ops');
+
+      // Act & Assert
+      expect(assignments.checkAccess([4, 5], 'j.doe')).toEqual([{ id: 5, assignee: null }]);
+      expect(assignments.checkAccess([4, 5], 'ops')).toEqual([]);
+    });
+  });
+
+  // ==================== EXPIRY TESTS ====================
+  describe('sweep()', () => {
+
+    it('should expire ended assignments once', () => {
+      // Arrange
+      const created = assignments.create({ cabinetId: 4, assignee: 'j.doe', endsAt: hoursFromNow(1) }, 'ops');
+      const expired = [];
+      assignments.on('assignment.expired', assignment => expired.push(assignment.id));
+
+      // Act
+      assignments.sweep(Date.now() + 2 * HOUR);
+      assignments.sweep(Date.now() + 3 * HOUR);
+
+      // Assert
+      expect(expired).toEqual([created.id]);
+      expect(assignments.statusOf(assignments.get(created.id), Date.now() + 2 * HOUR)).toBe('expired');
+      expect(assignments.get(created.id).expiredAt).toEqual(expect.any(String));
+    });
+
+    it('should drop the oldest ended assignments beyond the retention limit', () => {
+      // Arrange
+      const ids = [1, 2, 3].map(hours => assignments.create({ cabinetId: hours, assignee: 'j.doe', endsAt: hoursFromNow(hours) }, 'ops').id);
+
+      // Act
+      assignments.sweep(Date.now() + 4 * HOUR);
+
+      // Assert
+      expect(assignments.get(ids[0])).toBeNull();
+      expect(assignments.list().map(assignment => assignment.id)).toEqual(ids.slice(1));
+    });
+  });
+
+  it('should parse admin lists', () => {
+    // Act & Assert
+    expect(parseActorList(' ops, front-desk ,,')).toEqual(['ops', 'front-desk']);
+    expect(parseActorList(undefined)).toEqual([]);
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Unit Tests for Audit Log
+ * Records open requests to a temporary file and queries them back
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import auditLog from '../../src/services/auditLog.js';
+
+describe('AuditLog', () => {
+
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+    file = path.join(dir, 'audit.jsonl');
+    auditLog.open(file);
+  });
+
+  afterEach(() => {
+    auditLog.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Record a completed request for the given actor and cabinets
+   */
+  function recordOpen(actor, cabinetIds) {
+    return auditLog.record({
+      requestId: `req-${actor}`,
+      actor,
+      ip: '127.0.0.1',
+      cabinetIds,
+      outcome: 'completed',
+      opened: cabinetIds
+    });
+  }
+
+  // ==================== RECORD TESTS ====================
+  describe('record()', () => {
+
+    it('should append one line per request with defaults filled in', () => {
+      // Act
+      const entry = auditLog.record({ requestId: 'r1', actor: 'alice', ip: '10.0.0.7', cabinetIds: [4], outcome: 'rejected' });
+
+      // Assert
+      const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+      expect(lines).toHaveLength(1);
+      expect(JSON.parse(lines[0])).toEqual(entry);
+      expect(entry).toMatchObject({ reason: null, opened: [], failed: [], error: null });
+    });
+
+    it('should not write a file when closed', () => {
+      // Arrange
+      auditLog.close();
+
+      // Act
+      recordOpen('alice', [1]);
+
+      // Assert
+      expect(fs.existsSync(file)).toBe(false);
+    });
+  });
+
+  // ==================== QUERY TESTS ====================
+  describe('query()', () => {
+
+    it('should filter by cabinet and actor', async () => {
+      // Arrange
+      recordOpen('alice', [1, 2]);
+      recordOpen('bob', [2]);
+      recordOpen('alice', [3]);
+
+      // Act
+      const byCabinet = await auditLog.query({ cabinetId: 2 });
+      const byActor = await auditLog.query({ actor: 'alice' });
+
+      // Assert
+      expect(byCabinet.map(e => e.actor)).toEqual(['alice', 'bob']);
+      expect(byActor.map(e => e.cabinetIds)).toEqual([[1, 2], [3]]);
+    });
+
+    it('should filter by time range', async () => {
+      // Arrange
+      const entry = recordOpen('alice', [1]);
+
+      // Act
+      const inRange = await auditLog.query({ since: entry.time, until: '9999-01-01T00:00:00.000Z' });
+      const beforeRange = await auditLog.query({ until: entry.time });
+
+      // Assert
+      expect(inRange).toHaveLength(1);
+      expect(beforeRange).toHaveLength(0);
+    });
+
+    it('should return the most recent entries up to the limit, oldest first', async () => {
+      // Arrange
+      for (const actor of ['a', 'b', 'c', 'd']) {
+        recordOpen(actor, [1]);
+      }
+
+      // Act
+      const entries = await auditLog.query({ limit: 2 });
+
+      // Assert
+      expect(entries.map(e => e.actor)).toEqual(['c', 'd']);
+    });
+
+    it('should skip unparseable lines', async () => {
+      // Arrange
+      recordOpen('alice', [1]);
+      fs.appendFileSync(file, '{"time":"cut sho');
+
+      // Act
+      const entries = await auditLog.query();
+
+      // Assert
+      expect(entries).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Unit Tests for Board Layout Utilities
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseBoardLayout,
+  getCabinetCount,
+  resolveCabinet,
+  toCabinetId
+} from '../../src/utils/boardLayout.js';
+
+const defaultProfile = expect.objectContaining({ name: 'default' });
+
+describe('Board Layout', () => {
+
+  // ==================== PARSING TESTS ====================
+  describe('parseBoardLayout()', () => {
+
+    it('should default to a single legacy board at 0x00', () => {
+      const boards = parseBoardLayout(undefined);
+
+      expect(boards).toEqual([{ address: 0x00, channels: 256, offset: 0, profile: defaultProfile }]);
+      expect(getCabinetCount(boards)).toBe(256);
+    });
+
+    it('should assign consecutive offsets in listed order', () => {
+      const boards = parseBoardLayout('0x00:48, 0x02:24');
+
+      expect(boards).toEqual([
+        { address: 0x00, channels: 48, offset: 0, profile: defaultProfile },
+        { address: 0x02, channels: 24, offset: 48, profile: defaultProfile }
+      ]);
+      expect(getCabinetCount(boards)).toBe(72);
+    });
+
+    it('should take the channel count from a named protocol profile', () => {
+      const boards = parseBoardLayout('0x00:lock-64,0x01:lock-16');
+
+      expect(boards.map(b => [b.address, b.channels, b.offset, b.profile.name])).toEqual([
+        [0x00, 64, 0, 'lock-64'],
+        [0x01, 16, 64, 'lock-16']
+      ]);
+    });
+
+    it('should reject invalid entries', () => {
+      expect(() => parseBoardLayout('0x100:48')).toThrow('Invalid board address');
+      expect(() => parseBoardLayout('0x00:0')).toThrow('Invalid channel count');
+      expect(() => parseBoardLayout('0x00:48,0:16')).toThrow('Duplicate board address');
+      expect(() => parseBoardLayout('0x00:lock-99')).toThrow('Unknown protocol profile: lock-99');
+    });
+  });
+
+  // ==================== MAPPING TESTS ====================
+  describe('cabinet mapping', () => {
+
+    const boards = parseBoardLayout('0x00:48,0x01:48');
+
+    it('should resolve a logical ID to board and channel', () => {
+      expect(resolveCabinet(boards, 0)).toEqual({ boardAddress: 0x00, channel: 0 });
+      expect(resolveCabinet(boards, 47)).toEqual({ boardAddress: 0x00, channel: 47 });
+      expect(resolveCabinet(boards, 48)).toEqual({ boardAddress: 0x01, channel: 0 });
+      expect(resolveCabinet(boards, 96)).toBeNull();
+    });
+
+    it('should map a board channel back to its logical ID', () => {
+      expect(toCabinetId(boards, 0x01, 5)).toBe(53);
+      expect(toCabinetId(boards, 0x01, 48)).toBeNull();
+      expect(toCabinetId(boards, 0x07, 0)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Unit Tests for Cabinet Registry
+ * Covers validation, persistence and status enrichment
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import cabinetRegistry, { validateRecord } from '../../src/services/cabinetRegistry.js';
+import cabinetService from '../../src/services/cabinetService.js';
+import { parseBoardLayout } from '../../src/utils/boardLayout.js';
+
+describe('CabinetRegistry', () => {
+
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'registry-'));
+    file = path.join(dir, 'cabinets.json');
+  });
+
+  afterEach(() => {
+    cabinetRegistry.file = null;
+    cabinetRegistry.clear();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // ==================== VALIDATION TESTS ====================
+  describe('validateRecord()', () => {
+
+    it('should accept a minimal record', () => {
+      expect(validateRecord({ label: 'A-01', size: 'small' })).toEqual([]);
+    });
+
+    it('should list every problem', () => {
+      const errors = validateRecord({ label: '', size: 'tiny', column: -1, row: 1.5, zone: 7, enabled: 'yes' });
+
+      expect(errors).toHaveLength(6);
+    });
+  });
+
+  // ==================== PERSISTENCE TESTS ====================
+  describe('persistence', () => {
+
+    it('should start empty when the file does not exist', () => {
+      cabinetRegistry.load(file);
+
+      expect(cabinetRegistry.list()).toEqual([]);
+      expect(fs.existsSync(file)).toBe(false);
+    });
+
+    it('should save changes and load them back', () => {
+      // Arrange
+      cabinetRegistry.load(file);
+
+      // Act
+      cabinetRegistry.upsert(5, { label: 'A-05', size: 'large', zone: 'cold' });
+      cabinetRegistry.upsert(6, { label: 'A-06', size: 'small' });
+      cabinetRegistry.remove(6);
+      cabinetRegistry.clear();
+      cabinetRegistry.load(file);
+
+      // Assert
+      expect(cabinetRegistry.list()).toEqual([{
+        id: 5, label: 'A-05', size: 'large', column: null, row: null, zone: 'cold', enabled: true, board: 0x00, channel: 5
+      }]);
+      expect(JSON.parse(fs.readFileSync(file, 'utf8')).cabinets[0]).not.toHaveProperty('channel');
+    });
+
+    it('should refuse a label owned by another cabinet', () => {
+      cabinetRegistry.upsert(1, { label: 'B-12', size: 'small' });
+
+      expect(() => cabinetRegistry.upsert(2, { label: 'b-12', size: 'small' })).toThrow('already used by cabinet 1');
+      expect(cabinetRegistry.findByLabel('B-12').id).toBe(1);
+    });
+  });
+
+  // ==================== MAPPING TESTS ====================
+  describe('hardware mapping', () => {
+
+    it('should follow the board layout', () => {
+      // Arrange
+      const originalBoards = cabinetService.boards;
+      cabinetService.setBoardLayout(parseBoardLayout('0x00:48,0x01:16'));
+
+      // Act
+      cabinetRegistry.upsert(50, { label: 'D-02', size: 'medium' });
+      const record = cabinetRegistry.get(50);
+      cabinetService.setBoardLayout(originalBoards);
+
+      // Assert
+      expect(record).toMatchObject({ board: 0x01, channel: 2 });
+    });
+
+    it('should merge records into status entries and list unpolled cabinets', () => {
+      // Arrange
+      cabinetRegistry.upsert(2, { label: 'A-02', size: 'small', enabled: false });
+
+      // Act
+      const cabinets = cabinetRegistry.enrich([{ id: 7, board: 0, channel: 7, status: 'open' }]);
+
+      // Assert
+      expect(cabinets).toEqual([
+        { id: 2, board: 0, channel: 2, status: 'unknown', timestamp: null, label: 'A-02', size: 'small', column: null, row: null, zone: null, enabled: false },
+        { id: 7, board: 0, channel: 7, status: 'open', label: null, size: null, column: null, row: null, zone: null, enabled: true }
+      ]);
+      expect(cabinetRegistry.isEnabled(2)).toBe(false);
+      expect(cabinetRegistry.isEnabled(7)).toBe(true);
+    });
+  });
+});
@@ -13,10 +13,19 @@ vi.mock('serialport', () => {
     if (event === 'open') {
       setTimeout(() => callback(), 10);
     }
+    if (event === 'data') {
+      this.onData = callback;
+    }
     return this;
   });
-  MockSerialPort.prototype.write = vi.fn((frame, callback) => {
-    setTimeout(() => callback(null), 10);
+  MockSerialPort.prototype.write = vi.fn(function(frame, callback) {
+    setTimeout(() => {
+      callback(null);
+      // Echo the frame back as the board's acknowledgement
+      if (this.onData) {
+        this.onData(Buffer.from(frame));
+      }
+    }, 10);
   });
   MockSerialPort.prototype.close = vi.fn((callback) => {
     setTimeout(() => callback(), 10);
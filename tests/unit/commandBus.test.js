@@ -0,0 +1,138 @@
+/**
+ * Unit Tests for Command Bus
+ * Uses a fake transmit function in place of the serial port
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { CommandBus } from '../../src/services/commandBus.js';
+import { buildSerialFrame } from '../../src/utils/serialPort.js';
+
+describe('CommandBus', () => {
+
+  let written;
+  let bus;
+
+  beforeEach(() => {
+    written = [];
+    bus = new CommandBus({
+      transmit: vi.fn(async (frame) => { written.push(frame); }),
+      timeout: 30,
+      retries: 1
+    });
+  });
+
+  // ==================== SERIALISATION TESTS ====================
+  describe('queueing', () => {
+
+    it('should resolve with null when no reply is expected', async () => {
+      await expect(bus.send(buildSerialFrame([1], 0x00, 0x50))).resolves.toBeNull();
+      expect(written).toHaveLength(1);
+    });
+
+    it('should not write the next frame until the previous reply arrives', async () => {
+      // Arrange
+      const first = buildSerialFrame([1], 0x00, 0x50);
+      const second = buildSerialFrame([2], 0x00, 0x50);
+
+      // Act
+      const firstResult = bus.send(first, { expectReply: true });
+      const secondResult = bus.send(second, { expectReply: true });
+      await new Promise(resolve => setTimeout(resolve, 5));
+
+      // Assert - only the first frame is on the wire
+      expect(written).toEqual([first]);
+
+      bus.handleFrame(first);
+      await expect(firstResult).resolves.toEqual(first);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      expect(written).toEqual([first, second]);
+
+      bus.handleFrame(second);
+      await expect(secondResult).resolves.toEqual(second);
+    });
+  });
+
+  // ==================== CORRELATION TESTS ====================
+  describe('reply correlation', () => {
+
+    it('should ignore frames that do not match the active command', async () => {
+      // Arrange
+      const command = buildSerialFrame([], 0x01, 0x51);
+      const result = bus.send(command, { expectReply: true, timeout: 50 });
+      await new Promise(resolve => setTimeout(resolve, 5));
+
+      // Act
+      const otherBoard = bus.handleFrame(buildSerialFrame([0x00], 0x00, 0x51));
+      const reply = buildSerialFrame([0x01], 0x01, 0x51);
+      const matched = bus.handleFrame(reply);
+
+      // Assert
+      expect(otherBoard).toBe(false);
+      expect(matched).toBe(true);
+      await expect(result).resolves.toEqual(reply);
+    });
+
+    it('should use a custom match predicate', async () => {
+      const command = buildSerialFrame([3], 0x00, 0x50);
+      const result = bus.send(command, { expectReply: true, match: (reply) => reply[5] === 3 });
+      await new Promise(resolve => setTimeout(resolve, 5));
+
+      expect(bus.handleFrame(buildSerialFrame([4], 0x00, 0x50))).toBe(false);
+      expect(bus.handleFrame(buildSerialFrame([3], 0x00, 0x50))).toBe(true);
+      await expect(result).resolves.toBeDefined();
+    });
+  });
+
+  // ==================== TIMEOUT TESTS ====================
+  describe('timeouts and retries', () => {
+
+    it('should retry and then fail when no reply arrives', async () => {
+      // Act & Assert
+      await expect(bus.send(buildSerialFrame([1], 0x02, 0x50), { expectReply: true }))
+        .rejects.toThrow('No reply from board 0x02 to instruction 0x50 after 2 attempt(s)');
+      expect(written).toHaveLength(2);
+    });
+
+    it('should succeed when a retry is answered', async () => {
+      // Arrange - answer only the second transmission
+      const command = buildSerialFrame([1], 0x00, 0x50);
+      bus.transmit = vi.fn(async (frame) => {
+        written.push(frame);
+        if (written.length === 2) {
+          setTimeout(() => bus.handleFrame(frame), 5);
+        }
+      });
+
+      // Act & Assert
+      await expect(bus.send(command, { expectReply: true })).resolves.toEqual(command);
+      expect(written).toHaveLength(2);
+    });
+
+    it('should reject without retrying when the write fails', async () => {
+      bus.transmit = vi.fn().mockRejectedValue(new Error('write failed'));
+
+      await expect(bus.send(buildSerialFrame([1], 0x00, 0x50), { expectReply: true }))
+        .rejects.toThrow('write failed');
+      expect(bus.transmit).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  // ==================== CLEAR TESTS ====================
+  describe('clear()', () => {
+
+    it('should reject in-flight and queued commands', async () => {
+      // Arrange
+      const first = bus.send(buildSerialFrame([1], 0x00, 0x50), { expectReply: true, timeout: 1000 });
+      const second = bus.send(buildSerialFrame([2], 0x00, 0x50), { expectReply: true });
+      await new Promise(resolve => setTimeout(resolve, 5));
+
+      // Act
+      bus.clear(new Error('disconnected'));
+
+      // Assert
+      await expect(first).rejects.toThrow('disconnected');
+      await expect(second).rejects.toThrow('disconnected');
+      expect(bus.pending).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Unit Tests for Connection Supervisor
+ * Covers backoff scheduling and the service's reconnect behaviour on the simulator
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ConnectionSupervisor } from '../../src/services/connectionSupervisor.js';
+import cabinetService from '../../src/services/cabinetService.js';
+
+describe('ConnectionSupervisor', () => {
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should back off exponentially up to the maximum delay', () => {
+    const supervisor = new ConnectionSupervisor({ connect: vi.fn(), initialDelay: 100, maxDelay: 1000 });
+
+    expect([1, 2, 3, 4, 5].map(n => supervisor.getDelay(n))).toEqual([100, 200, 400, 800, 1000]);
+  });
+
+  it('should retry the initial connection until it succeeds', async () => {
+    // Arrange - fail twice, then connect
+    const connect = vi.fn()
+      .mockRejectedValueOnce(new Error('no such port'))
+      .mockRejectedValueOnce(new Error('no such port'))
+      .mockResolvedValue();
+    const supervisor = new ConnectionSupervisor({ connect, initialDelay: 100 });
+    const retries = [];
+    const connected = vi.fn();
+    supervisor.on('retry', ({ attempt, delay }) => retries.push({ attempt, delay }));
+    supervisor.on('connected', connected);
+
+    // Act
+    const first = await supervisor.start();
+    await vi.advanceTimersByTimeAsync(100);
+    await vi.advanceTimersByTimeAsync(200);
+
+    // Assert
+    expect(first).toBe(false);
+    expect(retries).toEqual([{ attempt: 2, delay: 100 }, { attempt: 3, delay: 200 }]);
+    expect(connect).toHaveBeenCalledTimes(3);
+    expect(connected).toHaveBeenCalledWith({ attempts: 2 });
+    supervisor.stop();
+  });
+
+  it('should give up after the maximum number of attempts', async () => {
+    // Arrange
+    const supervisor = new ConnectionSupervisor({
+      connect: vi.fn().mockRejectedValue(new Error('no such port')),
+      initialDelay: 10,
+      maxAttempts: 2
+    });
+    const failed = vi.fn();
+    supervisor.on('failed', failed);
+
+    // Act
+    await supervisor.start();
+    await vi.advanceTimersByTimeAsync(10);
+
+    // Assert
+    expect(failed).toHaveBeenCalledTimes(1);
+    expect(failed.mock.calls[0][0].attempts).toBe(2);
+    expect(supervisor.running).toBe(false);
+  });
+
+  it('should not retry after stop()', async () => {
+    const connect = vi.fn().mockRejectedValue(new Error('no such port'));
+    const supervisor = new ConnectionSupervisor({ connect, initialDelay: 10 });
+
+    await supervisor.start();
+    supervisor.stop();
+    await vi.advanceTimersByTimeAsync(100);
+
+    expect(connect).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('CabinetService link supervision', () => {
+
+  let initialDelay;
+
+  beforeEach(() => {
+    initialDelay = cabinetService.supervisor.initialDelay;
+    cabinetService.supervisor.initialDelay = 10;
+    cabinetService.portPath = 'sim://48';
+  });
+
+  afterEach(async () => {
+    await cabinetService.disconnect();
+    cabinetService.supervisor.initialDelay = initialDelay;
+    cabinetService.removeAllListeners('link');
+    cabinetService.resetStatus();
+  });
+
+  it('should reopen the port and refresh status after the link drops', async () => {
+    // Arrange
+    const states = [];
+    cabinetService.on('link', ({ state }) => states.push(state));
+    await cabinetService.start();
+    const firstPort = cabinetService.port;
+    await new Promise(resolve => setTimeout(resolve, 30));
+    cabinetService.resetStatus();
+
+    // Act - simulate the adapter being unplugged
+    firstPort.close();
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    // Assert
+    expect(states).toEqual(['connected', 'reconnecting', 'connected']);
+    expect(cabinetService.port).not.toBe(firstPort);
+    expect(cabinetService.isConnected).toBe(true);
+    expect(Object.keys(cabinetService.cabinetStatus)).toHaveLength(48);
+  });
+
+  it('should not reconnect after an explicit disconnect', async () => {
+    // Arrange
+    const states = [];
+    await cabinetService.start();
+    cabinetService.on('link', ({ state }) => states.push(state));
+
+    // Act
+    await cabinetService.disconnect();
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    // Assert
+    expect(states).toEqual(['disconnected']);
+    expect(cabinetService.isConnected).toBe(false);
+  });
+});
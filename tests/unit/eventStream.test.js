@@ -0,0 +1,200 @@
+/**
+ * Unit Tests for Event Stream
+ * Covers sequence numbering, the resume buffer and event ID parsing
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { EventEmitter } from 'events';
+import { EventStream, formatEventId, parseEventId } from '../../src/services/eventStream.js';
+
+describe('EventStream', () => {
+
+  let stream;
+
+  beforeEach(() => {
+    stream = new EventStream({ bufferSize: 3 });
+  });
+
+  /**
+   * Publish door events for the given cabinet IDs
+   */
+  function publishDoors(...ids) {
+    for (const id of ids) {
+      stream.publish('door.opened', { cabinetId: id, timestamp: '2024-11-13T10:30:45.123Z' });
+    }
+  }
+
+  // ==================== PUBLISH TESTS ====================
+  describe('publish()', () => {
+
+    it('should number events monotonically and keep the payload timestamp', () => {
+      // Act
+      const first = stream.publish('link', { state: 'connected', timestamp: '2024-11-13T10:30:45.123Z' });
+      const second = stream.publish('status.reset', {});
+
+      // Assert
+      expect(first).toEqual({ seq: 1, type: 'link', data: { state: 'connected', timestamp: '2024-11-13T10:30:45.123Z' }, timestamp: '2024-11-13T10:30:45.123Z' });
+      expect(second.seq).toBe(2);
+      expect(second.timestamp).toEqual(expect.any(String));
+    });
+
+    it('should forward attached service events until detached', () => {
+      // Arrange
+      const service = new EventEmitter();
+      const events = [];
+      stream.on('event', (event) => events.push(event.type));
+      stream.attach(service);
+
+      // Act
+      service.emit('door.closed', { cabinetId: 1 });
+      service.emit('open.command', { cabinetId: 1, success: true });
+      service.emit('status', { cabinets: {} });
+      stream.detach();
+      service.emit('door.opened', { cabinetId: 1 });
+
+      // Assert
+      expect(events).toEqual(['door.closed', 'open.command']);
+    });
+
+    it('should forward several sources and detach them one at a time', () => {
+      // Arrange
+      const service = new EventEmitter();
+      const alarms = new EventEmitter();
+      const events = [];
+      stream.on('event', (event) => events.push(event.type));
+      stream.attach(service);
+      stream.attach(alarms);
+      stream.attach(alarms);
+
+      // Act
+      alarms.emit('alarm.raised', { cabinetId: 1 });
+      stream.detach(alarms);
+      alarms.emit('alarm.cleared', { cabinetId: 1 });
+      service.emit('door.closed', { cabinetId: 1 });
+      stream.detach();
+
+      // Assert
+      expect(events).toEqual(['alarm.raised', 'door.closed']);
+    });
+
+    it('should keep the EventEmitter listeners() method', () => {
+      // Arrange
+      const listener = () => {};
+
+      // Act
+      stream.on('event', listener);
+
+      // Assert
+      expect(stream.listeners('event')).toEqual([listener]);
+    });
+  });
+
+  // ==================== REPLAY TESTS ====================
+  describe('replay()', () => {
+
+    it('should return events after the client position', () => {
+      // Arrange
+      publishDoors(1, 2, 3);
+
+      // Act
+      const { events, complete } = stream.replay(1, stream.streamId);
+
+      // Assert
+      expect(events.map(e => e.seq)).toEqual([2, 3]);
+      expect(complete).toBe(true);
+    });
+
+    it('should report events that left the buffer as missed', () => {
+      // Arrange - buffer holds 3, so seq 1 and 2 are gone
+      publishDoors(1, 2, 3, 4, 5);
+
+      // Act
+      const partial = stream.replay(1);
+      const edge = stream.replay(2);
+
+      // Assert
+      expect(partial.complete).toBe(false);
+      expect(partial.events.map(e => e.seq)).toEqual([3, 4, 5]);
+      expect(edge.complete).toBe(true);
+    });
+
+    it('should report positions from another stream as missed', () => {
+      // Arrange
+      publishDoors(1, 2);
+
+      // Act
+      const otherStream = stream.replay(1, 'earlier-process');
+      const ahead = stream.replay(10);
+
+      // Assert
+      expect(otherStream.complete).toBe(false);
+      expect(ahead.complete).toBe(false);
+    });
+  });
+
+  // ==================== SUBSCRIBE TESTS ====================
+  describe('subscribe()', () => {
+
+    it('should send ready, missed events and then live events', () => {
+      // Arrange
+      publishDoors(1, 2);
+      const received = [];
+
+      // Act
+      const unsubscribe = stream.subscribe({ streamId: stream.streamId, lastSeq: 1 }, (m) => received.push(m));
+      publishDoors(3);
+      unsubscribe();
+      publishDoors(4);
+
+      // Assert
+      expect(received.map(m => [m.type, m.seq ?? m.lastSeq])).toEqual([
+        ['ready', 2],
+        ['door.opened', 2],
+        ['door.opened', 3]
+      ]);
+    });
+
+    it('should tell the client to resync when events were missed', () => {
+      // Arrange
+      publishDoors(1, 2, 3, 4, 5);
+      const received = [];
+
+      // Act
+      stream.subscribe({ lastSeq: 0 }, (m) => received.push(m));
+
+      // Assert
+      expect(received.map(m => m.type)).toEqual(['ready', 'resync', 'door.opened', 'door.opened', 'door.opened']);
+    });
+
+    it('should send only ready and live events to a new client', () => {
+      // Arrange
+      publishDoors(1);
+      const received = [];
+
+      // Act
+      stream.subscribe({}, (m) => received.push(m));
+
+      // Assert
+      expect(received).toEqual([{ type: 'ready', streamId: stream.streamId, lastSeq: 1 }]);
+    });
+  });
+
+  // ==================== EVENT ID TESTS ====================
+  describe('event IDs', () => {
+
+    it('should round-trip formatted event IDs', () => {
+      expect(parseEventId(formatEventId('abc-123', 42))).toEqual({ streamId: 'abc-123', lastSeq: 42 });
+    });
+
+    it('should accept bare sequence numbers', () => {
+      expect(parseEventId('7')).toEqual({ streamId: undefined, lastSeq: 7 });
+    });
+
+    it('should reject malformed IDs', () => {
+      expect(parseEventId(undefined)).toBeNull();
+      expect(parseEventId('abc:')).toBeNull();
+      expect(parseEventId('abc:-1')).toBeNull();
+      expect(parseEventId('abc:1.5')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Unit Tests for Frame Decoder
+ * Covers resynchronisation, split/coalesced frames and error counters
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { FrameDecoder } from '../../src/utils/frameDecoder.js';
+import { buildSerialFrame } from '../../src/utils/serialPort.js';
+
+describe('FrameDecoder', () => {
+
+  let decoder;
+  const status = buildSerialFrame([0x01, 0x00, 0x00, 0x00, 0x00, 0x00], 0x00, 0x51);
+  const ack = buildSerialFrame([0x05, 0x00], 0x00, 0x50);
+
+  beforeEach(() => {
+    decoder = new FrameDecoder();
+  });
+
+  // ==================== FRAMING TESTS ====================
+  describe('framing', () => {
+
+    it('should decode a single complete frame', () => {
+      const frames = decoder.decode(status);
+
+      expect(frames).toEqual([status]);
+      expect(decoder.buffered.length).toBe(0);
+    });
+
+    it('should reassemble a frame split across chunks', () => {
+      expect(decoder.decode(status.subarray(0, 1))).toEqual([]);
+      expect(decoder.decode(status.subarray(1, 7))).toEqual([]);
+      expect(decoder.decode(status.subarray(7))).toEqual([status]);
+    });
+
+    it('should return every frame from a coalesced chunk', () => {
+      const frames = decoder.decode(Buffer.concat([ack, status, ack]));
+
+      expect(frames).toEqual([ack, status, ack]);
+    });
+  });
+
+  // ==================== RESYNC TESTS ====================
+  describe('resynchronisation', () => {
+
+    it('should skip leading noise and count dropped bytes', () => {
+      // Act
+      const frames = decoder.decode(Buffer.concat([Buffer.from([0x00, 0xFF, 0x13]), status]));
+
+      // Assert
+      expect(frames).toEqual([status]);
+      expect(decoder.getStats()).toMatchObject({ resyncs: 1, droppedBytes: 3, framesDecoded: 1 });
+    });
+
+    it('should not stall on a noise byte between frames', () => {
+      const frames = decoder.decode(Buffer.concat([ack, Buffer.from([0x7E]), status]));
+
+      expect(frames).toEqual([ack, status]);
+    });
+
+    it('should count CRC failures and recover the following frame', () => {
+      // Arrange
+      const corrupt = Buffer.from(ack);
+      corrupt[corrupt.length - 1] ^= 0xFF;
+
+      // Act
+      const frames = decoder.decode(Buffer.concat([corrupt, status]));
+
+      // Assert
+      expect(frames).toEqual([status]);
+      expect(decoder.getStats().crcFailures).toBe(1);
+    });
+
+    it('should find a real frame hidden behind a false header', () => {
+      // A stray 0xAA 0x55 whose length byte would swallow the real frame
+      const frames = decoder.decode(Buffer.concat([Buffer.from([0xAA, 0x55, 0x0A]), status]));
+
+      expect(frames).toEqual([status]);
+    });
+
+    it('should treat implausible length bytes as noise', () => {
+      const frames = decoder.decode(Buffer.concat([Buffer.from([0xAA, 0x55, 0xF0]), ack]));
+
+      expect(frames).toEqual([ack]);
+      expect(decoder.getStats().resyncs).toBeGreaterThan(0);
+    });
+
+    it('should keep a trailing partial header for the next chunk', () => {
+      expect(decoder.decode(Buffer.from([0x01, 0x02, 0xAA]))).toEqual([]);
+      expect(decoder.buffered).toEqual(Buffer.from([0xAA]));
+      expect(decoder.decode(ack.subarray(1))).toEqual([ack]);
+    });
+  });
+
+  // ==================== BUFFER CAP TESTS ====================
+  describe('buffer cap', () => {
+
+    it('should never hold more than maxBufferSize bytes', () => {
+      // Arrange
+      decoder = new FrameDecoder({ maxBufferSize: 16 });
+
+      // Act - a header with a long length keeps bytes buffered
+      decoder.decode(Buffer.from([0xAA, 0x55, 0x40]));
+      decoder.decode(Buffer.alloc(40, 0x00));
+
+      // Assert
+      expect(decoder.buffered.length).toBeLessThanOrEqual(16);
+      expect(decoder.getStats().overflows).toBe(1);
+    });
+  });
+
+  // ==================== STREAM TESTS ====================
+  describe('as a Transform stream', () => {
+
+    it('should push decoded frames on the readable side', async () => {
+      // Arrange
+      const received = [];
+      decoder.on('data', frame => received.push(frame));
+
+      // Act
+      decoder.write(Buffer.concat([Buffer.from([0x00]), ack.subarray(0, 4)]));
+      decoder.write(ack.subarray(4));
+      await new Promise(resolve => setImmediate(resolve));
+
+      // Assert
+      expect(received).toEqual([ack]);
+    });
+  });
+});
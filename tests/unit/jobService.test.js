@@ -0,0 +1,143 @@
+/**
+ * Unit Tests for Job Service
+ * Runs batch open jobs against a stub service whose opens finish on demand
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { JobService } from '../../src/services/jobService.js';
+
+/**
+ * Stub service: each open waits until release() is called for its cabinet;
+ * cabinets in rejected fail, cabinets in jammed stay unconfirmed, cabinet 99 throws
+ */
+function createStubService({ rejected = [], jammed = [] } = {}) {
+  const waiting = new Map();
+  return {
+    started: [],
+    openCabinets(cabinetIds) {
+      const [id] = cabinetIds;
+      this.started.push(id);
+      return new Promise((resolve, reject) => {
+        waiting.set(id, () => {
+          if (id === 99) {
+            reject(new Error('Serial port not connected'));
+          } else if (rejected.includes(id)) {
+            resolve({ opened: [], unconfirmed: [], failed: [{ id, error: 'Board rejected open command' }] });
+          } else if (jammed.includes(id)) {
+            resolve({ opened: [], unconfirmed: [{ id, status: 'unconfirmed', verification: 'unconfirmed', attempts: 2 }], failed: [] });
+          } else {
+            resolve({ opened: [{ id, status: 'opened', timestamp: '2024-11-13T10:30:45.123Z' }], unconfirmed: [], failed: [] });
+          }
+        });
+      });
+    },
+    async release(id) {
+      // Let the job reach this cabinet, then finish its open
+      while (!waiting.has(id)) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      waiting.get(id)();
+      waiting.delete(id);
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  };
+}
+
+describe('JobService', () => {
+
+  let service;
+  let jobs;
+
+  beforeEach(() => {
+    service = createStubService({ rejected: [5], jammed: [7] });
+    jobs = new JobService({ service, retention: 2 });
+  });
+
+  it('should open cabinets one at a time and track progress', async () => {
+    // Act
+    const created = jobs.createOpenJob([4, 5, 6]);
+    await service.release(4);
+    const midway = jobs.get(created.id);
+    await service.release(5);
+    await service.release(6);
+
+    // Assert
+    expect(created).toMatchObject({ type: 'open', status: 'running', finishedAt: null });
+    expect(midway.progress).toEqual({ total: 3, completed: 1, opened: 1, unconfirmed: 0, failed: 0, cancelled: 0 });
+    expect(midway.results.map(r => r.status)).toEqual(['opened', 'opening', 'pending']);
+
+    const done = jobs.get(created.id);
+    expect(done.status).toBe('completed');
+    expect(done.finishedAt).toEqual(expect.any(String));
+    expect(done.results).toEqual([
+      { id: 4, status: 'opened', timestamp: '2024-11-13T10:30:45.123Z' },
+      { id: 5, status: 'failed', error: 'Board rejected open command' },
+      { id: 6, status: 'opened', timestamp: '2024-11-13T10:30:45.123Z' }
+    ]);
+  });
+
+  it('should count opens whose door never read open as unconfirmed, not opened', async () => {
+    // Act
+    const { id } = jobs.createOpenJob([7, 4]);
+    await service.release(7);
+    await service.release(4);
+
+    // Assert
+    const done = jobs.get(id);
+    expect(done.results.map(r => [r.id, r.status])).toEqual([[7, 'unconfirmed'], [4, 'opened']]);
+    expect(done.progress).toEqual({ total: 2, completed: 2, opened: 1, unconfirmed: 1, failed: 0, cancelled: 0 });
+  });
+
+  it('should record thrown errors against the cabinet and carry on', async () => {
+    // Act
+    const { id } = jobs.createOpenJob([99, 4]);
+    await service.release(99);
+    await service.release(4);
+
+    // Assert
+    expect(jobs.get(id).results.map(r => [r.id, r.status, r.error])).toEqual([
+      [99, 'failed', 'Serial port not connected'],
+      [4, 'opened', undefined]
+    ]);
+  });
+
+  it('should stop before the next cabinet when cancelled', async () => {
+    // Arrange
+    let finished = null;
+    const { id } = jobs.createOpenJob([4, 6, 7], { onFinish: (job) => { finished = job; } });
+    await new Promise(resolve => setImmediate(resolve));
+
+    // Act
+    const cancelled = jobs.cancel(id);
+    await service.release(4);
+
+    // Assert - the open in progress completes, the rest never start
+    expect(cancelled.results.map(r => r.status)).toEqual(['opening', 'cancelled', 'cancelled']);
+    expect(service.started).toEqual([4]);
+    expect(finished.status).toBe('cancelled');
+    expect(finished.progress).toMatchObject({ opened: 1, cancelled: 2 });
+    expect(() => jobs.cancel(id)).toThrow('already cancelled');
+  });
+
+  it('should list jobs newest first and drop old finished jobs', async () => {
+    // Arrange - retention is 2 finished jobs
+    const ids = [];
+    for (const cabinetId of [1, 2, 3]) {
+      ids.push(jobs.createOpenJob([cabinetId]).id);
+      await service.release(cabinetId);
+    }
+
+    // Act
+    jobs.createOpenJob([8]);
+
+    // Assert
+    expect(jobs.get(ids[0])).toBeNull();
+    expect(jobs.list().map(job => job.cabinetIds[0])).toEqual([8, 3, 2]);
+    expect(jobs.list({ status: 'running' }).map(job => job.cabinetIds[0])).toEqual([8]);
+  });
+
+  it('should return null for unknown jobs', () => {
+    expect(jobs.get('nope')).toBeNull();
+    expect(jobs.cancel('nope')).toBeNull();
+  });
+});
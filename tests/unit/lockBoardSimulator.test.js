@@ -0,0 +1,254 @@
+/**
+ * Unit Tests for Lock Board Simulator
+ * Exercises the simulator directly and through CabinetService via sim://
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import {
+  LockBoardSimulator,
+  isSimulatorPath,
+  parseSimulatorPath
+} from '../../src/simulator/lockBoardSimulator.js';
+import { buildSerialFrame, calculateCRC8, INSTRUCTIONS } from '../../src/utils/serialPort.js';
+import { parseBoardLayout } from '../../src/utils/boardLayout.js';
+import cabinetService from '../../src/services/cabinetService.js';
+
+/**
+ * Write a frame and resolve with the next reply frame
+ */
+function exchange(simulator, frame) {
+  return new Promise((resolve) => {
+    simulator.once('data', resolve);
+    simulator.receive(frame);
+  });
+}
+
+describe('LockBoardSimulator', () => {
+
+  let simulator;
+
+  beforeEach(() => {
+    simulator = new LockBoardSimulator({ boards: [{ address: 0x00, channels: 48 }, { address: 0x01, channels: 16 }], responseDelay: 1 });
+  });
+
+  // ==================== PATH PARSING TESTS ====================
+  describe('sim:// paths', () => {
+
+    it('should recognise simulator paths', () => {
+      expect(isSimulatorPath('sim://48')).toBe(true);
+      expect(isSimulatorPath('COM3')).toBe(false);
+      expect(isSimulatorPath(undefined)).toBe(false);
+    });
+
+    it('should parse channel count', () => {
+      expect(parseSimulatorPath('sim://16')).toEqual({ boards: [{ address: 0, channels: 16 }] });
+      expect(parseSimulatorPath('sim://')).toEqual({ boards: [{ address: 0, channels: 48 }] });
+    });
+
+    it('should parse one board per comma-separated entry', () => {
+      expect(parseSimulatorPath('sim://48,16').boards).toEqual([
+        { address: 0, channels: 48 },
+        { address: 1, channels: 16 }
+      ]);
+    });
+
+    it('should reject invalid channel counts', () => {
+      expect(() => parseSimulatorPath('sim://0')).toThrow('Invalid simulator path');
+      expect(() => parseSimulatorPath('sim://abc')).toThrow('Invalid simulator path');
+    });
+  });
+
+  // ==================== PROTOCOL TESTS ====================
+  describe('protocol', () => {
+
+    it('should answer status query with a valid status frame', async () => {
+      // Act
+      const reply = await exchange(simulator, buildSerialFrame([], 0x00, INSTRUCTIONS.STATUS));
+
+      // Assert
+      expect(reply.length).toBe(12);
+      expect([...reply.subarray(0, 5)]).toEqual([0xAA, 0x55, 0x08, 0x00, 0x51]);
+      expect(calculateCRC8(reply.subarray(0, 11))).toBe(reply[11]);
+    });
+
+    it('should set the cabinet bit after an open command', async () => {
+      // Arrange
+      await exchange(simulator, buildSerialFrame([10], 0x00, INSTRUCTIONS.OPEN));
+
+      // Act
+      const reply = await exchange(simulator, buildSerialFrame([], 0x00, INSTRUCTIONS.STATUS));
+
+      // Assert - channel 10 is byte 1, bit 2
+      expect(reply[6]).toBe(0x04);
+      expect(simulator.getBoard(0x00).doors[10]).toBe(true);
+    });
+
+    it('should acknowledge but not open a jammed lock', async () => {
+      // Arrange
+      simulator.setJammed(5);
+
+      // Act
+      const ack = await exchange(simulator, buildSerialFrame([5], 0x00, INSTRUCTIONS.OPEN));
+      simulator.setJammed(5, false);
+      await exchange(simulator, buildSerialFrame([6], 0x00, INSTRUCTIONS.OPEN));
+
+      // Assert
+      expect(ack[6]).toBe(0x00);
+      expect(simulator.getBoard(0x00).doors[5]).toBe(false);
+      expect(simulator.getBoard(0x00).doors[6]).toBe(true);
+    });
+
+    it('should acknowledge open commands with channel and result', async () => {
+      const reply = await exchange(simulator, buildSerialFrame([3], 0x00, INSTRUCTIONS.OPEN));
+
+      expect(reply[4]).toBe(INSTRUCTIONS.OPEN);
+      expect(reply[5]).toBe(3);
+      expect(reply[6]).toBe(0x00);
+    });
+
+    it('should track light state', async () => {
+      await exchange(simulator, buildSerialFrame([0x00], 0x00, INSTRUCTIONS.LIGHT));
+      expect(simulator.getBoard(0x00).lightOn).toBe(true);
+
+      await exchange(simulator, buildSerialFrame([0x01], 0x00, INSTRUCTIONS.LIGHT));
+      expect(simulator.getBoard(0x00).lightOn).toBe(false);
+    });
+
+    it('should answer only for the addressed board', async () => {
+      // Act
+      await exchange(simulator, buildSerialFrame([2], 0x01, INSTRUCTIONS.OPEN));
+      const reply = await exchange(simulator, buildSerialFrame([], 0x01, INSTRUCTIONS.STATUS));
+
+      // Assert - 16 channels => 2 status bytes
+      expect(reply[3]).toBe(0x01);
+      expect(reply.length).toBe(8);
+      expect(reply[5]).toBe(0x04);
+      expect(simulator.getBoard(0x00).doors[2]).toBe(false);
+    });
+
+    it('should ignore frames with a bad CRC', () => {
+      // Arrange
+      const frame = buildSerialFrame([], 0x00, INSTRUCTIONS.STATUS);
+      frame[frame.length - 1] ^= 0xFF;
+      let replied = false;
+      simulator.on('data', () => { replied = true; });
+
+      // Act
+      simulator.receive(frame);
+
+      // Assert
+      return new Promise((resolve) => setTimeout(() => {
+        expect(replied).toBe(false);
+        resolve();
+      }, 20));
+    });
+  });
+});
+
+describe('CabinetService with simulator', () => {
+
+  afterEach(async () => {
+    await cabinetService.disconnect();
+    cabinetService.resetStatus();
+  });
+
+  it('should open a cabinet and read it back as open', async () => {
+    // Arrange
+    cabinetService.portPath = 'sim://48';
+    await cabinetService.connect();
+
+    // Act
+    await cabinetService.openCabinets([7]);
+    await cabinetService.requestStatus();
+
+    // Assert
+    expect(cabinetService.cabinetStatus[7].status).toBe('open');
+    expect(cabinetService.cabinetStatus[8].status).toBe('close');
+  });
+
+  it('should emit decoded acknowledgements that callers can await', async () => {
+    // Arrange
+    cabinetService.portPath = 'sim://48';
+    await cabinetService.connect();
+    const openAck = cabinetService.waitForEvent('open.ack', ack => ack.cabinetId === 12);
+    const lightAck = cabinetService.waitForEvent('light.ack');
+
+    // Act
+    await cabinetService.openCabinets([12]);
+    await cabinetService.setLightStatus(true);
+
+    // Assert
+    await expect(openAck).resolves.toMatchObject({ cabinetId: 12, board: 0x00, channel: 12, success: true });
+    await expect(lightAck).resolves.toMatchObject({ board: 0x00, lightOn: true });
+    expect(cabinetService.lightStatus[0x00]).toBe(true);
+  });
+
+  it('should report frames without a registered handler', () => {
+    // Arrange
+    const unknown = [];
+    cabinetService.on('frame.unknown', payload => unknown.push(payload));
+
+    // Act
+    cabinetService.parseResponse(buildSerialFrame([0x01], 0x00, 0x7F));
+    cabinetService.removeAllListeners('frame.unknown');
+
+    // Assert
+    expect(unknown).toHaveLength(1);
+    expect(unknown[0].instruction).toBe(0x7F);
+  });
+
+  it('should dispatch to handlers registered for new instruction codes', () => {
+    // Arrange
+    const handled = [];
+    cabinetService.registerResponseHandler(0x60, frame => handled.push(frame));
+
+    // Act
+    cabinetService.parseResponse(buildSerialFrame([0x02], 0x00, 0x60));
+    cabinetService.responseHandlers.delete(0x60);
+
+    // Assert
+    expect(handled).toHaveLength(1);
+  });
+
+  it('should route cabinets to their board and merge status from every board', async () => {
+    // Arrange - cabinets 0-47 on board 0x00, 48-63 on board 0x01
+    const originalBoards = cabinetService.boards;
+    cabinetService.boards = parseBoardLayout('0x00:48,0x01:16');
+    cabinetService.portPath = 'sim://48,16';
+    await cabinetService.connect();
+
+    try {
+      // Act
+      await cabinetService.openCabinets([50]);
+      await cabinetService.requestStatus();
+
+      // Assert
+      expect(cabinetService.port.device.getBoard(0x01).doors[2]).toBe(true);
+      expect(cabinetService.cabinetStatus[50]).toMatchObject({ board: 0x01, channel: 2, status: 'open' });
+      expect(cabinetService.cabinetStatus[2].status).toBe('close');
+      expect(Object.keys(cabinetService.cabinetStatus)).toHaveLength(64);
+    } finally {
+      cabinetService.boards = originalBoards;
+    }
+  });
+
+  it('should switch the light on every board', async () => {
+    // Arrange
+    const originalBoards = cabinetService.boards;
+    cabinetService.boards = parseBoardLayout('0x00:48,0x01:16');
+    cabinetService.portPath = 'sim://48,16';
+    await cabinetService.connect();
+
+    try {
+      // Act
+      const result = await cabinetService.setLightStatus(true);
+
+      // Assert
+      expect(cabinetService.port.device.getBoard(0x00).lightOn).toBe(true);
+      expect(cabinetService.port.device.getBoard(0x01).lightOn).toBe(true);
+      expect(result.lights).toEqual({ 0: true, 1: true });
+    } finally {
+      cabinetService.boards = originalBoards;
+    }
+  });
+});
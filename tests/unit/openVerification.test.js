@@ -0,0 +1,114 @@
+/**
+ * Unit Tests for open verification
+ * Opens cabinets on the simulator and checks that each open is confirmed
+ * by a status read, retried, or reported as unconfirmed or failed
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import cabinetService from '../../src/services/cabinetService.js';
+
+describe('CabinetService open verification', () => {
+
+  let device;
+  let defaults;
+
+  beforeEach(async () => {
+    defaults = cabinetService.openVerification;
+    cabinetService.openVerification = { window: 100, interval: 20, retries: 1 };
+    cabinetService.portPath = 'sim://48';
+    await cabinetService.connect();
+    device = cabinetService.port.device;
+  });
+
+  afterEach(async () => {
+    cabinetService.openVerification = defaults;
+    await cabinetService.disconnect();
+    cabinetService.portPath = 'COM3';
+    cabinetService.resetStatus();
+  });
+
+  it('should confirm a cabinet that reads open', async () => {
+    // Act
+    const result = await cabinetService.openCabinets([4]);
+
+    // Assert
+    expect(result.opened).toEqual([
+      { id: 4, status: 'opened', verification: 'confirmed', attempts: 1, timestamp: expect.any(String) }
+    ]);
+  });
+
+  it('should retry and report a jammed lock as unconfirmed', async () => {
+    // Arrange
+    device.setJammed(7);
+    const commands = [];
+    cabinetService.on('open.command', (event) => commands.push(event));
+
+    // Act
+    const result = await cabinetService.openCabinets([7]);
+    cabinetService.removeAllListeners('open.command');
+
+    // Assert - one retry after the first attempt
+    expect(result.opened).toEqual([]);
+    expect(result.unconfirmed).toEqual([
+      { id: 7, status: 'unconfirmed', verification: 'unconfirmed', attempts: 2, timestamp: expect.any(String) }
+    ]);
+    expect(commands).toEqual([expect.objectContaining({ cabinetId: 7, success: false, verification: 'unconfirmed' })]);
+    expect(device.getBoard(0x00).doors[7]).toBe(false);
+  });
+
+  it('should leave the status of a door that never reads open unchanged', async () => {
+    // Arrange
+    device.setJammed(6);
+    await cabinetService.requestStatus();
+    const doors = [];
+    cabinetService.on('door.opened', (event) => doors.push(event));
+    cabinetService.on('door.closed', (event) => doors.push(event));
+
+    // Act
+    await cabinetService.openCabinets([6]);
+    const status = cabinetService.cabinetStatus[6].status;
+    await cabinetService.requestStatus();
+    cabinetService.removeAllListeners('door.opened');
+    cabinetService.removeAllListeners('door.closed');
+
+    // Assert - no 'opened' status and no false opened/closed pair from the next poll
+    expect(status).toBe('close');
+    expect(cabinetService.lastOpens[6]).toBeUndefined();
+    expect(doors).toEqual([]);
+  });
+
+  it('should confirm on a retry once the lock frees up', async () => {
+    // Arrange - the first status read after the first attempt frees the lock
+    device.setJammed(8);
+    cabinetService.once('status', () => device.setJammed(8, false));
+    cabinetService.openVerification = { window: 30, interval: 20, retries: 2 };
+
+    // Act
+    const result = await cabinetService.openCabinets([8]);
+
+    // Assert
+    expect(result.opened[0]).toMatchObject({ verification: 'confirmed', attempts: 2 });
+  });
+
+  it('should report rejected opens as failed', async () => {
+    // Act - the simulated board only has 48 channels
+    const result = await cabinetService.openCabinets([100]);
+
+    // Assert
+    expect(result.failed).toEqual([
+      { id: 100, error: expect.stringContaining('Board rejected'), verification: 'failed' }
+    ]);
+  });
+
+  it('should leave results unchanged when verification is disabled', async () => {
+    // Arrange
+    cabinetService.openVerification = { ...cabinetService.openVerification, window: 0 };
+    device.setJammed(9);
+
+    // Act
+    const result = await cabinetService.openCabinets([9]);
+
+    // Assert
+    expect(result.opened).toEqual([{ id: 9, status: 'opened', timestamp: expect.any(String) }]);
+  });
+});
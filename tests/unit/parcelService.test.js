@@ -0,0 +1,326 @@
+/**
+ * Unit Tests for Parcel Service
+ * Drop-off, one-time pickup codes, reminders and returns against a stub service
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ParcelService } from '../../src/services/parcelService.js';
+import { AssignmentService } from '../../src/services/assignmentService.js';
+import { AllocationService } from '../../src/services/allocationService.js';
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Stub cabinet service with 4 lockers; opens succeed unless the locker is jammed
+ */
+function createService() {
+  return {
+    cabinetStatus: {},
+    jammed: new Set(),
+    opens: [],
+    getMaxCabinetId: () => 3,
+    async getCabinetStatus() {},
+    async openCabinets(cabinetIds) {
+      this.opens.push(...cabinetIds);
+      const opened = cabinetIds.filter(id => !this.jammed.has(id));
+      opened.forEach(id => { this.cabinetStatus[id] = { id, status: 'opened' }; });
+      return {
+        opened: opened.map(id => ({ id, status: 'opened' })),
+        unconfirmed: [],
+        failed: cabinetIds.filter(id => this.jammed.has(id)).map(id => ({ id, error: 'Board did not acknowledge' }))
+      };
+    },
+    close(id) {
+      this.cabinetStatus[id] = { id, status: 'close' };
+    }
+  };
+}
+
+describe('ParcelService', () => {
+
+  let dir;
+  let file;
+  let service;
+  let registry;
+  let assignments;
+  let allocator;
+  let parcels;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'parcels-'));
+    file = path.join(dir, 'parcels.json');
+    service = createService();
+    registry = { records: [], list() { return this.records; } };
+    assignments = new AssignmentService({ admins: [], interval: 0 });
+    const store = { getState: () => ({}), getFaults: () => ({}), getOpenCounts: () => ({}) };
+    allocator = new AllocationService({ service, registry, store, assignments });
+    parcels = new ParcelService({
+      service, allocator, reminderHours: 24, expiryHours: 72, maxAttempts: 2, lockout: 1000, interval: 0
+    });
+    parcels.load(file);
+  });
+
+  afterEach(() => {
+    parcels.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Drop a parcel off and store it, returning { parcel, code }
+   */
+  async function dropOff(recipient = 'j.doe') {
+    const started = await parcels.startDropOff({ courier: 'courier-7' });
+    service.close(started.cabinetId);
+    return parcels.store(started.id, recipient);
+  }
+
+  // ==================== DROP-OFF TESTS ====================
+  describe('startDropOff()', () => {
+
+    it('should open the first free locker, skipping occupied and assigned ones', async () => {
+      // Arrange
+      assignments.create({ cabinetId: 1, assignee: 'a.lee', endsAt: new Date(Date.now() + HOUR).toISOString() }, 'ops');
+
+      // Act
+      const first = await parcels.startDropOff({ courier: 'courier-7' });
+      const second = await parcels.startDropOff({ courier: 'courier-7' });
+
+      // Assert
+      expect(first).toMatchObject({ cabinetId: 0, status: 'awaiting-drop', courier: 'courier-7', recipient: null });
+      expect(second.cabinetId).toBe(2);
+      expect(service.opens).toEqual([0, 2]);
+      expect(parcels.listFreeLockers()).toEqual([3]);
+    });
+
+    it('should only use enabled registry lockers when any are registered', async () => {
+      // Arrange
+      registry.records = [{ id: 2, size: 'small', enabled: false }, { id: 3, size: 'small', enabled: true }];
+
+      // Act & Assert
+      expect((await parcels.startDropOff({ courier: 'courier-7' })).cabinetId).toBe(3);
+      expect(await parcels.startDropOff({ courier: 'courier-7' })).toBeNull();
+    });
+
+    it('should pick a locker of the parcel size', async () => {
+      // Arrange
+      registry.records = [
+        { id: 0, size: 'small', zone: 'lobby', enabled: true },
+        { id: 1, size: 'large', zone: 'lobby', enabled: true }
+      ];
+
+      // Act
+      const parcel = await parcels.startDropOff({ courier: 'courier-7', size: 'medium' });
+
+      // Assert
+      expect(parcel.cabinetId).toBe(1);
+      expect(await parcels.startDropOff({ courier: 'courier-7', size: 'large' })).toBeNull();
+    });
+
+    it('should free the locker again when it does not open', async () => {
+      // Arrange
+      service.jammed.add(0);
+
+      // Act & Assert
+      await expect(parcels.startDropOff({ courier: 'courier-7' })).rejects.toThrow('Locker 0 did not open');
+      expect(parcels.list()).toEqual([]);
+      expect(parcels.listFreeLockers()).toEqual([0, 1, 2, 3]);
+    });
+  });
+
+  // ==================== STORE TESTS ====================
+  describe('store()', () => {
+
+    it('should return a one-time code and keep only its hash', async () => {
+      // Arrange
+      const stored = [];
+      parcels.on('parcel.stored', parcel => stored.push(parcel.id));
+
+      // Act
+      const { parcel, code } = await dropOff();
+      const saved = fs.readFileSync(file, 'utf8');
+
+      // Assert
+      expect(code).toMatch(/^\d{6}$/);
+      expect(parcel).toMatchObject({ status: 'stored', recipient: 'j.doe', storedAt: expect.any(String) });
+      expect(parcel).not.toHaveProperty('codeHash');
+      expect(saved).not.toContain(code);
+      expect(stored).toEqual([parcel.id]);
+      expect(() => parcels.store(parcel.id, 'a.lee')).toThrow('already stored');
+    });
+
+    it('should only report the door closed once it reads close', async () => {
+      // Arrange
+      const started = await parcels.startDropOff({ courier: 'courier-7' });
+
+      // Act
+      const whileOpen = await parcels.isDoorClosed(started.cabinetId);
+      service.close(started.cabinetId);
+
+      // Assert
+      expect(whileOpen).toBe(false);
+      expect(await parcels.isDoorClosed(started.cabinetId)).toBe(true);
+    });
+
+    it('should free the locker of a cancelled drop-off', async () => {
+      // Arrange
+      const started = await parcels.startDropOff({ courier: 'courier-7' });
+
+      // Act
+      const cancelled = parcels.cancel(started.id);
+
+      // Assert
+      expect(cancelled.status).toBe('cancelled');
+      expect(parcels.listFreeLockers()).toContain(started.cabinetId);
+      expect(() => parcels.cancel(started.id)).toThrow('already cancelled');
+    });
+  });
+
+  // ==================== PICKUP TESTS ====================
+  describe('pickup', () => {
+
+    it('should open the locker once per code', async () => {
+      // Arrange
+      const { parcel, code } = await dropOff();
+      const collected = [];
+      parcels.on('parcel.collected', event => collected.push(event.id));
+
+      // Act
+      const found = parcels.findByCode(code, '10.0.0.5');
+      const result = await parcels.pickup(found.id);
+
+      // Assert
+      expect(result).toMatchObject({ id: parcel.id, status: 'collected', collectedAt: expect.any(String) });
+      expect(service.opens).toEqual([parcel.cabinetId, parcel.cabinetId]);
+      expect(collected).toEqual([parcel.id]);
+      expect(parcels.findByCode(code, '10.0.0.5')).toBeNull();
+      expect(parcels.listFreeLockers()).toContain(parcel.cabinetId);
+    });
+
+    it('should keep the code valid when the locker does not open', async () => {
+      // Arrange
+      const { parcel, code } = await dropOff();
+      service.jammed.add(parcel.cabinetId);
+
+      // Act & Assert
+      await expect(parcels.pickup(parcel.id)).rejects.toThrow('did not open');
+      expect(parcels.findByCode(code, '10.0.0.5').status).toBe('stored');
+    });
+
+    it('should open the locker only once for concurrent pickups with the same code', async () => {
+      // Arrange
+      const { parcel } = await dropOff();
+
+      // Act
+      const results = await Promise.allSettled([parcels.pickup(parcel.id), parcels.pickup(parcel.id)]);
+
+      // Assert
+      expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+      expect(results[1].reason.message).toBe(`Parcel ${parcel.id} is collecting, not stored`);
+      expect(service.opens).toEqual([parcel.cabinetId, parcel.cabinetId]);
+      expect(parcels.get(parcel.id).status).toBe('collected');
+    });
+
+    it('should mark a parcel for return when a restart cut off its pickup', async () => {
+      // Arrange
+      const { parcel, code } = await dropOff();
+      const pending = parcels.pickup(parcel.id);
+
+      // Act
+      const reloaded = new ParcelService({ service, allocator, interval: 0 });
+      reloaded.load(file);
+      await pending;
+
+      // Assert
+      expect(reloaded.get(parcel.id)).toMatchObject({ status: 'return', returnAt: expect.any(String) });
+      expect(reloaded.findByCode(code, '10.0.0.5')).toBeNull();
+    });
+
+    it('should lock a client out after too many wrong codes', async () => {
+      // Arrange
+      const now = Date.now();
+
+      // Act
+      parcels.findByCode('000000', '10.0.0.5', now);
+      const afterOne = parcels.isLockedOut('10.0.0.5', now);
+      parcels.findByCode('000001', '10.0.0.5', now);
+
+      // Assert
+      expect(afterOne).toBe(false);
+      expect(parcels.isLockedOut('10.0.0.5', now)).toBe(true);
+      expect(parcels.isLockedOut('10.0.0.6', now)).toBe(false);
+      expect(parcels.isLockedOut('10.0.0.5', now + 1000)).toBe(false);
+    });
+
+    it('should measure the lockout from the failure that reached the limit', () => {
+      // Arrange - the second wrong code comes just before the first expires
+      const now = Date.now();
+      parcels.findByCode('000000', '10.0.0.5', now);
+      parcels.findByCode('000001', '10.0.0.5', now + 999);
+
+      // Act & Assert
+      expect(parcels.isLockedOut('10.0.0.5', now + 1500)).toBe(true);
+      expect(parcels.isLockedOut('10.0.0.5', now + 1998)).toBe(true);
+      expect(parcels.isLockedOut('10.0.0.5', now + 1999)).toBe(false);
+    });
+
+    it('should drop expired failures of other clients', () => {
+      // Arrange
+      const now = Date.now();
+      parcels.findByCode('000000', '10.0.0.5', now);
+      parcels.findByCode('000000', '10.0.0.6', now);
+
+      // Act
+      parcels.findByCode('000000', '10.0.0.7', now + 1000);
+
+      // Assert
+      expect([...parcels.failures.keys()]).toEqual(['10.0.0.7']);
+    });
+  });
+
+  // ==================== REMINDER TESTS ====================
+  describe('sweep()', () => {
+
+    it('should remind every period and mark the parcel for return after expiry', async () => {
+      // Arrange
+      const { parcel, code } = await dropOff();
+      const storedAt = Date.parse(parcel.storedAt);
+      const events = [];
+      parcels.on('parcel.reminder', event => events.push(['reminder', event.reminders]));
+      parcels.on('parcel.return', event => events.push(['return', event.status]));
+
+      // Act
+      parcels.sweep(storedAt + 23 * HOUR);
+      parcels.sweep(storedAt + 24 * HOUR);
+      parcels.sweep(storedAt + 30 * HOUR);
+      parcels.sweep(storedAt + 48 * HOUR);
+      parcels.sweep(storedAt + 72 * HOUR);
+      parcels.sweep(storedAt + 96 * HOUR);
+
+      // Assert
+      expect(events).toEqual([['reminder', 1], ['reminder', 2], ['return', 'return']]);
+      expect(parcels.get(parcel.id)).toMatchObject({ status: 'return', reminders: 2, returnAt: expect.any(String) });
+      expect(parcels.findByCode(code, '10.0.0.5')).toBeNull();
+      expect(parcels.listFreeLockers()).not.toContain(parcel.cabinetId);
+    });
+
+    it('should free the locker once staff take the parcel back', async () => {
+      // Arrange
+      const { parcel } = await dropOff();
+      parcels.sweep(Date.parse(parcel.storedAt) + 72 * HOUR);
+
+      // Act
+      const returned = parcels.markReturned(parcel.id, 'ops');
+      const reloaded = new ParcelService({ service, allocator, interval: 0 });
+      reloaded.load(file);
+
+      // Assert
+      expect(returned).toMatchObject({ status: 'returned', returnedBy: 'ops', returnedAt: expect.any(String) });
+      expect(reloaded.get(parcel.id)).toEqual(returned);
+      expect(parcels.listFreeLockers()).toContain(parcel.cabinetId);
+      expect(() => parcels.markReturned(parcel.id, 'ops')).toThrow('not marked for return');
+    });
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Unit Tests for Port Discovery
+ * Probes mocked serial ports where only one answers like a lock board
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SerialPort } from 'serialport';
+import { listCandidates, probePort, probeAll, discoverPort } from '../../src/services/portDiscovery.js';
+import { buildSerialFrame, INSTRUCTIONS } from '../../src/utils/serialPort.js';
+import cabinetService from '../../src/services/cabinetService.js';
+
+// Only /dev/ttyUSB1 has a board behind it; /dev/ttyS0 is silent and
+// /dev/ttyACM0 cannot be opened
+vi.mock('serialport', () => {
+  const MockSerialPort = vi.fn(function(options) {
+    this.path = options.path;
+    this.handlers = {};
+  });
+  MockSerialPort.prototype.on = vi.fn(function(event, callback) {
+    this.handlers[event] = callback;
+    if (event === 'open' && this.path !== '/dev/ttyACM0') {
+      setTimeout(() => callback(), 1);
+    }
+    if (event === 'error' && this.path === '/dev/ttyACM0') {
+      setTimeout(() => callback(new Error('Access denied')), 1);
+    }
+    return this;
+  });
+  MockSerialPort.prototype.write = vi.fn(function(frame, callback) {
+    if (callback) callback(null);
+    if (this.path === '/dev/ttyUSB1' && frame[4] === 0x51) {
+      setTimeout(() => this.handlers.data(MockSerialPort.statusReply), 1);
+    }
+  });
+  MockSerialPort.prototype.close = vi.fn(function(callback) {
+    if (callback) setTimeout(() => callback(), 1);
+  });
+  MockSerialPort.list = vi.fn(async () => [
+    { path: '/dev/ttyS0' },
+    { path: '/dev/ttyACM0', manufacturer: 'Arduino' },
+    { path: '/dev/ttyUSB1', manufacturer: 'FTDI', vendorId: '0403' }
+  ]);
+
+  return {
+    SerialPort: MockSerialPort
+  };
+});
+
+describe('Port Discovery', () => {
+
+  beforeEach(() => {
+    SerialPort.statusReply = buildSerialFrame([0x00, 0x00, 0x00, 0x00, 0x00, 0x00], 0x00, INSTRUCTIONS.STATUS);
+  });
+
+  // ==================== LISTING TESTS ====================
+  describe('listCandidates()', () => {
+
+    it('should normalise the ports reported by the OS', async () => {
+      const ports = await listCandidates();
+
+      expect(ports.map(p => p.path)).toEqual(['/dev/ttyS0', '/dev/ttyACM0', '/dev/ttyUSB1']);
+      expect(ports[2]).toEqual({
+        path: '/dev/ttyUSB1',
+        manufacturer: 'FTDI',
+        serialNumber: null,
+        vendorId: '0403',
+        productId: null
+      });
+    });
+  });
+
+  // ==================== PROBE TESTS ====================
+  describe('probePort()', () => {
+
+    it('should report a port that answers the status query', async () => {
+      const result = await probePort('/dev/ttyUSB1', { timeout: 100 });
+
+      expect(result.ok).toBe(true);
+      expect(result.reply).toMatch(/^aa 55 08 00 51/);
+      expect(result.responseTimeMs).toBeGreaterThanOrEqual(0);
+    });
+
+    it('should time out on a silent port', async () => {
+      const result = await probePort('/dev/ttyS0', { timeout: 20 });
+
+      expect(result).toEqual({ path: '/dev/ttyS0', ok: false, error: 'No valid reply within 20ms' });
+    });
+
+    it('should report ports that fail to open', async () => {
+      const result = await probePort('/dev/ttyACM0', { timeout: 20 });
+
+      expect(result).toEqual({ path: '/dev/ttyACM0', ok: false, error: 'Access denied' });
+    });
+
+    it('should reject replies that fail the CRC check', async () => {
+      // Arrange
+      const corrupt = Buffer.from(SerialPort.statusReply);
+      corrupt[corrupt.length - 1] ^= 0xFF;
+      SerialPort.statusReply = corrupt;
+
+      // Act
+      const result = await probePort('/dev/ttyUSB1', { timeout: 20 });
+
+      // Assert
+      expect(result.ok).toBe(false);
+    });
+  });
+
+  // ==================== DISCOVERY TESTS ====================
+  describe('probeAll() / discoverPort()', () => {
+
+    it('should probe every port except skipped ones', async () => {
+      const results = await probeAll({ timeout: 20, skip: ['/dev/ttyS0'] });
+
+      expect(results.map(r => [r.path, r.inUse, r.probe && r.probe.ok])).toEqual([
+        ['/dev/ttyS0', true, null],
+        ['/dev/ttyACM0', false, false],
+        ['/dev/ttyUSB1', false, true]
+      ]);
+    });
+
+    it('should return the first port a board answers on', async () => {
+      await expect(discoverPort({ timeout: 20 })).resolves.toBe('/dev/ttyUSB1');
+    });
+
+    it('should throw when no board answers', async () => {
+      SerialPort.statusReply = Buffer.alloc(0);
+
+      await expect(discoverPort({ timeout: 20 })).rejects.toThrow('No lock board answered on any serial port (3 probed)');
+    });
+  });
+
+  // ==================== SERVICE TESTS ====================
+  describe('SERIAL_PORT=auto', () => {
+
+    afterEach(async () => {
+      await cabinetService.disconnect();
+      cabinetService.portPath = 'COM3';
+      cabinetService.activePath = null;
+    });
+
+    it('should connect the service to the discovered port', async () => {
+      // Arrange
+      cabinetService.portPath = 'auto';
+
+      // Act
+      await cabinetService.connect();
+
+      // Assert
+      expect(cabinetService.isConnected).toBe(true);
+      expect(cabinetService.activePath).toBe('/dev/ttyUSB1');
+      expect(cabinetService.getLinkDiagnostics().activePath).toBe('/dev/ttyUSB1');
+    });
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Unit Tests for Protocol Profiles
+ * Covers profile validation, custom profile files, status bit packing and
+ * running the service against a board model defined only by a profile
+ */
+
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  defineProfile,
+  loadProfiles,
+  getBusFraming,
+  decodeStatusBytes,
+  encodeStatusBytes
+} from '../../src/utils/protocolProfiles.js';
+import { buildSerialFrame, calculateCRC, calculateCRC8, INSTRUCTIONS } from '../../src/utils/serialPort.js';
+import { FrameDecoder } from '../../src/utils/frameDecoder.js';
+import { parseBoardLayout } from '../../src/utils/boardLayout.js';
+import cabinetService from '../../src/services/cabinetService.js';
+
+// A board model with its own header, checksum and inverted, MSB-first status bits
+const ACME_24 = {
+  channels: 24,
+  header: [0x5A, 0xA5],
+  crc: 'xor8',
+  statusBytes: 3,
+  bitOrder: 'msb',
+  openBit: 0
+};
+
+describe('Protocol Profiles', () => {
+
+  let dir;
+  let profilesFile;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-'));
+    profilesFile = path.join(dir, 'profiles.json');
+    fs.writeFileSync(profilesFile, JSON.stringify({ 'acme-24': ACME_24 }));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // ==================== DEFINITION TESTS ====================
+  describe('defineProfile() / loadProfiles()', () => {
+
+    it('should fill unspecified fields from the defaults', () => {
+      const profile = defineProfile('lock-16', { channels: 16, statusBytes: 2 });
+
+      expect(profile).toEqual({
+        name: 'lock-16',
+        channels: 16,
+        header: [0xAA, 0x55],
+        crc: 'crc8-maxim',
+        statusBytes: 2,
+        bitOrder: 'lsb',
+        openBit: 1
+      });
+    });
+
+    it('should reject invalid fields', () => {
+      expect(() => defineProfile('x', { crc: 'crc16' })).toThrow('Invalid crc in protocol profile: x');
+      expect(() => defineProfile('x', { header: [0xAA] })).toThrow('Invalid header');
+      expect(() => defineProfile('x', { channels: 64, statusBytes: 6 })).toThrow('Invalid statusBytes');
+      expect(() => defineProfile('x', { bitOrder: 'big' })).toThrow('Invalid bitOrder');
+      expect(() => defineProfile('x', { openBit: 2 })).toThrow('Invalid openBit');
+    });
+
+    it('should add profiles from a JSON file to the built-ins', () => {
+      const profiles = loadProfiles(profilesFile);
+
+      expect(profiles['acme-24']).toMatchObject({ name: 'acme-24', ...ACME_24 });
+      expect(profiles['lock-64'].statusBytes).toBe(8);
+    });
+
+    it('should report unreadable profile files', () => {
+      expect(() => loadProfiles(path.join(dir, 'missing.json'))).toThrow('Failed to load protocol profiles');
+    });
+  });
+
+  // ==================== FRAMING TESTS ====================
+  describe('framing', () => {
+
+    it('should keep CRC-8/MAXIM as the default checksum', () => {
+      const bytes = [0xAA, 0x55, 0x02, 0x00, 0x51];
+
+      expect(calculateCRC(bytes)).toBe(calculateCRC8(bytes));
+      expect(calculateCRC(bytes, 'xor8')).toBe(0xAA ^ 0x55 ^ 0x02 ^ 0x00 ^ 0x51);
+      expect(calculateCRC(bytes, 'sum8')).toBe((0xAA + 0x55 + 0x02 + 0x51) & 0xFF);
+      expect(() => calculateCRC(bytes, 'crc32')).toThrow('Unknown CRC variant: crc32');
+    });
+
+    it('should build and decode frames with a profile header and checksum', () => {
+      // Arrange
+      const framing = { header: ACME_24.header, crc: ACME_24.crc };
+      const decoder = new FrameDecoder(framing);
+
+      // Act
+      const frame = buildSerialFrame([0x05], 0x00, INSTRUCTIONS.OPEN, framing);
+
+      // Assert
+      expect([...frame.subarray(0, 2)]).toEqual([0x5A, 0xA5]);
+      expect(decoder.decode(frame)).toEqual([frame]);
+      expect(new FrameDecoder().decode(frame)).toEqual([]);
+    });
+
+    it('should refuse boards with different framing on one bus', () => {
+      const profiles = loadProfiles(profilesFile);
+
+      expect(getBusFraming(parseBoardLayout('0x00:lock-48,0x01:lock-16', profiles)).crc).toBe('crc8-maxim');
+      expect(() => getBusFraming(parseBoardLayout('0x00:lock-48,0x01:acme-24', profiles)))
+        .toThrow('Boards on one bus must share header and CRC: board 0x01 uses profile acme-24');
+    });
+  });
+
+  // ==================== STATUS BIT TESTS ====================
+  describe('status bytes', () => {
+
+    it('should decode LSB-first, 1 = open by default', () => {
+      const channels = decodeStatusBytes(defineProfile('default'), [0x01, 0x80]);
+
+      expect(channels.filter(c => c.open).map(c => c.channel)).toEqual([0, 15]);
+    });
+
+    it('should decode MSB-first, 0 = open boards', () => {
+      const channels = decodeStatusBytes(defineProfile('acme-24', ACME_24), [0x7F, 0xFF, 0xFE]);
+
+      expect(channels.filter(c => c.open).map(c => c.channel)).toEqual([0, 23]);
+      expect(channels[0]).toMatchObject({ byteIndex: 0, bitIndex: 7, rawBit: 0 });
+    });
+
+    it('should encode door states so they decode back unchanged', () => {
+      // Arrange
+      const profile = defineProfile('acme-24', ACME_24);
+      const doors = new Array(24).fill(false);
+      doors[3] = true;
+      doors[17] = true;
+
+      // Act
+      const bytes = encodeStatusBytes(profile, doors);
+
+      // Assert
+      expect(bytes).toHaveLength(3);
+      expect(decodeStatusBytes(profile, bytes).map(c => c.open)).toEqual(doors);
+    });
+  });
+
+  // ==================== SERVICE TESTS ====================
+  describe('CabinetService with a custom profile', () => {
+
+    afterEach(async () => {
+      await cabinetService.disconnect();
+      cabinetService.profiles = loadProfiles();
+      cabinetService.setBoardLayout(parseBoardLayout(undefined));
+      cabinetService.portPath = 'COM3';
+      cabinetService.resetStatus();
+    });
+
+    it('should drive a board model defined only in the profiles file', async () => {
+      // Arrange
+      cabinetService.profiles = loadProfiles(profilesFile);
+      cabinetService.setBoardLayout(parseBoardLayout('0x00:acme-24', cabinetService.profiles));
+      cabinetService.portPath = 'sim://acme-24';
+      await cabinetService.connect();
+
+      // Act
+      const result = await cabinetService.openCabinets([5]);
+      await cabinetService.requestStatus();
+
+      // Assert
+      expect(result.opened.map(c => c.id)).toEqual([5]);
+      expect(cabinetService.port.device.getStatusBytes(cabinetService.port.device.getBoard(0))).toEqual([0xFB, 0xFF, 0xFF]);
+      expect(cabinetService.cabinetStatus[5].status).toBe('open');
+      expect(cabinetService.cabinetStatus[4].status).toBe('close');
+      expect(Object.keys(cabinetService.cabinetStatus)).toHaveLength(24);
+    });
+
+    it('should reject status frames with the wrong number of status bytes', () => {
+      // Arrange
+      cabinetService.setBoardLayout(parseBoardLayout('0x00:lock-16'));
+
+      // Act
+      const parsed = cabinetService.parseStatusResponse(buildSerialFrame([0x00, 0x00, 0x00], 0x00, INSTRUCTIONS.STATUS));
+
+      // Assert
+      expect(parsed).toBeNull();
+    });
+  });
+});
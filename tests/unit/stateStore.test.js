@@ -0,0 +1,266 @@
+/**
+ * Unit Tests for State Store
+ * Records service events against the simulator and rebuilds state from
+ * the history file as after a restart
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import stateStore from '../../src/services/stateStore.js';
+import cabinetService from '../../src/services/cabinetService.js';
+
+describe('StateStore', () => {
+
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-'));
+    file = path.join(dir, 'history.jsonl');
+    stateStore.open(file);
+    stateStore.attach(cabinetService);
+  });
+
+  afterEach(async () => {
+    stateStore.close();
+    stateStore.maxBytes = 10485760;
+    await cabinetService.disconnect();
+    cabinetService.portPath = 'COM3';
+    cabinetService.resetStatus();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Connect the service to a fresh 48-channel simulator
+   */
+  async function connectSimulator() {
+    cabinetService.portPath = 'sim://48';
+    await cabinetService.connect();
+    return cabinetService.port.device;
+  }
+
+  // ==================== RECORDING TESTS ====================
+  describe('recording', () => {
+
+    it('should record open commands including failures', async () => {
+      // Arrange - the simulated board only has 48 channels, so channel 100 is rejected
+      await connectSimulator();
+
+      // Act
+      await cabinetService.openCabinets([4, 100]);
+
+      // Assert
+      const events = await stateStore.history({ type: 'open' });
+      expect(events).toEqual([
+        { time: expect.any(String), type: 'open', cabinetId: 4, board: 0, channel: 4, success: true },
+        { time: expect.any(String), type: 'open', cabinetId: 100, board: 0, channel: 100, success: false, error: expect.stringContaining('Board rejected') }
+      ]);
+      expect(stateStore.getState()[4].status).toBe('opened');
+      expect(stateStore.getState()[100]).toBeUndefined();
+    });
+
+    it('should record first sightings and later transitions only', async () => {
+      // Arrange
+      const simulator = await connectSimulator();
+      await cabinetService.openCabinets([3]);
+
+      // Act
+      await cabinetService.requestStatus();
+      await cabinetService.requestStatus();
+      simulator.setDoor(3, false);
+      await cabinetService.requestStatus();
+
+      // Assert
+      const transitions = await stateStore.history({ cabinetId: 3, type: 'transition' });
+      expect(transitions.map(e => [e.from, e.to])).toEqual([['open', 'close']]);
+      const firstSightings = await stateStore.history({ type: 'transition', limit: 1000 });
+      expect(firstSightings.filter(e => e.from === null)).toHaveLength(47);
+    });
+
+    it('should record resets', async () => {
+      // Arrange
+      await connectSimulator();
+      await cabinetService.openCabinets([1]);
+
+      // Act
+      cabinetService.resetStatus();
+
+      // Assert
+      expect(stateStore.getState()).toEqual({});
+      expect((await stateStore.history()).map(e => e.type)).toEqual(['open', 'reset']);
+    });
+
+    it('should record tamper detections after the transition', async () => {
+      // Arrange
+      const simulator = await connectSimulator();
+      await cabinetService.requestStatus();
+      simulator.setDoor(9, true);
+
+      // Act
+      await cabinetService.requestStatus();
+
+      // Assert
+      const events = await stateStore.history({ cabinetId: 9, limit: 2 });
+      expect(events.map(e => e.type)).toEqual(['transition', 'tamper']);
+      expect(events[1]).toEqual({
+        time: expect.any(String),
+        type: 'tamper',
+        cabinetId: 9,
+        board: 0,
+        channel: 9,
+        lastKnownState: { status: 'close', timestamp: expect.any(String) },
+        lastOpenAt: null,
+        sinceLastOpenMs: null
+      });
+    });
+  });
+
+  // ==================== RESTART TESTS ====================
+  describe('restart', () => {
+
+    it('should rebuild last-known state from the file', async () => {
+      // Arrange
+      const simulator = await connectSimulator();
+      await cabinetService.openCabinets([5, 6]);
+      await cabinetService.requestStatus();
+      simulator.setDoor(6, false);
+      await cabinetService.requestStatus();
+
+      // Act - a new process: empty service state, store reopened from disk
+      await cabinetService.disconnect();
+      cabinetService.cabinetStatus = {};
+      stateStore.close();
+      stateStore.open(file);
+      cabinetService.restoreStatus(stateStore.getState());
+
+      // Assert
+      const status = await cabinetService.getCabinetStatus();
+      expect(status.cabinets).toHaveLength(48);
+      expect(cabinetService.cabinetStatus[5].status).toBe('opened');
+      expect(cabinetService.cabinetStatus[6].status).toBe('close');
+    });
+
+    it('should keep the last successful open of each cabinet across resets', async () => {
+      // Arrange
+      await connectSimulator();
+      await cabinetService.openCabinets([5]);
+      cabinetService.resetStatus();
+
+      // Act
+      stateStore.close();
+      stateStore.open(file);
+
+      // Assert
+      expect(stateStore.getState()).toEqual({});
+      expect(stateStore.getLastOpens()).toEqual({ 5: expect.any(String) });
+    });
+
+    it('should count opens and track faults across resets', () => {
+      // Arrange
+      const lines = [
+        { time: '2024-11-13T10:00:00.000Z', type: 'open', cabinetId: 4, board: 0, channel: 4, success: true, verification: 'confirmed' },
+        { time: '2024-11-13T10:01:00.000Z', type: 'open', cabinetId: 4, board: 0, channel: 4, success: false, verification: 'unconfirmed' },
+        { time: '2024-11-13T10:02:00.000Z', type: 'open', cabinetId: 5, board: 0, channel: 5, success: false, verification: 'unconfirmed' },
+        { time: '2024-11-13T10:02:30.000Z', type: 'open', cabinetId: 5, board: 0, channel: 5, success: true, verification: 'confirmed' },
+        { time: '2024-11-13T10:03:00.000Z', type: 'open', cabinetId: 6, board: 0, channel: 6, success: false, error: 'Board rejected' },
+        { time: '2024-11-13T10:04:00.000Z', type: 'reset' },
+        { time: '2024-11-13T10:05:00.000Z', type: 'transition', cabinetId: 5, board: 0, channel: 5, from: null, to: 'open' }
+      ];
+      fs.writeFileSync(file, lines.map(line => JSON.stringify(line)).join('\n') + '\n');
+
+      // Act
+      stateStore.close();
+      stateStore.open(file);
+
+      // Assert
+      expect(stateStore.getOpenCounts()).toEqual({ 4: 1, 5: 1 });
+      expect(stateStore.getFaults()).toEqual({
+        4: { time: '2024-11-13T10:01:00.000Z', error: 'Door did not read open after the open command' }
+      });
+    });
+
+    it('should rotate the file with a snapshot once it reaches the size cap', async () => {
+      // Arrange
+      stateStore.maxBytes = 600;
+      await connectSimulator();
+
+      // Act
+      for (let i = 0; i < 6; i++) {
+        await cabinetService.openCabinets([5]);
+      }
+      await cabinetService.openCabinets([7]);
+      stateStore.close();
+      stateStore.open(file);
+
+      // Assert - the current file starts with a snapshot and replays to the same state
+      expect(fs.existsSync(`${file}.1`)).toBe(true);
+      expect(fs.statSync(file).size).toBeLessThan(600);
+      expect(JSON.parse(fs.readFileSync(file, 'utf8').split('\n')[0]).type).toBe('snapshot');
+      expect(stateStore.getOpenCounts()).toEqual({ 5: 6, 7: 1 });
+      expect(stateStore.getLastOpens()).toEqual({ 5: expect.any(String), 7: expect.any(String) });
+      expect(stateStore.getState()[7].status).toBe('opened');
+      const opens = await stateStore.history({ type: 'open', limit: 100 });
+      expect(opens.length).toBeGreaterThan(0);
+      expect(opens.map(e => e.cabinetId)).toContain(7);
+    });
+
+    it('should recover a rotation cut short between its renames', () => {
+      // Arrange
+      const snapshot = { time: '2024-11-13T10:00:00.000Z', type: 'snapshot', state: {}, lastOpens: { 3: '2024-11-13T09:00:00.000Z' }, openCounts: { 3: 4 }, faults: {} };
+      stateStore.close();
+      fs.writeFileSync(`${file}.tmp`, `${JSON.stringify(snapshot)}\n`);
+
+      // Act
+      stateStore.open(file);
+
+      // Assert
+      expect(fs.existsSync(file)).toBe(true);
+      expect(stateStore.getOpenCounts()).toEqual({ 3: 4 });
+    });
+
+    it('should skip a truncated last line', () => {
+      // Arrange
+      fs.writeFileSync(file, [
+        JSON.stringify({ time: '2024-11-13T10:00:00.000Z', type: 'open', cabinetId: 2, board: 0, channel: 2, success: true }),
+        '{"time":"2024-11-13T10:00:01.000Z","type":"tra'
+      ].join('\n'));
+
+      // Act
+      stateStore.open(file);
+
+      // Assert
+      expect(stateStore.getState()).toEqual({
+        2: { id: 2, board: 0, channel: 2, status: 'opened', timestamp: '2024-11-13T10:00:00.000Z' }
+      });
+    });
+  });
+
+  // ==================== QUERY TESTS ====================
+  describe('history()', () => {
+
+    beforeEach(() => {
+      const events = [
+        { time: '2024-11-13T10:00:00.000Z', type: 'open', cabinetId: 1, success: true },
+        { time: '2024-11-13T11:00:00.000Z', type: 'transition', cabinetId: 1, from: 'open', to: 'close' },
+        { time: '2024-11-13T12:00:00.000Z', type: 'open', cabinetId: 2, success: true },
+        { time: '2024-11-13T13:00:00.000Z', type: 'reset' }
+      ];
+      fs.writeFileSync(file, events.map(e => JSON.stringify(e)).join('\n') + '\n');
+    });
+
+    it('should filter by cabinet, type and time window', async () => {
+      expect((await stateStore.history({ cabinetId: 1 })).map(e => e.type)).toEqual(['open', 'transition']);
+      expect((await stateStore.history({ type: 'open' })).map(e => e.cabinetId)).toEqual([1, 2]);
+      expect((await stateStore.history({ since: '2024-11-13T11:00:00.000Z', until: '2024-11-13T13:00:00.000Z' })))
+        .toHaveLength(2);
+    });
+
+    it('should return the most recent events up to the limit', async () => {
+      const events = await stateStore.history({ limit: 2 });
+
+      expect(events.map(e => e.time)).toEqual(['2024-11-13T12:00:00.000Z', '2024-11-13T13:00:00.000Z']);
+    });
+  });
+});
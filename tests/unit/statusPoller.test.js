@@ -0,0 +1,154 @@
+/**
+ * Unit Tests for Status Poller
+ * Covers poll scheduling and the door change events the service derives
+ * from polled status on the simulator
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { StatusPoller } from '../../src/services/statusPoller.js';
+import cabinetService from '../../src/services/cabinetService.js';
+
+describe('StatusPoller', () => {
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should poll at the configured interval', async () => {
+    // Arrange
+    const poll = vi.fn().mockResolvedValue();
+    const poller = new StatusPoller({ poll, interval: 100 });
+
+    // Act
+    poller.start();
+    await vi.advanceTimersByTimeAsync(350);
+    poller.stop();
+    await vi.advanceTimersByTimeAsync(500);
+
+    // Assert
+    expect(poll).toHaveBeenCalledTimes(3);
+    expect(poller.getStats()).toMatchObject({ running: false, polls: 3, failures: 0 });
+  });
+
+  it('should not start when the interval is 0', () => {
+    // Arrange
+    const poller = new StatusPoller({ poll: vi.fn() });
+
+    // Act & Assert
+    expect(poller.start()).toBe(false);
+    expect(poller.running).toBe(false);
+  });
+
+  it('should wait for a slow poll before scheduling the next', async () => {
+    // Arrange - each poll takes 250ms
+    const poll = vi.fn(() => new Promise(resolve => setTimeout(resolve, 250)));
+    const poller = new StatusPoller({ poll, interval: 100 });
+
+    // Act
+    poller.start();
+    await vi.advanceTimersByTimeAsync(400);
+
+    // Assert - polls at 100 (done 350); the next starts at 450
+    expect(poll).toHaveBeenCalledTimes(1);
+    poller.stop();
+  });
+
+  it('should skip polls while not ready', async () => {
+    // Arrange
+    const poll = vi.fn().mockResolvedValue();
+    let ready = false;
+    const poller = new StatusPoller({ poll, isReady: () => ready, interval: 100 });
+
+    // Act
+    poller.start();
+    await vi.advanceTimersByTimeAsync(250);
+    ready = true;
+    await vi.advanceTimersByTimeAsync(100);
+    poller.stop();
+
+    // Assert
+    expect(poll).toHaveBeenCalledTimes(1);
+  });
+
+  it('should report the first of consecutive failures only', async () => {
+    // Arrange
+    const poll = vi.fn()
+      .mockRejectedValueOnce(new Error('timeout'))
+      .mockRejectedValueOnce(new Error('timeout'))
+      .mockResolvedValueOnce()
+      .mockRejectedValue(new Error('timeout'));
+    const poller = new StatusPoller({ poll, interval: 100 });
+    const errors = [];
+    poller.on('error', (err) => errors.push(err.message));
+
+    // Act
+    poller.start();
+    await vi.advanceTimersByTimeAsync(400);
+    poller.stop();
+
+    // Assert - failures 1 and 2 are one outage, failure 4 another
+    expect(errors).toEqual(['timeout', 'timeout']);
+    expect(poller.getStats()).toMatchObject({ polls: 1, failures: 3, lastError: 'timeout' });
+  });
+});
+
+describe('CabinetService door change events', () => {
+
+  afterEach(async () => {
+    cabinetService.removeAllListeners('door.opened');
+    cabinetService.removeAllListeners('door.closed');
+    await cabinetService.disconnect();
+    cabinetService.portPath = 'COM3';
+    cabinetService.resetStatus();
+  });
+
+  /**
+   * Collect door events emitted by the service
+   */
+  function collectDoorEvents() {
+    const events = [];
+    cabinetService.on('door.opened', (event) => events.push({ type: 'door.opened', ...event }));
+    cabinetService.on('door.closed', (event) => events.push({ type: 'door.closed', ...event }));
+    return events;
+  }
+
+  it('should emit door.opened and door.closed when polled state changes', async () => {
+    // Arrange
+    cabinetService.portPath = 'sim://48';
+    await cabinetService.connect();
+    const device = cabinetService.port.device;
+    const events = collectDoorEvents();
+    await cabinetService.requestStatus();
+
+    // Act
+    device.setDoor(7, true);
+    await cabinetService.requestStatus();
+    device.setDoor(7, false);
+    await cabinetService.requestStatus();
+
+    // Assert - the first poll only establishes the baseline
+    expect(events).toEqual([
+      { type: 'door.opened', cabinetId: 7, board: 0, channel: 7, from: 'close', timestamp: expect.any(String) },
+      { type: 'door.closed', cabinetId: 7, board: 0, channel: 7, from: 'open', timestamp: expect.any(String) }
+    ]);
+  });
+
+  it('should treat an opened command as open', async () => {
+    // Arrange
+    cabinetService.portPath = 'sim://48';
+    await cabinetService.connect();
+    const events = collectDoorEvents();
+    await cabinetService.requestStatus();
+
+    // Act - the simulator reports the door open after the command
+    await cabinetService.openCabinets([3]);
+    await cabinetService.requestStatus();
+
+    // Assert
+    expect(events).toEqual([]);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Unit Tests for tamper detection
+ * Opens doors on the simulator with and without open commands and checks
+ * which openings the service reports as tamper
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import cabinetService from '../../src/services/cabinetService.js';
+
+describe('CabinetService tamper detection', () => {
+
+  let device;
+  let tampers;
+  let window;
+  const onTamper = (event) => tampers.push(event);
+
+  beforeEach(async () => {
+    window = cabinetService.tamperWindow;
+    cabinetService.portPath = 'sim://48';
+    await cabinetService.connect();
+    device = cabinetService.port.device;
+    tampers = [];
+    cabinetService.on('tamper', onTamper);
+    // First read: every door is known closed
+    await cabinetService.requestStatus();
+  });
+
+  afterEach(async () => {
+    cabinetService.off('tamper', onTamper);
+    cabinetService.tamperWindow = window;
+    cabinetService.openCommands = {};
+    cabinetService.lastOpens = {};
+    await cabinetService.disconnect();
+    cabinetService.portPath = 'COM3';
+    cabinetService.resetStatus();
+  });
+
+  it('should report a door that opens without an open command', async () => {
+    // Arrange
+    const closedAt = cabinetService.cabinetStatus[5].timestamp;
+    device.setDoor(5, true);
+
+    // Act
+    await cabinetService.requestStatus();
+
+    // Assert
+    expect(tampers).toEqual([{
+      cabinetId: 5,
+      board: 0,
+      channel: 5,
+      lastKnownState: { status: 'close', timestamp: closedAt },
+      lastOpenAt: null,
+      sinceLastOpenMs: null,
+      timestamp: expect.any(String)
+    }]);
+  });
+
+  it('should not report a door opened by a command', async () => {
+    // Arrange
+    await cabinetService.openCabinets([6]);
+    device.setDoor(6, false);
+    await cabinetService.requestStatus();
+    device.setDoor(6, true);
+
+    // Act - the user pulls the door open after the lock was released
+    await cabinetService.requestStatus();
+
+    // Assert
+    expect(tampers).toEqual([]);
+  });
+
+  it('should report the time since the last legitimate open', async () => {
+    // Arrange
+    await cabinetService.openCabinets([7]);
+    const openedAt = cabinetService.lastOpens[7];
+    device.setDoor(7, false);
+    await cabinetService.requestStatus();
+    cabinetService.tamperWindow = 0;
+    await cabinetService.delay(5);
+    device.setDoor(7, true);
+
+    // Act
+    await cabinetService.requestStatus();
+
+    // Assert
+    expect(tampers).toHaveLength(1);
+    expect(tampers[0]).toMatchObject({ cabinetId: 7, lastKnownState: { status: 'close' }, lastOpenAt: openedAt });
+    expect(tampers[0].sinceLastOpenMs).toBeGreaterThan(0);
+  });
+
+  it('should let one command explain one opening only', async () => {
+    // Arrange
+    cabinetService.openCommands[8] = Date.now();
+    device.setDoor(8, true);
+    await cabinetService.requestStatus();
+    device.setDoor(8, false);
+    await cabinetService.requestStatus();
+    device.setDoor(8, true);
+
+    // Act
+    await cabinetService.requestStatus();
+
+    // Assert
+    expect(tampers.map(event => event.cabinetId)).toEqual([8]);
+  });
+
+  it('should use up the command when the door reads open right after an open', async () => {
+    // Arrange - the door springs open with the lock, so the next read is no change
+    await cabinetService.openCabinets([9]);
+    device.setDoor(9, true);
+    await cabinetService.requestStatus();
+    device.setDoor(9, false);
+    await cabinetService.requestStatus();
+    device.setDoor(9, true);
+
+    // Act - forced open well within the tamper window
+    await cabinetService.requestStatus();
+
+    // Assert
+    expect(cabinetService.openCommands[9]).toBeUndefined();
+    expect(tampers.map(event => event.cabinetId)).toEqual([9]);
+  });
+});
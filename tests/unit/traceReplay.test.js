@@ -0,0 +1,161 @@
+/**
+ * Unit Tests for Trace Recording and Replay
+ * Records a session against the simulator, replays it, and replays a
+ * checked-in field trace as a regression test
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { TraceRecorder, readTrace } from '../../src/services/traceRecorder.js';
+import { ReplayTransport, parseReplayPath } from '../../src/transports/replayTransport.js';
+import { buildSerialFrame, INSTRUCTIONS } from '../../src/utils/serialPort.js';
+import cabinetService from '../../src/services/cabinetService.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), '../fixtures/traces');
+
+describe('Trace recording and replay', () => {
+
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trace-'));
+  });
+
+  afterEach(async () => {
+    await cabinetService.disconnect();
+    if (cabinetService.trace) {
+      await cabinetService.trace.close();
+      cabinetService.trace = null;
+    }
+    cabinetService.portPath = 'COM3';
+    cabinetService.resetStatus();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // ==================== RECORDER TESTS ====================
+  describe('TraceRecorder', () => {
+
+    it('should write one JSON line per chunk with time and direction', async () => {
+      // Arrange
+      const file = path.join(dir, 'nested', 'trace.jsonl');
+      const recorder = new TraceRecorder({ file });
+
+      // Act
+      recorder.record('tx', buildSerialFrame([], 0x00, INSTRUCTIONS.STATUS));
+      recorder.record('rx', Buffer.from([0xAA, 0x55]));
+      await recorder.close();
+
+      // Assert
+      const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      expect(lines).toHaveLength(2);
+      expect(lines[0]).toEqual({ time: expect.any(String), dir: 'tx', hex: 'aa 55 02 00 51 1d' });
+      expect(lines[1].dir).toBe('rx');
+      expect(readTrace(file)[1].bytes).toEqual(Buffer.from([0xAA, 0x55]));
+    });
+
+    it('should reject malformed trace lines', () => {
+      // Arrange
+      const file = path.join(dir, 'bad.jsonl');
+      fs.writeFileSync(file, '{"dir":"tx","hex":"aa"}\n{"dir":"sideways","hex":"aa"}\n');
+
+      // Act & Assert
+      expect(() => readTrace(file)).toThrow('Invalid trace line 2');
+    });
+
+    it('should record the service traffic with the simulator', async () => {
+      // Arrange
+      const file = path.join(dir, 'session.jsonl');
+      cabinetService.trace = new TraceRecorder({ file });
+      cabinetService.portPath = 'sim://48';
+      await cabinetService.connect();
+
+      // Act
+      await cabinetService.openCabinets([3]);
+      await cabinetService.requestStatus();
+      await cabinetService.trace.close();
+
+      // Assert
+      expect(readTrace(file).map(entry => entry.dir)).toEqual(['tx', 'rx', 'tx', 'rx']);
+    });
+  });
+
+  // ==================== REPLAY TESTS ====================
+  describe('ReplayTransport', () => {
+
+    it('should parse replay:// paths', () => {
+      expect(parseReplayPath('replay://traces/a.jsonl')).toEqual({ file: 'traces/a.jsonl', speed: 1 });
+      expect(parseReplayPath('replay:///tmp/a.jsonl?speed=0')).toEqual({ file: '/tmp/a.jsonl', speed: 0 });
+      expect(() => parseReplayPath('replay://a.jsonl?speed=-1')).toThrow('Invalid replay path');
+    });
+
+    it('should reproduce a recorded session without hardware', async () => {
+      // Arrange - record against the simulator
+      const file = path.join(dir, 'session.jsonl');
+      cabinetService.trace = new TraceRecorder({ file });
+      cabinetService.portPath = 'sim://48';
+      await cabinetService.connect();
+      await cabinetService.openCabinets([9]);
+      await cabinetService.requestStatus();
+      await cabinetService.disconnect();
+      await cabinetService.trace.close();
+      cabinetService.trace = null;
+      cabinetService.resetStatus();
+
+      // Act - replay the same commands
+      cabinetService.portPath = `replay://${file}?speed=0`;
+      await cabinetService.connect();
+      const result = await cabinetService.openCabinets([9]);
+      await cabinetService.requestStatus();
+
+      // Assert
+      expect(result.opened.map(c => c.id)).toEqual([9]);
+      expect(cabinetService.cabinetStatus[9].status).toBe('open');
+      expect(cabinetService.port.mismatches).toEqual([]);
+      expect(cabinetService.port.done).toBe(true);
+    });
+
+    it('should report writes that differ from the trace', async () => {
+      // Arrange
+      const transport = new ReplayTransport({ path: `replay://${path.join(FIXTURES, 'noisy-ack-split-status.jsonl')}?speed=0` });
+      await new Promise(resolve => transport.once('open', resolve));
+      const mismatches = [];
+      transport.on('mismatch', mismatch => mismatches.push(mismatch));
+
+      // Act
+      transport.write(buildSerialFrame([11], 0x00, INSTRUCTIONS.OPEN));
+
+      // Assert
+      expect(mismatches).toEqual([{ index: 0, expected: 'aa 55 03 00 50 0a 55', actual: expect.stringMatching(/^aa 55 03 00 50 0b/) }]);
+      transport.close();
+    });
+
+    it('should emit error when the trace file cannot be read', async () => {
+      const transport = new ReplayTransport({ path: `replay://${path.join(dir, 'missing.jsonl')}` });
+      const err = await new Promise(resolve => transport.once('error', resolve));
+
+      expect(err.code).toBe('ENOENT');
+    });
+  });
+
+  // ==================== REGRESSION TRACES ====================
+  describe('field traces', () => {
+
+    it('noisy-ack-split-status: ack behind line noise, status reply split in two', async () => {
+      // Arrange
+      cabinetService.portPath = `replay://${path.join(FIXTURES, 'noisy-ack-split-status.jsonl')}`;
+      await cabinetService.connect();
+
+      // Act
+      const result = await cabinetService.openCabinets([10]);
+      await cabinetService.requestStatus();
+
+      // Assert
+      expect(result.failed).toEqual([]);
+      expect(cabinetService.cabinetStatus[10].status).toBe('open');
+      expect(cabinetService.port.mismatches).toEqual([]);
+    });
+  });
+});
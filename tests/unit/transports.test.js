@@ -0,0 +1,124 @@
+/**
+ * Unit Tests for Transports
+ * Runs the same service logic over the memory and TCP transports
+ */
+
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import {
+  createTransport,
+  MemoryTransport,
+  TcpTransport
+} from '../../src/transports/index.js';
+import { parseTcpPath } from '../../src/transports/tcpTransport.js';
+import { startSimulatorServer } from '../../src/simulator/tcpSimulatorServer.js';
+import { buildSerialFrame, INSTRUCTIONS } from '../../src/utils/serialPort.js';
+import cabinetService from '../../src/services/cabinetService.js';
+
+describe('Transports', () => {
+
+  // ==================== SELECTION TESTS ====================
+  describe('createTransport()', () => {
+
+    it('should pick the transport from the path scheme', () => {
+      const sim = createTransport('sim://48');
+      const memory = createTransport('memory://');
+
+      expect(sim).toBeInstanceOf(MemoryTransport);
+      expect(sim.device).not.toBeNull();
+      expect(memory).toBeInstanceOf(MemoryTransport);
+      expect(memory.device).toBeNull();
+
+      sim.close();
+      memory.close();
+    });
+
+    it('should parse tcp:// paths', () => {
+      expect(parseTcpPath('tcp://10.0.0.5:4001')).toEqual({ host: '10.0.0.5', port: 4001 });
+      expect(() => parseTcpPath('tcp://10.0.0.5')).toThrow('Invalid TCP path');
+    });
+  });
+
+  // ==================== MEMORY TRANSPORT TESTS ====================
+  describe('MemoryTransport', () => {
+
+    it('should record writes and deliver injected bytes', async () => {
+      // Arrange
+      const transport = new MemoryTransport();
+      await new Promise(resolve => transport.once('open', resolve));
+      const received = [];
+      transport.on('data', data => received.push(data));
+
+      // Act
+      await new Promise(resolve => transport.write(Buffer.from([0x01]), resolve));
+      transport.inject([0x02, 0x03]);
+
+      // Assert
+      expect(transport.written).toEqual([Buffer.from([0x01])]);
+      expect(received).toEqual([Buffer.from([0x02, 0x03])]);
+      transport.close();
+    });
+  });
+
+  // ==================== TCP TRANSPORT TESTS ====================
+  describe('TcpTransport', () => {
+
+    let simulatorServer;
+
+    beforeAll(async () => {
+      simulatorServer = await startSimulatorServer({ spec: '48' });
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => simulatorServer.server.close(resolve));
+    });
+
+    afterEach(async () => {
+      await cabinetService.disconnect();
+      cabinetService.resetStatus();
+    });
+
+    it('should exchange frames with the simulator server', async () => {
+      // Arrange
+      const transport = new TcpTransport({ path: `tcp://127.0.0.1:${simulatorServer.port}` });
+      await new Promise(resolve => transport.once('open', resolve));
+
+      // Act
+      const reply = await new Promise((resolve) => {
+        transport.once('data', resolve);
+        transport.write(buildSerialFrame([], 0x00, INSTRUCTIONS.STATUS));
+      });
+
+      // Assert
+      expect(reply[4]).toBe(INSTRUCTIONS.STATUS);
+      await new Promise(resolve => transport.close(resolve));
+    });
+
+    it('should emit error when nothing is listening', async () => {
+      // Arrange - grab a free port, then release it
+      const { server, port } = await startSimulatorServer();
+      await new Promise(resolve => server.close(resolve));
+
+      // Act
+      const transport = new TcpTransport({ path: `tcp://127.0.0.1:${port}` });
+      const err = await new Promise(resolve => transport.once('error', resolve));
+
+      // Assert
+      expect(err.code).toBe('ECONNREFUSED');
+    });
+
+    it('should run the cabinet service unchanged over TCP', async () => {
+      // Arrange
+      cabinetService.portPath = `tcp://127.0.0.1:${simulatorServer.port}`;
+      await cabinetService.connect();
+
+      // Act
+      const result = await cabinetService.openCabinets([4]);
+      await cabinetService.requestStatus();
+
+      // Assert
+      expect(result.opened.map(c => c.id)).toEqual([4]);
+      expect(simulatorServer.simulator.getBoard(0x00).doors[4]).toBe(true);
+      expect(cabinetService.cabinetStatus[4].status).toBe('open');
+    });
+  });
+});
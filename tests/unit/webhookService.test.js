@@ -0,0 +1,192 @@
+/**
+ * Unit Tests for Webhook Service
+ * Delivers events to a local HTTP receiver and checks signing, filtering,
+ * retries and dead-lettering
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { WebhookService, signPayload, validateSubscription } from '../../src/services/webhookService.js';
+import { EventStream } from '../../src/services/eventStream.js';
+
+describe('WebhookService', () => {
+
+  let receiver;
+  let url;
+  let received;
+  let responses;
+  let webhooks;
+  let stream;
+  let dir;
+
+  beforeAll(async () => {
+    // Answers each request with the next queued status code (200 when empty)
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = responses.shift() ?? 200;
+        res.end();
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${receiver.address().port}/hook`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => receiver.close(resolve));
+  });
+
+  beforeEach(() => {
+    received = [];
+    responses = [];
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+    webhooks = new WebhookService({ maxAttempts: 3, initialDelay: 10, maxDelay: 40, timeout: 1000 });
+    webhooks.load(path.join(dir, 'webhooks.json'));
+    stream = new EventStream();
+    webhooks.attach(stream);
+  });
+
+  afterEach(() => {
+    webhooks.detach();
+    webhooks.clear();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Wait until a condition holds
+   */
+  async function waitFor(condition, timeout = 2000) {
+    const deadline = Date.now() + timeout;
+    while (!condition()) {
+      if (Date.now() > deadline) {
+        throw new Error('Timed out waiting for condition');
+      }
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+  }
+
+  // ==================== SUBSCRIPTION TESTS ====================
+  describe('subscriptions', () => {
+
+    it('should generate a secret and hide it when listing', () => {
+      // Act
+      const created = webhooks.create({ url });
+
+      // Assert
+      expect(created.secret).toMatch(/^[0-9a-f]{64}$/);
+      expect(created.events).toEqual(['*']);
+      expect(webhooks.list()).toEqual([{ id: created.id, url, events: ['*'], enabled: true, createdAt: expect.any(String) }]);
+    });
+
+    it('should persist subscriptions', () => {
+      // Arrange
+      const created = webhooks.create({ url, events: ['door.opened'] });
+
+      // Act
+      const reloaded = new WebhookService();
+      reloaded.load(path.join(dir, 'webhooks.json'));
+
+      // Assert
+      expect(reloaded.get(created.id)).toEqual(webhooks.get(created.id));
+    });
+
+    it('should reject invalid fields', () => {
+      expect(validateSubscription({ url: 'ftp://example.com' })).toHaveLength(1);
+      expect(validateSubscription({ url, events: ['door.exploded'] })).toHaveLength(1);
+      expect(validateSubscription({ url, events: [] })).toHaveLength(1);
+      expect(validateSubscription({ url, secret: 'short' })).toHaveLength(1);
+      expect(validateSubscription({ url, events: ['door.opened', 'link'], secret: 'a'.repeat(16) })).toEqual([]);
+      expect(() => webhooks.create({ url: 'not a url' })).toThrow('Invalid webhook subscription');
+    });
+  });
+
+  // ==================== DELIVERY TESTS ====================
+  describe('delivery', () => {
+
+    it('should POST the event signed with HMAC-SHA256', async () => {
+      // Arrange
+      const { id, secret } = webhooks.create({ url });
+
+      // Act
+      const event = stream.publish('door.opened', { cabinetId: 4, timestamp: '2024-11-13T10:30:45.123Z' });
+      await waitFor(() => webhooks.listDeliveries({ status: 'delivered' }).length === 1);
+
+      // Assert
+      const [{ headers, body }] = received;
+      expect(JSON.parse(body)).toEqual(event);
+      expect(headers['x-webhook-id']).toBe(id);
+      expect(headers['x-webhook-event']).toBe('door.opened');
+      const expected = crypto.createHmac('sha256', secret).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+      expect(headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+      expect(signPayload(secret, headers['x-webhook-timestamp'], body)).toBe(headers['x-webhook-signature']);
+    });
+
+    it('should only deliver event types the subscription asked for', async () => {
+      // Arrange
+      webhooks.create({ url, events: ['door.closed'] });
+      webhooks.create({ url, events: ['door.opened'], enabled: false });
+
+      // Act
+      stream.publish('door.opened', { cabinetId: 1 });
+      stream.publish('door.closed', { cabinetId: 1 });
+      await waitFor(() => received.length === 1);
+
+      // Assert
+      expect(webhooks.listDeliveries().map(d => d.eventType)).toEqual(['door.closed']);
+    });
+
+    it('should retry failed deliveries with backoff until they succeed', async () => {
+      // Arrange
+      webhooks.create({ url });
+      responses.push(500, 503);
+
+      // Act
+      stream.publish('link', { state: 'failed' });
+      await waitFor(() => webhooks.listDeliveries({ status: 'delivered' }).length === 1);
+
+      // Assert
+      expect(received).toHaveLength(3);
+      expect(webhooks.listDeliveries()[0]).toMatchObject({ attempts: 3, lastStatusCode: 200, lastError: null });
+      expect([1, 2, 3, 4].map(n => webhooks.getDelay(n))).toEqual([10, 20, 40, 40]);
+    });
+
+    it('should dead-letter a delivery after the last attempt and redeliver it', async () => {
+      // Arrange
+      const { id } = webhooks.create({ url });
+      responses.push(500, 500, 500);
+
+      // Act
+      stream.publish('open.command', { cabinetId: 2, success: false });
+      await waitFor(() => webhooks.listDeadLetters().length === 1);
+      const [dead] = webhooks.listDeadLetters();
+      const saved = JSON.parse(fs.readFileSync(path.join(dir, 'webhooks.json'), 'utf8'));
+      webhooks.redeliver(dead.id);
+      await waitFor(() => webhooks.listDeliveries({ status: 'delivered' }).length === 1);
+
+      // Assert
+      expect(dead).toMatchObject({ subscriptionId: id, status: 'dead', attempts: 3, lastError: 'HTTP 500' });
+      expect(saved.deadLetters.map(d => d.id)).toEqual([dead.id]);
+      expect(webhooks.listDeadLetters()).toEqual([]);
+      expect(received).toHaveLength(4);
+    });
+
+    it('should record network errors', async () => {
+      // Arrange - nothing listens on port 9 of localhost
+      webhooks.create({ url: 'http://127.0.0.1:9/hook' });
+
+      // Act
+      stream.publish('status.reset', {});
+      await waitFor(() => webhooks.listDeadLetters().length === 1);
+
+      // Assert
+      expect(webhooks.listDeadLetters()[0].lastError).toEqual(expect.any(String));
+      expect(webhooks.listDeadLetters()[0].lastStatusCode).toBeNull();
+    });
+  });
+});